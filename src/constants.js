@@ -29,6 +29,10 @@ import * as SkylinkEventsConstants from './skylink-events/constants';
  *   The value of the state when Datachannel when data transfer packets or P2P message fails to send.
  *   This state should occur only during after {@link Skylink#sendBlobData} or {@link Skylink#sendURLData} or
  *   {@link Skylink#sendP2PMessage}.
+ * @property {String} QUEUE_OVERFLOW      Value <code>"queueOverflow"</code>
+ *   The value of the state when Datachannel when data fails to send as the Datachannel outbound queue is full.
+ *   The Datachannel queues data when the amount of data buffered to be sent is above the
+ *   <code>dataChannelQueue.highWaterMark</code> configured in {@link initOptions}.
  * @constant
  * @type object
  * @readOnly
@@ -44,6 +48,7 @@ export const DATA_CHANNEL_STATE = {
   CREATE_ERROR: 'createError',
   BUFFERED_AMOUNT_LOW: 'bufferedAmountLow',
   SEND_MESSAGE_ERROR: 'sendMessageError',
+  QUEUE_OVERFLOW: 'queueOverflow',
 };
 
 /**
@@ -124,7 +129,6 @@ export const DATA_CHANNEL_MESSAGE_ERROR = {
  * @readOnly
  * @memberOf SkylinkConstants
  * @since 0.1.0
- * @ignore
  */
 export const DATA_TRANSFER_DATA_TYPE = {
   BINARY_STRING: 'binaryString',
@@ -160,7 +164,6 @@ export const DT_PROTOCOL_VERSION = '0.1.3';
  * @readOnly
  * @memberOf SkylinkConstants
  * @since 0.1.0
- * @ignore
  */
 export const DATA_TRANSFER_TYPE = {
   UPLOAD: 'upload',
@@ -181,7 +184,6 @@ export const DATA_TRANSFER_TYPE = {
  * @readOnly
  * @memberOf SkylinkConstants
  * @since 0.1.0
- * @ignore
  */
 export const DATA_TRANSFER_SESSION_TYPE = {
   BLOB: 'blob',
@@ -225,12 +227,14 @@ export const DATA_TRANSFER_SESSION_TYPE = {
  *   The value of the state when data transfer has been terminated from / to Peer.
  * @property {String} ERROR              Value <code>"error"</code>
  *   The value of the state when data transfer has errors and has been terminated from / to Peer.
+ * @property {String} RESUMED            Value <code>"resumed"</code>
+ *   The value of the state when data transfer has resumed from the last acknowledged data chunk after the
+ *   Datachannel connection was replaced, for example after {@link Skylink#refreshDatachannel} or an ICE restart.
  * @constant
  * @type Object
  * @readOnly
  * @memberOf SkylinkConstants
  * @since 0.4.0
- * @ignore
  */
 export const DATA_TRANSFER_STATE = {
   UPLOAD_REQUEST: 'request',
@@ -246,6 +250,7 @@ export const DATA_TRANSFER_STATE = {
   USER_REJECTED: 'userRejected',
   USER_UPLOAD_REQUEST: 'userRequest',
   START_ERROR: 'startError',
+  RESUMED: 'resumed',
 };
 
 /**
@@ -274,7 +279,6 @@ export const DATA_TRANSFER_STATE = {
  * @readOnly
  * @memberOf SkylinkConstants
  * @since 0.6.18
- * @ignore
  */
 export const DATA_STREAM_STATE = {
   SENDING_STARTED: 'sendStart',
@@ -384,6 +388,12 @@ export const CANDIDATE_PROCESSING_STATE = {
  *   This happens when Peer connection is closed and no streaming can occur at this stage.
  * @property {String} TRICKLE_FAILED Value <code>"trickeFailed"</code>
  *   The value of the state when Peer connection ICE connection has failed during trickle ICE.
+ * @property {String} RESTARTING     Value <code>"restarting"</code>
+ *   The value of the state when the ICE restart policy is restarting the Peer connection ICE connection.
+ *   The attempt is reported in the {@link SkylinkEvents.event:iceRestartAttempt|iceRestartAttemptEvent}.
+ * @property {String} RESTART_FAILED Value <code>"restartFailed"</code>
+ *   The value of the state when the ICE restart policy has reached the <code>iceRestartPolicy.maxAttempts</code>
+ *   configured in {@link initOptions} without reviving the Peer connection ICE connection.
  * @constant
  * @type Object
  * @readOnly
@@ -399,6 +409,8 @@ export const ICE_CONNECTION_STATE = {
   FAILED: 'failed',
   TRICKLE_FAILED: 'trickleFailed',
   DISCONNECTED: 'disconnected',
+  RESTARTING: 'restarting',
+  RESTART_FAILED: 'restartFailed',
 };
 
 /**
@@ -687,16 +699,17 @@ export const GET_PEERS_STATE = {
  * </blockquote>
  * The list of {@link Skylink#introducePeer} Peer introduction request states.
  * @typedef INTRODUCE_STATE
- * @property {String} INTRODUCING Value <code>"enquired"</code>
+ * @property {String} INTRODUCING Value <code>"introducing"</code>
  *   The value of the state when introduction request for the selected pair of Peers has been made to the Signaling server.
  * @property {String} ERROR       Value <code>"error"</code>
  *   The value of the state when introduction request made to the Signaling server
  *   for the selected pair of Peers has failed.
  * @readOnly
+ * @type Object
  * @constant
+ * @public
  * @memberOf SkylinkConstants
  * @since 0.6.1
- * @ignore
  */
 export const INTRODUCE_STATE = {
   INTRODUCING: 'introducing',
@@ -800,6 +813,44 @@ export const SYSTEM_ACTION_REASON = {
   KEY_ERROR: 'keyFailed',
 };
 
+/**
+ * The list of error names of the <code>Error</code> that {@link Skylink#joinRoom} rejects with when the Signaling server
+ * rejects the User from joining the room.
+ * @typedef JOIN_ROOM_ERROR
+ * @property {String} ROOM_LOCKED Value <code>"RoomLockedError"</code>
+ *   The value of the error name when the room is locked.
+ * @property {String} REJECTED    Value <code>"RoomRejectedError"</code>
+ *   The value of the error name when the Signaling server rejects the User for any other reason.
+ *   The <code>reason</code> property of the error is the {@link SkylinkConstants.SYSTEM_ACTION_REASON|SYSTEM_ACTION_REASON}.
+ * @property {String} TIMEOUT     Value <code>"RoomJoinTimeoutError"</code>
+ *   The value of the error name when the Signaling server does not accept or reject the User in time.
+ * @property {String} CHANNEL_CLOSED Value <code>"RoomChannelClosedError"</code>
+ *   The value of the error name when the socket connection to the Signaling server closes before the User is accepted.
+ * @constant
+ * @type Object
+ * @readOnly
+ * @memberOf SkylinkConstants
+ * @since 2.0.0
+ */
+export const JOIN_ROOM_ERROR = {
+  ROOM_LOCKED: 'RoomLockedError',
+  REJECTED: 'RoomRejectedError',
+  TIMEOUT: 'RoomJoinTimeoutError',
+  CHANNEL_CLOSED: 'RoomChannelClosedError',
+};
+
+/**
+ * Stores the timeout in milliseconds to wait for the Signaling server to accept or reject the User joining a room.
+ * @typedef JOIN_ROOM_TIMEOUT
+ * @type Number
+ * @private
+ * @readOnly
+ * @memberOf SkylinkConstants
+ * @since 2.0.0
+ * @ignore
+ */
+export const JOIN_ROOM_TIMEOUT = 30000;
+
 /**
  * The list of Skylink {@link initOptions} ready states.
  * @typedef READY_STATE_CHANGE
@@ -1430,6 +1481,469 @@ export const MOZ_BINARY_FILE_SIZE = 16384;
  */
 export const CHUNK_DATAURL_SIZE = 1212;
 
+/**
+ * Stores the timeout in seconds to wait for a response from Peer before a data transfer session is terminated.
+ * @typedef DATA_TRANSFER_TIMEOUT
+ * @type Number
+ * @private
+ * @readOnly
+ * @memberOf SkylinkConstants
+ * @since 2.0.0
+ * @ignore
+ */
+export const DATA_TRANSFER_TIMEOUT = 60;
+
+/**
+ * Stores the minimum and maximum timeouts in seconds that a data transfer request from Peer can set.
+ * @typedef DATA_TRANSFER_TIMEOUT_RANGE
+ * @type Object
+ * @private
+ * @readOnly
+ * @memberOf SkylinkConstants
+ * @since 2.0.0
+ * @ignore
+ */
+export const DATA_TRANSFER_TIMEOUT_RANGE = {
+  MIN: 5,
+  MAX: 300,
+};
+
+/**
+ * Stores the Datachannel buffered amount in bytes above which data streaming chunks are queued
+ *   until the Datachannel <code>bufferedamountlow</code> event is fired.
+ * @typedef DATA_STREAM_BUFFER_THRESHOLD
+ * @type Number
+ * @private
+ * @readOnly
+ * @memberOf SkylinkConstants
+ * @since 2.0.0
+ * @ignore
+ */
+export const DATA_STREAM_BUFFER_THRESHOLD = 262144;
+
+/**
+ * Stores the default Datachannel buffered amount in bytes above which sent data is queued
+ *   until the Datachannel <code>bufferedamountlow</code> event is fired.
+ * @typedef DATA_CHANNEL_HIGH_WATER_MARK
+ * @type Number
+ * @private
+ * @readOnly
+ * @memberOf SkylinkConstants
+ * @since 2.0.0
+ * @ignore
+ */
+export const DATA_CHANNEL_HIGH_WATER_MARK = 1048576;
+
+/**
+ * Stores the default Datachannel buffered amount in bytes below which queued data is sent.
+ * @typedef DATA_CHANNEL_LOW_WATER_MARK
+ * @type Number
+ * @private
+ * @readOnly
+ * @memberOf SkylinkConstants
+ * @since 2.0.0
+ * @ignore
+ */
+export const DATA_CHANNEL_LOW_WATER_MARK = 262144;
+
+/**
+ * Stores the default maximum number of data queued for each Datachannel before sending data fails.
+ * @typedef DATA_CHANNEL_MAX_QUEUE_SIZE
+ * @type Number
+ * @private
+ * @readOnly
+ * @memberOf SkylinkConstants
+ * @since 2.0.0
+ * @ignore
+ */
+export const DATA_CHANNEL_MAX_QUEUE_SIZE = 1024;
+
+/**
+ * Stores the maximum size in UTF-8 encoded bytes of each serialized <code>"MESSAGE"</code> protocol message.
+ *   P2P messages that are larger when serialized are sent as fragments that are reassembled by Peer.
+ * @typedef P2P_MESSAGE_FRAGMENT_SIZE
+ * @type Number
+ * @private
+ * @readOnly
+ * @memberOf SkylinkConstants
+ * @since 2.0.0
+ * @ignore
+ */
+export const P2P_MESSAGE_FRAGMENT_SIZE = 16384;
+
+/**
+ * Stores the maximum number of fragments that a P2P message can be sent as.
+ *   Received fragments of a P2P message with a larger total number of fragments are dropped.
+ * @typedef P2P_MESSAGE_MAX_FRAGMENTS
+ * @type Number
+ * @private
+ * @readOnly
+ * @memberOf SkylinkConstants
+ * @since 2.0.0
+ * @ignore
+ */
+export const P2P_MESSAGE_MAX_FRAGMENTS = 1024;
+
+/**
+ * Stores the timeout in seconds to wait for the remaining fragments of a P2P message before it is discarded.
+ * @typedef P2P_MESSAGE_REASSEMBLY_TIMEOUT
+ * @type Number
+ * @private
+ * @readOnly
+ * @memberOf SkylinkConstants
+ * @since 2.0.0
+ * @ignore
+ */
+export const P2P_MESSAGE_REASSEMBLY_TIMEOUT = 30;
+
+/**
+ * Stores the maximum number of P2P messages from a Peer that can be reassembled at the same time.
+ *   Received fragments of other P2P messages from the Peer are dropped until a P2P message is reassembled or discarded.
+ * @typedef P2P_MESSAGE_MAX_PENDING
+ * @type Number
+ * @private
+ * @readOnly
+ * @memberOf SkylinkConstants
+ * @since 2.0.0
+ * @ignore
+ */
+export const P2P_MESSAGE_MAX_PENDING = 16;
+
+/**
+ * Stores the default timeout in milliseconds to wait for the response of a remote method call before it fails.
+ * @typedef PEER_METHOD_CALL_TIMEOUT
+ * @type Number
+ * @private
+ * @readOnly
+ * @memberOf SkylinkConstants
+ * @since 2.0.0
+ * @ignore
+ */
+export const PEER_METHOD_CALL_TIMEOUT = 10000;
+
+/**
+ * Stores the default timeout in milliseconds to wait for the response of a moderation command before it fails.
+ * @typedef MODERATION_COMMAND_TIMEOUT
+ * @type Number
+ * @private
+ * @readOnly
+ * @memberOf SkylinkConstants
+ * @since 2.0.0
+ * @ignore
+ */
+export const MODERATION_COMMAND_TIMEOUT = 10000;
+
+/**
+ * Stores the timeout in milliseconds to wait for the application to accept or decline a deferred moderation command
+ * before it is declined. It is shorter than {@link SkylinkConstants.MODERATION_COMMAND_TIMEOUT|MODERATION_COMMAND_TIMEOUT}
+ * so that the response reaches the privileged Peer before its command times out.
+ * @typedef MODERATION_REQUEST_TIMEOUT
+ * @type Number
+ * @private
+ * @readOnly
+ * @memberOf SkylinkConstants
+ * @since 2.0.0
+ * @ignore
+ */
+export const MODERATION_REQUEST_TIMEOUT = 8000;
+
+/**
+ * <blockquote class="info">
+ *   Note that sending the commands requires <code>"isPrivileged"</code> flag to be enabled for the App Key
+ *   provided in Skylink {@link initOptions}.
+ * </blockquote>
+ * The list of moderation commands that a privileged Peer can send to the other Peers in the room.
+ * @typedef MODERATION_COMMAND
+ * @property {String} MUTE       Value <code>"mute"</code>
+ *   The value of the command sent with {@link Skylink#requestMute} to mute the audio or video of the Peer.
+ * @property {String} REMOVE     Value <code>"remove"</code>
+ *   The value of the command sent with {@link Skylink#removePeer} to make the Peer leave the room.
+ * @property {String} LOWER_HAND Value <code>"lowerHand"</code>
+ *   The value of the command sent with {@link Skylink#requestLowerHand} to lower the raised hand of the Peer.
+ * @constant
+ * @type Object
+ * @readOnly
+ * @memberOf SkylinkConstants
+ * @since 2.0.0
+ */
+export const MODERATION_COMMAND = {
+  MUTE: 'mute',
+  REMOVE: 'remove',
+  LOWER_HAND: 'lowerHand',
+};
+
+/**
+ * Stores the default number of stats after which the buffered stats are flushed to the stats sink.
+ * @typedef STATS_BATCH_SIZE
+ * @type Number
+ * @private
+ * @readOnly
+ * @memberOf SkylinkConstants
+ * @since 2.0.0
+ * @ignore
+ */
+export const STATS_BATCH_SIZE = 20;
+
+/**
+ * Stores the default interval in milliseconds after which the buffered stats are flushed to the stats sink.
+ * @typedef STATS_FLUSH_INTERVAL
+ * @type Number
+ * @private
+ * @readOnly
+ * @memberOf SkylinkConstants
+ * @since 2.0.0
+ * @ignore
+ */
+export const STATS_FLUSH_INTERVAL = 5000;
+
+/**
+ * The list of Peer connection quality levels derived from the Peer connection MOS (Mean Opinion Score).
+ * @typedef PEER_QUALITY
+ * @property {String} GOOD Value <code>"good"</code>
+ *   The value of the quality level when the MOS is at or above the <code>qualityMonitor.goodThreshold</code>
+ *   configured in {@link initOptions}.
+ * @property {String} FAIR Value <code>"fair"</code>
+ *   The value of the quality level when the MOS is at or above the <code>qualityMonitor.fairThreshold</code>
+ *   configured in {@link initOptions}.
+ * @property {String} POOR Value <code>"poor"</code>
+ *   The value of the quality level when the MOS is below the <code>qualityMonitor.fairThreshold</code>
+ *   configured in {@link initOptions}.
+ * @constant
+ * @type Object
+ * @readOnly
+ * @memberOf SkylinkConstants
+ * @since 2.0.0
+ */
+export const PEER_QUALITY = {
+  GOOD: 'good',
+  FAIR: 'fair',
+  POOR: 'poor',
+};
+
+/**
+ * The list of simulcast layers of a simulcast video stream, identified by the layer <code>rid</code>.
+ * @typedef SIMULCAST_LAYER
+ * @property {String} LOW Value <code>"q"</code>
+ *   The value of the layer with a quarter of the video resolution and the lowest bitrate.
+ * @property {String} MEDIUM Value <code>"h"</code>
+ *   The value of the layer with half of the video resolution.
+ * @property {String} HIGH Value <code>"f"</code>
+ *   The value of the layer with the full video resolution and the highest bitrate.
+ * @constant
+ * @type Object
+ * @readOnly
+ * @memberOf SkylinkConstants
+ * @since 2.0.0
+ */
+export const SIMULCAST_LAYER = {
+  LOW: 'q',
+  MEDIUM: 'h',
+  HIGH: 'f',
+};
+
+/**
+ * Stores the default simulcast layers encodings used when <code>options.video.simulcast</code> is <code>true</code>.
+ * @typedef SIMULCAST_ENCODINGS
+ * @type Array
+ * @private
+ * @readOnly
+ * @memberOf SkylinkConstants
+ * @since 2.0.0
+ * @ignore
+ */
+export const SIMULCAST_ENCODINGS = [
+  { rid: SIMULCAST_LAYER.LOW, scaleResolutionDownBy: 4, maxBitrate: 150000 },
+  { rid: SIMULCAST_LAYER.MEDIUM, scaleResolutionDownBy: 2, maxBitrate: 500000 },
+  { rid: SIMULCAST_LAYER.HIGH, scaleResolutionDownBy: 1, maxBitrate: 1500000 },
+];
+
+/**
+ * Stores the default interval in milliseconds at which the quality monitor polls the Peer connection stats.
+ * @typedef QUALITY_MONITOR_INTERVAL
+ * @type Number
+ * @private
+ * @readOnly
+ * @memberOf SkylinkConstants
+ * @since 2.0.0
+ * @ignore
+ */
+export const QUALITY_MONITOR_INTERVAL = 2000;
+
+/**
+ * Stores the default minimum MOS (Mean Opinion Score) of the <code>GOOD</code> and <code>FAIR</code> Peer connection quality levels.
+ * @typedef PEER_QUALITY_THRESHOLDS
+ * @type Object
+ * @private
+ * @readOnly
+ * @memberOf SkylinkConstants
+ * @since 2.0.0
+ * @ignore
+ */
+export const PEER_QUALITY_THRESHOLDS = {
+  GOOD: 4,
+  FAIR: 3,
+};
+
+/**
+ * The list of audio level sources that the active speaker detector samples.
+ * @typedef ACTIVE_SPEAKER_SOURCE
+ * @property {String} STATS Value <code>"stats"</code>
+ *   The value of the source to sample the <code>audioLevel</code> from the Peer connection inbound-rtp stats.
+ *   Note that the stats of the MCU Peer connection cannot be attributed to each Peer, and the <code>ANALYSER</code> source is used instead in rooms with MCU.
+ * @property {String} ANALYSER Value <code>"analyser"</code>
+ *   The value of the source to sample the audio level from a Web Audio <code>AnalyserNode</code> of each remote stream.
+ * @constant
+ * @type Object
+ * @readOnly
+ * @memberOf SkylinkConstants
+ * @since 2.0.0
+ */
+export const ACTIVE_SPEAKER_SOURCE = {
+  STATS: 'stats',
+  ANALYSER: 'analyser',
+};
+
+/**
+ * Stores the default configuration of the active speaker detector.
+ * A Peer is speaking when its audio level rises to the <code>SPEAKING_THRESHOLD</code>, and is silent when it falls below the
+ *   <code>SILENCE_THRESHOLD</code>. The loudest speaking Peer becomes the active speaker after the <code>SWITCH_DELAY</code>.
+ * @typedef ACTIVE_SPEAKER_DETECTION
+ * @type Object
+ * @private
+ * @readOnly
+ * @memberOf SkylinkConstants
+ * @since 2.0.0
+ * @ignore
+ */
+export const ACTIVE_SPEAKER_DETECTION = {
+  INTERVAL: 500,
+  SPEAKING_THRESHOLD: 0.05,
+  SILENCE_THRESHOLD: 0.02,
+  SWITCH_DELAY: 1000,
+};
+
+/**
+ * The list of triggers of the ICE restart policy.
+ * @typedef ICE_RESTART_TRIGGER
+ * @property {String} ICE_DISCONNECTED Value <code>"iceDisconnected"</code>
+ *   The value of the trigger when the Peer connection ICE connection state is <code>DISCONNECTED</code> for longer than
+ *   the <code>iceRestartPolicy.disconnectedTimeout</code> configured in {@link initOptions}.
+ * @property {String} ICE_FAILED Value <code>"iceFailed"</code>
+ *   The value of the trigger when the Peer connection ICE connection state is <code>FAILED</code>.
+ * @property {String} NETWORK_CHANGE Value <code>"networkChange"</code>
+ *   The value of the trigger when the <code>navigator.connection</code> network type changes.
+ * @property {String} ONLINE Value <code>"online"</code>
+ *   The value of the trigger when the browser goes back online.
+ * @constant
+ * @type Object
+ * @readOnly
+ * @memberOf SkylinkConstants
+ * @since 2.0.0
+ */
+export const ICE_RESTART_TRIGGER = {
+  ICE_DISCONNECTED: 'iceDisconnected',
+  ICE_FAILED: 'iceFailed',
+  NETWORK_CHANGE: 'networkChange',
+  ONLINE: 'online',
+};
+
+/**
+ * Stores the default configuration of the ICE restart policy.
+ * The delay before each ICE restart attempt doubles from the <code>INITIAL_DELAY</code> up to the <code>MAX_DELAY</code>.
+ * @typedef ICE_RESTART_POLICY
+ * @type Object
+ * @private
+ * @readOnly
+ * @memberOf SkylinkConstants
+ * @since 2.0.0
+ * @ignore
+ */
+export const ICE_RESTART_POLICY = {
+  MAX_ATTEMPTS: 5,
+  INITIAL_DELAY: 1000,
+  MAX_DELAY: 30000,
+  DISCONNECTED_TIMEOUT: 3000,
+};
+
+/**
+ * Stores the default configuration of the session recovery after the socket connection to the Signaling server is lost.
+ * The Peers that have not responded to the <code>"enter"</code> message after the <code>TIMEOUT</code> are removed.
+ * When the Signaling server assigns a new Peer id, the <code>"enter"</code> message is sent after the
+ *   <code>PEER_CLEAR_DELAY</code> so that the previous Peer connections are cleared first.
+ * @typedef SESSION_RECOVERY
+ * @type Object
+ * @private
+ * @readOnly
+ * @memberOf SkylinkConstants
+ * @since 2.0.0
+ * @ignore
+ */
+export const SESSION_RECOVERY = {
+  TIMEOUT: 10000,
+  PEER_CLEAR_DELAY: 1000,
+};
+
+/**
+ * Stores the default configuration of the speaking while muted detector.
+ * The user is speaking while muted when the audio level of the muted microphone stays at or above the <code>THRESHOLD</code>
+ *   for the <code>DURATION</code>.
+ * @typedef SPEAKING_WHILE_MUTED_DETECTION
+ * @type Object
+ * @private
+ * @readOnly
+ * @memberOf SkylinkConstants
+ * @since 2.0.0
+ * @ignore
+ */
+export const SPEAKING_WHILE_MUTED_DETECTION = {
+  INTERVAL: 200,
+  THRESHOLD: 0.05,
+  DURATION: 600,
+};
+
+/**
+ * The delay in milliseconds before the push to talk state is broadcasted to the Peers, so that rapid presses do not
+ *   flood the signaling server with <code>muteAudioEvent</code> messages.
+ * @typedef PUSH_TO_TALK_DEBOUNCE
+ * @type number
+ * @private
+ * @readOnly
+ * @memberOf SkylinkConstants
+ * @since 2.0.0
+ * @ignore
+ */
+export const PUSH_TO_TALK_DEBOUNCE = 300;
+
+/**
+ * Stores the configuration of the versioned cipher format used to encrypt messages with the encrypt secrets.
+ * Messages are encrypted with AES-256-GCM using a key derived from the encrypt secret with PBKDF2, and then
+ *   with HKDF using a random salt for each message.
+ * Messages without the cipher version prefix are decrypted with the legacy CryptoJS AES format.
+ * @typedef MESSAGE_ENCRYPTION
+ * @property {String} CIPHER_VERSION The cipher format version prefixed to encrypted messages.
+ * @property {number} PBKDF2_ITERATIONS The number of PBKDF2 iterations to derive the key from the encrypt secret.
+ * @property {String} PBKDF2_SALT The PBKDF2 salt to derive the key from the encrypt secret.
+ * @property {String} HKDF_INFO The HKDF info to derive the message key.
+ * @property {number} SALT_LENGTH The length in bytes of the HKDF salt generated for each message.
+ * @property {number} IV_LENGTH The length in bytes of the AES-GCM initialization vector generated for each message.
+ * @property {number} KEY_LENGTH The length in bits of the AES-GCM key.
+ * @type Object
+ * @private
+ * @readOnly
+ * @memberOf SkylinkConstants
+ * @since 2.0.0
+ * @ignore
+ */
+export const MESSAGE_ENCRYPTION = {
+  CIPHER_VERSION: 'v2',
+  PBKDF2_ITERATIONS: 100000,
+  PBKDF2_SALT: 'SkylinkJS-EncryptedMessaging',
+  HKDF_INFO: 'SkylinkJS-EncryptedMessaging-AES-GCM',
+  SALT_LENGTH: 16,
+  IV_LENGTH: 12,
+  KEY_LENGTH: 256,
+};
+
 /**
  * Stores the list of data transfer protocols.
  * @typedef DC_PROTOCOL_TYPE
@@ -1440,6 +1954,7 @@ export const CHUNK_DATAURL_SIZE = 1212;
  * @property {String} CANCEL The protocol to terminate data transfer.
  * @property {String} ERROR The protocol when data transfer has errors and has to be terminated.
  * @property {String} MESSAGE The protocol that is used to send P2P messages.
+ * @property {String} RPC The protocol that is used to send remote method calls and their responses.
  * @constant
  * @type Object
  * @readOnly
@@ -1454,6 +1969,7 @@ export const DC_PROTOCOL_TYPE = {
   ERROR: 'ERROR',
   CANCEL: 'CANCEL',
   MESSAGE: 'MESSAGE',
+  RPC: 'RPC',
 };
 
 /**
@@ -1497,6 +2013,7 @@ export const DC_PROTOCOL_TYPE = {
  * Message that is boradcast by peer to all peers in the room to indicate the sender peer's stream object status.
  * @property {String} GROUP Value <code>group</code>
  * Message that is boradcast by peer to all peers in the room for bundled messages that was sent before a second interval.
+ * The bundled messages are defined in the <code>lists</code> as JSON strings.
  * @property {String} GET_PEERS Value <code>getPeers</code>
  * Message sent by peer (connecting from a Privileged Key) to the Signaling server to retrieve a list of peer IDs in each room within the same App space (app keys that have the same parent app).
  * @property {String} PEER_LIST Value <code>peerList</code>
@@ -1521,6 +2038,14 @@ export const DC_PROTOCOL_TYPE = {
  * Message sent by peer to all peers in the room as either a public or a private message.
  * @property {String} GET_STORED_MESSAGES Value <code>getStoredMessages</code>
  * Message sent by peer to Signaling server to retrieve stored (persisted) messages.
+ * @property {String} SET_RECEIVE_QUALITY Value <code>setReceiveQuality</code>
+ * Message sent by peer to the MCU to select the simulcast layer of a simulcast media it receives.
+ * @property {String} MODERATION_COMMAND Value <code>moderationCommand</code>
+ * Message sent by peer (connecting from a Privileged Key) to a targeted peer to mute, remove or lower the hand of the peer.
+ * The Signaling server sets the <code>isPrivileged</code> flag of the relayed message when the sender is privileged.
+ * The flag only guards against commands from Peers that are not privileged, and the application decides if a command is applied.
+ * @property {String} MODERATION_RESPONSE Value <code>moderationResponse</code>
+ * Message sent by peer to the privileged peer to indicate if the moderation command was applied or declined.
  * @private
  * @readOnly
  * @memberOf SkylinkConstants
@@ -1562,6 +2087,9 @@ export const SIG_MESSAGE_TYPE = {
   MESSAGE: 'message',
   GET_STORED_MESSAGES: 'getStoredMessages',
   STORED_MESSAGES: 'storedMessages',
+  SET_RECEIVE_QUALITY: 'setReceiveQuality',
+  MODERATION_COMMAND: 'moderationCommand',
+  MODERATION_RESPONSE: 'moderationResponse',
 };
 
 export const STREAM_STATUS = {
@@ -1586,8 +2114,90 @@ export const GROUP_MESSAGE_LIST = [
   SIG_MESSAGE_TYPE.MUTE_AUDIO_EVENT,
   SIG_MESSAGE_TYPE.MUTE_VIDEO_EVENT,
   SIG_MESSAGE_TYPE.PUBLIC_MESSAGE,
+  SIG_MESSAGE_TYPE.MESSAGE,
 ];
 
+/**
+ * Stores the interval in milliseconds within which the messages in {@link SkylinkConstants.GROUP_MESSAGE_LIST|GROUP_MESSAGE_LIST}
+ * are queued and sent together in a <code>group</code> message.
+ * @typedef GROUP_MESSAGE_INTERVAL
+ * @type Number
+ * @private
+ * @readOnly
+ * @memberOf SkylinkConstants
+ * @since 2.0.0
+ * @ignore
+ */
+export const GROUP_MESSAGE_INTERVAL = 1000;
+
+/**
+ * Stores the maximum number of messages sent together in a <code>group</code> message.
+ * The queued messages are sent right away when the maximum is reached, without waiting for the interval to elapse.
+ * @typedef GROUP_MESSAGE_MAX_SIZE
+ * @type Number
+ * @private
+ * @readOnly
+ * @memberOf SkylinkConstants
+ * @since 2.0.0
+ * @ignore
+ */
+export const GROUP_MESSAGE_MAX_SIZE = 20;
+
+/**
+ * Stores the default configuration of the rate limiter of the messages sent to the Signaling server.
+ * The rate limiter allows a burst of up to <code>BURST</code> messages, and then <code>RATE</code> messages per second.
+ * @typedef SIGNALING_RATE_LIMIT
+ * @type Object
+ * @private
+ * @readOnly
+ * @memberOf SkylinkConstants
+ * @since 2.0.0
+ * @ignore
+ */
+export const SIGNALING_RATE_LIMIT = {
+  RATE: 10,
+  BURST: 20,
+};
+
+/**
+ * Stores the priorities of the messages queued by the rate limiter of the messages sent to the Signaling server.
+ * The messages with a lower value are sent first.
+ * @typedef SIGNALING_QUEUE_PRIORITY
+ * @type Object
+ * @private
+ * @readOnly
+ * @memberOf SkylinkConstants
+ * @since 2.0.0
+ * @ignore
+ */
+export const SIGNALING_QUEUE_PRIORITY = {
+  NEGOTIATION: 0,
+  MEDIA_STATE: 1,
+  DATA: 2,
+};
+
+/**
+ * The list of the states of the queue of the messages sent to the Signaling server when they are rate limited.
+ * @typedef SIGNALING_QUEUE_STATE
+ * @property {String} THROTTLED Value <code>"throttled"</code>
+ *   The value of the state when the messages are queued as the rate limit is reached.
+ * @property {String} DRAINED   Value <code>"drained"</code>
+ *   The value of the state when all the queued messages have been sent.
+ * @property {String} DROPPED   Value <code>"dropped"</code>
+ *   The value of the state when the queued messages are dropped as the socket connection has closed,
+ *   or as the room session was not recovered after the socket connection was lost.
+ * @constant
+ * @type Object
+ * @readOnly
+ * @memberOf SkylinkConstants
+ * @since 2.0.0
+ */
+export const SIGNALING_QUEUE_STATE = {
+  THROTTLED: 'throttled',
+  DRAINED: 'drained',
+  DROPPED: 'dropped',
+};
+
 /**
  * The options available for video and audio bitrates (kbps) quality.
  * @typedef VIDEO_QUALITY
@@ -1708,6 +2318,12 @@ export const TAGS = {
   MESSAGING: 'MESSAGING',
   ASYNC_MESSAGING: 'ASYNC MESSAGING',
   ENCRYPTED_MESSAGING: 'ENCRYPTED MESSAGING',
+  DATA_TRANSFER: 'DATA TRANSFER',
+  DATA_STREAM: 'DATA STREAM',
+  PEER_METHOD: 'PEER METHOD',
+  AUDIO_OUTPUT: 'AUDIO OUTPUT',
+  SESSION_RECOVERY: 'SESSION RECOVERY',
+  MODERATION: 'MODERATION',
 };
 
 /**
@@ -1956,8 +2572,19 @@ export const STATES = {
  * @property {String} CANDIDATE_GENERATION_STATE - 'candidateGenerationState'
  * @property {String} CANDIDATES_GATHERED - 'candidatesGathered'
  * @property {String} ON_INCOMING_DATA - 'onIncomingData'
+ * @property {String} ON_INCOMING_DATA_REQUEST - 'onIncomingDataRequest'
+ * @property {String} DATA_TRANSFER_STATE - 'dataTransferState'
+ * @property {String} DATA_STREAM_STATE - 'dataStreamState'
+ * @property {String} ON_INCOMING_DATA_STREAM - 'onIncomingDataStream'
+ * @property {String} ON_INCOMING_DATA_STREAM_STARTED - 'onIncomingDataStreamStarted'
+ * @property {String} ON_INCOMING_DATA_STREAM_STOPPED - 'onIncomingDataStreamStopped'
  * @property {String} GET_PEERS_STATE_CHANGE - 'getPeersStateChange'
+ * @property {String} INTRODUCE_STATE_CHANGE - 'introduceStateChange'
+ * @property {String} MODERATION_REQUEST - 'moderationRequest'
+ * @property {String} MODERATION_RESPONSE - 'moderationResponse'
  * @property {String} SESSION_DISCONNECT - 'sessionDisconnect'
+ * @property {String} SESSION_RECOVERING - 'sessionRecovering'
+ * @property {String} SESSION_RECOVERED - 'sessionRecovered'
  * @property {String} STREAM_MUTED - 'streamMuted'
  * @property {String} CHANNEL_OPEN - 'channelOpen'
  * @property {String} CHANNEL_CLOSE - 'channelClose'
@@ -1965,6 +2592,7 @@ export const STATES = {
  * @property {String} CHANNEL_ERROR - 'channelError'
  * @property {String} CHANNEL_RETRY - 'channelRetry'
  * @property {String} SOCKET_ERROR - 'socketError'
+ * @property {String} SIGNALING_QUEUE_STATE - 'signalingQueueState'
  * @property {String} SYSTEM_ACTION - 'systemAction'
  * @property {String} MEDIA_ACCESS_FALLBACK - 'mediaAccessFallback'
  * @property {String} MEDIA_ACCESS_REQUIRED - 'mediaAccessRequired'
@@ -1973,7 +2601,14 @@ export const STATES = {
  * @property {String} RECORDING_STATE - 'recordingState'
  * @property {String} LOCAL_MEDIA_MUTED - 'localMediaMuted'
  * @property {String} MEDIA_ACCESS_ERROR - 'mediaAccessError'
+ * @property {String} MEDIA_DEVICES_CHANGED - 'mediaDevicesChanged'
+ * @property {String} AUDIO_OUTPUT_ERROR - 'audioOutputError'
+ * @property {String} SPEAKING_WHILE_MUTED - 'speakingWhileMuted'
  * @property {String} GET_CONNECTION_STATUS_STATE_CHANGE - 'getConnectionStatusStateChange'
+ * @property {String} PEER_QUALITY_CHANGED - 'peerQualityChanged'
+ * @property {String} ACTIVE_SPEAKER_CHANGED - 'activeSpeakerChanged'
+ * @property {String} AUDIO_LEVEL - 'audioLevel'
+ * @property {String} ICE_RESTART_ATTEMPT - 'iceRestartAttempt'
  * @property {String} READY_STATE_CHANGE - 'readyStateChange'
  * @property {String} ROOM_LOCK - 'roomLock'
  * @property {String} ICE_CONNECTION_STATE - 'iceConnectionState'
@@ -1981,6 +2616,7 @@ export const STATES = {
  * @property {String} RTMP_STATE - 'rtmpState'
  * @property {String} STORED_MESSAGES - 'storedMessages'
  * @property {String} ENCRYPT_SECRETS_UPDATED - 'encryptSecretsUpdated'
+ * @property {String} MESSAGE_INTEGRITY_FAILED - 'messageIntegrityFailed'
  * @memberOf SkylinkConstants
  * @constant
  * @readonly
@@ -0,0 +1,58 @@
+import Skylink from '../../../index';
+import logger from '../../../logger';
+import MESSAGES from '../../../messages';
+import { audioOutputError } from '../../../skylink-events';
+import { dispatchEvent } from '../../../utils/skylinkEventManager';
+import { isAFunction, isAString } from '../../../utils/helpers';
+import { TAGS } from '../../../constants';
+
+const retrieveDeviceId = (audioOutput, peerId) => {
+  const { peerDeviceIds, deviceId } = audioOutput;
+
+  return isAString(peerDeviceIds[peerId]) ? peerDeviceIds[peerId] : deviceId;
+};
+
+const dispatchAudioOutputError = (room, params, error) => {
+  logger.log.ERROR([params.peerId, TAGS.AUDIO_OUTPUT, params.streamId, MESSAGES.AUDIO_OUTPUT.ERRORS.SET_SINK_ID], error);
+
+  dispatchEvent(audioOutputError(Object.assign({ room, error }, params)));
+};
+
+/**
+ * Function that sets the audio output device of a media element attached with <code>attachStream</code>.
+ * The Peer audio output device is used if set, otherwise the audio output device for all Peers is used.
+ * @param {SkylinkRoom} room
+ * @param {String} streamId - The stream id of the attached media element.
+ * @return {Promise<boolean>} The flag if the audio output device is set. The promise does not reject as the
+ *   <code>audioOutputError</code> event is dispatched instead.
+ * @memberOf AudioOutputHelpers
+ */
+const applySinkId = (room, streamId) => {
+  const { audioOutput } = Skylink.getSkylinkState(room.id);
+  const { element, peerId } = audioOutput.elements[streamId];
+  const deviceId = retrieveDeviceId(audioOutput, peerId);
+  const params = {
+    peerId, streamId, deviceId, element,
+  };
+
+  if (!isAString(deviceId) || element.sinkId === deviceId) {
+    return Promise.resolve(false);
+  }
+
+  if (!isAFunction(element.setSinkId)) {
+    dispatchAudioOutputError(room, params, new Error(MESSAGES.AUDIO_OUTPUT.ERRORS.SET_SINK_ID_NOT_SUPPORTED));
+    return Promise.resolve(false);
+  }
+
+  return element.setSinkId(deviceId)
+    .then(() => {
+      logger.log.DEBUG([peerId, TAGS.AUDIO_OUTPUT, streamId, MESSAGES.AUDIO_OUTPUT.SINK_ID_SET], deviceId);
+      return true;
+    })
+    .catch((error) => {
+      dispatchAudioOutputError(room, params, error);
+      return false;
+    });
+};
+
+export default applySinkId;
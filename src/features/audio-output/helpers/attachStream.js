@@ -0,0 +1,72 @@
+import Skylink from '../../../index';
+import helpers from './index';
+import logger from '../../../logger';
+import MESSAGES from '../../../messages';
+import SkylinkError from '../../../utils/skylinkError';
+import { TAGS } from '../../../constants';
+
+const retrieveStream = (state, streamId) => {
+  const { remoteStreams, streams, user } = state;
+  const peerIds = Object.keys(remoteStreams);
+
+  for (let i = 0; i < peerIds.length; i += 1) {
+    if (remoteStreams[peerIds[i]][streamId]) {
+      return { peerId: peerIds[i], stream: remoteStreams[peerIds[i]][streamId] };
+    }
+  }
+
+  if (streams.userMedia && streams.userMedia[streamId]) {
+    return { peerId: user.sid, stream: streams.userMedia[streamId].stream };
+  }
+
+  if (streams.screenshare && streams.screenshare.id === streamId) {
+    return { peerId: user.sid, stream: streams.screenshare.stream };
+  }
+
+  return null;
+};
+
+const isMediaElement = element => !!element && typeof element === 'object' && 'srcObject' in element;
+
+/**
+ * Function that attaches a local or remote stream to a media element and sets the audio output device of the media element.
+ * The media element is registered so that the audio output device set later with <code>setAudioOutput</code> is also applied.
+ * @param {SkylinkState} roomState
+ * @param {HTMLMediaElement} element - The audio or video element.
+ * @param {String} streamId - The stream id.
+ * @return {Promise<HTMLMediaElement>}
+ * @memberOf AudioOutputHelpers
+ */
+const attachStream = (roomState, element, streamId) => new Promise((resolve, reject) => {
+  try {
+    const updatedState = Skylink.getSkylinkState(roomState.room.id);
+    const { room, audioOutput } = updatedState;
+    const mediaElement = element;
+
+    if (!isMediaElement(element)) {
+      SkylinkError.throwError(MESSAGES.AUDIO_OUTPUT.ERRORS.INVALID_ELEMENT);
+    }
+
+    const result = retrieveStream(updatedState, streamId);
+
+    if (!result) {
+      SkylinkError.throwError(MESSAGES.AUDIO_OUTPUT.ERRORS.NO_STREAM, streamId);
+    }
+
+    if (mediaElement.srcObject !== result.stream) {
+      mediaElement.srcObject = result.stream;
+    }
+
+    audioOutput.elements[streamId] = { element, peerId: result.peerId };
+    Skylink.setSkylinkState(updatedState, room.id);
+
+    logger.log.DEBUG([result.peerId, TAGS.AUDIO_OUTPUT, streamId, MESSAGES.AUDIO_OUTPUT.STREAM_ATTACHED]);
+
+    helpers.applySinkId(room, streamId).then(() => resolve(element));
+  } catch (error) {
+    logger.log.ERROR(error);
+    reject(error);
+  }
+});
+
+export default attachStream;
@@ -0,0 +1,12 @@
+import MediaStream from '../../../media-stream/index';
+
+/**
+ * Function that returns the audio output (speakers) devices.
+ * @return {Promise<Array<Object>>} The list of audio output devices. Object signature matches the
+ *   <code>getStreamSources</code> <code>audio.output</code> items.
+ * @memberOf AudioOutputHelpers
+ */
+const getAudioOutputDevices = () => MediaStream.getStreamSources()
+  .then(sources => sources.audio.output);
+
+export default getAudioOutputDevices;
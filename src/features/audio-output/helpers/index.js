@@ -0,0 +1,20 @@
+import applySinkId from './applySinkId';
+import attachStream from './attachStream';
+import getAudioOutputDevices from './getAudioOutputDevices';
+import setAudioOutput from './setAudioOutput';
+
+/**
+ * @namespace AudioOutputHelpers
+ * @description All helper and utility functions for <code>{@link AudioOutput}</code> class are listed here.
+ * @private
+ * @memberOf AudioOutput
+ * @type {{applySinkId, attachStream, getAudioOutputDevices, setAudioOutput}}
+ */
+const helpers = {
+  applySinkId,
+  attachStream,
+  getAudioOutputDevices,
+  setAudioOutput,
+};
+
+export default helpers;
@@ -0,0 +1,60 @@
+import Skylink from '../../../index';
+import helpers from './index';
+import logger from '../../../logger';
+import MESSAGES from '../../../messages';
+import SkylinkError from '../../../utils/skylinkError';
+import { isAObj, isAString } from '../../../utils/helpers';
+import { TAGS } from '../../../constants';
+
+const updateAudioOutput = (room, deviceId, peerId) => {
+  const updatedState = Skylink.getSkylinkState(room.id);
+  const { audioOutput } = updatedState;
+
+  if (peerId) {
+    audioOutput.peerDeviceIds[peerId] = deviceId;
+  } else {
+    audioOutput.deviceId = deviceId;
+  }
+
+  Skylink.setSkylinkState(updatedState, room.id);
+};
+
+const retrieveAttachedStreamIds = (room, peerId) => {
+  const { audioOutput: { elements } } = Skylink.getSkylinkState(room.id);
+
+  return Object.keys(elements).filter(streamId => !peerId || elements[streamId].peerId === peerId);
+};
+
+/**
+ * Function that sets the audio output device and applies it to the media elements attached with <code>attachStream</code>.
+ * @param {SkylinkState} roomState
+ * @param {String} deviceId - The audio output device id.
+ * @param {Object} [options]
+ * @param {String} [options.peerId] - The Peer id. When provided, the audio output device is only set for the Peer streams.
+ * @return {Promise<Array<String>>} The list of stream ids that the audio output device is set for.
+ * @memberOf AudioOutputHelpers
+ */
+const setAudioOutput = (roomState, deviceId, options = {}) => new Promise((resolve, reject) => {
+  try {
+    const { room } = roomState;
+    const peerId = isAObj(options) ? options.peerId : null;
+
+    if (!isAString(deviceId)) {
+      SkylinkError.throwError(MESSAGES.AUDIO_OUTPUT.ERRORS.INVALID_DEVICE_ID, deviceId);
+    }
+
+    updateAudioOutput(room, deviceId, peerId);
+
+    const streamIds = retrieveAttachedStreamIds(room, peerId);
+
+    logger.log.INFO([peerId || null, TAGS.AUDIO_OUTPUT, null, MESSAGES.AUDIO_OUTPUT.AUDIO_OUTPUT_SET], deviceId);
+
+    Promise.all(streamIds.map(streamId => helpers.applySinkId(room, streamId)))
+      .then(results => resolve(streamIds.filter((streamId, index) => results[index])));
+  } catch (error) {
+    logger.log.ERROR(error);
+    reject(error);
+  }
+});
+
+export default setAudioOutput;
@@ -0,0 +1,22 @@
+import helpers from './helpers';
+
+/**
+ * @classdesc Class that manages the audio output (speakers) device of the media elements that streams are attached to.
+ * @class
+ * @private
+ */
+class AudioOutput {
+  static getAudioOutputDevices() {
+    return helpers.getAudioOutputDevices();
+  }
+
+  static setAudioOutput(roomState, deviceId, options) {
+    return helpers.setAudioOutput(roomState, deviceId, options);
+  }
+
+  static attachStream(roomState, element, streamId) {
+    return helpers.attachStream(roomState, element, streamId);
+  }
+}
+
+export default AudioOutput;
@@ -0,0 +1,59 @@
+import Skylink from '../../../index';
+import logger from '../../../logger';
+import MESSAGES from '../../../messages';
+import { DATA_STREAM_STATE, TAGS } from '../../../constants';
+import { dispatchEvent } from '../../../utils/skylinkEventManager';
+import { onIncomingDataStreamStopped } from '../../../skylink-events';
+import PeerConnection from '../../../peer-connection';
+import dispatchDataStreamState from './dispatchDataStreamState';
+import getStreamInfo from './getStreamInfo';
+
+/**
+ * Function that stops a Peer data streaming session and closes its Datachannel.
+ * @param {SkylinkState} roomState
+ * @param {String} streamId - The data streaming session id.
+ * @param {String} peerId - The Peer id.
+ * @memberOf DataStreamHelpers
+ * @fires dataStreamState
+ * @fires onIncomingDataStreamStopped
+ */
+const closeDataStreamSession = (roomState, streamId, peerId) => {
+  const state = Skylink.getSkylinkState(roomState.room.id);
+  const dataStream = state.dataStreams[streamId];
+
+  if (!(dataStream && dataStream.sessions[peerId])) {
+    return;
+  }
+
+  const { channelProp } = dataStream.sessions[peerId];
+  const streamInfo = getStreamInfo(state, streamId);
+
+  logger.log.INFO([peerId, TAGS.DATA_STREAM, streamId, MESSAGES.DATA_STREAM.STOPPED]);
+
+  if (dataStream.isSender) {
+    dispatchDataStreamState(state, DATA_STREAM_STATE.SENDING_STOPPED, streamId, peerId);
+  } else {
+    dispatchDataStreamState(state, DATA_STREAM_STATE.RECEIVING_STOPPED, streamId, peerId);
+    dispatchEvent(onIncomingDataStreamStopped({
+      room: state.room,
+      streamId,
+      peerId,
+      streamInfo,
+      isSelf: false,
+    }));
+  }
+
+  delete dataStream.sessions[peerId];
+
+  if (Object.keys(dataStream.sessions).length === 0) {
+    delete state.dataStreams[streamId];
+  }
+
+  if (state.dataChannels[peerId] && state.dataChannels[peerId][channelProp]) {
+    PeerConnection.closeDataChannel(state, peerId, channelProp);
+  }
+
+  Skylink.setSkylinkState(state, state.room.id);
+};
+
+export default closeDataStreamSession;
@@ -0,0 +1,35 @@
+import Skylink from '../../../index';
+import { DATA_STREAM_STATE } from '../../../constants';
+import { dispatchEvent } from '../../../utils/skylinkEventManager';
+import { onIncomingDataStream } from '../../../skylink-events';
+import dispatchDataStreamState from './dispatchDataStreamState';
+import getStreamInfo from './getStreamInfo';
+
+/**
+ * Function that handles the data streaming chunks received from Peer.
+ * Chunks are delivered in the order they are received on the ordered Datachannel.
+ * @param {SkylinkState} roomState
+ * @param {String} peerId - The Peer id.
+ * @param {Blob|ArrayBuffer|String} rawData - The data chunk.
+ * @param {String} channelProp - The Datachannel property.
+ * @memberOf DataStreamHelpers
+ * @fires dataStreamState
+ * @fires onIncomingDataStream
+ */
+const dataStreamProtocolHandler = (roomState, peerId, rawData, channelProp) => {
+  const state = Skylink.getSkylinkState(roomState.room.id);
+  const { streamId } = state.dataChannels[peerId][channelProp];
+  const chunk = typeof rawData === 'string' || rawData instanceof window.Blob ? rawData : new window.Blob([rawData]);
+
+  dispatchDataStreamState(state, DATA_STREAM_STATE.RECEIVED, streamId, peerId, { chunk });
+  dispatchEvent(onIncomingDataStream({
+    room: state.room,
+    chunk,
+    streamId,
+    peerId,
+    streamInfo: getStreamInfo(state, streamId),
+    isSelf: false,
+  }));
+};
+
+export default dataStreamProtocolHandler;
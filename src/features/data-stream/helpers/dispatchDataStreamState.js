@@ -0,0 +1,34 @@
+import { dispatchEvent } from '../../../utils/skylinkEventManager';
+import { dataStreamState } from '../../../skylink-events';
+import getStreamInfo from './getStreamInfo';
+
+/**
+ * Function that dispatches the dataStreamState event for a data streaming session.
+ * @param {SkylinkState} state
+ * @param {SkylinkConstants.DATA_STREAM_STATE} streamState - The data streaming state.
+ * @param {String} streamId - The data streaming session id.
+ * @param {String} peerId - The Peer id.
+ * @param {Object} [options]
+ * @param {Blob|ArrayBuffer|String} [options.chunk] - The data chunk sent or received.
+ * @param {Error} [options.error] - The error object.
+ * @memberOf DataStreamHelpers
+ * @fires dataStreamState
+ */
+const dispatchDataStreamState = (state, streamState, streamId, peerId, options = {}) => {
+  const { chunk, error } = options;
+  const detail = {
+    room: state.room,
+    state: streamState,
+    streamId,
+    peerId,
+    streamInfo: getStreamInfo(state, streamId, chunk),
+  };
+
+  if (error) {
+    detail.error = error;
+  }
+
+  dispatchEvent(dataStreamState(detail));
+};
+
+export default dispatchDataStreamState;
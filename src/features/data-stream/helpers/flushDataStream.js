@@ -0,0 +1,51 @@
+import Skylink from '../../../index';
+import logger from '../../../logger';
+import MESSAGES from '../../../messages';
+import { DATA_STREAM_BUFFER_THRESHOLD, DATA_STREAM_STATE, TAGS } from '../../../constants';
+import sendMessageToDataChannel from '../../../peer-connection/helpers/data-channel/sendMessageToDataChannel';
+import dispatchDataStreamState from './dispatchDataStreamState';
+import closeDataStreamSession from './closeDataStreamSession';
+
+/**
+ * Function that sends the queued data streaming chunks to Peer until the Datachannel buffer is full.
+ * The remaining chunks are sent when the Datachannel <code>bufferedamountlow</code> event is fired.
+ * @param {SkylinkState} roomState
+ * @param {String} streamId - The data streaming session id.
+ * @param {String} peerId - The Peer id.
+ * @memberOf DataStreamHelpers
+ * @fires dataStreamState
+ */
+const flushDataStream = (roomState, streamId, peerId) => {
+  const state = Skylink.getSkylinkState(roomState.room.id);
+  const dataStream = state.dataStreams[streamId];
+  const session = dataStream && dataStream.sessions[peerId];
+
+  if (!(session && session.isOpen)) {
+    return;
+  }
+
+  const { channel } = state.dataChannels[peerId][session.channelProp];
+
+  while (session.queue.length > 0 && channel.bufferedAmount <= DATA_STREAM_BUFFER_THRESHOLD) {
+    const chunk = session.queue.shift();
+
+    try {
+      sendMessageToDataChannel(state, peerId, chunk, session.channelProp, true);
+    } catch (error) {
+      logger.log.ERROR([peerId, TAGS.DATA_STREAM, streamId, MESSAGES.DATA_STREAM.ERRORS.FAILED_SENDING_CHUNK], error);
+      dispatchDataStreamState(state, DATA_STREAM_STATE.ERROR, streamId, peerId, { error });
+      closeDataStreamSession(state, streamId, peerId);
+      return;
+    }
+
+    dispatchDataStreamState(state, DATA_STREAM_STATE.SENT, streamId, peerId, { chunk });
+  }
+
+  if (session.queue.length > 0) {
+    logger.log.DEBUG([peerId, TAGS.DATA_STREAM, streamId, MESSAGES.DATA_STREAM.CHUNK_QUEUED], session.queue.length);
+  } else if (session.isStopping) {
+    closeDataStreamSession(state, streamId, peerId);
+  }
+};
+
+export default flushDataStream;
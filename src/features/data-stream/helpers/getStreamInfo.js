@@ -0,0 +1,43 @@
+import { DATA_TRANSFER_DATA_TYPE } from '../../../constants';
+
+const getChunkType = (chunk) => {
+  if (typeof chunk === 'string') {
+    return DATA_TRANSFER_DATA_TYPE.STRING;
+  }
+
+  return chunk instanceof window.Blob ? DATA_TRANSFER_DATA_TYPE.BLOB : DATA_TRANSFER_DATA_TYPE.ARRAY_BUFFER;
+};
+
+/**
+ * Function that returns the data streaming information of a data streaming session.
+ * @param {SkylinkState} state
+ * @param {String} streamId - The data streaming session id.
+ * @param {Blob|ArrayBuffer|String} [chunk] - The data chunk sent or received.
+ * @return {JSON|null}
+ * @memberOf DataStreamHelpers
+ */
+const getStreamInfo = (state, streamId, chunk) => {
+  const dataStream = state.dataStreams[streamId];
+
+  if (!dataStream) {
+    return null;
+  }
+
+  const streamInfo = {
+    chunkSize: 0,
+    chunkType: dataStream.sessionChunkType,
+    isStringStream: dataStream.isStringStream,
+    isPrivate: dataStream.isPrivate,
+    senderPeerId: dataStream.senderPeerId,
+  };
+
+  if (chunk) {
+    streamInfo.chunk = chunk;
+    streamInfo.chunkType = getChunkType(chunk);
+    streamInfo.chunkSize = chunk.size || chunk.length || chunk.byteLength || 0;
+  }
+
+  return streamInfo;
+};
+
+export default getStreamInfo;
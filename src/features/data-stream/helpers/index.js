@@ -0,0 +1,29 @@
+import getStreamInfo from './getStreamInfo';
+import dispatchDataStreamState from './dispatchDataStreamState';
+import closeDataStreamSession from './closeDataStreamSession';
+import flushDataStream from './flushDataStream';
+import startDataStreamSession from './startDataStreamSession';
+import startReceivingDataStream from './startReceivingDataStream';
+import dataStreamProtocolHandler from './dataStreamProtocolHandler';
+import onDataStreamChannelClose from './onDataStreamChannelClose';
+
+/**
+ * @namespace DataStreamHelpers
+ * @description All helper and utility functions for <code>{@link DataStream}</code> class are listed here.
+ * @private
+ * @memberOf DataStream
+ * @type {{getStreamInfo, dispatchDataStreamState, closeDataStreamSession, flushDataStream, startDataStreamSession,
+ * startReceivingDataStream, dataStreamProtocolHandler, onDataStreamChannelClose}}
+ */
+const helpers = {
+  getStreamInfo,
+  dispatchDataStreamState,
+  closeDataStreamSession,
+  flushDataStream,
+  startDataStreamSession,
+  startReceivingDataStream,
+  dataStreamProtocolHandler,
+  onDataStreamChannelClose,
+};
+
+export default helpers;
@@ -0,0 +1,26 @@
+import Skylink from '../../../index';
+import closeDataStreamSession from './closeDataStreamSession';
+
+/**
+ * Function that stops the Peer data streaming session when its Datachannel has closed.
+ * @param {SkylinkState} roomState
+ * @param {String} peerId - The Peer id.
+ * @param {String} channelProp - The Datachannel property.
+ * @memberOf DataStreamHelpers
+ * @fires dataStreamState
+ * @fires onIncomingDataStreamStopped
+ */
+const onDataStreamChannelClose = (roomState, peerId, channelProp) => {
+  const state = Skylink.getSkylinkState(roomState.room.id);
+  const dataChannel = state.dataChannels[peerId] && state.dataChannels[peerId][channelProp];
+
+  if (!(dataChannel && dataChannel.streamId)) {
+    return;
+  }
+
+  // Datachannel has already closed so it is removed before the session is stopped
+  delete state.dataChannels[peerId][channelProp];
+  closeDataStreamSession(state, dataChannel.streamId, peerId);
+};
+
+export default onDataStreamChannelClose;
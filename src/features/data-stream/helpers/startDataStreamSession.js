@@ -0,0 +1,53 @@
+import Skylink from '../../../index';
+import logger from '../../../logger';
+import MESSAGES from '../../../messages';
+import { DATA_STREAM_STATE, DC_PROTOCOL_TYPE, TAGS } from '../../../constants';
+import sendMessageToDataChannel from '../../../peer-connection/helpers/data-channel/sendMessageToDataChannel';
+import dispatchDataStreamState from './dispatchDataStreamState';
+import flushDataStream from './flushDataStream';
+import closeDataStreamSession from './closeDataStreamSession';
+
+/**
+ * Function that starts a Peer data streaming session once its Datachannel has opened by sending the "WRQ" protocol
+ * message with the <code>streamId</code>. Every data received on the Datachannel after is a data streaming chunk.
+ * @param {SkylinkState} roomState
+ * @param {String} peerId - The Peer id.
+ * @param {String} channelProp - The Datachannel property.
+ * @memberOf DataStreamHelpers
+ * @fires dataStreamState
+ */
+const startDataStreamSession = (roomState, peerId, channelProp) => {
+  const state = Skylink.getSkylinkState(roomState.room.id);
+  const dataChannel = state.dataChannels[peerId] && state.dataChannels[peerId][channelProp];
+  const streamId = dataChannel && dataChannel.streamId;
+  const dataStream = streamId && state.dataStreams[streamId];
+
+  if (!(dataStream && dataStream.isSender && dataStream.sessions[peerId])) {
+    return;
+  }
+
+  try {
+    sendMessageToDataChannel(state, peerId, {
+      type: DC_PROTOCOL_TYPE.WRQ,
+      streamId,
+      isStringStream: dataStream.isStringStream,
+      chunkType: dataStream.sessionChunkType,
+      isPrivate: dataStream.isPrivate,
+      sender: state.user.sid,
+      target: peerId,
+    }, channelProp);
+  } catch (error) {
+    dispatchDataStreamState(state, DATA_STREAM_STATE.START_ERROR, streamId, peerId, { error });
+    closeDataStreamSession(state, streamId, peerId);
+    return;
+  }
+
+  dataStream.sessions[peerId].isOpen = true;
+
+  logger.log.INFO([peerId, TAGS.DATA_STREAM, streamId, MESSAGES.DATA_STREAM.STARTED]);
+  dispatchDataStreamState(state, DATA_STREAM_STATE.SENDING_STARTED, streamId, peerId);
+
+  flushDataStream(state, streamId, peerId);
+};
+
+export default startDataStreamSession;
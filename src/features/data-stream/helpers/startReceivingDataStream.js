@@ -0,0 +1,67 @@
+import Skylink from '../../../index';
+import logger from '../../../logger';
+import MESSAGES from '../../../messages';
+import { DATA_STREAM_STATE, DATA_TRANSFER_DATA_TYPE, TAGS } from '../../../constants';
+import { dispatchEvent } from '../../../utils/skylinkEventManager';
+import { onIncomingDataStreamStarted } from '../../../skylink-events';
+import dispatchDataStreamState from './dispatchDataStreamState';
+import getStreamInfo from './getStreamInfo';
+
+/**
+ * Function that handles the "WRQ" protocol message that starts a data streaming session from Peer.
+ * The request is dropped when it is received on the messaging Datachannel, as every data received after it would be
+ * handled as a data streaming chunk, or when a data streaming session with the same stream id exists.
+ * @param {SkylinkState} roomState
+ * @param {String} peerId - The Peer id.
+ * @param {JSON} data - The protocol message.
+ * @param {String} channelProp - The Datachannel property.
+ * @memberOf DataStreamHelpers
+ * @fires dataStreamState
+ * @fires onIncomingDataStreamStarted
+ */
+const startReceivingDataStream = (roomState, peerId, data, channelProp) => {
+  const state = Skylink.getSkylinkState(roomState.room.id);
+  const { streamId, isStringStream, isPrivate } = data;
+
+  if (channelProp === 'main') {
+    logger.log.WARN([peerId, TAGS.DATA_STREAM, streamId, MESSAGES.DATA_STREAM.ERRORS.INVALID_CHANNEL], data);
+    return;
+  }
+
+  if (state.dataStreams[streamId]) {
+    logger.log.WARN([peerId, TAGS.DATA_STREAM, streamId, MESSAGES.DATA_STREAM.ERRORS.DUPLICATE_STREAM], data);
+    return;
+  }
+
+  state.dataStreams[streamId] = {
+    streamId,
+    isSender: false,
+    isStringStream: !!isStringStream,
+    sessionChunkType: isStringStream ? DATA_TRANSFER_DATA_TYPE.STRING : DATA_TRANSFER_DATA_TYPE.ARRAY_BUFFER,
+    isPrivate: !!isPrivate,
+    senderPeerId: data.sender || peerId,
+    sessions: {
+      [peerId]: {
+        channelProp,
+        isOpen: true,
+        isStopping: false,
+        queue: [],
+      },
+    },
+  };
+  state.dataChannels[peerId][channelProp].streamId = streamId;
+  Skylink.setSkylinkState(state, state.room.id);
+
+  logger.log.INFO([peerId, TAGS.DATA_STREAM, streamId, MESSAGES.DATA_STREAM.RECEIVING_STARTED], data);
+
+  dispatchDataStreamState(state, DATA_STREAM_STATE.RECEIVING_STARTED, streamId, peerId);
+  dispatchEvent(onIncomingDataStreamStarted({
+    room: state.room,
+    streamId,
+    peerId,
+    streamInfo: getStreamInfo(state, streamId),
+    isSelf: false,
+  }));
+};
+
+export default startReceivingDataStream;
@@ -0,0 +1,217 @@
+import helpers from './helpers';
+import Skylink from '../../index';
+import logger from '../../logger';
+import MESSAGES from '../../messages';
+import SkylinkError from '../../utils/skylinkError';
+import { generateUUID } from '../../utils/helpers';
+import PeerConnection from '../../peer-connection';
+import {
+  BINARY_FILE_SIZE, DATA_STREAM_BUFFER_THRESHOLD, DATA_STREAM_STATE, DATA_TRANSFER_DATA_TYPE, PEER_TYPE, TAGS,
+} from '../../constants';
+
+const getTargetPeers = (roomState, targetPeerId) => {
+  if (Array.isArray(targetPeerId) && targetPeerId.length) {
+    return targetPeerId.slice();
+  }
+
+  if (targetPeerId && typeof targetPeerId === 'string') {
+    return [targetPeerId];
+  }
+
+  return Object.keys(roomState.dataChannels).filter(peerId => peerId !== PEER_TYPE.MCU);
+};
+
+const isValidChunk = (dataStream, chunk) => {
+  if (dataStream.isStringStream) {
+    return typeof chunk === 'string' && chunk.length > 0;
+  }
+
+  return (chunk instanceof ArrayBuffer || ArrayBuffer.isView(chunk)) && chunk.byteLength > 0;
+};
+
+/**
+ * @classdesc Class that manages the peer to peer data streaming feature over dedicated Datachannels.
+ * @class
+ * @private
+ */
+class DataStream {
+  /**
+   * Starts a data streaming session with Peers by opening a Datachannel for each Peer.
+   * The session starts sending when the Datachannel has opened.
+   * @param {SkylinkState} roomState
+   * @param {boolean} [isStringStream=false] - The flag if data streaming chunks are strings instead of binary.
+   * @param {String|Array} [targetPeerId] - The target Peer id or list of Peer ids.
+   * @return {Promise<String>} streamId - The data streaming session id.
+   * @fires dataStreamState
+   */
+  static startStreamingData(roomState, isStringStream = false, targetPeerId) {
+    return new Promise((resolve, reject) => {
+      try {
+        const state = Skylink.getSkylinkState(roomState.room.id);
+        const { user, dataChannels, hasMCU } = state;
+        const streamId = generateUUID();
+
+        if (!Skylink.getInitOptions().enableDataChannel) {
+          SkylinkError.throwError(MESSAGES.DATA_TRANSFER.ERRORS.NO_DATA_CHANNEL);
+        }
+
+        if (hasMCU) {
+          SkylinkError.throwError(MESSAGES.DATA_TRANSFER.ERRORS.MCU_NOT_SUPPORTED);
+        }
+
+        state.dataStreams[streamId] = {
+          streamId,
+          isSender: true,
+          isStringStream: !!isStringStream,
+          sessionChunkType: isStringStream ? DATA_TRANSFER_DATA_TYPE.STRING : DATA_TRANSFER_DATA_TYPE.ARRAY_BUFFER,
+          isPrivate: !!(targetPeerId && targetPeerId.length),
+          senderPeerId: user.sid,
+          sessions: {},
+        };
+
+        logger.log.INFO([null, TAGS.DATA_STREAM, streamId, MESSAGES.DATA_STREAM.STARTING]);
+
+        getTargetPeers(state, targetPeerId).forEach((peerId) => {
+          if (!(dataChannels[peerId] && dataChannels[peerId].main)) {
+            logger.log.ERROR([peerId, TAGS.DATA_STREAM, streamId, MESSAGES.DATA_TRANSFER.ERRORS.NO_PEER_DATA_CHANNEL]);
+            helpers.dispatchDataStreamState(state, DATA_STREAM_STATE.START_ERROR, streamId, peerId, {
+              error: new Error(MESSAGES.DATA_TRANSFER.ERRORS.NO_PEER_DATA_CHANNEL),
+            });
+            return;
+          }
+
+          PeerConnection.createDataChannel({
+            roomState: state,
+            peerId,
+            dataChannel: streamId,
+            bufferThreshold: DATA_STREAM_BUFFER_THRESHOLD,
+          });
+
+          if (!dataChannels[peerId][streamId]) {
+            logger.log.ERROR([peerId, TAGS.DATA_STREAM, streamId, MESSAGES.DATA_STREAM.ERRORS.FAILED_CREATING_CHANNEL]);
+            helpers.dispatchDataStreamState(state, DATA_STREAM_STATE.START_ERROR, streamId, peerId, {
+              error: new Error(MESSAGES.DATA_STREAM.ERRORS.FAILED_CREATING_CHANNEL),
+            });
+            return;
+          }
+
+          dataChannels[peerId][streamId].streamId = streamId;
+          state.dataStreams[streamId].sessions[peerId] = {
+            channelProp: streamId,
+            queue: [],
+            isOpen: false,
+            isStopping: false,
+          };
+        });
+
+        if (Object.keys(state.dataStreams[streamId].sessions).length === 0) {
+          delete state.dataStreams[streamId];
+          SkylinkError.throwError(MESSAGES.DATA_TRANSFER.ERRORS.NO_PEERS);
+        }
+
+        Skylink.setSkylinkState(state, state.room.id);
+        resolve(streamId);
+      } catch (error) {
+        logger.log.ERROR(error);
+        reject(error);
+      }
+    });
+  }
+
+  /**
+   * Queues a data streaming chunk to send to Peers of a data streaming session.
+   * @param {SkylinkState} roomState
+   * @param {String} streamId - The data streaming session id.
+   * @param {String|ArrayBuffer|ArrayBufferView} chunk - The data chunk.
+   * @fires dataStreamState
+   */
+  static streamData(roomState, streamId, chunk) {
+    const state = Skylink.getSkylinkState(roomState.room.id);
+    const dataStream = state.dataStreams[streamId];
+
+    if (!dataStream) {
+      SkylinkError.throwError(MESSAGES.DATA_STREAM.ERRORS.NO_STREAM, streamId);
+    }
+
+    if (!dataStream.isSender) {
+      SkylinkError.throwError(MESSAGES.DATA_STREAM.ERRORS.NOT_SENDER, streamId);
+    }
+
+    if (!isValidChunk(dataStream, chunk)) {
+      SkylinkError.throwError(MESSAGES.DATA_STREAM.ERRORS.INVALID_CHUNK, streamId);
+    }
+
+    if ((chunk.byteLength || chunk.length) > BINARY_FILE_SIZE) {
+      SkylinkError.throwError(MESSAGES.DATA_STREAM.ERRORS.CHUNK_TOO_LARGE, BINARY_FILE_SIZE);
+    }
+
+    Object.keys(dataStream.sessions).forEach((peerId) => {
+      if (dataStream.sessions[peerId].isStopping) {
+        return;
+      }
+
+      dataStream.sessions[peerId].queue.push(chunk);
+      helpers.flushDataStream(state, streamId, peerId);
+    });
+  }
+
+  /**
+   * Stops a data streaming session after the queued data streaming chunks are sent.
+   * @param {SkylinkState} roomState
+   * @param {String} streamId - The data streaming session id.
+   * @fires dataStreamState
+   */
+  static stopStreamingData(roomState, streamId) {
+    const state = Skylink.getSkylinkState(roomState.room.id);
+    const dataStream = state.dataStreams[streamId];
+
+    if (!dataStream) {
+      SkylinkError.throwError(MESSAGES.DATA_STREAM.ERRORS.NO_STREAM, streamId);
+    }
+
+    if (!dataStream.isSender) {
+      SkylinkError.throwError(MESSAGES.DATA_STREAM.ERRORS.NOT_SENDER, streamId);
+    }
+
+    Object.keys(dataStream.sessions).forEach((peerId) => {
+      const session = dataStream.sessions[peerId];
+      session.isStopping = true;
+
+      if (session.isOpen) {
+        helpers.flushDataStream(state, streamId, peerId);
+      } else {
+        helpers.closeDataStreamSession(state, streamId, peerId);
+      }
+    });
+  }
+
+  static getStreamInfo(state, streamId, chunk) {
+    return helpers.getStreamInfo(state, streamId, chunk);
+  }
+
+  static startDataStreamSession(roomState, peerId, channelProp) {
+    return helpers.startDataStreamSession(roomState, peerId, channelProp);
+  }
+
+  static flushDataStream(roomState, streamId, peerId) {
+    return helpers.flushDataStream(roomState, streamId, peerId);
+  }
+
+  static closeDataStreamSession(roomState, streamId, peerId) {
+    return helpers.closeDataStreamSession(roomState, streamId, peerId);
+  }
+
+  static onDataStreamChannelClose(roomState, peerId, channelProp) {
+    return helpers.onDataStreamChannelClose(roomState, peerId, channelProp);
+  }
+
+  static startReceivingDataStream(roomState, peerId, data, channelProp) {
+    return helpers.startReceivingDataStream(roomState, peerId, data, channelProp);
+  }
+
+  static dataStreamProtocolHandler(roomState, peerId, chunk, channelProp) {
+    return helpers.dataStreamProtocolHandler(roomState, peerId, chunk, channelProp);
+  }
+}
+
+export default DataStream;
@@ -0,0 +1,73 @@
+import Skylink from '../../../index';
+import logger from '../../../logger';
+import MESSAGES from '../../../messages';
+import { DATA_TRANSFER_STATE, DATA_TRANSFER_TYPE, TAGS } from '../../../constants';
+import dispatchDataTransferState from './dispatchDataTransferState';
+import clearDataTransferSession from './clearDataTransferSession';
+import sendDataChunk from './sendDataChunk';
+
+/**
+ * Function that handles the "ACK" data transfer protocol.
+ * An <code>ackN</code> of <code>-1</code> rejects the request, otherwise it is the index of the next data chunk Peer expects.
+ * @param {SkylinkState} roomState
+ * @param {String} peerId - The Peer id.
+ * @param {JSON} data - The protocol message.
+ * @param {String} channelProp - The Datachannel property.
+ * @memberOf DataTransferHelpers
+ * @fires dataTransferState
+ */
+const ackProtocolHandler = (roomState, peerId, data, channelProp) => {
+  const state = Skylink.getSkylinkState(roomState.room.id);
+  const { transferId } = state.dataChannels[peerId][channelProp];
+  const transfer = state.dataTransfers[transferId];
+  const session = transfer.sessions[peerId];
+  const ackN = parseInt(data.ackN, 10);
+
+  if (transfer.direction !== DATA_TRANSFER_TYPE.UPLOAD) {
+    logger.log.WARN([peerId, TAGS.DATA_TRANSFER, transferId, MESSAGES.DATA_TRANSFER.ERRORS.INVALID_ACK], data);
+    return;
+  }
+
+  clearTimeout(session.timer);
+
+  if (ackN === -1) {
+    logger.log.INFO([peerId, TAGS.DATA_TRANSFER, transferId, MESSAGES.DATA_TRANSFER.PEER_REJECTED]);
+    dispatchDataTransferState(state, DATA_TRANSFER_STATE.REJECTED, transferId, peerId, {
+      error: {
+        message: new Error(MESSAGES.DATA_TRANSFER.PEER_REJECTED),
+        transferType: DATA_TRANSFER_TYPE.UPLOAD,
+      },
+    });
+    clearDataTransferSession(state, transferId, peerId);
+    return;
+  }
+
+  if (session.isResuming) {
+    session.isResuming = false;
+    session.isInterrupted = false;
+    logger.log.INFO([peerId, TAGS.DATA_TRANSFER, transferId, `${MESSAGES.DATA_TRANSFER.RESUMED} @${ackN}`]);
+    dispatchDataTransferState(state, DATA_TRANSFER_STATE.RESUMED, transferId, peerId);
+  }
+
+  if (!session.hasStarted) {
+    session.hasStarted = true;
+    logger.log.INFO([peerId, TAGS.DATA_TRANSFER, transferId, MESSAGES.DATA_TRANSFER.UPLOAD_STARTED]);
+    dispatchDataTransferState(state, DATA_TRANSFER_STATE.UPLOAD_STARTED, transferId, peerId, { returnDataProp: true });
+  }
+
+  session.ackN = ackN;
+
+  if (ackN < Math.ceil(transfer.size / session.chunkSize)) {
+    if (ackN > 0) {
+      dispatchDataTransferState(state, DATA_TRANSFER_STATE.UPLOADING, transferId, peerId);
+    }
+    sendDataChunk(state, transferId, peerId);
+    return;
+  }
+
+  logger.log.INFO([peerId, TAGS.DATA_TRANSFER, transferId, MESSAGES.DATA_TRANSFER.UPLOAD_COMPLETED]);
+  dispatchDataTransferState(state, DATA_TRANSFER_STATE.UPLOAD_COMPLETED, transferId, peerId);
+  clearDataTransferSession(state, transferId, peerId);
+};
+
+export default ackProtocolHandler;
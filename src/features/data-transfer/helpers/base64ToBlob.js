@@ -0,0 +1,18 @@
+/**
+ * Function that converts a Base64 encoded string data chunk to a Blob.
+ * @param {String} base64String
+ * @return {Blob}
+ * @memberOf DataTransferHelpers
+ */
+const base64ToBlob = (base64String) => {
+  const byteString = window.atob(base64String.replace(/\s|\r|\n/g, ''));
+  const byteArray = new Uint8Array(byteString.length);
+
+  for (let i = 0; i < byteString.length; i += 1) {
+    byteArray[i] = byteString.charCodeAt(i);
+  }
+
+  return new window.Blob([byteArray.buffer]);
+};
+
+export default base64ToBlob;
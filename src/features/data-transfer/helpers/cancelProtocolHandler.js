@@ -0,0 +1,33 @@
+import Skylink from '../../../index';
+import logger from '../../../logger';
+import MESSAGES from '../../../messages';
+import { DATA_TRANSFER_STATE, TAGS } from '../../../constants';
+import dispatchDataTransferState from './dispatchDataTransferState';
+import clearDataTransferSession from './clearDataTransferSession';
+
+/**
+ * Function that handles the "CANCEL" data transfer protocol.
+ * @param {SkylinkState} roomState
+ * @param {String} peerId - The Peer id.
+ * @param {JSON} data - The protocol message.
+ * @param {String} channelProp - The Datachannel property.
+ * @memberOf DataTransferHelpers
+ * @fires dataTransferState
+ */
+const cancelProtocolHandler = (roomState, peerId, data, channelProp) => {
+  const state = Skylink.getSkylinkState(roomState.room.id);
+  const { transferId } = state.dataChannels[peerId][channelProp];
+  const transfer = state.dataTransfers[transferId];
+
+  logger.log.INFO([peerId, TAGS.DATA_TRANSFER, transferId, MESSAGES.DATA_TRANSFER.PEER_CANCELLED], data);
+
+  dispatchDataTransferState(state, DATA_TRANSFER_STATE.CANCEL, transferId, peerId, {
+    error: {
+      message: new Error(data.content || MESSAGES.DATA_TRANSFER.PEER_CANCELLED),
+      transferType: transfer.direction,
+    },
+  });
+  clearDataTransferSession(state, transferId, peerId);
+};
+
+export default cancelProtocolHandler;
@@ -0,0 +1,38 @@
+import Skylink from '../../../index';
+
+/**
+ * Function that removes a Peer data transfer session and the data transfer once it has no sessions left.
+ * @param {SkylinkState} roomState
+ * @param {String} transferId - The data transfer id.
+ * @param {String} peerId - The Peer id.
+ * @memberOf DataTransferHelpers
+ */
+const clearDataTransferSession = (roomState, transferId, peerId) => {
+  const state = Skylink.getSkylinkState(roomState.room.id);
+  const transfer = state.dataTransfers[transferId];
+
+  if (!transfer) {
+    return;
+  }
+
+  const session = transfer.sessions[peerId];
+
+  if (session) {
+    clearTimeout(session.timer);
+
+    const dataChannel = state.dataChannels[peerId] && state.dataChannels[peerId][session.channelProp];
+    if (dataChannel && dataChannel.transferId === transferId) {
+      dataChannel.transferId = null;
+    }
+
+    delete transfer.sessions[peerId];
+  }
+
+  if (Object.keys(transfer.sessions).length === 0) {
+    delete state.dataTransfers[transferId];
+  }
+
+  Skylink.setSkylinkState(state, state.room.id);
+};
+
+export default clearDataTransferSession;
@@ -0,0 +1,94 @@
+import Skylink from '../../../index';
+import logger from '../../../logger';
+import MESSAGES from '../../../messages';
+import {
+  DATA_TRANSFER_DATA_TYPE, DATA_TRANSFER_STATE, DATA_TRANSFER_TYPE, DC_PROTOCOL_TYPE, TAGS,
+} from '../../../constants';
+import { dispatchEvent } from '../../../utils/skylinkEventManager';
+import { onIncomingData } from '../../../skylink-events';
+import sendMessageToDataChannel from '../../../peer-connection/helpers/data-channel/sendMessageToDataChannel';
+import dispatchDataTransferState from './dispatchDataTransferState';
+import clearDataTransferSession from './clearDataTransferSession';
+import setDataTransferTimeout from './setDataTransferTimeout';
+import interruptDataTransfer from './interruptDataTransfer';
+import getTransferInfo from './getTransferInfo';
+import base64ToBlob from './base64ToBlob';
+
+/**
+ * Function that handles the data chunks received in a data transfer session.
+ * Each data chunk is acknowledged with the index of the next data chunk expected.
+ * @param {SkylinkState} roomState
+ * @param {String} peerId - The Peer id.
+ * @param {Blob|ArrayBuffer|String} chunk - The data chunk.
+ * @param {SkylinkConstants.DATA_TRANSFER_DATA_TYPE} chunkType - The data chunk type.
+ * @param {String} channelProp - The Datachannel property.
+ * @memberOf DataTransferHelpers
+ * @fires dataTransferState
+ * @fires onIncomingData
+ */
+const dataProtocolHandler = (roomState, peerId, chunk, chunkType, channelProp) => {
+  const state = Skylink.getSkylinkState(roomState.room.id);
+  const { transferId } = state.dataChannels[peerId][channelProp];
+  const transfer = state.dataTransfers[transferId];
+  const session = transfer.sessions[peerId];
+
+  if (!(transfer.direction === DATA_TRANSFER_TYPE.DOWNLOAD && session.hasStarted)) {
+    logger.log.WARN([peerId, TAGS.DATA_TRANSFER, transferId, MESSAGES.DATA_TRANSFER.ERRORS.DISCARDED_CHUNK], chunkType);
+    return;
+  }
+
+  if (transfer.chunks[session.ackN]) {
+    logger.log.WARN([peerId, TAGS.DATA_TRANSFER, transferId, `${MESSAGES.DATA_TRANSFER.ERRORS.DUPLICATE_CHUNK} @${session.ackN}`]);
+    return;
+  }
+
+  clearTimeout(session.timer);
+
+  let blob = chunk;
+  if (chunkType === DATA_TRANSFER_DATA_TYPE.BINARY_STRING) {
+    blob = base64ToBlob(chunk);
+  } else if (!(chunk instanceof window.Blob)) {
+    blob = new window.Blob([chunk]);
+  }
+
+  logger.log.DEBUG([peerId, TAGS.DATA_TRANSFER, transferId, `${MESSAGES.DATA_TRANSFER.RECEIVED_CHUNK} @${session.ackN}`], blob.size);
+
+  transfer.chunks[session.ackN] = blob;
+  session.receivedSize += blob.size;
+  session.ackN += 1;
+
+  try {
+    sendMessageToDataChannel(state, peerId, {
+      type: DC_PROTOCOL_TYPE.ACK,
+      ackN: session.ackN,
+      sender: state.user.sid,
+    }, channelProp);
+  } catch (error) {
+    // Peer re-requests the data chunk with the resume handshake once the Datachannel is revived
+    interruptDataTransfer(state, transferId, peerId);
+    return;
+  }
+
+  if (session.receivedSize >= transfer.size) {
+    transfer.data = new window.Blob(transfer.chunks, { type: transfer.mimeType || '' });
+
+    logger.log.INFO([peerId, TAGS.DATA_TRANSFER, transferId, MESSAGES.DATA_TRANSFER.DOWNLOAD_COMPLETED]);
+
+    dispatchDataTransferState(state, DATA_TRANSFER_STATE.DOWNLOAD_COMPLETED, transferId, peerId, { returnDataProp: true });
+    dispatchEvent(onIncomingData({
+      room: state.room,
+      data: transfer.data,
+      transferId,
+      peerId,
+      transferInfo: getTransferInfo(state, transferId, peerId),
+      isSelf: false,
+    }));
+    clearDataTransferSession(state, transferId, peerId);
+    return;
+  }
+
+  dispatchDataTransferState(state, DATA_TRANSFER_STATE.DOWNLOADING, transferId, peerId);
+  setDataTransferTimeout(state, transferId, peerId);
+};
+
+export default dataProtocolHandler;
@@ -0,0 +1,34 @@
+import { dispatchEvent } from '../../../utils/skylinkEventManager';
+import { dataTransferState } from '../../../skylink-events';
+import getTransferInfo from './getTransferInfo';
+
+/**
+ * Function that dispatches the dataTransferState event for a data transfer session.
+ * @param {SkylinkState} state
+ * @param {SkylinkConstants.DATA_TRANSFER_STATE} transferState - The data transfer state.
+ * @param {String} transferId - The data transfer id.
+ * @param {String} peerId - The Peer id.
+ * @param {Object} [options]
+ * @param {boolean} [options.returnDataProp=false] - The flag if the data object should be returned in the transfer info.
+ * @param {JSON} [options.error] - The error result.
+ * @memberOf DataTransferHelpers
+ * @fires dataTransferState
+ */
+const dispatchDataTransferState = (state, transferState, transferId, peerId, options = {}) => {
+  const { returnDataProp = false, error } = options;
+  const detail = {
+    room: state.room,
+    state: transferState,
+    transferId,
+    peerId,
+    transferInfo: getTransferInfo(state, transferId, peerId, returnDataProp),
+  };
+
+  if (error) {
+    detail.error = error;
+  }
+
+  dispatchEvent(dataTransferState(detail));
+};
+
+export default dispatchDataTransferState;
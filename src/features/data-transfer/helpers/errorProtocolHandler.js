@@ -0,0 +1,32 @@
+import Skylink from '../../../index';
+import logger from '../../../logger';
+import MESSAGES from '../../../messages';
+import { DATA_TRANSFER_STATE, DATA_TRANSFER_TYPE, TAGS } from '../../../constants';
+import dispatchDataTransferState from './dispatchDataTransferState';
+import clearDataTransferSession from './clearDataTransferSession';
+
+/**
+ * Function that handles the "ERROR" data transfer protocol.
+ * @param {SkylinkState} roomState
+ * @param {String} peerId - The Peer id.
+ * @param {JSON} data - The protocol message.
+ * @param {String} channelProp - The Datachannel property.
+ * @memberOf DataTransferHelpers
+ * @fires dataTransferState
+ */
+const errorProtocolHandler = (roomState, peerId, data, channelProp) => {
+  const state = Skylink.getSkylinkState(roomState.room.id);
+  const { transferId } = state.dataChannels[peerId][channelProp];
+
+  logger.log.ERROR([peerId, TAGS.DATA_TRANSFER, transferId, MESSAGES.DATA_TRANSFER.ERRORS.PEER_ERROR], data);
+
+  dispatchDataTransferState(state, DATA_TRANSFER_STATE.ERROR, transferId, peerId, {
+    error: {
+      message: new Error(data.content),
+      transferType: data.isUploadError ? DATA_TRANSFER_TYPE.UPLOAD : DATA_TRANSFER_TYPE.DOWNLOAD,
+    },
+  });
+  clearDataTransferSession(state, transferId, peerId);
+};
+
+export default errorProtocolHandler;
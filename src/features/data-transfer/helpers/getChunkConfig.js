@@ -0,0 +1,32 @@
+import {
+  BINARY_FILE_SIZE, BROWSER_AGENT, CHUNK_FILE_SIZE, DATA_TRANSFER_DATA_TYPE, MOZ_BINARY_FILE_SIZE, MOZ_CHUNK_FILE_SIZE,
+} from '../../../constants';
+import { isAgent, isLowerThanVersion } from '../../../utils/helpers';
+
+/**
+ * Function that returns the data chunk type and size to use for sending a Blob to a Peer.
+ * Peers on DT protocol versions lower than <code>0.1.3</code> only accept Base64 encoded string chunks.
+ * @param {SkylinkState} state
+ * @param {String} peerId - The Peer id.
+ * @return {{chunkType: String, chunkSize: number}}
+ * @memberOf DataTransferHelpers
+ */
+const getChunkConfig = (state, peerId) => {
+  const peerInfo = state.peerInformations[peerId] || {};
+  const agent = peerInfo.agent || {};
+  const isFirefox = isAgent(BROWSER_AGENT.FIREFOX) || agent.name === BROWSER_AGENT.FIREFOX;
+
+  if (isLowerThanVersion(agent.DTProtocolVersion, '0.1.3')) {
+    return {
+      chunkType: DATA_TRANSFER_DATA_TYPE.BINARY_STRING,
+      chunkSize: isFirefox ? MOZ_CHUNK_FILE_SIZE : CHUNK_FILE_SIZE,
+    };
+  }
+
+  return {
+    chunkType: DATA_TRANSFER_DATA_TYPE.ARRAY_BUFFER,
+    chunkSize: isFirefox ? MOZ_BINARY_FILE_SIZE : BINARY_FILE_SIZE,
+  };
+};
+
+export default getChunkConfig;
@@ -0,0 +1,49 @@
+import { DATA_TRANSFER_TYPE } from '../../../constants';
+
+const getPercentage = (transfer, session) => {
+  if (!transfer.size) {
+    return 0;
+  }
+
+  const transferredSize = transfer.direction === DATA_TRANSFER_TYPE.UPLOAD ? session.ackN * session.chunkSize : session.receivedSize;
+  return Math.min(100, Math.round((transferredSize / transfer.size) * 100));
+};
+
+/**
+ * Function that returns the data transfer information of a data transfer session.
+ * @param {SkylinkState} state
+ * @param {String} transferId - The data transfer id.
+ * @param {String} peerId - The Peer id.
+ * @param {boolean} [returnDataProp=false] - The flag if the data object should be returned.
+ * @return {JSON|null}
+ * @memberOf DataTransferHelpers
+ */
+const getTransferInfo = (state, transferId, peerId, returnDataProp = false) => {
+  const transfer = state.dataTransfers[transferId];
+
+  if (!transfer) {
+    return null;
+  }
+
+  const session = transfer.sessions[peerId] || { ackN: 0, receivedSize: 0 };
+  const transferInfo = {
+    name: transfer.name,
+    size: transfer.size,
+    dataType: transfer.dataType,
+    chunkType: session.chunkType || transfer.chunkType,
+    chunkSize: session.chunkSize || transfer.chunkSize,
+    mimeType: transfer.mimeType,
+    percentage: getPercentage(transfer, session),
+    timeout: transfer.timeout,
+    isPrivate: transfer.isPrivate,
+    direction: transfer.direction,
+  };
+
+  if (returnDataProp) {
+    transferInfo.data = transfer.data;
+  }
+
+  return transferInfo;
+};
+
+export default getTransferInfo;
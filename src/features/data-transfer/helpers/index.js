@@ -0,0 +1,44 @@
+import getTransferInfo from './getTransferInfo';
+import getChunkConfig from './getChunkConfig';
+import dispatchDataTransferState from './dispatchDataTransferState';
+import clearDataTransferSession from './clearDataTransferSession';
+import terminateDataTransfer from './terminateDataTransfer';
+import setDataTransferTimeout from './setDataTransferTimeout';
+import sendDataChunk from './sendDataChunk';
+import base64ToBlob from './base64ToBlob';
+import interruptDataTransfer from './interruptDataTransfer';
+import resumeDataTransfers from './resumeDataTransfers';
+import wrqProtocolHandler from './wrqProtocolHandler';
+import ackProtocolHandler from './ackProtocolHandler';
+import errorProtocolHandler from './errorProtocolHandler';
+import cancelProtocolHandler from './cancelProtocolHandler';
+import dataProtocolHandler from './dataProtocolHandler';
+
+/**
+ * @namespace DataTransferHelpers
+ * @description All helper and utility functions for <code>{@link DataTransfer}</code> class are listed here.
+ * @private
+ * @memberOf DataTransfer
+ * @type {{getTransferInfo, getChunkConfig, dispatchDataTransferState, clearDataTransferSession, terminateDataTransfer,
+ * setDataTransferTimeout, sendDataChunk, base64ToBlob, interruptDataTransfer, resumeDataTransfers, wrqProtocolHandler, ackProtocolHandler, errorProtocolHandler,
+ * cancelProtocolHandler, dataProtocolHandler}}
+ */
+const helpers = {
+  getTransferInfo,
+  getChunkConfig,
+  dispatchDataTransferState,
+  clearDataTransferSession,
+  terminateDataTransfer,
+  setDataTransferTimeout,
+  sendDataChunk,
+  base64ToBlob,
+  interruptDataTransfer,
+  resumeDataTransfers,
+  wrqProtocolHandler,
+  ackProtocolHandler,
+  errorProtocolHandler,
+  cancelProtocolHandler,
+  dataProtocolHandler,
+};
+
+export default helpers;
@@ -0,0 +1,37 @@
+import Skylink from '../../../index';
+import logger from '../../../logger';
+import MESSAGES from '../../../messages';
+import { TAGS } from '../../../constants';
+import setDataTransferTimeout from './setDataTransferTimeout';
+
+/**
+ * Function that keeps a Peer data transfer session when its Datachannel has closed so that it can be resumed
+ * once the Datachannel is revived. The session is terminated if it is not resumed before it times out.
+ * @param {SkylinkState} roomState
+ * @param {String} transferId - The data transfer id.
+ * @param {String} peerId - The Peer id.
+ * @memberOf DataTransferHelpers
+ */
+const interruptDataTransfer = (roomState, transferId, peerId) => {
+  const state = Skylink.getSkylinkState(roomState.room.id);
+  const transfer = state.dataTransfers[transferId];
+
+  if (!(transfer && transfer.sessions[peerId])) {
+    return;
+  }
+
+  const session = transfer.sessions[peerId];
+  const dataChannel = state.dataChannels[peerId] && state.dataChannels[peerId][session.channelProp];
+
+  if (dataChannel && dataChannel.transferId === transferId) {
+    dataChannel.transferId = null;
+  }
+
+  session.isInterrupted = true;
+  session.isResuming = false;
+
+  logger.log.WARN([peerId, TAGS.DATA_TRANSFER, transferId, MESSAGES.DATA_TRANSFER.INTERRUPTED]);
+  setDataTransferTimeout(state, transferId, peerId);
+};
+
+export default interruptDataTransfer;
@@ -0,0 +1,66 @@
+import Skylink from '../../../index';
+import logger from '../../../logger';
+import MESSAGES from '../../../messages';
+import { DATA_TRANSFER_TYPE, DC_PROTOCOL_TYPE, TAGS } from '../../../constants';
+import sendMessageToDataChannel from '../../../peer-connection/helpers/data-channel/sendMessageToDataChannel';
+import setDataTransferTimeout from './setDataTransferTimeout';
+
+/**
+ * Function that resumes the interrupted uploads to Peer once the main Datachannel has been revived.
+ * The "WRQ" protocol message is re-sent with the <code>resume</code> flag and the last acknowledged <code>ackN</code>,
+ * and Peer confirms with the "ACK" protocol message of the data chunk to continue from.
+ * @param {SkylinkState} roomState
+ * @param {String} peerId - The Peer id.
+ * @memberOf DataTransferHelpers
+ */
+const resumeDataTransfers = (roomState, peerId) => {
+  const state = Skylink.getSkylinkState(roomState.room.id);
+  const dataChannel = state.dataChannels[peerId] && state.dataChannels[peerId].main;
+
+  if (!dataChannel) {
+    return;
+  }
+
+  Object.keys(state.dataTransfers).forEach((transferId) => {
+    const transfer = state.dataTransfers[transferId];
+    const session = transfer.sessions[peerId];
+
+    if (!(session && session.isInterrupted && transfer.direction === DATA_TRANSFER_TYPE.UPLOAD) || dataChannel.transferId) {
+      return;
+    }
+
+    dataChannel.transferId = transferId;
+    session.channelProp = 'main';
+    session.isResuming = true;
+
+    logger.log.INFO([peerId, TAGS.DATA_TRANSFER, transferId, `${MESSAGES.DATA_TRANSFER.RESUMING} @${session.ackN}`]);
+
+    try {
+      sendMessageToDataChannel(state, peerId, {
+        type: DC_PROTOCOL_TYPE.WRQ,
+        transferId,
+        resume: true,
+        ackN: session.ackN,
+        sender: state.user.sid,
+        target: peerId,
+        name: transfer.name,
+        size: transfer.size,
+        mimeType: transfer.mimeType,
+        dataType: transfer.dataType,
+        chunkType: session.chunkType,
+        chunkSize: session.chunkSize,
+        timeout: transfer.timeout,
+        isPrivate: transfer.isPrivate,
+      }, 'main');
+    } catch (error) {
+      // The pending timeout terminates the session if the Datachannel is not revived again
+      return;
+    }
+
+    setDataTransferTimeout(state, transferId, peerId);
+  });
+
+  Skylink.setSkylinkState(state, state.room.id);
+};
+
+export default resumeDataTransfers;
@@ -0,0 +1,60 @@
+import Skylink from '../../../index';
+import logger from '../../../logger';
+import MESSAGES from '../../../messages';
+import { DATA_CHANNEL_STATE, DATA_TRANSFER_DATA_TYPE, TAGS } from '../../../constants';
+import sendMessageToDataChannel from '../../../peer-connection/helpers/data-channel/sendMessageToDataChannel';
+import setDataTransferTimeout from './setDataTransferTimeout';
+import terminateDataTransfer from './terminateDataTransfer';
+import interruptDataTransfer from './interruptDataTransfer';
+
+/**
+ * Function that reads the data chunk requested by Peer with the ACK <code>ackN</code> and sends it over the Datachannel.
+ * @param {SkylinkState} roomState
+ * @param {String} transferId - The data transfer id.
+ * @param {String} peerId - The Peer id.
+ * @memberOf DataTransferHelpers
+ */
+const sendDataChunk = (roomState, transferId, peerId) => {
+  const state = Skylink.getSkylinkState(roomState.room.id);
+  const transfer = state.dataTransfers[transferId];
+  const session = transfer.sessions[peerId];
+  const { ackN, chunkSize, chunkType } = session;
+  const fileReader = new window.FileReader();
+
+  fileReader.onload = () => {
+    // Session may have been cancelled while the chunk was being read
+    if (!(state.dataTransfers[transferId] && state.dataTransfers[transferId].sessions[peerId])) {
+      return;
+    }
+
+    try {
+      const chunk = chunkType === DATA_TRANSFER_DATA_TYPE.BINARY_STRING ? fileReader.result.split(',')[1] : fileReader.result;
+      sendMessageToDataChannel(state, peerId, chunk, session.channelProp, true);
+      setDataTransferTimeout(state, transferId, peerId);
+    } catch (error) {
+      const dataChannel = state.dataChannels[peerId] && state.dataChannels[peerId][session.channelProp];
+      if (!(dataChannel && dataChannel.channel.readyState === DATA_CHANNEL_STATE.OPEN)) {
+        interruptDataTransfer(state, transferId, peerId);
+        return;
+      }
+
+      logger.log.ERROR([peerId, TAGS.DATA_TRANSFER, transferId, `${MESSAGES.DATA_TRANSFER.ERRORS.FAILED_SENDING_CHUNK} @${ackN}`], error);
+      terminateDataTransfer(state, transferId, peerId, false, MESSAGES.DATA_TRANSFER.ERRORS.FAILED_SENDING_CHUNK);
+    }
+  };
+
+  fileReader.onerror = () => {
+    logger.log.ERROR([peerId, TAGS.DATA_TRANSFER, transferId, `${MESSAGES.DATA_TRANSFER.ERRORS.FAILED_READING_CHUNK} @${ackN}`], fileReader.error);
+    terminateDataTransfer(state, transferId, peerId, false, MESSAGES.DATA_TRANSFER.ERRORS.FAILED_READING_CHUNK);
+  };
+
+  const blobChunk = transfer.data.slice(ackN * chunkSize, (ackN + 1) * chunkSize);
+
+  if (chunkType === DATA_TRANSFER_DATA_TYPE.BINARY_STRING) {
+    fileReader.readAsDataURL(blobChunk);
+  } else {
+    fileReader.readAsArrayBuffer(blobChunk);
+  }
+};
+
+export default sendDataChunk;
@@ -0,0 +1,30 @@
+import Skylink from '../../../index';
+import logger from '../../../logger';
+import MESSAGES from '../../../messages';
+import { TAGS } from '../../../constants';
+import terminateDataTransfer from './terminateDataTransfer';
+
+/**
+ * Function that (re)starts the timer waiting for the next response from Peer in a data transfer session.
+ * @param {SkylinkState} roomState
+ * @param {String} transferId - The data transfer id.
+ * @param {String} peerId - The Peer id.
+ * @memberOf DataTransferHelpers
+ */
+const setDataTransferTimeout = (roomState, transferId, peerId) => {
+  const state = Skylink.getSkylinkState(roomState.room.id);
+  const transfer = state.dataTransfers[transferId];
+
+  if (!(transfer && transfer.sessions[peerId])) {
+    return;
+  }
+
+  const session = transfer.sessions[peerId];
+  clearTimeout(session.timer);
+  session.timer = setTimeout(() => {
+    logger.log.ERROR([peerId, TAGS.DATA_TRANSFER, transferId, MESSAGES.DATA_TRANSFER.ERRORS.TIMEOUT]);
+    terminateDataTransfer(state, transferId, peerId, false, MESSAGES.DATA_TRANSFER.ERRORS.TIMEOUT);
+  }, transfer.timeout * 1000);
+};
+
+export default setDataTransferTimeout;
@@ -0,0 +1,57 @@
+import Skylink from '../../../index';
+import logger from '../../../logger';
+import { DATA_TRANSFER_STATE, DATA_TRANSFER_TYPE, DC_PROTOCOL_TYPE } from '../../../constants';
+import sendMessageToDataChannel from '../../../peer-connection/helpers/data-channel/sendMessageToDataChannel';
+import dispatchDataTransferState from './dispatchDataTransferState';
+import clearDataTransferSession from './clearDataTransferSession';
+
+/**
+ * Function that terminates a Peer data transfer session with either the "CANCEL" or "ERROR" protocol.
+ * @param {SkylinkState} roomState
+ * @param {String} transferId - The data transfer id.
+ * @param {String} peerId - The Peer id.
+ * @param {boolean} isCancel - The flag if the data transfer is cancelled by User instead of terminated with errors.
+ * @param {String} message - The reason sent to Peer.
+ * @memberOf DataTransferHelpers
+ * @fires dataTransferState
+ */
+const terminateDataTransfer = (roomState, transferId, peerId, isCancel, message) => {
+  const state = Skylink.getSkylinkState(roomState.room.id);
+  const transfer = state.dataTransfers[transferId];
+
+  if (!(transfer && transfer.sessions[peerId])) {
+    return;
+  }
+
+  const { channelProp } = transfer.sessions[peerId];
+  const protocolData = isCancel ? {
+    type: DC_PROTOCOL_TYPE.CANCEL,
+    name: transfer.name,
+    content: message,
+    sender: state.user.sid,
+  } : {
+    type: DC_PROTOCOL_TYPE.ERROR,
+    name: transfer.name,
+    content: message,
+    isUploadError: transfer.direction === DATA_TRANSFER_TYPE.UPLOAD,
+    sender: state.user.sid,
+  };
+
+  try {
+    sendMessageToDataChannel(state, peerId, protocolData, channelProp);
+  } catch (error) {
+    // Datachannel may have closed, which is why the session is terminated
+    logger.log.WARN([peerId, 'RTCDataChannel', channelProp, `Failed sending ${protocolData.type} protocol message ->`], error);
+  }
+
+  dispatchDataTransferState(state, isCancel ? DATA_TRANSFER_STATE.CANCEL : DATA_TRANSFER_STATE.ERROR, transferId, peerId, {
+    error: {
+      message: new Error(message),
+      transferType: transfer.direction,
+    },
+  });
+
+  clearDataTransferSession(state, transferId, peerId);
+};
+
+export default terminateDataTransfer;
@@ -0,0 +1,155 @@
+import Skylink from '../../../index';
+import logger from '../../../logger';
+import MESSAGES from '../../../messages';
+import {
+  DATA_TRANSFER_DATA_TYPE, DATA_TRANSFER_SESSION_TYPE, DATA_TRANSFER_STATE, DATA_TRANSFER_TIMEOUT, DATA_TRANSFER_TIMEOUT_RANGE, DATA_TRANSFER_TYPE,
+  DC_PROTOCOL_TYPE, TAGS,
+} from '../../../constants';
+import { dispatchEvent } from '../../../utils/skylinkEventManager';
+import { onIncomingDataRequest } from '../../../skylink-events';
+import sendMessageToDataChannel from '../../../peer-connection/helpers/data-channel/sendMessageToDataChannel';
+import dispatchDataTransferState from './dispatchDataTransferState';
+import getTransferInfo from './getTransferInfo';
+import setDataTransferTimeout from './setDataTransferTimeout';
+
+// The timeout is set by Peer, so it is bounded for the session to neither expire right away nor wait forever
+const getTimeout = (timeout) => {
+  if (!(typeof timeout === 'number' && timeout > 0)) {
+    return DATA_TRANSFER_TIMEOUT;
+  }
+
+  return Math.min(Math.max(timeout, DATA_TRANSFER_TIMEOUT_RANGE.MIN), DATA_TRANSFER_TIMEOUT_RANGE.MAX);
+};
+
+const rejectRequest = (state, peerId, channelProp) => {
+  sendMessageToDataChannel(state, peerId, {
+    type: DC_PROTOCOL_TYPE.ACK,
+    ackN: -1,
+    sender: state.user.sid,
+  }, channelProp);
+};
+
+const resumeDownload = (roomState, peerId, data, channelProp) => {
+  const state = Skylink.getSkylinkState(roomState.room.id);
+  const { transferId } = data;
+  const transfer = state.dataTransfers[transferId];
+  const session = transfer && transfer.sessions[peerId];
+
+  if (!(session && transfer.direction === DATA_TRANSFER_TYPE.DOWNLOAD)) {
+    logger.log.WARN([peerId, TAGS.DATA_TRANSFER, transferId, MESSAGES.DATA_TRANSFER.ERRORS.RESUME_NOT_FOUND], data);
+    sendMessageToDataChannel(state, peerId, {
+      type: DC_PROTOCOL_TYPE.ERROR,
+      name: data.name,
+      content: MESSAGES.DATA_TRANSFER.ERRORS.RESUME_NOT_FOUND,
+      isUploadError: false,
+      sender: state.user.sid,
+    }, channelProp);
+    return;
+  }
+
+  session.isInterrupted = false;
+  session.channelProp = channelProp;
+  state.dataChannels[peerId][channelProp].transferId = transferId;
+  Skylink.setSkylinkState(state, state.room.id);
+
+  logger.log.INFO([peerId, TAGS.DATA_TRANSFER, transferId, `${MESSAGES.DATA_TRANSFER.RESUMED} @${session.ackN}`]);
+  dispatchDataTransferState(state, DATA_TRANSFER_STATE.RESUMED, transferId, peerId);
+
+  // Data chunks are only requested once User has accepted the data transfer request
+  if (session.hasStarted) {
+    sendMessageToDataChannel(state, peerId, {
+      type: DC_PROTOCOL_TYPE.ACK,
+      ackN: session.ackN,
+      sender: state.user.sid,
+    }, channelProp);
+  }
+
+  setDataTransferTimeout(state, transferId, peerId);
+};
+
+/**
+ * Function that handles the "WRQ" data transfer protocol.
+ * The data transfer session is created and awaits User to accept or reject it with {@link Skylink#acceptDataTransfer}.
+ * When the <code>resume</code> flag is defined, the interrupted data transfer session is resumed instead.
+ * The request is rejected when a data transfer with the same transfer id exists.
+ * @param {SkylinkState} roomState
+ * @param {String} peerId - The Peer id.
+ * @param {JSON} data - The protocol message.
+ * @param {String} channelProp - The Datachannel property.
+ * @memberOf DataTransferHelpers
+ * @fires dataTransferState
+ * @fires onIncomingDataRequest
+ */
+const wrqProtocolHandler = (roomState, peerId, data, channelProp) => {
+  const state = Skylink.getSkylinkState(roomState.room.id);
+  const {
+    transferId,
+    name,
+    size,
+    mimeType,
+    dataType,
+    chunkType,
+    chunkSize,
+    timeout,
+    isPrivate,
+  } = data;
+
+  if (data.resume) {
+    resumeDownload(state, peerId, data, channelProp);
+    return;
+  }
+
+  if (!(transferId && size > 0 && chunkSize > 0)) {
+    logger.log.WARN([peerId, TAGS.DATA_TRANSFER, channelProp, MESSAGES.DATA_TRANSFER.ERRORS.INVALID_WRQ], data);
+    rejectRequest(state, peerId, channelProp);
+    return;
+  }
+
+  if (state.dataTransfers[transferId]) {
+    logger.log.WARN([peerId, TAGS.DATA_TRANSFER, transferId, MESSAGES.DATA_TRANSFER.ERRORS.DUPLICATE_WRQ], data);
+    rejectRequest(state, peerId, channelProp);
+    return;
+  }
+
+  state.dataTransfers[transferId] = {
+    transferId,
+    name: name || transferId,
+    size,
+    mimeType: mimeType || null,
+    dataType: dataType || DATA_TRANSFER_SESSION_TYPE.BLOB,
+    chunkType: chunkType || DATA_TRANSFER_DATA_TYPE.BINARY_STRING,
+    chunkSize,
+    timeout: getTimeout(timeout),
+    isPrivate: !!isPrivate,
+    direction: DATA_TRANSFER_TYPE.DOWNLOAD,
+    senderPeerId: data.sender || peerId,
+    data: null,
+    chunks: [],
+    sessions: {
+      [peerId]: {
+        ackN: 0,
+        receivedSize: 0,
+        chunkType: chunkType || DATA_TRANSFER_DATA_TYPE.BINARY_STRING,
+        chunkSize,
+        channelProp,
+        hasStarted: false,
+        timer: null,
+      },
+    },
+  };
+  state.dataChannels[peerId][channelProp].transferId = transferId;
+  Skylink.setSkylinkState(state, state.room.id);
+
+  logger.log.INFO([peerId, TAGS.DATA_TRANSFER, transferId, MESSAGES.DATA_TRANSFER.RECEIVED_WRQ], data);
+
+  dispatchDataTransferState(state, DATA_TRANSFER_STATE.UPLOAD_REQUEST, transferId, peerId);
+  dispatchEvent(onIncomingDataRequest({
+    room: state.room,
+    transferId,
+    peerId,
+    transferInfo: getTransferInfo(state, transferId, peerId),
+    isSelf: false,
+  }));
+};
+
+export default wrqProtocolHandler;
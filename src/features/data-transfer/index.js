@@ -0,0 +1,268 @@
+import helpers from './helpers';
+import Skylink from '../../index';
+import logger from '../../logger';
+import MESSAGES from '../../messages';
+import SkylinkError from '../../utils/skylinkError';
+import { generateUUID } from '../../utils/helpers';
+import sendMessageToDataChannel from '../../peer-connection/helpers/data-channel/sendMessageToDataChannel';
+import {
+  DATA_TRANSFER_SESSION_TYPE, DATA_TRANSFER_STATE, DATA_TRANSFER_TIMEOUT, DATA_TRANSFER_TYPE, DC_PROTOCOL_TYPE, PEER_TYPE, TAGS,
+} from '../../constants';
+
+const getTargetPeers = (roomState, targetPeerId) => {
+  if (Array.isArray(targetPeerId) && targetPeerId.length) {
+    return targetPeerId.slice();
+  }
+
+  if (targetPeerId && typeof targetPeerId === 'string') {
+    return [targetPeerId];
+  }
+
+  return Object.keys(roomState.dataChannels).filter(peerId => peerId !== PEER_TYPE.MCU);
+};
+
+/**
+ * @classdesc Class that manages the peer to peer data transfer feature using the DT protocol.
+ * @class
+ * @private
+ */
+class DataTransfer {
+  /**
+   * Starts a data transfer of a Blob with Peers by sending the "WRQ" protocol message.
+   * @param {SkylinkState} roomState
+   * @param {Blob} blob - The data to send.
+   * @param {String|Array} [targetPeerId] - The target Peer id or list of Peer ids.
+   * @return {Promise<String>} transferId - The data transfer id, which rejects when the WRQ failed to send to all Peers.
+   * @fires dataTransferState
+   */
+  static sendBlobData(roomState, blob, targetPeerId) {
+    return new Promise((resolve, reject) => {
+      try {
+        const state = Skylink.getSkylinkState(roomState.room.id);
+        const { user, dataChannels, hasMCU } = state;
+        const isPrivate = !!(targetPeerId && targetPeerId.length);
+        const transferId = generateUUID();
+
+        if (!(blob instanceof window.Blob && blob.size > 0)) {
+          SkylinkError.throwError(MESSAGES.DATA_TRANSFER.ERRORS.INVALID_DATA);
+        }
+
+        if (!Skylink.getInitOptions().enableDataChannel) {
+          SkylinkError.throwError(MESSAGES.DATA_TRANSFER.ERRORS.NO_DATA_CHANNEL);
+        }
+
+        if (hasMCU) {
+          SkylinkError.throwError(MESSAGES.DATA_TRANSFER.ERRORS.MCU_NOT_SUPPORTED);
+        }
+
+        state.dataTransfers[transferId] = {
+          transferId,
+          name: blob.name || transferId,
+          size: blob.size,
+          mimeType: blob.type || null,
+          dataType: DATA_TRANSFER_SESSION_TYPE.BLOB,
+          timeout: DATA_TRANSFER_TIMEOUT,
+          isPrivate,
+          direction: DATA_TRANSFER_TYPE.UPLOAD,
+          senderPeerId: user.sid,
+          data: blob,
+          chunks: [],
+          sessions: {},
+        };
+
+        const peerIds = getTargetPeers(state, targetPeerId).filter((peerId) => {
+          let errorMessage = null;
+
+          if (!(dataChannels[peerId] && dataChannels[peerId].main)) {
+            errorMessage = MESSAGES.DATA_TRANSFER.ERRORS.NO_PEER_DATA_CHANNEL;
+          } else if (dataChannels[peerId].main.transferId || Object.values(state.dataTransfers).some(transfer => transfer.sessions[peerId])) {
+            errorMessage = MESSAGES.DATA_TRANSFER.ERRORS.TRANSFER_IN_PROGRESS;
+          }
+
+          if (errorMessage) {
+            logger.log.ERROR([peerId, TAGS.DATA_TRANSFER, transferId, errorMessage]);
+            helpers.dispatchDataTransferState(state, DATA_TRANSFER_STATE.START_ERROR, transferId, peerId, {
+              error: {
+                message: new Error(errorMessage),
+                transferType: DATA_TRANSFER_TYPE.UPLOAD,
+              },
+            });
+            return false;
+          }
+
+          return true;
+        });
+
+        if (peerIds.length === 0) {
+          delete state.dataTransfers[transferId];
+          SkylinkError.throwError(MESSAGES.DATA_TRANSFER.ERRORS.NO_PEERS);
+        }
+
+        peerIds.forEach((peerId) => {
+          const { chunkType, chunkSize } = helpers.getChunkConfig(state, peerId);
+          const transfer = state.dataTransfers[transferId];
+
+          transfer.sessions[peerId] = {
+            ackN: 0,
+            receivedSize: 0,
+            chunkType,
+            chunkSize,
+            channelProp: 'main',
+            hasStarted: false,
+            timer: null,
+          };
+          dataChannels[peerId].main.transferId = transferId;
+
+          logger.log.INFO([peerId, TAGS.DATA_TRANSFER, transferId, MESSAGES.DATA_TRANSFER.SENDING_WRQ]);
+
+          try {
+            sendMessageToDataChannel(state, peerId, {
+              type: DC_PROTOCOL_TYPE.WRQ,
+              transferId,
+              sender: user.sid,
+              target: peerId,
+              name: transfer.name,
+              size: transfer.size,
+              mimeType: transfer.mimeType,
+              dataType: transfer.dataType,
+              chunkType,
+              chunkSize,
+              timeout: transfer.timeout,
+              isPrivate,
+            }, 'main');
+          } catch (error) {
+            helpers.dispatchDataTransferState(state, DATA_TRANSFER_STATE.START_ERROR, transferId, peerId, {
+              error: {
+                message: error,
+                transferType: DATA_TRANSFER_TYPE.UPLOAD,
+              },
+            });
+            helpers.clearDataTransferSession(state, transferId, peerId);
+            return;
+          }
+
+          helpers.dispatchDataTransferState(state, DATA_TRANSFER_STATE.USER_UPLOAD_REQUEST, transferId, peerId);
+          helpers.setDataTransferTimeout(state, transferId, peerId);
+        });
+
+        // The sessions of the Peers that the WRQ failed to send to are cleared, along with the transfer once none are left
+        if (!state.dataTransfers[transferId]) {
+          SkylinkError.throwError(MESSAGES.DATA_TRANSFER.ERRORS.WRQ_FAILED, peerIds.join(', '));
+        }
+
+        Skylink.setSkylinkState(state, state.room.id);
+        resolve(transferId);
+      } catch (error) {
+        logger.log.ERROR(error);
+        reject(error);
+      }
+    });
+  }
+
+  /**
+   * Accepts or rejects a data transfer request from Peer by sending the "ACK" protocol message.
+   * @param {SkylinkState} roomState
+   * @param {String} peerId - The Peer id.
+   * @param {String} transferId - The data transfer id.
+   * @param {boolean} [accept=true] - The flag if the data transfer request should be accepted.
+   * @fires dataTransferState
+   */
+  static acceptDataTransfer(roomState, peerId, transferId, accept = true) {
+    const state = Skylink.getSkylinkState(roomState.room.id);
+    const transfer = state.dataTransfers[transferId];
+
+    if (!(transfer && transfer.sessions[peerId])) {
+      SkylinkError.throwError(MESSAGES.DATA_TRANSFER.ERRORS.NO_SESSION, transferId);
+    }
+
+    if (transfer.direction !== DATA_TRANSFER_TYPE.DOWNLOAD) {
+      SkylinkError.throwError(MESSAGES.DATA_TRANSFER.ERRORS.NOT_DOWNLOAD, transferId);
+    }
+
+    const session = transfer.sessions[peerId];
+
+    if (session.hasStarted) {
+      SkylinkError.throwError(MESSAGES.DATA_TRANSFER.ERRORS.ALREADY_STARTED, transferId);
+    }
+
+    sendMessageToDataChannel(state, peerId, {
+      type: DC_PROTOCOL_TYPE.ACK,
+      ackN: accept ? 0 : -1,
+      sender: state.user.sid,
+    }, session.channelProp);
+
+    if (accept) {
+      session.hasStarted = true;
+      logger.log.INFO([peerId, TAGS.DATA_TRANSFER, transferId, MESSAGES.DATA_TRANSFER.ACCEPTED]);
+      helpers.dispatchDataTransferState(state, DATA_TRANSFER_STATE.DOWNLOAD_STARTED, transferId, peerId);
+      helpers.setDataTransferTimeout(state, transferId, peerId);
+      return;
+    }
+
+    logger.log.INFO([peerId, TAGS.DATA_TRANSFER, transferId, MESSAGES.DATA_TRANSFER.REJECTED]);
+    helpers.dispatchDataTransferState(state, DATA_TRANSFER_STATE.USER_REJECTED, transferId, peerId, {
+      error: {
+        message: new Error(MESSAGES.DATA_TRANSFER.REJECTED),
+        transferType: DATA_TRANSFER_TYPE.DOWNLOAD,
+      },
+    });
+    helpers.clearDataTransferSession(state, transferId, peerId);
+  }
+
+  /**
+   * Cancels an in-progress data transfer with Peer by sending the "CANCEL" protocol message.
+   * @param {SkylinkState} roomState
+   * @param {String} peerId - The Peer id.
+   * @param {String} transferId - The data transfer id.
+   * @fires dataTransferState
+   */
+  static cancelDataTransfer(roomState, peerId, transferId) {
+    const state = Skylink.getSkylinkState(roomState.room.id);
+    const transfer = state.dataTransfers[transferId];
+
+    if (!(transfer && transfer.sessions[peerId])) {
+      SkylinkError.throwError(MESSAGES.DATA_TRANSFER.ERRORS.NO_SESSION, transferId);
+    }
+
+    logger.log.INFO([peerId, TAGS.DATA_TRANSFER, transferId, MESSAGES.DATA_TRANSFER.CANCELLED]);
+    helpers.terminateDataTransfer(state, transferId, peerId, true, MESSAGES.DATA_TRANSFER.CANCELLED);
+  }
+
+  static getTransferInfo(state, transferId, peerId, returnDataProp) {
+    return helpers.getTransferInfo(state, transferId, peerId, returnDataProp);
+  }
+
+  static clearDataTransferSession(roomState, transferId, peerId) {
+    return helpers.clearDataTransferSession(roomState, transferId, peerId);
+  }
+
+  static interruptDataTransfer(roomState, transferId, peerId) {
+    return helpers.interruptDataTransfer(roomState, transferId, peerId);
+  }
+
+  static resumeDataTransfers(roomState, peerId) {
+    return helpers.resumeDataTransfers(roomState, peerId);
+  }
+
+  static wrqProtocolHandler(roomState, peerId, data, channelProp) {
+    return helpers.wrqProtocolHandler(roomState, peerId, data, channelProp);
+  }
+
+  static ackProtocolHandler(roomState, peerId, data, channelProp) {
+    return helpers.ackProtocolHandler(roomState, peerId, data, channelProp);
+  }
+
+  static errorProtocolHandler(roomState, peerId, data, channelProp) {
+    return helpers.errorProtocolHandler(roomState, peerId, data, channelProp);
+  }
+
+  static cancelProtocolHandler(roomState, peerId, data, channelProp) {
+    return helpers.cancelProtocolHandler(roomState, peerId, data, channelProp);
+  }
+
+  static dataProtocolHandler(roomState, peerId, chunk, chunkType, channelProp) {
+    return helpers.dataProtocolHandler(roomState, peerId, chunk, chunkType, channelProp);
+  }
+}
+
+export default DataTransfer;
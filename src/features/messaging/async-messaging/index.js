@@ -8,6 +8,7 @@ import {
 import SkylinkError from '../../../utils/skylinkError';
 import Skylink from '../../../index';
 import EncryptedMessaging from '../encrypted-messaging';
+import encryptHelpers from '../encrypted-messaging/helpers';
 import { dispatchEvent } from '../../../utils/skylinkEventManager';
 import { storedMessages, persistentMessageState } from '../../../skylink-events';
 import PeerData from '../../../peer-data';
@@ -107,26 +108,33 @@ class AsyncMessaging {
     const targetMid = message.mid;
     const messageData = JSON.parse(message.data);
     const encryptedMessaging = new EncryptedMessaging(roomState);
-    const messages = [];
 
     logger.log.DEBUG([targetMid, TAGS.ASYNC_MESSAGING, null, MESSAGES.MESSAGING.PERSISTENCE.STORED_MESSAGES], messageData);
 
-    try {
-      for (let i = 0; i < messageData.length; i += 1) {
-        messageData[i].data = encryptedMessaging.decryptStoredMessages(messageData[i].data, messageData[i].secretId);
-        messages.push(asyncHelpers.parseDecryptedMessageData(messageData[i], targetMid));
-      }
-    } catch (error) {
-      throw SkylinkError.throwError(MESSAGES.MESSAGING.ENCRYPTION.ERRORS.FAILED_DECRYPTING_MESSAGE, error.message);
-    }
+    return Promise.all(messageData.map(storedMessage => encryptedMessaging.decryptStoredMessages(storedMessage.data, storedMessage.secretId)
+      .then((decryptedMessage) => {
+        const updatedMessage = Object.assign({}, storedMessage, { data: decryptedMessage });
+        return asyncHelpers.parseDecryptedMessageData(updatedMessage, targetMid);
+      })
+      .catch((error) => {
+        if (encryptHelpers.utils.isIntegrityError(error)) {
+          encryptedMessaging.dispatchIntegrityFailedEvent(storedMessage.mid, storedMessage.secretId, error, true);
+        }
 
-    dispatchEvent(storedMessages({
-      room,
-      storedMessages: messages,
-      isSelf: false,
-      peerId: targetMid,
-      peerInfo: PeerData.getPeerInfo(targetMid, room),
-    }));
+        throw error;
+      })))
+      .then((messages) => {
+        dispatchEvent(storedMessages({
+          room,
+          storedMessages: messages,
+          isSelf: false,
+          peerId: targetMid,
+          peerInfo: PeerData.getPeerInfo(targetMid, room),
+        }));
+      })
+      .catch((error) => {
+        logger.log.ERROR([targetMid, TAGS.ASYNC_MESSAGING, null, MESSAGES.MESSAGING.ENCRYPTION.ERRORS.FAILED_DECRYPTING_MESSAGE], error);
+      });
   }
 }
 
@@ -0,0 +1,71 @@
+import CryptoJS from 'crypto-js';
+import MESSAGES from '../../../../messages';
+import { MESSAGE_ENCRYPTION } from '../../../../constants';
+import deriveMessageKey from './deriveMessageKey';
+import helpers from './index';
+
+const decryptLegacyMessage = (message, secret) => {
+  try {
+    const decipher = CryptoJS.AES.decrypt(message, secret);
+
+    return decipher.toString(CryptoJS.enc.Utf8);
+  } catch (error) {
+    throw new Error(MESSAGES.MESSAGING.ENCRYPTION.ERRORS.ENCRYPT_SECRET);
+  }
+};
+
+const decryptCipherMessage = (message, secretId, secret) => {
+  const parts = message.split('.');
+
+  if (parts.length !== 4) {
+    return Promise.reject(new Error(MESSAGES.MESSAGING.ENCRYPTION.ERRORS.INVALID_CIPHER));
+  }
+
+  if (!helpers.utils.hasWebCrypto()) {
+    return Promise.reject(new Error(MESSAGES.MESSAGING.ENCRYPTION.ERRORS.NO_WEB_CRYPTO));
+  }
+
+  let salt;
+  let iv;
+  let ciphertext;
+
+  try {
+    [salt, iv, ciphertext] = parts.slice(1).map(helpers.utils.base64ToBytes);
+  } catch (error) {
+    return Promise.reject(new Error(MESSAGES.MESSAGING.ENCRYPTION.ERRORS.INVALID_CIPHER));
+  }
+
+  return deriveMessageKey(secretId, secret, salt)
+    .then(key => window.crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, ciphertext)
+      // AES-GCM decryption only fails when the authentication tag does not match
+      .catch(() => {
+        throw helpers.utils.createIntegrityError();
+      }))
+    .then(plaintext => new window.TextDecoder().decode(plaintext));
+};
+
+/**
+ * Method that decrypts a message. Messages in the versioned cipher format are decrypted with AES-256-GCM and
+ * rejected with an integrity error when they have been tampered with. Other messages are only decrypted with the
+ * legacy CryptoJS AES format when allowed for stored messages sent by previous versions, and are otherwise rejected
+ * with an integrity error so that live messages cannot be downgraded to the unauthenticated format.
+ * @param {String} message
+ * @param {String} secretId
+ * @param {String} secret
+ * @param {boolean} [allowLegacy=false] - The flag if messages in the legacy format are decrypted.
+ * @returns {Promise<String>}
+ * @private
+ */
+const decryptMessage = (message, secretId, secret, allowLegacy = false) => {
+  if (typeof message === 'string' && message.indexOf(`${MESSAGE_ENCRYPTION.CIPHER_VERSION}.`) === 0) {
+    return decryptCipherMessage(message, secretId, secret);
+  }
+
+  if (!allowLegacy) {
+    return Promise.reject(helpers.utils.createIntegrityError());
+  }
+
+  return new Promise(resolve => resolve(decryptLegacyMessage(message, secret)));
+};
+
+export default decryptMessage;
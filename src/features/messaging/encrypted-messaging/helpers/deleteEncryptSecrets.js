@@ -1,6 +1,7 @@
 import MESSAGES from '../../../../messages';
 import logger from '../../../../logger';
 import { TAGS } from '../../../../constants';
+import { clearSecretKeys } from './deriveMessageKey';
 import helpers from './index';
 
 /**
@@ -28,10 +29,12 @@ const deleteEncryptSecrets = (encryptSecrets, selectedSecretId, secretId) => {
     }
 
     delete updatedData.encryptSecrets[secretId];
+    clearSecretKeys(secretId);
   } else {
     logger.log.DEBUG([null, TAGS.ENCRYPTED_MESSAGING, null, `${MESSAGES.MESSAGING.ENCRYPTION.DELETE_ALL}`]);
     updatedData.selectedSecretId = helpers.setSelectedSecretId();
     updatedData.encryptSecrets = {};
+    clearSecretKeys();
   }
 
   return updatedData;
@@ -0,0 +1,69 @@
+import { MESSAGE_ENCRYPTION } from '../../../../constants';
+
+// PBKDF2 is deliberately slow, so the key derived from each secret is cached by its secret id together with the
+// secret, and used to derive the message keys
+let secretKeys = {};
+
+const encodeText = text => new window.TextEncoder().encode(text);
+
+const getSecretKey = (secretId, secret) => {
+  const { subtle } = window.crypto;
+
+  if (!secretKeys[secretId] || secretKeys[secretId].secret !== secret) {
+    const secretKey = {
+      secret,
+      key: subtle.importKey('raw', encodeText(secret), 'PBKDF2', false, ['deriveBits'])
+        .then(baseKey => subtle.deriveBits({
+          name: 'PBKDF2',
+          salt: encodeText(MESSAGE_ENCRYPTION.PBKDF2_SALT),
+          iterations: MESSAGE_ENCRYPTION.PBKDF2_ITERATIONS,
+          hash: 'SHA-256',
+        }, baseKey, MESSAGE_ENCRYPTION.KEY_LENGTH))
+        .then(bits => subtle.importKey('raw', bits, 'HKDF', false, ['deriveKey']))
+        .catch((error) => {
+          if (secretKeys[secretId] === secretKey) {
+            delete secretKeys[secretId];
+          }
+          throw error;
+        }),
+    };
+
+    secretKeys[secretId] = secretKey;
+  }
+
+  return secretKeys[secretId].key;
+};
+
+/**
+ * Function that clears the cached key derived from the encrypt secret of the secret id.
+ * @param {String} [secretId] - The secret id. All cached keys are cleared when not provided.
+ * @private
+ */
+export const clearSecretKeys = (secretId) => {
+  if (secretId) {
+    delete secretKeys[secretId];
+  } else {
+    secretKeys = {};
+  }
+};
+
+/**
+ * Function that derives the AES-GCM key of a message from the encrypt secret and the message salt.
+ * @param {String} secretId - The secret id of the encrypt secret.
+ * @param {String} secret - The encrypt secret.
+ * @param {Uint8Array} salt - The message salt.
+ * @return {Promise<CryptoKey>}
+ * @private
+ */
+const deriveMessageKey = (secretId, secret, salt) => getSecretKey(secretId, secret)
+  .then(secretKey => window.crypto.subtle.deriveKey({
+    name: 'HKDF',
+    hash: 'SHA-256',
+    salt,
+    info: encodeText(MESSAGE_ENCRYPTION.HKDF_INFO),
+  }, secretKey, {
+    name: 'AES-GCM',
+    length: MESSAGE_ENCRYPTION.KEY_LENGTH,
+  }, false, ['encrypt', 'decrypt']));
+
+export default deriveMessageKey;
@@ -1,20 +1,37 @@
-import CryptoJS from 'crypto-js';
 import MESSAGES from '../../../../messages';
+import { MESSAGE_ENCRYPTION } from '../../../../constants';
+import deriveMessageKey from './deriveMessageKey';
+import helpers from './index';
 
-const encryptMessage = (message, secret, decrypt = false) => {
-  if (decrypt) {
-    try {
-      const decipher = CryptoJS.AES.decrypt(message, secret);
-
-      return decipher.toString(CryptoJS.enc.Utf8);
-    } catch (error) {
-      throw new Error(MESSAGES.MESSAGING.ENCRYPTION.ERRORS.ENCRYPT_SECRET);
-    }
+/**
+ * Method that encrypts a message with AES-256-GCM. The encrypted message is in the versioned cipher format
+ * <code>"v2.salt.iv.ciphertext"</code> where each part is base64 encoded.
+ * @param {String} message
+ * @param {String} secretId
+ * @param {String} secret
+ * @returns {Promise<String>}
+ * @private
+ */
+const encryptMessage = (message, secretId, secret) => new Promise((resolve, reject) => {
+  if (!helpers.utils.hasWebCrypto()) {
+    reject(new Error(MESSAGES.MESSAGING.ENCRYPTION.ERRORS.NO_WEB_CRYPTO));
+    return;
   }
 
-  const cipher = CryptoJS.AES.encrypt(message, secret);
+  const salt = window.crypto.getRandomValues(new Uint8Array(MESSAGE_ENCRYPTION.SALT_LENGTH));
+  const iv = window.crypto.getRandomValues(new Uint8Array(MESSAGE_ENCRYPTION.IV_LENGTH));
 
-  return cipher.toString();
-};
+  deriveMessageKey(secretId, secret, salt)
+    .then(key => window.crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new window.TextEncoder().encode(message)))
+    .then((ciphertext) => {
+      resolve([
+        MESSAGE_ENCRYPTION.CIPHER_VERSION,
+        helpers.utils.bytesToBase64(salt),
+        helpers.utils.bytesToBase64(iv),
+        helpers.utils.bytesToBase64(new Uint8Array(ciphertext)),
+      ].join('.'));
+    })
+    .catch(reject);
+});
 
 export default encryptMessage;
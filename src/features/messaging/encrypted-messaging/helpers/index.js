@@ -4,6 +4,7 @@ import utils from './utils';
 import setSelectedSecretId from './setSelectedSecretId';
 import getMessageConfig from './getMessageConfig';
 import encryptMessage from './encryptMessage';
+import decryptMessage from './decryptMessage';
 import tryDecryptMessage from './tryDecryptMessage';
 
 const helpers = {
@@ -13,6 +14,7 @@ const helpers = {
   utils,
   getMessageConfig,
   encryptMessage,
+  decryptMessage,
   tryDecryptMessage,
 };
 
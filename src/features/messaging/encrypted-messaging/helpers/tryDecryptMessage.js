@@ -2,13 +2,13 @@ import encryptHelpers from './index';
 import { isEmptyString } from '../../../../utils/helpers';
 import MESSAGES from '../../../../messages';
 
-const tryDecryptMessage = (message, secretId, encryptSecrets) => {
-  const decryptedMessage = encryptHelpers.encryptMessage(message, encryptSecrets[secretId], true);
-  if (isEmptyString(decryptedMessage)) {
-    throw new Error(MESSAGES.MESSAGING.ENCRYPTION.ERRORS.ENCRYPT_SECRET);
-  } else {
+const tryDecryptMessage = (message, secretId, encryptSecrets, allowLegacy) => encryptHelpers.decryptMessage(message, secretId, encryptSecrets[secretId], allowLegacy)
+  .then((decryptedMessage) => {
+    if (isEmptyString(decryptedMessage)) {
+      throw new Error(MESSAGES.MESSAGING.ENCRYPTION.ERRORS.ENCRYPT_SECRET);
+    }
+
     return decryptedMessage;
-  }
-};
+  });
 
 export default tryDecryptMessage;
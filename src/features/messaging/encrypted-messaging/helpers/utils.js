@@ -48,10 +48,47 @@ const hasCrypto = () => {
   return CryptoJS;
 };
 
+const hasWebCrypto = () => !!(window.crypto && window.crypto.subtle && window.TextEncoder);
+
+const bytesToBase64 = (bytes) => {
+  let binaryString = '';
+
+  for (let i = 0; i < bytes.length; i += 1) {
+    binaryString += String.fromCharCode(bytes[i]);
+  }
+
+  return window.btoa(binaryString);
+};
+
+const base64ToBytes = (base64String) => {
+  const binaryString = window.atob(base64String);
+  const bytes = new Uint8Array(binaryString.length);
+
+  for (let i = 0; i < binaryString.length; i += 1) {
+    bytes[i] = binaryString.charCodeAt(i);
+  }
+
+  return bytes;
+};
+
+// integrity errors are surfaced with the messageIntegrityFailed event instead of as decryption errors
+const createIntegrityError = () => {
+  const error = new Error(MESSAGES.MESSAGING.ENCRYPTION.ERRORS.INTEGRITY_FAILURE);
+  error.isIntegrityFailure = true;
+  return error;
+};
+
+const isIntegrityError = error => !!(error && error.isIntegrityFailure);
+
 const utils = {
   isExisting,
   isValidString,
   hasCrypto,
+  hasWebCrypto,
+  bytesToBase64,
+  base64ToBytes,
+  createIntegrityError,
+  isIntegrityError,
   canEncrypt,
   canDecrypt,
 };
@@ -1,10 +1,11 @@
 import encryptHelpers from './helpers/index';
 import messagingHelpers from '../helpers/index';
 import { dispatchEvent } from '../../../utils/skylinkEventManager';
-import { encryptionSecretsUpdated } from '../../../skylink-events';
+import { encryptionSecretsUpdated, messageIntegrityFailed } from '../../../skylink-events';
 import MESSAGES from '../../../messages';
 import getUserInfo from '../../../peer-data/helpers/getUserInfo';
-import { getParamValidity, getRoomStateByName } from '../../../utils/helpers';
+import PeerData from '../../../peer-data';
+import { getParamValidity, getRoomStateByName, isABoolean } from '../../../utils/helpers';
 import SkylinkError from '../../../utils/skylinkError';
 import logger from '../../../logger';
 import { TAGS } from '../../../constants';
@@ -38,6 +39,18 @@ class EncryptedMessaging {
      */
     this.selectedSecretId = '';
 
+    /**
+     * The flag if P2P messages sent over the Datachannel should be encrypted with the selected secret.
+     * @type {boolean}
+     */
+    this.isP2PMessageEncrypted = false;
+
+    /**
+     * The Peer id and the Promise of the delivery of the last message received from the Peer key-value pair.
+     * @type {Object|{}}
+     */
+    this.deliveryQueues = {};
+
     return instance[room.id];
   }
 
@@ -78,6 +91,73 @@ class EncryptedMessaging {
     return this.selectedSecretId;
   }
 
+  setP2PMessageEncryption(isEncrypted) {
+    if (!isABoolean(isEncrypted)) {
+      SkylinkError.throwError(MESSAGES.MESSAGING.ENCRYPTION.ERRORS.INVALID_P2P_MESSAGE_ENCRYPTION);
+    }
+
+    logger.log.DEBUG([null, TAGS.ENCRYPTED_MESSAGING, null, MESSAGES.MESSAGING.ENCRYPTION.P2P_MESSAGE_ENCRYPTION], isEncrypted);
+    this.isP2PMessageEncrypted = isEncrypted;
+  }
+
+  getP2PMessageEncryption() {
+    return this.isP2PMessageEncrypted;
+  }
+
+  /**
+   * Encrypts a P2P message with the selected secret. The message is serialized so that its type is kept when decrypted.
+   * @param {*} message
+   * @return {Promise<{secretId: String, data: String}>} The protocol message properties of the encrypted P2P message.
+   */
+  encryptP2PMessage(message) {
+    try {
+      this.canEncrypt(true);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+
+    const { selectedSecretId } = this;
+    logger.log.DEBUG([null, TAGS.ENCRYPTED_MESSAGING, null, MESSAGES.MESSAGING.ENCRYPTION.SEND_P2P_MESSAGE]);
+
+    return encryptHelpers.encryptMessage(JSON.stringify(message), selectedSecretId, this.encryptSecrets[selectedSecretId])
+      .then(data => ({ secretId: selectedSecretId, data }));
+  }
+
+  decryptP2PMessage(message, secretId) {
+    return this.decryptMessage(message, secretId).then(decryptedMessage => JSON.parse(decryptedMessage));
+  }
+
+  /**
+   * Delivers a message received from a Peer after the messages received before it from the same Peer, as the
+   * encrypted messages are decrypted asynchronously and may otherwise be delivered out of order.
+   * @param {String} peerId - The Peer id of the sender.
+   * @param {*|Promise} message - The message, or the Promise of the decrypted message.
+   * @param {Function} deliver - The function called with the message.
+   * @return {Promise} The Promise that is rejected when the message fails to be decrypted.
+   */
+  deliverInOrder(peerId, message, deliver) {
+    const { deliveryQueues } = this;
+
+    if (!deliveryQueues[peerId] && !(message instanceof Promise)) {
+      deliver(message);
+      return Promise.resolve();
+    }
+
+    const delivery = (deliveryQueues[peerId] || Promise.resolve())
+      .then(() => message)
+      .then(deliver);
+    const queue = delivery
+      .catch(() => {})
+      .then(() => {
+        if (deliveryQueues[peerId] === queue) {
+          delete deliveryQueues[peerId];
+        }
+      });
+
+    deliveryQueues[peerId] = queue;
+    return delivery;
+  }
+
   dispatchEncryptSecretEvent() {
     dispatchEvent(encryptionSecretsUpdated({
       room: this.room,
@@ -104,19 +184,39 @@ class EncryptedMessaging {
   }
 
   decryptStoredMessages(message, secretId) {
-    if (encryptHelpers.utils.canEncrypt(secretId, this.encryptSecrets) && !Object.keys(this.encryptSecrets).filter(key => key === secretId).length) {
-      throw new Error(MESSAGES.MESSAGING.ENCRYPTION.ERRORS.SECRET_ID_NOT_FOUND);
+    try {
+      if (encryptHelpers.utils.canEncrypt(secretId, this.encryptSecrets) && !Object.keys(this.encryptSecrets).filter(key => key === secretId).length) {
+        throw new Error(MESSAGES.MESSAGING.ENCRYPTION.ERRORS.SECRET_ID_NOT_FOUND);
+      }
+    } catch (error) {
+      return Promise.reject(error);
     }
 
-    return this.decryptMessage(message, secretId);
+    // Stored messages may have been sent by previous versions in the legacy format
+    return this.decryptMessage(message, secretId, true);
   }
 
-  decryptMessage(message, secretId = '') {
-    if (secretId && encryptHelpers.utils.canDecrypt(this.encryptSecrets)) {
-      return encryptHelpers.tryDecryptMessage(message, secretId, this.encryptSecrets);
+  decryptMessage(message, secretId = '', allowLegacy = false) {
+    try {
+      if (secretId && encryptHelpers.utils.canDecrypt(this.encryptSecrets)) {
+        return encryptHelpers.tryDecryptMessage(message, secretId, this.encryptSecrets, allowLegacy);
+      }
+    } catch (error) {
+      return Promise.reject(error);
     }
 
-    throw new Error(MESSAGES.MESSAGING.ENCRYPTION.ERRORS.INVALID_SECRETS);
+    return Promise.reject(new Error(MESSAGES.MESSAGING.ENCRYPTION.ERRORS.INVALID_SECRETS));
+  }
+
+  dispatchIntegrityFailedEvent(peerId, secretId, error, isStoredMessage = false) {
+    dispatchEvent(messageIntegrityFailed({
+      room: this.room,
+      secretId,
+      isStoredMessage,
+      error,
+      peerId,
+      peerInfo: PeerData.getPeerInfo(peerId, this.room),
+    }));
   }
 
   sendMessage(roomName, message, targetPeerId, isPersistent = false) {
@@ -125,12 +225,19 @@ class EncryptedMessaging {
       try {
         logger.log.DEBUG([null, TAGS.ASYNC_MESSAGING, null, MESSAGES.MESSAGING.ENCRYPTION.SEND_MESSAGE]);
         const config = encryptHelpers.getMessageConfig(roomState, targetPeerId, this.encryptSecrets, this.selectedSecretId, isPersistent);
-        const encryptedMessage = encryptHelpers.encryptMessage(message, this.encryptSecrets[this.selectedSecretId]);
-        messagingHelpers.sendMessageToSig(roomState, config, message, encryptedMessage, targetPeerId);
+        return encryptHelpers.encryptMessage(message, this.selectedSecretId, this.encryptSecrets[this.selectedSecretId])
+          .then((encryptedMessage) => {
+            messagingHelpers.sendMessageToSig(roomState, config, message, encryptedMessage, targetPeerId);
+          })
+          .catch((error) => {
+            logger.log.ERROR([null, TAGS.ENCRYPTED_MESSAGING, null, MESSAGES.MESSAGING.ERRORS.DROPPING_MESSAGE], error);
+          });
       } catch (error) {
         SkylinkError.throwError(MESSAGES.MESSAGING.ERRORS.DROPPING_MESSAGE, error.message);
       }
     }
+
+    return null;
   }
 }
 
@@ -7,7 +7,9 @@ import EncryptedMessaging from './encrypted-messaging';
 import AsyncMessaging from './async-messaging';
 import messagingHelpers from './helpers';
 import Skylink from '../../index';
-import SkylinkError from '../../utils/skylinkError';
+import logger from '../../logger';
+import { TAGS } from '../../constants';
+import encryptHelpers from './encrypted-messaging/helpers';
 
 /**
  * @classdesc Class that manages the messaging feature
@@ -49,17 +51,26 @@ class Messaging {
     const roomState = Skylink.getSkylinkState(rid);
     const targetMid = mid;
 
-    let messageData = data;
-    if (secretId) {
-      try {
-        const encryptedMessaging = new EncryptedMessaging(roomState);
-        messageData = encryptedMessaging.decryptMessage(data, secretId);
-      } catch (error) {
-        SkylinkError.throwError(MESSAGES.MESSAGING.ENCRYPTION.ERRORS.FAILED_DECRYPTING_MESSAGE, error.message);
-      }
+    const messageConfig = { isPrivate: isABoolean(isPublic) ? !isPublic : !!target };
+
+    const encryptedMessaging = new EncryptedMessaging(roomState);
+    const deliverMessage = (messageData) => {
+      messagingHelpers.dispatchOnIncomingMessage(roomState, messageConfig, messageData, false, targetMid);
+    };
+
+    if (!secretId) {
+      encryptedMessaging.deliverInOrder(targetMid, data, deliverMessage);
+      return null;
     }
 
-    messagingHelpers.dispatchOnIncomingMessage(roomState, { isPrivate: isABoolean(isPublic) ? !isPublic : !!target }, messageData, false, targetMid);
+    return encryptedMessaging.deliverInOrder(targetMid, encryptedMessaging.decryptMessage(data, secretId), deliverMessage)
+      .catch((error) => {
+        if (encryptHelpers.utils.isIntegrityError(error)) {
+          encryptedMessaging.dispatchIntegrityFailedEvent(targetMid, secretId, error);
+        }
+
+        logger.log.ERROR([targetMid, TAGS.ENCRYPTED_MESSAGING, null, MESSAGES.MESSAGING.ENCRYPTION.ERRORS.FAILED_DECRYPTING_MESSAGE], error);
+      });
   }
 }
 
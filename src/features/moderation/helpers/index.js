@@ -0,0 +1,18 @@
+import sendCommand from './sendCommand';
+import processCommand from './processCommand';
+import processResponse from './processResponse';
+
+/**
+ * @namespace ModerationHelpers
+ * @description All helper and utility functions for <code>{@link Moderation}</code> class are listed here.
+ * @private
+ * @memberOf Moderation
+ * @type {{sendCommand, processCommand, processResponse}}
+ */
+const helpers = {
+  sendCommand,
+  processCommand,
+  processResponse,
+};
+
+export default helpers;
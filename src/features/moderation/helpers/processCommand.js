@@ -0,0 +1,139 @@
+import Skylink from '../../../index';
+import logger from '../../../logger';
+import MESSAGES from '../../../messages';
+import Room from '../../../room';
+import MediaStream from '../../../media-stream';
+import SkylinkSignalingServer from '../../../server-communication/signaling-server';
+import { dispatchEvent } from '../../../utils/skylinkEventManager';
+import { moderationRequest } from '../../../skylink-events';
+import { MODERATION_COMMAND, MODERATION_REQUEST_TIMEOUT, TAGS } from '../../../constants';
+
+// Only mutes the requested media as the User has to unmute it
+const muteUserMediaStreams = (roomState, options) => {
+  const { streams, streamsMutedSettings } = roomState;
+
+  if (!streams.userMedia) {
+    return;
+  }
+
+  Object.keys(streams.userMedia).filter(streamId => !streams.userMedia[streamId].isReplaced).forEach((streamId) => {
+    const mutedSettings = streamsMutedSettings[streamId] || {};
+
+    MediaStream.muteStreams(roomState, {
+      audioMuted: !!(options.audio || mutedSettings.audioMuted),
+      videoMuted: !!(options.video || mutedSettings.videoMuted),
+    }, streamId);
+  });
+};
+
+const applyCommand = (roomState, peerId, command, options) => {
+  switch (command) {
+    case MODERATION_COMMAND.MUTE:
+      muteUserMediaStreams(roomState, options);
+      break;
+    case MODERATION_COMMAND.REMOVE:
+      Room.leaveRoom(roomState).catch((error) => {
+        logger.log.ERROR([peerId, TAGS.MODERATION, command, MESSAGES.ROOM.LEAVE_ROOM.ERROR], error);
+      });
+      break;
+    // The raised hand is lowered by the application in the moderationRequest event listener
+    default:
+      break;
+  }
+};
+
+/**
+ * Function that applies the moderation command received from a privileged Peer when the application accepts it,
+ * and responds to the privileged Peer.
+ * <p>The command is dropped when the Signaling server has not set the <code>isPrivileged</code> flag of the relayed
+ * message. The flag is only a guard against commands from Peers that are not privileged, and the application decides
+ * if the command is applied.</p>
+ * <p>The application accepts or declines the command in the moderationRequest event listener, or defers the decision
+ * and the command is declined if it is not made within MODERATION_REQUEST_TIMEOUT.</p>
+ * @param {JSON} message - The "moderationCommand" message.
+ * @memberOf ModerationHelpers
+ * @fires moderationRequest
+ */
+const processCommand = (message) => {
+  const {
+    rid, mid, commandId, command, isPrivileged, options = {},
+  } = message;
+  const roomState = Skylink.getSkylinkState(rid);
+  let isDispatching = true;
+  let isAccepted = null;
+  let timer = null;
+
+  if (!roomState) {
+    return;
+  }
+
+  if (isPrivileged !== true) {
+    logger.log.WARN([mid, TAGS.MODERATION, command, MESSAGES.MODERATION.ERRORS.NOT_PRIVILEGED], commandId);
+    return;
+  }
+
+  if (Object.values(MODERATION_COMMAND).indexOf(command) === -1) {
+    logger.log.WARN([mid, TAGS.MODERATION, command, MESSAGES.MODERATION.ERRORS.INVALID_COMMAND], commandId);
+    return;
+  }
+
+  const respond = () => {
+    const state = Skylink.getSkylinkState(rid);
+
+    clearTimeout(timer);
+
+    if (!state) {
+      return;
+    }
+
+    if (!isAccepted) {
+      logger.log.INFO([mid, TAGS.MODERATION, command, MESSAGES.MODERATION.COMMAND_NOT_ACCEPTED], commandId);
+    }
+
+    // Responds before applying the command as removing the User closes the socket connection
+    new SkylinkSignalingServer().moderationResponse(state, mid, commandId, command, isAccepted);
+
+    if (isAccepted) {
+      applyCommand(state, mid, command, options);
+    }
+  };
+
+  // Only the first decision counts, and it is applied once all the listeners have been invoked
+  const decide = (accepted) => {
+    if (isAccepted !== null) {
+      return;
+    }
+
+    isAccepted = accepted;
+
+    if (!isDispatching) {
+      respond();
+    }
+  };
+
+  logger.log.INFO([mid, TAGS.MODERATION, command, MESSAGES.MODERATION.RECEIVED_COMMAND], options);
+
+  dispatchEvent(moderationRequest({
+    room: roomState.room,
+    peerId: mid,
+    command,
+    options,
+    accept: () => decide(true),
+    decline: () => decide(false),
+    defer: () => {
+      if (isAccepted === null && !timer) {
+        timer = setTimeout(() => decide(false), MODERATION_REQUEST_TIMEOUT);
+      }
+    },
+  }));
+
+  isDispatching = false;
+
+  if (isAccepted !== null) {
+    respond();
+  } else if (!timer) {
+    decide(false);
+  }
+};
+
+export default processCommand;
@@ -0,0 +1,46 @@
+import Skylink from '../../../index';
+import logger from '../../../logger';
+import MESSAGES from '../../../messages';
+import { dispatchEvent } from '../../../utils/skylinkEventManager';
+import { moderationResponse } from '../../../skylink-events';
+import { TAGS } from '../../../constants';
+
+/**
+ * Function that resolves the pending moderation command with the response of Peer.
+ * @param {JSON} message - The "moderationResponse" message.
+ * @memberOf ModerationHelpers
+ * @fires moderationResponse
+ */
+const processResponse = (message) => {
+  const {
+    rid, mid, commandId, command, isApplied,
+  } = message;
+  const state = Skylink.getSkylinkState(rid);
+  const pendingCommand = state && state.moderationCommands[commandId];
+
+  if (!(pendingCommand && pendingCommand.peerId === mid)) {
+    logger.log.WARN([mid, TAGS.MODERATION, command, MESSAGES.MODERATION.ERRORS.UNKNOWN_COMMAND], commandId);
+    return;
+  }
+
+  clearTimeout(pendingCommand.timer);
+  delete state.moderationCommands[commandId];
+  Skylink.setSkylinkState(state, rid);
+
+  logger.log.DEBUG([mid, TAGS.MODERATION, command, MESSAGES.MODERATION.RECEIVED_RESPONSE], { isApplied });
+
+  dispatchEvent(moderationResponse({
+    room: state.room,
+    peerId: mid,
+    command,
+    isApplied: !!isApplied,
+  }));
+
+  pendingCommand.resolve({
+    peerId: mid,
+    command,
+    isApplied: !!isApplied,
+  });
+};
+
+export default processResponse;
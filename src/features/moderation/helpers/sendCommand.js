@@ -0,0 +1,66 @@
+import Skylink from '../../../index';
+import logger from '../../../logger';
+import MESSAGES from '../../../messages';
+import SkylinkError from '../../../utils/skylinkError';
+import PeerPrivileged from '../../../peer-privileged';
+import SkylinkSignalingServer from '../../../server-communication/signaling-server';
+import { generateUUID } from '../../../utils/helpers';
+import { MODERATION_COMMAND_TIMEOUT, PEER_TYPE, TAGS } from '../../../constants';
+
+/**
+ * Function that sends a moderation command to Peer and resolves with the response of Peer.
+ * @param {SkylinkState} roomState
+ * @param {String} peerId - The Peer id.
+ * @param {SkylinkConstants.MODERATION_COMMAND} command
+ * @param {Object} [options] - The command options.
+ * @return {Promise<moderationCommandResult>}
+ * @memberOf ModerationHelpers
+ */
+const sendCommand = (roomState, peerId, command, options = {}) => new Promise((resolve, reject) => {
+  try {
+    const state = Skylink.getSkylinkState(roomState.room.id);
+    const initOptions = Skylink.getInitOptions();
+    const { inRoom, user } = state;
+    const commandId = generateUUID();
+
+    if (!PeerPrivileged.shouldProceed(state, initOptions.appKey, reject)) {
+      return;
+    }
+
+    if (!(inRoom && user && user.sid)) {
+      SkylinkError.throwError(MESSAGES.MODERATION.ERRORS.NOT_IN_ROOM);
+    }
+
+    if (!(peerId && typeof peerId === 'string' && peerId !== user.sid && peerId !== PEER_TYPE.MCU)) {
+      SkylinkError.throwError(MESSAGES.MODERATION.ERRORS.INVALID_PEER);
+    }
+
+    state.moderationCommands[commandId] = {
+      peerId,
+      command,
+      resolve,
+      reject,
+      timer: setTimeout(() => {
+        const updatedState = Skylink.getSkylinkState(roomState.room.id);
+
+        if (updatedState && updatedState.moderationCommands[commandId]) {
+          delete updatedState.moderationCommands[commandId];
+          Skylink.setSkylinkState(updatedState, updatedState.room.id);
+        }
+
+        logger.log.ERROR([peerId, TAGS.MODERATION, command, MESSAGES.MODERATION.ERRORS.TIMEOUT], MODERATION_COMMAND_TIMEOUT);
+        reject(new Error(`${MESSAGES.MODERATION.ERRORS.TIMEOUT} - ${command}`));
+      }, MODERATION_COMMAND_TIMEOUT),
+    };
+    Skylink.setSkylinkState(state, state.room.id);
+
+    logger.log.INFO([peerId, TAGS.MODERATION, command, MESSAGES.MODERATION.SENDING_COMMAND], options);
+
+    new SkylinkSignalingServer().moderationCommand(state, peerId, commandId, command, options);
+  } catch (error) {
+    logger.log.ERROR(error);
+    reject(error);
+  }
+});
+
+export default sendCommand;
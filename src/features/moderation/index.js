@@ -0,0 +1,23 @@
+import helpers from './helpers';
+
+/**
+ * @classdesc Class that manages the moderation commands that a privileged Peer sends to the other Peers in the room
+ * over the Signaling server, and applies the commands received by the User.
+ * @class
+ * @private
+ */
+class Moderation {
+  static sendCommand(roomState, peerId, command, options) {
+    return helpers.sendCommand(roomState, peerId, command, options);
+  }
+
+  static processCommand(message) {
+    return helpers.processCommand(message);
+  }
+
+  static processResponse(message) {
+    return helpers.processResponse(message);
+  }
+}
+
+export default Moderation;
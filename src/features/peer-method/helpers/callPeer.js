@@ -0,0 +1,82 @@
+import Skylink from '../../../index';
+import logger from '../../../logger';
+import MESSAGES from '../../../messages';
+import SkylinkError from '../../../utils/skylinkError';
+import { generateUUID } from '../../../utils/helpers';
+import { PEER_METHOD_CALL_TIMEOUT, PEER_TYPE, TAGS } from '../../../constants';
+import sendPeerMethodMessage from './sendPeerMethodMessage';
+
+/**
+ * Function that calls a method registered by Peer and resolves with its result.
+ * @param {SkylinkState} roomState
+ * @param {String} peerId - The Peer id.
+ * @param {String} method - The method name.
+ * @param {*} [params] - The method parameters. It must be serializable to JSON.
+ * @param {Object} [options]
+ * @param {number} [options.timeout=10000] - The timeout in milliseconds to wait for the response.
+ * @return {Promise<*>} The method result.
+ * @memberOf PeerMethodHelpers
+ */
+const callPeer = (roomState, peerId, method, params, options = {}) => new Promise((resolve, reject) => {
+  try {
+    const state = Skylink.getSkylinkState(roomState.room.id);
+    const {
+      inRoom, user, dataChannels, hasMCU,
+    } = state;
+    const timeout = options.timeout > 0 ? options.timeout : PEER_METHOD_CALL_TIMEOUT;
+    const callId = generateUUID();
+
+    if (!(method && typeof method === 'string')) {
+      SkylinkError.throwError(MESSAGES.PEER_METHOD.ERRORS.INVALID_METHOD);
+    }
+
+    if (!(peerId && typeof peerId === 'string' && peerId !== PEER_TYPE.MCU)) {
+      SkylinkError.throwError(MESSAGES.PEER_METHOD.ERRORS.INVALID_PEER);
+    }
+
+    if (!(inRoom && user && user.sid)) {
+      SkylinkError.throwError(MESSAGES.PEER_METHOD.ERRORS.NOT_IN_ROOM);
+    }
+
+    if (!(hasMCU ? dataChannels[PEER_TYPE.MCU] : dataChannels[peerId])) {
+      SkylinkError.throwError(MESSAGES.PEER_METHOD.ERRORS.NO_DATA_CHANNEL, peerId);
+    }
+
+    state.peerMethodCalls[callId] = {
+      peerId,
+      method,
+      resolve,
+      reject,
+      timer: setTimeout(() => {
+        const updatedState = Skylink.getSkylinkState(roomState.room.id);
+
+        if (updatedState && updatedState.peerMethodCalls[callId]) {
+          delete updatedState.peerMethodCalls[callId];
+          Skylink.setSkylinkState(updatedState, updatedState.room.id);
+        }
+
+        logger.log.ERROR([peerId, TAGS.PEER_METHOD, method, MESSAGES.PEER_METHOD.ERRORS.TIMEOUT], timeout);
+        reject(new Error(`${MESSAGES.PEER_METHOD.ERRORS.TIMEOUT} - ${method}`));
+      }, timeout),
+    };
+    Skylink.setSkylinkState(state, state.room.id);
+
+    logger.log.DEBUG([peerId, TAGS.PEER_METHOD, method, MESSAGES.PEER_METHOD.CALLING], callId);
+
+    try {
+      if (!sendPeerMethodMessage(state, peerId, { callId, method, params })) {
+        SkylinkError.throwError(MESSAGES.PEER_METHOD.ERRORS.NO_DATA_CHANNEL, peerId);
+      }
+    } catch (error) {
+      clearTimeout(state.peerMethodCalls[callId].timer);
+      delete state.peerMethodCalls[callId];
+      Skylink.setSkylinkState(state, state.room.id);
+      throw error;
+    }
+  } catch (error) {
+    logger.log.ERROR(error);
+    reject(error);
+  }
+});
+
+export default callPeer;
@@ -0,0 +1,20 @@
+import registerPeerMethod from './registerPeerMethod';
+import callPeer from './callPeer';
+import peerMethodProtocolHandler from './peerMethodProtocolHandler';
+import rejectPeerMethodCalls from './rejectPeerMethodCalls';
+
+/**
+ * @namespace PeerMethodHelpers
+ * @description All helper and utility functions for <code>{@link PeerMethod}</code> class are listed here.
+ * @private
+ * @memberOf PeerMethod
+ * @type {{registerPeerMethod, callPeer, peerMethodProtocolHandler, rejectPeerMethodCalls}}
+ */
+const helpers = {
+  registerPeerMethod,
+  callPeer,
+  peerMethodProtocolHandler,
+  rejectPeerMethodCalls,
+};
+
+export default helpers;
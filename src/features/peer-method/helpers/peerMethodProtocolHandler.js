@@ -0,0 +1,108 @@
+import Skylink from '../../../index';
+import logger from '../../../logger';
+import MESSAGES from '../../../messages';
+import { TAGS } from '../../../constants';
+import PeerData from '../../../peer-data';
+import reassembleP2PMessage from '../../../peer-connection/helpers/data-channel/reassembleP2PMessage';
+import registeredMethods from './registeredMethods';
+import sendPeerMethodMessage from './sendPeerMethodMessage';
+
+const serializeError = error => ({
+  name: (error && error.name) || 'Error',
+  message: (error && error.message) || String(error),
+});
+
+const sendResponse = (roomState, senderPeerId, response) => {
+  try {
+    sendPeerMethodMessage(roomState, senderPeerId, response);
+  } catch (error) {
+    logger.log.ERROR([senderPeerId, TAGS.PEER_METHOD, response.callId, MESSAGES.PEER_METHOD.ERRORS.FAILED_SENDING_RESPONSE], error);
+  }
+};
+
+const handleCall = (roomState, senderPeerId, call) => {
+  const { callId, method, params } = call;
+  const handler = registeredMethods[method];
+
+  logger.log.DEBUG([senderPeerId, TAGS.PEER_METHOD, method, MESSAGES.PEER_METHOD.RECEIVED_CALL], callId);
+
+  if (!handler) {
+    sendResponse(roomState, senderPeerId, {
+      callId,
+      isResponse: true,
+      error: serializeError(new Error(`${MESSAGES.PEER_METHOD.ERRORS.METHOD_NOT_FOUND} - ${method}`)),
+    });
+    return;
+  }
+
+  new Promise(resolve => resolve(handler(params, {
+    peerId: senderPeerId,
+    room: roomState.room,
+    peerInfo: PeerData.getPeerInfo(senderPeerId, roomState.room),
+  }))).then((result) => {
+    sendResponse(roomState, senderPeerId, { callId, isResponse: true, result });
+  }).catch((error) => {
+    sendResponse(roomState, senderPeerId, { callId, isResponse: true, error: serializeError(error) });
+  });
+};
+
+const handleResponse = (roomState, senderPeerId, response) => {
+  const state = Skylink.getSkylinkState(roomState.room.id);
+  const { callId, result, error } = response;
+  const call = state.peerMethodCalls[callId];
+
+  if (!(call && call.peerId === senderPeerId)) {
+    logger.log.WARN([senderPeerId, TAGS.PEER_METHOD, null, MESSAGES.PEER_METHOD.ERRORS.UNKNOWN_CALL], callId);
+    return;
+  }
+
+  clearTimeout(call.timer);
+  delete state.peerMethodCalls[callId];
+  Skylink.setSkylinkState(state, state.room.id);
+
+  logger.log.DEBUG([senderPeerId, TAGS.PEER_METHOD, call.method, MESSAGES.PEER_METHOD.RECEIVED_RESPONSE], callId);
+
+  if (error) {
+    const callError = new Error(error.message);
+    callError.name = error.name;
+    call.reject(callError);
+    return;
+  }
+
+  call.resolve(result);
+};
+
+/**
+ * Function that handles the "RPC" protocol message of remote method calls and their responses.
+ * @param {SkylinkState} roomState
+ * @param {String} peerId - The Peer id.
+ * @param {JSON} data - The protocol message.
+ * @param {String} channelProp - The Datachannel property.
+ * @memberOf PeerMethodHelpers
+ */
+const peerMethodProtocolHandler = (roomState, peerId, data, channelProp) => {
+  const senderPeerId = data.sender || peerId;
+  let content = data.data;
+
+  if (data.fragment) {
+    const reassembledMessage = reassembleP2PMessage(roomState, senderPeerId, data, channelProp);
+
+    if (!reassembledMessage.isComplete) {
+      return;
+    }
+
+    ({ content } = reassembledMessage);
+  }
+
+  if (!(content && content.callId)) {
+    return;
+  }
+
+  if (content.isResponse) {
+    handleResponse(roomState, senderPeerId, content);
+  } else {
+    handleCall(roomState, senderPeerId, content);
+  }
+};
+
+export default peerMethodProtocolHandler;
@@ -0,0 +1,32 @@
+import logger from '../../../logger';
+import MESSAGES from '../../../messages';
+import SkylinkError from '../../../utils/skylinkError';
+import { TAGS } from '../../../constants';
+import registeredMethods from './registeredMethods';
+
+/**
+ * Function that registers a method that Peers can call. Providing a <code>null</code> handler unregisters the method.
+ * @param {String} method - The method name.
+ * @param {Function|null} handler - The method handler.
+ * @memberOf PeerMethodHelpers
+ */
+const registerPeerMethod = (method, handler) => {
+  if (!(method && typeof method === 'string')) {
+    SkylinkError.throwError(MESSAGES.PEER_METHOD.ERRORS.INVALID_METHOD);
+  }
+
+  if (handler === null) {
+    delete registeredMethods[method];
+    logger.log.DEBUG([null, TAGS.PEER_METHOD, method, MESSAGES.PEER_METHOD.UNREGISTERED]);
+    return;
+  }
+
+  if (typeof handler !== 'function') {
+    SkylinkError.throwError(MESSAGES.PEER_METHOD.ERRORS.INVALID_HANDLER, method);
+  }
+
+  registeredMethods[method] = handler;
+  logger.log.DEBUG([null, TAGS.PEER_METHOD, method, MESSAGES.PEER_METHOD.REGISTERED]);
+};
+
+export default registerPeerMethod;
@@ -0,0 +1,9 @@
+/**
+ * Stores the list of methods registered with {@link Skylink#registerPeerMethod} that Peers can call.
+ * Methods are shared across Rooms. The object has no prototype so that a Peer cannot call the Object.prototype methods.
+ * @type {Object.<String, Function>}
+ * @memberOf PeerMethodHelpers
+ */
+const registeredMethods = Object.create(null);
+
+export default registeredMethods;
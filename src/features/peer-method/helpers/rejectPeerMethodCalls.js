@@ -0,0 +1,37 @@
+import Skylink from '../../../index';
+import logger from '../../../logger';
+import MESSAGES from '../../../messages';
+import { TAGS } from '../../../constants';
+
+/**
+ * Function that rejects the pending method calls to Peer when Peer or User leaves the Room, instead of waiting for
+ * them to time out.
+ * @param {SkylinkState} roomState
+ * @param {String} [peerId] - The Peer id. Rejects the pending method calls to all Peers when not provided.
+ * @memberOf PeerMethodHelpers
+ */
+const rejectPeerMethodCalls = (roomState, peerId) => {
+  const state = Skylink.getSkylinkState(roomState.room.id);
+
+  if (!state) {
+    return;
+  }
+
+  Object.keys(state.peerMethodCalls).forEach((callId) => {
+    const call = state.peerMethodCalls[callId];
+
+    if (peerId && call.peerId !== peerId) {
+      return;
+    }
+
+    clearTimeout(call.timer);
+    delete state.peerMethodCalls[callId];
+
+    logger.log.WARN([call.peerId, TAGS.PEER_METHOD, call.method, MESSAGES.PEER_METHOD.ERRORS.PEER_LEFT], callId);
+    call.reject(new Error(`${MESSAGES.PEER_METHOD.ERRORS.PEER_LEFT} - ${call.method}`));
+  });
+
+  Skylink.setSkylinkState(state, state.room.id);
+};
+
+export default rejectPeerMethodCalls;
@@ -0,0 +1,18 @@
+import { DC_PROTOCOL_TYPE } from '../../../constants';
+import { sendP2PMessageForRoom } from '../../../peer-connection/helpers/data-channel/sendP2PMessage';
+
+/**
+ * Function that sends a <code>"RPC"</code> protocol message to Peer.
+ * In MCU enabled Rooms, the protocol message is sent to the MCU to be forwarded to Peer.
+ * @param {SkylinkState} roomState
+ * @param {String} peerId - The Peer id.
+ * @param {JSON} data - The remote method call or response.
+ * @return {boolean} The flag if the protocol message is sent.
+ * @memberOf PeerMethodHelpers
+ */
+const sendPeerMethodMessage = (roomState, peerId, data) => {
+  const listOfPeers = sendP2PMessageForRoom(roomState, data, peerId, { type: DC_PROTOCOL_TYPE.RPC });
+  return !!(listOfPeers && listOfPeers.length > 0);
+};
+
+export default sendPeerMethodMessage;
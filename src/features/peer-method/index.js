@@ -0,0 +1,26 @@
+import helpers from './helpers';
+
+/**
+ * @classdesc Class that manages the request and response remote method calls between Peers over the Datachannel.
+ * @class
+ * @private
+ */
+class PeerMethod {
+  static registerPeerMethod(method, handler) {
+    return helpers.registerPeerMethod(method, handler);
+  }
+
+  static callPeer(roomState, peerId, method, params, options) {
+    return helpers.callPeer(roomState, peerId, method, params, options);
+  }
+
+  static peerMethodProtocolHandler(roomState, peerId, data, channelProp) {
+    return helpers.peerMethodProtocolHandler(roomState, peerId, data, channelProp);
+  }
+
+  static rejectPeerMethodCalls(roomState, peerId) {
+    return helpers.rejectPeerMethodCalls(roomState, peerId);
+  }
+}
+
+export default PeerMethod;
@@ -12,7 +12,8 @@ const replaceScreenTrack = (state, peerIds, streams, streamId) => {
   const newStream = streamId ? streams.userMedia[streamId].stream : mediaStreamHelpers.retrieveVideoStreams(state.room)[0];
 
   peerIds.forEach((peerId) => {
-    mediaStreamHelpers.replaceTrack(oldStream, newStream, peerId, state);
+    mediaStreamHelpers.replaceTrack(oldStream, newStream, peerId, state)
+      .catch(error => logger.log.ERROR([peerId, TAGS.MEDIA_STREAM, null, MESSAGES.MEDIA_STREAM.ERRORS.STOP_SCREEN], error));
   });
   updateReplacedStreamInState(oldStream, newStream, state, false);
 };
@@ -173,7 +173,8 @@ class ScreenSharing {
     updateReplacedStreamInState(oldStream, newStream, this.roomState, true);
 
     peerIds.forEach((peerId) => {
-      mediaStreamHelpers.replaceTrack(oldStream, newStream, peerId, this.roomState);
+      mediaStreamHelpers.replaceTrack(oldStream, newStream, peerId, this.roomState)
+        .catch(error => logger.log.ERROR([peerId, TAGS.MEDIA_STREAM, null, MESSAGES.MEDIA_STREAM.ERRORS.START_SCREEN], error));
     });
   }
 
@@ -0,0 +1,269 @@
+import Skylink from '../../index';
+import SkylinkSignalingServer from '../../server-communication/signaling-server/index';
+import PeerConnection from '../../peer-connection/index';
+import logger from '../../logger';
+import MESSAGES from '../../messages';
+import { dispatchEvent } from '../../utils/skylinkEventManager';
+import { sessionRecovering, sessionRecovered } from '../../skylink-events';
+import {
+  ICE_CONNECTION_STATE, SESSION_RECOVERY, SIG_MESSAGE_TYPE, TAGS,
+} from '../../constants';
+
+const instance = {};
+
+// The socket.io disconnect reason when the socket is closed with leaveRoom()
+const CLIENT_DISCONNECT_REASON = 'io client disconnect';
+
+const getSessionRecoveryOptions = () => {
+  const { sessionRecovery } = Skylink.getInitOptions() || {};
+
+  return Object.assign({
+    enabled: false,
+    timeout: SESSION_RECOVERY.TIMEOUT,
+  }, sessionRecovery);
+};
+
+const isIceConnected = peerConnection => [ICE_CONNECTION_STATE.CONNECTED, ICE_CONNECTION_STATE.COMPLETED]
+  .indexOf(peerConnection.iceConnectionState) > -1;
+
+/**
+ * @classdesc This class is used to recover the room session after the socket connection to the Signaling server is lost.
+ * When the socket reconnects, the room is rejoined with the previous Peer id, and the Peer connections that are still
+ * connected are kept while the others are restarted or removed.
+ * @class
+ * @private
+ */
+class SessionRecovery {
+  constructor(params) {
+    const { state } = params;
+
+    if (instance[state.room.id]) {
+      return instance[state.room.id];
+    }
+
+    this.room = state.room;
+    this.previousPeerId = state.user.sid;
+    this.peerIds = Object.keys(state.peerConnections);
+    this.keptPeerIds = [];
+    this.restartedPeerIds = [];
+    this.removedPeerIds = [];
+    this.hasRejoined = false;
+    this.recoveryTimeout = null;
+
+    instance[this.room.id] = this;
+  }
+
+  static isEnabled() {
+    return !!getSessionRecoveryOptions().enabled;
+  }
+
+  static isRecovering(roomKey) {
+    return !!instance[roomKey];
+  }
+
+  /**
+   * Function that starts the session recovery of all the rooms that the user is in when the socket connection is closed.
+   * @param {String} reason - The socket.io disconnect reason.
+   * @fires sessionRecovering
+   */
+  static start(reason) {
+    if (!SessionRecovery.isEnabled() || reason === CLIENT_DISCONNECT_REASON) {
+      return;
+    }
+
+    Object.values(Skylink.getSkylinkState()).forEach((state) => {
+      if (!state.inRoom || !state.user || !state.user.sid || instance[state.room.id]) {
+        return;
+      }
+
+      const sessionRecovery = new SessionRecovery({ state });
+
+      logger.log.INFO([sessionRecovery.previousPeerId, TAGS.SESSION_RECOVERY, state.room.roomName, MESSAGES.SESSION_RECOVERY.STARTED], {
+        reason,
+        peerIds: sessionRecovery.peerIds,
+      });
+
+      dispatchEvent(sessionRecovering({
+        room: state.room,
+        peerId: sessionRecovery.previousPeerId,
+        peerIds: sessionRecovery.peerIds.slice(),
+      }));
+    });
+  }
+
+  /**
+   * Function that rejoins the rooms that are recovering when the socket connection is re-opened.
+   */
+  static rejoinRooms() {
+    Object.keys(instance).forEach(roomKey => instance[roomKey].rejoin());
+  }
+
+  /**
+   * Function that aborts the session recovery of all rooms when the socket connection cannot be re-opened.
+   */
+  static abort() {
+    Object.keys(instance).forEach((roomKey) => {
+      logger.log.WARN([null, TAGS.SESSION_RECOVERY, instance[roomKey].room.roomName, MESSAGES.SESSION_RECOVERY.ABORTED]);
+      instance[roomKey].stop();
+    });
+  }
+
+  /**
+   * Function that handles the "inRoom" message received while the room is recovering.
+   * @param {String} roomKey
+   * @param {String} peerId - The Peer id assigned by the Signaling server.
+   * @return {boolean} The flag if the room is recovering and the message is handled.
+   */
+  static onInRoom(roomKey, peerId) {
+    if (!instance[roomKey]) {
+      return false;
+    }
+
+    instance[roomKey].onRejoined(peerId);
+    return true;
+  }
+
+  /**
+   * Function that handles the "enter" or "welcome" message received from a Peer while the room is recovering.
+   * @param {String} roomKey
+   * @param {String} peerId
+   * @return {boolean} The flag if the Peer was connected before the socket connection was lost and the message is handled.
+   */
+  static onPeerPresent(roomKey, peerId) {
+    if (!instance[roomKey] || !instance[roomKey].hasRejoined || instance[roomKey].peerIds.indexOf(peerId) === -1) {
+      return false;
+    }
+
+    instance[roomKey].reconcilePeer(peerId);
+    return true;
+  }
+
+  rejoin() {
+    const state = Skylink.getSkylinkState(this.room.id);
+
+    if (!state) {
+      this.stop();
+      return;
+    }
+
+    logger.log.INFO([this.previousPeerId, TAGS.SESSION_RECOVERY, this.room.roomName, MESSAGES.SESSION_RECOVERY.REJOINING]);
+
+    new SkylinkSignalingServer().joinRoom(state, this.previousPeerId);
+  }
+
+  onRejoined(peerId) {
+    const signaling = new SkylinkSignalingServer();
+
+    this.hasRejoined = true;
+    signaling.releaseThrottledMessages(this.room.id, peerId);
+    this.recoveryTimeout = setTimeout(() => this.complete(), getSessionRecoveryOptions().timeout);
+
+    // The Peers only know the previous Peer id, so the Peer connections have to be re-established with the new Peer id
+    if (peerId !== this.previousPeerId) {
+      logger.log.WARN([peerId, TAGS.SESSION_RECOVERY, this.room.roomName, MESSAGES.SESSION_RECOVERY.PEER_ID_CHANGED], {
+        previousPeerId: this.previousPeerId,
+      });
+
+      this.peerIds.forEach(peerIdToRemove => this.removePeer(peerIdToRemove));
+      this.peerIds = [];
+
+      setTimeout(() => {
+        const state = Skylink.getSkylinkState(this.room.id);
+
+        if (state) {
+          signaling.enterRoom(state, this.previousPeerId);
+        }
+
+        this.complete();
+      }, SESSION_RECOVERY.PEER_CLEAR_DELAY);
+      return;
+    }
+
+    signaling.enterRoom(Skylink.getSkylinkState(this.room.id), this.previousPeerId);
+
+    if (this.peerIds.length === 0) {
+      this.complete();
+    }
+  }
+
+  reconcilePeer(peerId) {
+    const state = Skylink.getSkylinkState(this.room.id);
+    const peerConnection = state.peerConnections[peerId];
+
+    this.peerIds.splice(this.peerIds.indexOf(peerId), 1);
+
+    if (peerConnection && isIceConnected(peerConnection)) {
+      logger.log.DEBUG([peerId, TAGS.SESSION_RECOVERY, this.room.roomName, MESSAGES.SESSION_RECOVERY.PEER_KEPT]);
+      this.keptPeerIds.push(peerId);
+    } else if (peerConnection) {
+      logger.log.DEBUG([peerId, TAGS.SESSION_RECOVERY, this.room.roomName, MESSAGES.SESSION_RECOVERY.PEER_RESTARTED]);
+      this.restartedPeerIds.push(peerId);
+      PeerConnection.refreshConnection(state, peerId, true).catch((error) => {
+        logger.log.WARN([peerId, TAGS.SESSION_RECOVERY, this.room.roomName, MESSAGES.SESSION_RECOVERY.ERRORS.RESTART_PEER], error);
+      });
+    }
+
+    if (this.peerIds.length === 0) {
+      this.complete();
+    }
+  }
+
+  // Removes the Peer as if the "bye" message was received, as it was missed while the socket connection was lost
+  removePeer(peerId) {
+    const signaling = new SkylinkSignalingServer();
+
+    logger.log.DEBUG([peerId, TAGS.SESSION_RECOVERY, this.room.roomName, MESSAGES.SESSION_RECOVERY.PEER_REMOVED]);
+    this.removedPeerIds.push(peerId);
+
+    signaling.messageHandler.byeHandler({
+      type: SIG_MESSAGE_TYPE.BYE,
+      mid: peerId,
+      publisherId: peerId,
+      rid: this.room.id,
+    });
+  }
+
+  complete() {
+    const state = Skylink.getSkylinkState(this.room.id);
+
+    if (!instance[this.room.id]) {
+      return;
+    }
+
+    this.stop();
+
+    if (!state) {
+      return;
+    }
+
+    this.peerIds.forEach(peerId => this.removePeer(peerId));
+    this.peerIds = [];
+
+    logger.log.INFO([state.user.sid, TAGS.SESSION_RECOVERY, this.room.roomName, MESSAGES.SESSION_RECOVERY.COMPLETED], {
+      keptPeerIds: this.keptPeerIds,
+      restartedPeerIds: this.restartedPeerIds,
+      removedPeerIds: this.removedPeerIds,
+    });
+
+    dispatchEvent(sessionRecovered({
+      room: state.room,
+      peerId: state.user.sid,
+      previousPeerId: this.previousPeerId,
+      keptPeerIds: this.keptPeerIds,
+      restartedPeerIds: this.restartedPeerIds,
+      removedPeerIds: this.removedPeerIds,
+    }));
+  }
+
+  stop() {
+    clearTimeout(this.recoveryTimeout);
+    this.recoveryTimeout = null;
+
+    delete instance[this.room.id];
+
+    // Drops the queued messages that were held for the room when it was not rejoined
+    new SkylinkSignalingServer().releaseThrottledMessages(this.room.id);
+  }
+}
+
+export default SessionRecovery;
@@ -99,7 +99,8 @@ const onIceCandidate = (targetMid, candidate, currentRoom) => {
 
     if (state.gatheredCandidates[targetMid]) {
       const sendEndOfCandidates = () => {
-        if (!state.gatheredCandidates[targetMid]) return;
+        // The room state is removed when the User leaves the room before the timeout
+        if (!Skylink.getSkylinkState(currentRoom.id) || !state.gatheredCandidates[targetMid]) return;
 
         signalingServer.sendMessage({
           type: constants.SIG_MESSAGE_TYPE.END_OF_CANDIDATES,
@@ -10,6 +10,7 @@ import SkylinkEventManager from './utils/skylinkEventManager';
 import * as constants from './constants';
 import messages from './messages';
 import { SkylinkAPIServer } from './server-communication';
+import MediaStream from './media-stream/index';
 
 /**
  * @description AdapterJS provides polyfills and cross-browser mediaStreamHelpers for WebRTC.
@@ -71,6 +72,7 @@ class Skylink extends SkylinkPublicInterface {
     const parsedOptions = new SkylinkAPIServer().init(options);
 
     Skylink.setInitOptions(parsedOptions);
+    MediaStream.watchMediaDevices();
   }
 
   /**
@@ -1,5 +1,9 @@
 import Skylink from '../../index';
+import logger from '../../logger';
+import MESSAGES from '../../messages';
 import { isEmptyArray } from '../../utils/helpers';
+import { TAGS, TRACK_KIND } from '../../constants';
+import { canSetParameters, retrieveStreamBandwidthSettings, updateEncodings } from './setStreamBandwidth';
 
 const isSenderTrackAndTrackMatched = (senderTrack, tracks) => {
   for (let x = 0; x < tracks.length; x += 1) {
@@ -28,11 +32,61 @@ const isStreamOnPC = (peerConnection, stream) => {
   return false;
 };
 
-const addTracksToPC = (state, peerId, stream, peerConnection) => {
+const getSimulcastEncodings = (state, peerId, settings, peerConnection) => {
+  const simulcastEncodings = settings && settings.video && settings.video.simulcast;
+
+  if (!simulcastEncodings) {
+    return null;
+  }
+
+  if (!state.hasMCU) {
+    logger.log.WARN([peerId, TAGS.MEDIA_STREAM, null, MESSAGES.SIMULCAST.ERRORS.MCU_ONLY]);
+    return null;
+  }
+
+  if (typeof peerConnection.addTransceiver !== 'function') {
+    logger.log.WARN([peerId, TAGS.MEDIA_STREAM, null, MESSAGES.SIMULCAST.ERRORS.NOT_SUPPORTED]);
+    return null;
+  }
+
+  return simulcastEncodings;
+};
+
+const addTrackToPC = (peerId, track, stream, peerConnection, simulcastEncodings) => {
+  if (track.kind === TRACK_KIND.VIDEO && simulcastEncodings) {
+    logger.log.DEBUG([peerId, TAGS.MEDIA_STREAM, null, MESSAGES.SIMULCAST.SENDING_LAYERS], simulcastEncodings);
+
+    return peerConnection.addTransceiver(track, {
+      direction: 'sendrecv',
+      streams: [stream],
+      sendEncodings: simulcastEncodings.map(encoding => Object.assign({}, encoding)),
+    }).sender;
+  }
+
+  return peerConnection.addTrack(track, stream);
+};
+
+// Applies the settings set with setStreamBandwidth to the sender of a subsequent Peer connection
+const applyStreamBandwidthSettings = (peerId, sender, bandwidthSettings, simulcastEncodings) => {
+  if (!(bandwidthSettings && sender.track && canSetParameters(sender))) {
+    return;
+  }
+
+  updateEncodings(sender, bandwidthSettings, simulcastEncodings).catch((error) => {
+    logger.log.WARN([peerId, TAGS.MEDIA_STREAM, null, MESSAGES.MEDIA_STREAM.ERRORS.SET_STREAM_BANDWIDTH], error);
+  });
+};
+
+const addTracksToPC = (state, peerId, streamObj, peerConnection) => {
   const updatedState = state;
+  const { stream, settings } = streamObj;
   const tracks = stream.getTracks();
+  const simulcastEncodings = getSimulcastEncodings(updatedState, peerId, settings, peerConnection);
+  const bandwidthSettings = retrieveStreamBandwidthSettings(updatedState, streamObj, peerId);
+
   for (let track = 0; track < tracks.length; track += 1) {
-    const sender = peerConnection.addTrack(tracks[track], stream);
+    const sender = addTrackToPC(peerId, tracks[track], stream, peerConnection, simulcastEncodings);
+    applyStreamBandwidthSettings(peerId, sender, bandwidthSettings, simulcastEncodings);
     if (!updatedState.currentRTCRTPSenders[peerId]) {
       updatedState.currentRTCRTPSenders[peerId] = [];
     }
@@ -46,17 +100,16 @@ const addTracksToPC = (state, peerId, stream, peerConnection) => {
 const addUserMediaStreams = (state, peerId, userMediaStreams, peerConnection) => {
   const streamIds = Object.keys(userMediaStreams);
   for (let x = 0; x < streamIds.length; x += 1) {
-    const { stream } = userMediaStreams[streamIds[x]];
-    if (!isStreamOnPC(peerConnection, stream)) {
-      addTracksToPC(state, peerId, stream, peerConnection);
+    const streamObj = userMediaStreams[streamIds[x]];
+    if (!isStreamOnPC(peerConnection, streamObj.stream)) {
+      addTracksToPC(state, peerId, streamObj, peerConnection);
     }
   }
 };
 
 const addScreenshareStream = (state, peerId, screenshareStream, peerConnection) => {
-  const { stream } = screenshareStream;
-  if (!isStreamOnPC(peerConnection, stream)) {
-    addTracksToPC(state, peerId, stream, peerConnection);
+  if (!isStreamOnPC(peerConnection, screenshareStream.stream)) {
+    addTracksToPC(state, peerId, screenshareStream, peerConnection);
   }
 };
 
@@ -1,6 +1,6 @@
 import { isAFunction } from '../../utils/helpers';
 
-const getOutputSources = (sources) => {
+export const getOutputSources = (sources) => {
   const outputSources = {
     audio: {
       input: [],
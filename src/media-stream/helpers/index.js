@@ -18,12 +18,20 @@ import splitAudioAndVideoStream from './splitAudioAndVideoStream';
 import processNewStream from './processNewStream';
 import updateStreamsMutedSettings from './updateStreamsMutedSettings';
 import onStreamAccessSuccess from './onStreamAccessSuccess';
+import setStreamBandwidth from './setStreamBandwidth';
+import switchInputDevice from './switchInputDevice';
+import swapLocalTrack from './swapLocalTrack';
+import runTrackProcessors from './runTrackProcessors';
+import stopTrackProcessors from './stopTrackProcessors';
+import updateTrackProcessors from './updateTrackProcessors';
+import watchMediaDevices from './watchMediaDevices';
+import pushToTalk from './pushToTalk';
 
 /**
  * @namespace MediaStreamHelpers
  * @description All helper and utility functions for <code>{@link MediaStream}</code> class are listed here.
  * @private
- * @type {{parseMediaOptions, processStreamInState, parseStreamSettings, prepMediaAccessRequest, addLocalMediaStreams, onRemoteTrackAdded, onStreamAccessError, buildPeerStreamsInfo, replaceTrack, muteStreams, getStreamSources, sendStream, getStreams, getScreenSources, updateStreamsMediaStatus, updateRemoteStreams, retrieveVideoStreams, splitAudioAndVideoStream, processNewStream, updateStreamsMutedSettings, onStreamAccessSuccess}}
+ * @type {{parseMediaOptions, processStreamInState, parseStreamSettings, prepMediaAccessRequest, addLocalMediaStreams, onRemoteTrackAdded, onStreamAccessError, buildPeerStreamsInfo, replaceTrack, muteStreams, getStreamSources, sendStream, getStreams, getScreenSources, updateStreamsMediaStatus, updateRemoteStreams, retrieveVideoStreams, splitAudioAndVideoStream, processNewStream, updateStreamsMutedSettings, onStreamAccessSuccess, setStreamBandwidth, switchInputDevice, swapLocalTrack, runTrackProcessors, stopTrackProcessors, updateTrackProcessors, watchMediaDevices, pushToTalk}}
  */
 const helpers = {
   parseMediaOptions,
@@ -46,6 +54,14 @@ const helpers = {
   processNewStream,
   updateStreamsMutedSettings,
   onStreamAccessSuccess,
+  setStreamBandwidth,
+  switchInputDevice,
+  swapLocalTrack,
+  runTrackProcessors,
+  stopTrackProcessors,
+  updateTrackProcessors,
+  watchMediaDevices,
+  pushToTalk,
 };
 
 export default helpers;
@@ -13,6 +13,7 @@ import {
   MEDIA_STATUS, MEDIA_INFO, MEDIA_STATE, TRACK_KIND,
 } from '../../constants';
 import PeerMedia from '../../peer-media/index';
+import SpeakingWhileMutedMonitor from './speakingWhileMutedMonitor';
 
 const dispatchStreamMutedEvent = (room, streamId, isScreensharing) => {
   const roomState = Skylink.getSkylinkState(room.id);
@@ -211,6 +212,10 @@ const startMuteEvents = (roomKey, streamId, options) => {
     dispatchStreamMutedEvent(room, streamId);
     sendSigMsgs(hasToggledVideo, hasToggledAudio, room, streamId);
     updateMediaInfo(hasToggledVideo, hasToggledAudio, room, streamId);
+
+    if (hasToggledAudio) {
+      SpeakingWhileMutedMonitor.update(room, streamId);
+    }
   }
 
   if (streams.screenshare) {
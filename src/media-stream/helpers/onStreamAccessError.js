@@ -15,12 +15,13 @@ import helpers from './index';
  * @param {JSON} audioSettings - The audio media options.
  * @param {JSON} videoSettings - The video media options.
  * @param {object} resolve - The resolved promise.
+ * @param {Array<trackProcessor>} [trackProcessors] - The track processors to route the fallback audio track through.
  * @return {Promise<MediaStream | never>}
  * @memberOf MediaStreamHelpers
  * @fires mediaAccessError
  * @fires mediaAccessFallback
  */
-const onStreamAccessError = (error, reject, resolve, roomKey, audioSettings, videoSettings) => {
+const onStreamAccessError = (error, reject, resolve, roomKey, audioSettings, videoSettings, trackProcessors) => {
   const initOptions = Skylink.getInitOptions();
   const state = Skylink.getSkylinkState(roomKey);
   const { audioFallback } = initOptions;
@@ -34,7 +35,7 @@ const onStreamAccessError = (error, reject, resolve, roomKey, audioSettings, vid
       isAudioFallback,
     }));
 
-    return window.navigator.mediaDevices.getUserMedia({ audio: true }).then(stream => helpers.onStreamAccessSuccess(roomKey, stream, audioSettings, videoSettings, isAudioFallback, resolve)).catch((fallbackError) => {
+    return window.navigator.mediaDevices.getUserMedia({ audio: true }).then(stream => helpers.onStreamAccessSuccess(roomKey, stream, audioSettings, videoSettings, isAudioFallback, resolve, reject, trackProcessors)).catch((fallbackError) => {
       logger.log.ERROR([state.user.sid, TAGS.MEDIA_STREAM, null, messages.MEDIA_STREAM.ERRORS.FALLBACK, fallbackError]);
       dispatchEvent(mediaAccessError({
         error: fallbackError,
@@ -1,16 +1,71 @@
 import helpers from './index';
+import Skylink from '../../index';
+import logger from '../../logger';
+import MESSAGES from '../../messages';
+import { dispatchEvent } from '../../utils/skylinkEventManager';
+import { mediaAccessError } from '../../skylink-events';
 import { hasAudioTrack } from '../../utils/helpers';
+import { TAGS } from '../../constants';
 
-const onStreamAccessSuccess = (roomKey, stream, audioSettings, videoSettings, isAudioFallback, resolve) => {
+const processStreams = (roomKey, streams, audioSettings, videoSettings, isAudioFallback, pipelines = []) => {
   const isScreensharing = false;
-  const streams = helpers.splitAudioAndVideoStream(stream);
 
-  streams.forEach((st) => {
+  streams.forEach((st, index) => {
     if (!st) return;
     helpers.processStreamInState(st, hasAudioTrack(st) ? audioSettings : videoSettings, roomKey, isScreensharing, isAudioFallback);
+
+    if (pipelines[index]) {
+      const updatedState = Skylink.getSkylinkState(roomKey);
+      updatedState.streams.userMedia[st.id].trackProcessors = pipelines[index];
+      Skylink.setSkylinkState(updatedState, roomKey);
+    }
   });
+};
+
+// Swaps the track retrieved from the device with the processed track before the stream is added to the state
+const applyTrackProcessors = (stream, trackProcessors, pipelines, index) => {
+  const sourceTrack = stream.getTracks()[0];
+
+  return helpers.runTrackProcessors(sourceTrack, trackProcessors, stream.id)
+    .then((pipeline) => {
+      const updatedPipelines = pipelines;
+      updatedPipelines[index] = pipeline;
+
+      if (pipeline.track !== sourceTrack) {
+        stream.removeTrack(sourceTrack);
+        stream.addTrack(pipeline.track);
+      }
+    });
+};
+
+const onStreamAccessSuccess = (roomKey, stream, audioSettings, videoSettings, isAudioFallback, resolve, reject = null, trackProcessors = []) => {
+  const streams = helpers.splitAudioAndVideoStream(stream);
+  const pipelines = [];
+
+  if (!trackProcessors || trackProcessors.length === 0) {
+    processStreams(roomKey, streams, audioSettings, videoSettings, isAudioFallback);
+    resolve(streams);
+    return null;
+  }
+
+  return Promise.all(streams.map((st, index) => (st ? applyTrackProcessors(st, trackProcessors, pipelines, index) : null)))
+    .then(() => {
+      logger.log.DEBUG([null, TAGS.MEDIA_STREAM, null, MESSAGES.MEDIA_STREAM.TRACK_PROCESSORS_APPLIED], trackProcessors.length);
+      processStreams(roomKey, streams, audioSettings, videoSettings, isAudioFallback, pipelines);
+      resolve(streams);
+    })
+    .catch((error) => {
+      pipelines.forEach(pipeline => pipeline && helpers.stopTrackProcessors(pipeline));
+      stream.getTracks().forEach(track => track.stop());
+
+      logger.log.ERROR([null, TAGS.MEDIA_STREAM, null, MESSAGES.MEDIA_STREAM.ERRORS.TRACK_PROCESSOR], error);
+      dispatchEvent(mediaAccessError({
+        error,
+        isAudioFallbackError: isAudioFallback,
+      }));
 
-  resolve(streams);
+      reject(error);
+    });
 };
 
 export default onStreamAccessSuccess;
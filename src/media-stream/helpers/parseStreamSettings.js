@@ -1,5 +1,25 @@
 import clone from 'clone';
-import { VIDEO_RESOLUTION, TRACK_KIND } from '../../constants';
+import { VIDEO_RESOLUTION, TRACK_KIND, SIMULCAST_ENCODINGS } from '../../constants';
+
+const parseSimulcastEncodings = (simulcast) => {
+  if (!Array.isArray(simulcast)) {
+    return clone(SIMULCAST_ENCODINGS);
+  }
+
+  return simulcast.filter(layer => layer && layer.rid && typeof layer.rid === 'string').map((layer) => {
+    const encoding = { rid: layer.rid };
+
+    if (typeof layer.scaleResolutionDownBy === 'number' && layer.scaleResolutionDownBy >= 1) {
+      encoding.scaleResolutionDownBy = layer.scaleResolutionDownBy;
+    }
+
+    if (typeof layer.maxBitrate === 'number' && layer.maxBitrate > 0) {
+      encoding.maxBitrate = layer.maxBitrate;
+    }
+
+    return encoding;
+  });
+};
 
 /**
  * Parse the options provided to make sure they are compatible
@@ -136,6 +156,14 @@ const parseStreamSettings = (options, type = null) => {
           ? settings.settings.video.facingMode : (options.useExactConstraints
             ? { exact: settings.settings.video.facingMode } : { max: settings.settings.video.facingMode });
       }
+
+      if (options.video.simulcast) {
+        const simulcastEncodings = parseSimulcastEncodings(options.video.simulcast);
+
+        if (simulcastEncodings.length > 0) {
+          settings.settings.video.simulcast = simulcastEncodings;
+        }
+      }
     } else {
       settings.getUserMediaSettings.video = {
         width: options.useExactConstraints ? { exact: settings.settings.video.resolution.width }
@@ -1,5 +1,6 @@
 import helpers from './index';
 import messages from '../../messages';
+import { isValidTrackProcessors } from './runTrackProcessors';
 import { TRACK_KIND } from '../../constants';
 
 /**
@@ -9,7 +10,7 @@ import { TRACK_KIND } from '../../constants';
  * @return {Promise}
  */
 const prepMediaAccessRequest = params => new Promise((resolve, reject) => {
-  const { roomKey, ...rest } = params;
+  const { roomKey, trackProcessors, ...rest } = params;
   const audioSettings = helpers.parseStreamSettings(rest, TRACK_KIND.AUDIO);
   const videoSettings = helpers.parseStreamSettings(rest, TRACK_KIND.VIDEO);
   const { AdapterJS } = window;
@@ -18,11 +19,16 @@ const prepMediaAccessRequest = params => new Promise((resolve, reject) => {
     reject(messages.MEDIA_STREAM.ERRORS.INVALID_GUM_OPTIONS);
   }
 
+  if (trackProcessors && !isValidTrackProcessors(trackProcessors)) {
+    reject(new Error(messages.MEDIA_STREAM.ERRORS.INVALID_TRACK_PROCESSORS));
+    return;
+  }
+
   AdapterJS.webRTCReady(() => {
     window.navigator.mediaDevices.getUserMedia({ audio: audioSettings.getUserMediaSettings.audio, video: videoSettings.getUserMediaSettings.video }).then((stream) => {
       const isAudioFallback = false;
-      return helpers.onStreamAccessSuccess(roomKey, stream, audioSettings, videoSettings, isAudioFallback, resolve);
-    }).catch(error => helpers.onStreamAccessError(error, reject, resolve, roomKey, audioSettings, videoSettings));
+      return helpers.onStreamAccessSuccess(roomKey, stream, audioSettings, videoSettings, isAudioFallback, resolve, reject, trackProcessors);
+    }).catch(error => helpers.onStreamAccessError(error, reject, resolve, roomKey, audioSettings, videoSettings, trackProcessors));
   });
 });
 
@@ -1,5 +1,6 @@
 import Skylink from '../../index';
 import helpers from './index';
+import SpeakingWhileMutedMonitor from './speakingWhileMutedMonitor';
 
 const buildStreamObject = (room, user, stream, settings) => ({
   id: stream.id,
@@ -27,6 +28,10 @@ const processNewStream = (room, stream, settings, isScreensharing) => {
   addStreamToState(room, stream, settings, isScreensharing);
   helpers.updateStreamsMutedSettings(room.id, settings, stream);
   helpers.updateStreamsMediaStatus(room.id, settings, stream);
+
+  if (!isScreensharing) {
+    SpeakingWhileMutedMonitor.update(room, stream.id);
+  }
 };
 
 export default processNewStream;
@@ -0,0 +1,60 @@
+import Skylink from '../../index';
+import helpers from './index';
+import logger from '../../logger';
+import MESSAGES from '../../messages';
+import { hasAudioTrack } from '../../utils/helpers';
+import { PUSH_TO_TALK_DEBOUNCE, TAGS } from '../../constants';
+
+const debounceTimers = {};
+
+const broadcastPushToTalkState = (room, streamId, active) => {
+  const state = Skylink.getSkylinkState(room.id);
+
+  delete debounceTimers[streamId];
+
+  if (!state || !state.streams.userMedia || !state.streams.userMedia[streamId]) {
+    return;
+  }
+
+  helpers.muteStreams(state, {
+    audioMuted: !active,
+    videoMuted: state.streamsMutedSettings[streamId].videoMuted,
+  }, streamId);
+};
+
+/**
+ * Function that unmutes the audio of a <code>userMedia</code> stream only while push to talk is active.
+ * The audio tracks are toggled immediately, while the muted state is broadcasted to the Peers with the
+ * <code>muteAudioEvent</code> message after a debounce, so that rapid presses only send the last state.
+ * @param {SkylinkState} roomState
+ * @param {String} streamId - The stream id.
+ * @param {boolean} active - The flag if push to talk is active.
+ * @memberOf MediaStreamHelpers
+ * @fires streamMuted, peerUpdated, localMediaMuted
+ */
+const pushToTalk = (roomState, streamId, active) => {
+  const { room, streams: { userMedia } } = roomState;
+  const streamObj = userMedia && userMedia[streamId];
+
+  if (!streamObj) {
+    logger.log.ERROR([null, TAGS.MEDIA_STREAM, streamId, MESSAGES.MEDIA_STREAM.ERRORS.INVALID_STREAM_ID]);
+    return;
+  }
+
+  if (!hasAudioTrack(streamObj.stream)) {
+    logger.log.ERROR([null, TAGS.MEDIA_STREAM, streamId, MESSAGES.MEDIA_STREAM.ERRORS.NO_AUDIO_TRACK]);
+    return;
+  }
+
+  streamObj.stream.getAudioTracks().forEach((audioTrack) => {
+    // eslint-disable-next-line no-param-reassign
+    audioTrack.enabled = !!active;
+  });
+
+  logger.log.DEBUG([null, TAGS.MEDIA_STREAM, streamId, MESSAGES.MEDIA_STREAM.PUSH_TO_TALK], { active: !!active });
+
+  clearTimeout(debounceTimers[streamId]);
+  debounceTimers[streamId] = setTimeout(() => broadcastPushToTalkState(room, streamId, !!active), PUSH_TO_TALK_DEBOUNCE);
+};
+
+export default pushToTalk;
@@ -25,6 +25,7 @@ const getTrackSender = (state, peerId, trackId, mediaType) => {
  * @param {MediaStream} newStream - The new stream
  * @param {String} peerId - The PeerId
  * @param {SkylinkState} state
+ * @return {Promise} Resolves when the sender tracks have been replaced.
  * @private
  */
 const replaceTrack = (oldStream, newStream, peerId, state) => {
@@ -34,18 +35,25 @@ const replaceTrack = (oldStream, newStream, peerId, state) => {
   const audioSender = getTrackSender(state, peerId, oldAudioTrack ? oldAudioTrack.id : null, 'audio');
   const newVideoTrack = newStream.getVideoTracks()[0];
   const newAudioTrack = newStream.getAudioTracks()[0];
+  const replacePromises = [];
 
   try {
     if (oldVideoTrack && newVideoTrack && videoSender) {
-      videoSender.replaceTrack(newVideoTrack);
+      replacePromises.push(videoSender.replaceTrack(newVideoTrack));
     }
 
     if (oldAudioTrack && newAudioTrack && audioSender) {
-      audioSender.replaceTrack(newAudioTrack);
+      replacePromises.push(audioSender.replaceTrack(newAudioTrack));
     }
   } catch (error) {
     logger.log.ERROR([peerId, TAGS.PEER_CONNECTION, null, MESSAGES.PEER_CONNECTION.ERRORS.REPLACE_TRACK], error);
+    return Promise.reject(error);
   }
+
+  return Promise.all(replacePromises).catch((error) => {
+    logger.log.ERROR([peerId, TAGS.PEER_CONNECTION, null, MESSAGES.PEER_CONNECTION.ERRORS.REPLACE_TRACK], error);
+    throw error;
+  });
 };
 
 export default replaceTrack;
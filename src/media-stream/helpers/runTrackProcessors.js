@@ -0,0 +1,53 @@
+import helpers from './index';
+import MESSAGES from '../../messages';
+import { isAFunction, isAObj } from '../../utils/helpers';
+import { TRACK_KIND } from '../../constants';
+
+const isValidTrackProcessor = processor => isAObj(processor) && isAFunction(processor.process)
+  && (!processor.kind || [TRACK_KIND.AUDIO, TRACK_KIND.VIDEO].indexOf(processor.kind) > -1);
+
+export const isValidTrackProcessors = processors => Array.isArray(processors) && processors.every(isValidTrackProcessor);
+
+/**
+ * Function that routes a local track through a chain of track processors.
+ * Each processor of the same kind as the track is called with the track returned by the previous processor.
+ * @param {MediaStreamTrack} sourceTrack - The track retrieved from the device.
+ * @param {Array<trackProcessor>} processors - The track processors.
+ * @param {String} streamId - The stream id.
+ * @return {Promise<Object>} The track processing pipeline with the <code>processors</code>, the <code>sourceTrack</code>,
+ *   the <code>outputs</code> tracks returned by each processor and the processed <code>track</code> to send.
+ * @memberOf MediaStreamHelpers
+ */
+const runTrackProcessors = (sourceTrack, processors, streamId) => {
+  const { kind } = sourceTrack;
+  const pipeline = {
+    processors,
+    sourceTrack,
+    outputs: [],
+    track: sourceTrack,
+  };
+
+  return processors.filter(processor => !processor.kind || processor.kind === kind)
+    .reduce((promise, processor) => promise.then(track => Promise.resolve(processor.process(track, { streamId, kind }))
+      .then((outputTrack) => {
+        if (!outputTrack || outputTrack.kind !== kind) {
+          throw new Error(MESSAGES.MEDIA_STREAM.ERRORS.INVALID_PROCESSED_TRACK);
+        }
+
+        if (outputTrack !== track) {
+          pipeline.outputs.push({ processor, track: outputTrack });
+        }
+
+        return outputTrack;
+      })), Promise.resolve(sourceTrack))
+    .then((track) => {
+      pipeline.track = track;
+      return pipeline;
+    })
+    .catch((error) => {
+      helpers.stopTrackProcessors(pipeline);
+      throw error;
+    });
+};
+
+export default runTrackProcessors;
@@ -0,0 +1,252 @@
+import Skylink from '../../index';
+import logger from '../../logger';
+import MESSAGES from '../../messages';
+import PeerConnection from '../../peer-connection/index';
+import SkylinkError from '../../utils/skylinkError';
+import { isAObj } from '../../utils/helpers';
+import { TAGS, TRACK_KIND } from '../../constants';
+
+const isValidValue = value => typeof value === 'number' && value > 0;
+
+const retrieveStreamObject = (state, streamId) => {
+  const { streams } = state;
+
+  if (streams.userMedia && streams.userMedia[streamId]) {
+    return streams.userMedia[streamId];
+  }
+
+  if (streams.screenshare && streams.screenshare.id === streamId) {
+    return streams.screenshare;
+  }
+
+  return null;
+};
+
+const retrieveStreamSenders = (state, stream, targetPeerId) => {
+  const { currentRTCRTPSenders } = state;
+  const trackIds = stream.getTracks().map(track => track.id);
+  const peerIds = targetPeerId ? [targetPeerId] : Object.keys(currentRTCRTPSenders);
+  const streamSenders = {};
+
+  peerIds.forEach((peerId) => {
+    const senders = (currentRTCRTPSenders[peerId] || []).filter(sender => sender.track && trackIds.indexOf(sender.track.id) > -1);
+
+    if (senders.length > 0) {
+      streamSenders[peerId] = senders;
+    }
+  });
+
+  return streamSenders;
+};
+
+export const canSetParameters = sender => typeof sender.getParameters === 'function' && typeof sender.setParameters === 'function';
+
+export const updateEncodings = (sender, options, simulcastEncodings) => {
+  const parameters = sender.getParameters();
+  const isVideo = sender.track.kind === TRACK_KIND.VIDEO;
+  const bandwidth = isVideo ? options.video : options.audio;
+
+  if (!Array.isArray(parameters.encodings) || parameters.encodings.length === 0) {
+    parameters.encodings = [{}];
+  }
+
+  parameters.encodings.forEach((encoding) => {
+    const updatedEncoding = encoding;
+    const simulcastEncoding = (simulcastEncodings || []).filter(layer => layer.rid === encoding.rid)[0];
+
+    if (isValidValue(bandwidth)) {
+      // Simulcast layers are not sent above their configured maximum bitrate
+      updatedEncoding.maxBitrate = simulcastEncoding && simulcastEncoding.maxBitrate
+        ? Math.min(simulcastEncoding.maxBitrate, bandwidth * 1000) : bandwidth * 1000;
+    }
+
+    if (isVideo && isValidValue(options.maxFramerate)) {
+      updatedEncoding.maxFramerate = options.maxFramerate;
+    }
+
+    if (isVideo && parameters.encodings.length === 1 && typeof options.scaleResolutionDownBy === 'number' && options.scaleResolutionDownBy >= 1) {
+      updatedEncoding.scaleResolutionDownBy = options.scaleResolutionDownBy;
+    }
+  });
+
+  return sender.setParameters(parameters);
+};
+
+const BANDWIDTH_SETTINGS_KEYS = ['audio', 'video', 'maxFramerate', 'scaleResolutionDownBy'];
+
+const mergeBandwidthSettings = (bandwidthSettings, options) => {
+  const updatedSettings = Object.assign({}, bandwidthSettings);
+
+  BANDWIDTH_SETTINGS_KEYS.forEach((key) => {
+    if (typeof options[key] === 'number') {
+      updatedSettings[key] = options[key];
+    }
+  });
+
+  return updatedSettings;
+};
+
+/**
+ * Function that returns the settings set with setStreamBandwidth that apply to the stream senders of a Peer connection.
+ * The settings for the Peer override the settings for all Peers.
+ * @param {SkylinkState} state
+ * @param {Object} streamObj - The <code>userMedia</code> or screenshare stream object.
+ * @param {String} peerId - The Peer id.
+ * @return {Object|null}
+ * @memberOf MediaStreamHelpers
+ */
+export const retrieveStreamBandwidthSettings = (state, streamObj, peerId) => {
+  const peerCustomConfig = state.peerCustomConfigs[peerId];
+  const peerSettings = peerCustomConfig && peerCustomConfig.streamBandwidthSettings
+    ? peerCustomConfig.streamBandwidthSettings[streamObj.id] : null;
+
+  if (!streamObj.bandwidthSettings && !peerSettings) {
+    return null;
+  }
+
+  return Object.assign({}, streamObj.bandwidthSettings, peerSettings);
+};
+
+// The settings for all Peers are kept on the stream object instead of on the room bandwidth settings that apply to every stream,
+// and the keys that they update no longer follow the settings previously set for a Peer
+const updateStreamBandwidthSettings = (state, streamObj, options) => {
+  const updatedStreamObj = streamObj;
+
+  updatedStreamObj.bandwidthSettings = mergeBandwidthSettings(updatedStreamObj.bandwidthSettings, options);
+
+  Object.keys(state.peerCustomConfigs).forEach((peerId) => {
+    const { streamBandwidthSettings } = state.peerCustomConfigs[peerId];
+
+    if (streamBandwidthSettings && streamBandwidthSettings[streamObj.id]) {
+      BANDWIDTH_SETTINGS_KEYS.filter(key => typeof options[key] === 'number')
+        .forEach((key) => { delete streamBandwidthSettings[streamObj.id][key]; });
+    }
+  });
+};
+
+// The settings for a Peer are kept on its custom configs, which are removed when the Peer leaves
+const updatePeerStreamBandwidthSettings = (state, streamObj, options, peerId) => {
+  const { peerCustomConfigs } = state;
+
+  peerCustomConfigs[peerId] = peerCustomConfigs[peerId] || {};
+  peerCustomConfigs[peerId].streamBandwidthSettings = peerCustomConfigs[peerId].streamBandwidthSettings || {};
+  peerCustomConfigs[peerId].streamBandwidthSettings[streamObj.id] = mergeBandwidthSettings(
+    peerCustomConfigs[peerId].streamBandwidthSettings[streamObj.id], options,
+  );
+};
+
+// The session description bandwidth applies to all the streams of a Peer connection, so it is only updated in the room
+// bandwidth settings when the Peer connections fall back to it, to keep the Peer connections that are created afterwards consistent
+const updateRoomBandwidthSettings = (state, options) => {
+  const { bAS } = state.streamsBandwidthSettings;
+
+  if (isValidValue(options.audio)) {
+    bAS.audio = options.audio;
+  }
+
+  if (isValidValue(options.video)) {
+    bAS.video = options.video;
+  }
+};
+
+const refreshWithSDPBitrate = (state, peerIds, options) => {
+  if (peerIds.length === 0) {
+    return Promise.resolve();
+  }
+
+  if (isValidValue(options.maxFramerate) || isValidValue(options.scaleResolutionDownBy)) {
+    logger.log.WARN([peerIds, TAGS.MEDIA_STREAM, null, MESSAGES.MEDIA_STREAM.ERRORS.SET_PARAMETERS_NOT_SUPPORTED]);
+  }
+
+  logger.log.DEBUG([peerIds, TAGS.MEDIA_STREAM, null, MESSAGES.MEDIA_STREAM.STREAM_BANDWIDTH_RENEGOTIATE]);
+
+  const bandwidth = {};
+
+  if (isValidValue(options.audio)) {
+    bandwidth.audio = options.audio;
+  }
+
+  if (isValidValue(options.video)) {
+    bandwidth.video = options.video;
+  }
+
+  return PeerConnection.refreshConnection(state, peerIds, false, { bandwidth });
+};
+
+/**
+ * Function that updates the sending bitrate and framerate of a stream without renegotiating the Peer connections.
+ * The <code>RTCRtpSender</code> encodings of the stream tracks are updated with <code>RTCRtpSender.setParameters</code>, and
+ * the Peer connections are renegotiated with the bandwidth set in the session description only when it is not supported.
+ * The settings for all Peers are stored on the stream, and the settings for a Peer on its custom configs, so that they are
+ * applied again to the stream senders of subsequent Peer connections. The session description bandwidth of the renegotiated
+ * Peer connections applies to all of their streams, and is stored in the room bandwidth settings when the stream is updated
+ * for all Peers.
+ * @param {SkylinkState} roomState
+ * @param {String} streamId - The stream id.
+ * @param {Object} options
+ * @param {number} [options.audio] - The maximum audio bandwidth in kbps.
+ * @param {number} [options.video] - The maximum video bandwidth in kbps.
+ * @param {number} [options.maxFramerate] - The maximum video framerate.
+ * @param {number} [options.scaleResolutionDownBy] - The factor that the video resolution is scaled down by.
+ * @param {String} [targetPeerId] - The Peer id. When not provided, the stream is updated for all Peers.
+ * @return {Promise<Array<String>>} The list of Peer ids that the stream is updated for.
+ * @memberOf MediaStreamHelpers
+ */
+const setStreamBandwidth = (roomState, streamId, options, targetPeerId) => new Promise((resolve, reject) => {
+  try {
+    const state = Skylink.getSkylinkState(roomState.room.id);
+    const streamObj = retrieveStreamObject(state, streamId);
+
+    if (!streamObj) {
+      SkylinkError.throwError(MESSAGES.MEDIA_STREAM.ERRORS.INVALID_STREAM_ID, streamId);
+    }
+
+    if (!isAObj(options)) {
+      SkylinkError.throwError(MESSAGES.MEDIA_STREAM.ERRORS.INVALID_STREAM_BANDWIDTH_OPTIONS);
+    }
+
+    const streamSenders = retrieveStreamSenders(state, streamObj.stream, targetPeerId);
+    const simulcastEncodings = streamObj.settings && streamObj.settings.video ? streamObj.settings.video.simulcast : null;
+    const updatePromises = [];
+    const fallbackPeerIds = [];
+
+    Object.keys(streamSenders).forEach((peerId) => {
+      if (!streamSenders[peerId].every(canSetParameters)) {
+        fallbackPeerIds.push(peerId);
+        return;
+      }
+
+      streamSenders[peerId].forEach((sender) => {
+        updatePromises.push(updateEncodings(sender, options, simulcastEncodings));
+      });
+    });
+
+    if (targetPeerId) {
+      updatePeerStreamBandwidthSettings(state, streamObj, options, targetPeerId);
+    } else {
+      updateStreamBandwidthSettings(state, streamObj, options);
+
+      if (fallbackPeerIds.length > 0) {
+        updateRoomBandwidthSettings(state, options);
+      }
+    }
+
+    Skylink.setSkylinkState(state, state.room.id);
+    updatePromises.push(refreshWithSDPBitrate(state, fallbackPeerIds, options));
+
+    Promise.all(updatePromises)
+      .then(() => {
+        logger.log.INFO([targetPeerId || null, TAGS.MEDIA_STREAM, streamId, MESSAGES.MEDIA_STREAM.STREAM_BANDWIDTH_UPDATED], options);
+        resolve(Object.keys(streamSenders));
+      })
+      .catch((error) => {
+        logger.log.ERROR([targetPeerId || null, TAGS.MEDIA_STREAM, streamId, MESSAGES.MEDIA_STREAM.ERRORS.SET_STREAM_BANDWIDTH], error);
+        reject(error);
+      });
+  } catch (error) {
+    logger.log.ERROR(error);
+    reject(error);
+  }
+});
+
+export default setStreamBandwidth;
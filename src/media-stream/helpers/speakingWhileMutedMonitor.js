@@ -0,0 +1,206 @@
+import Skylink from '../../index';
+import logger from '../../logger';
+import MESSAGES from '../../messages';
+import { dispatchEvent } from '../../utils/skylinkEventManager';
+import { speakingWhileMuted } from '../../skylink-events';
+import { computeAudioLevel, hasAudioTrack } from '../../utils/helpers';
+import { SPEAKING_WHILE_MUTED_DETECTION, TAGS, TRACK_KIND } from '../../constants';
+
+const instance = {};
+
+const getSpeakingWhileMutedOptions = () => {
+  const { speakingWhileMuted: options } = Skylink.getInitOptions() || {};
+
+  return Object.assign({
+    enabled: false,
+    interval: SPEAKING_WHILE_MUTED_DETECTION.INTERVAL,
+    threshold: SPEAKING_WHILE_MUTED_DETECTION.THRESHOLD,
+    duration: SPEAKING_WHILE_MUTED_DETECTION.DURATION,
+  }, options);
+};
+
+// The muted track is disabled and only produces silence, so the unprocessed source track is sampled instead
+const retrieveSourceTrack = (streamObj) => {
+  if (streamObj.trackProcessors && streamObj.trackProcessors.sourceTrack.kind === TRACK_KIND.AUDIO) {
+    return streamObj.trackProcessors.sourceTrack;
+  }
+
+  return streamObj.stream.getAudioTracks()[0] || null;
+};
+
+/**
+ * @classdesc This class is used to sample the microphone audio level of a muted <code>userMedia</code> stream and detect
+ * when the user speaks while muted.
+ * @class
+ * @private
+ */
+class SpeakingWhileMutedMonitor {
+  constructor(params) {
+    const { room, streamId } = params;
+
+    if (instance[streamId]) {
+      return instance[streamId];
+    }
+
+    this.room = room;
+    this.streamId = streamId;
+    this.monitorInterval = null;
+    this.audioContext = null;
+    this.analyser = null;
+    this.sourceTrackId = null;
+    this.clonedTrack = null;
+    this.speakingSince = null;
+    this.hasNotified = false;
+
+    instance[streamId] = this;
+  }
+
+  static isEnabled() {
+    return !!getSpeakingWhileMutedOptions().enabled;
+  }
+
+  /**
+   * Function that starts monitoring the stream when its audio is muted, and stops monitoring it when its audio is unmuted.
+   * @param {SkylinkRoom} room
+   * @param {String} streamId
+   */
+  static update(room, streamId) {
+    const { streams: { userMedia }, streamsMutedSettings } = Skylink.getSkylinkState(room.id);
+
+    if (!SpeakingWhileMutedMonitor.isEnabled()) {
+      return;
+    }
+
+    if (userMedia && userMedia[streamId] && hasAudioTrack(userMedia[streamId].stream)
+      && streamsMutedSettings[streamId] && streamsMutedSettings[streamId].audioMuted) {
+      new SpeakingWhileMutedMonitor({ room, streamId }).startMonitoring();
+    } else {
+      SpeakingWhileMutedMonitor.stop(streamId);
+    }
+  }
+
+  static stop(streamId) {
+    if (instance[streamId]) {
+      instance[streamId].stopMonitoring();
+    }
+  }
+
+  startMonitoring() {
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+
+    if (this.monitorInterval) {
+      return;
+    }
+
+    if (!AudioContext) {
+      logger.log.WARN([null, TAGS.MEDIA_STREAM, this.streamId, MESSAGES.MEDIA_STREAM.ERRORS.SPEAKING_WHILE_MUTED_NOT_SUPPORTED]);
+      delete instance[this.streamId];
+      return;
+    }
+
+    this.audioContext = new AudioContext();
+    this.monitorInterval = setInterval(() => this.sampleAudioLevel(), getSpeakingWhileMutedOptions().interval);
+  }
+
+  stopMonitoring() {
+    clearInterval(this.monitorInterval);
+    this.monitorInterval = null;
+    this.removeAnalyser();
+
+    if (this.audioContext) {
+      this.audioContext.close().catch(() => {});
+      this.audioContext = null;
+    }
+
+    delete instance[this.streamId];
+  }
+
+  createAnalyser(sourceTrack) {
+    const { MediaStream } = window;
+
+    this.clonedTrack = sourceTrack.clone();
+    this.clonedTrack.enabled = true;
+
+    const source = this.audioContext.createMediaStreamSource(new MediaStream([this.clonedTrack]));
+    const analyser = this.audioContext.createAnalyser();
+
+    analyser.fftSize = 512;
+    source.connect(analyser);
+
+    this.sourceTrackId = sourceTrack.id;
+    this.analyser = { source, analyser, samples: new Uint8Array(analyser.fftSize) };
+  }
+
+  removeAnalyser() {
+    if (this.analyser) {
+      this.analyser.source.disconnect();
+      this.analyser = null;
+    }
+
+    if (this.clonedTrack) {
+      this.clonedTrack.stop();
+      this.clonedTrack = null;
+    }
+
+    this.sourceTrackId = null;
+  }
+
+  sampleAudioLevel() {
+    const state = Skylink.getSkylinkState(this.room.id);
+    const streamObj = state && state.streams.userMedia && state.streams.userMedia[this.streamId];
+    const sourceTrack = streamObj ? retrieveSourceTrack(streamObj) : null;
+    const audioTrack = streamObj ? streamObj.stream.getAudioTracks()[0] : null;
+
+    if (!sourceTrack || sourceTrack.readyState === 'ended') {
+      this.stopMonitoring();
+      return;
+    }
+
+    if (audioTrack && audioTrack.enabled) {
+      this.speakingSince = null;
+      this.hasNotified = false;
+      return;
+    }
+
+    // The source track is replaced when the input device is switched
+    if (this.sourceTrackId !== sourceTrack.id) {
+      this.removeAnalyser();
+      this.createAnalyser(sourceTrack);
+    }
+
+    if (this.audioContext.state === 'suspended') {
+      this.audioContext.resume().catch(() => {});
+    }
+
+    this.processAudioLevel(computeAudioLevel(this.analyser.analyser, this.analyser.samples));
+  }
+
+  processAudioLevel(audioLevel) {
+    const { threshold, duration } = getSpeakingWhileMutedOptions();
+    const now = Date.now();
+
+    if (audioLevel < threshold) {
+      this.speakingSince = null;
+      this.hasNotified = false;
+      return;
+    }
+
+    if (!this.speakingSince) {
+      this.speakingSince = now;
+    }
+
+    if (!this.hasNotified && now - this.speakingSince >= duration) {
+      this.hasNotified = true;
+
+      logger.log.DEBUG([null, TAGS.MEDIA_STREAM, this.streamId, MESSAGES.MEDIA_STREAM.SPEAKING_WHILE_MUTED], { audioLevel });
+
+      dispatchEvent(speakingWhileMuted({
+        room: this.room,
+        streamId: this.streamId,
+        audioLevel,
+      }));
+    }
+  }
+}
+
+export default SpeakingWhileMutedMonitor;
@@ -2,14 +2,24 @@ import logger from '../../../logger';
 import { TAGS } from '../../../constants';
 import MESSAGES from '../../../messages';
 import stopStreamHelpers from './index';
+import helpers from '../index';
 import ScreenSharing from '../../../features/screen-sharing';
+import SpeakingWhileMutedMonitor from '../speakingWhileMutedMonitor';
 
 const stopAddedStream = (state, stream, isScreensharing = false, fromLeaveRoom = false) => {
-  const { room, user } = state;
+  const { room, user, streams: { userMedia } } = state;
 
   try {
     stopStreamHelpers.tryStopStream(stream, user.sid);
 
+    if (!isScreensharing) {
+      SpeakingWhileMutedMonitor.stop(stream.id);
+    }
+
+    if (!isScreensharing && userMedia && userMedia[stream.id] && userMedia[stream.id].trackProcessors) {
+      helpers.stopTrackProcessors(userMedia[stream.id].trackProcessors, true);
+    }
+
     if (!fromLeaveRoom) {
       stopStreamHelpers.removeTracks(room, stream);
       stopStreamHelpers.updateMediaInfoMediaState(room, stream);
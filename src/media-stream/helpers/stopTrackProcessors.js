@@ -0,0 +1,31 @@
+import logger from '../../logger';
+import MESSAGES from '../../messages';
+import { isAFunction } from '../../utils/helpers';
+import { TAGS } from '../../constants';
+
+/**
+ * Function that stops the tracks returned by the track processors of a pipeline.
+ * The <code>stop</code> function of each processor is called with the track it returned so that it can release its resources.
+ * @param {Object} pipeline - The track processing pipeline returned by <code>runTrackProcessors</code>.
+ * @param {boolean} [shouldStopSourceTrack=false] - The flag if the track retrieved from the device should be stopped.
+ * @memberOf MediaStreamHelpers
+ */
+const stopTrackProcessors = (pipeline, shouldStopSourceTrack = false) => {
+  pipeline.outputs.forEach(({ processor, track }) => {
+    try {
+      if (isAFunction(processor.stop)) {
+        processor.stop(track);
+      }
+
+      track.stop();
+    } catch (error) {
+      logger.log.ERROR([null, TAGS.MEDIA_STREAM, null, `${MESSAGES.MEDIA_STREAM.ERRORS.STOP_TRACK_PROCESSOR} - track id: ${track.id}`], error);
+    }
+  });
+
+  if (shouldStopSourceTrack) {
+    pipeline.sourceTrack.stop();
+  }
+};
+
+export default stopTrackProcessors;
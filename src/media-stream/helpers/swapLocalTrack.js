@@ -0,0 +1,68 @@
+import Skylink from '../../index';
+import helpers from './index';
+import PeerMedia from '../../peer-media/index';
+
+const settle = promise => promise.then(() => null, error => error);
+
+// Replaces the track for all Peers, and replaces it back for the Peers it was replaced for when it fails for any Peer
+const replaceTrackForPeers = (state, oldTrack, newTrack) => {
+  const { MediaStream } = window;
+  const oldStream = new MediaStream([oldTrack]);
+  const newStream = new MediaStream([newTrack]);
+  const peerIds = Object.keys(state.peerConnections);
+
+  return Promise.all(peerIds.map(peerId => settle(helpers.replaceTrack(oldStream, newStream, peerId, state))))
+    .then((errors) => {
+      const error = errors.filter(replaceError => replaceError)[0];
+
+      if (!error) {
+        return null;
+      }
+
+      const replacedPeerIds = peerIds.filter((peerId, index) => !errors[index]);
+
+      return Promise.all(replacedPeerIds.map(peerId => settle(helpers.replaceTrack(newStream, oldStream, peerId, state))))
+        .then(() => {
+          throw error;
+        });
+    });
+};
+
+/**
+ * Function that replaces a track of a <code>userMedia</code> stream with a new track for all Peers with
+ * <code>RTCRtpSender.replaceTrack</code>, without renegotiating the Peer connections.
+ * The stream keeps its stream id and the new track keeps the muted status of the replaced track.
+ * The replaced track is not stopped. When the track fails to be replaced for any Peer, the Peers that it was replaced
+ * for are switched back to the replaced track.
+ * @param {SkylinkRoom} room
+ * @param {String} streamId - The stream id.
+ * @param {MediaStreamTrack} oldTrack - The track to replace.
+ * @param {MediaStreamTrack} newTrack - The new track.
+ * @return {Promise}
+ * @memberOf MediaStreamHelpers
+ */
+const swapLocalTrack = (room, streamId, oldTrack, newTrack) => {
+  const state = Skylink.getSkylinkState(room.id);
+  const { streams: { userMedia } } = state;
+  const { stream } = userMedia[streamId];
+
+  return replaceTrackForPeers(state, oldTrack, newTrack)
+    .then(() => {
+      const updatedTrack = newTrack;
+      const updatedState = Skylink.getSkylinkState(room.id);
+      const { peerMedias, user } = updatedState;
+      const mediaId = PeerMedia.retrieveMediaId(newTrack.kind, streamId);
+
+      // Keep the muted status of the stream as muteStreams toggles the enabled flag of the tracks
+      updatedTrack.enabled = oldTrack.enabled;
+      stream.removeTrack(oldTrack);
+      stream.addTrack(updatedTrack);
+
+      if (peerMedias[user.sid] && peerMedias[user.sid][mediaId]) {
+        peerMedias[user.sid][mediaId].trackId = newTrack.id;
+        Skylink.setSkylinkState(updatedState, room.id);
+      }
+    });
+};
+
+export default swapLocalTrack;
@@ -0,0 +1,200 @@
+import Skylink from '../../index';
+import helpers from './index';
+import logger from '../../logger';
+import MESSAGES from '../../messages';
+import PeerMedia from '../../peer-media/index';
+import SkylinkError from '../../utils/skylinkError';
+import { isAObj } from '../../utils/helpers';
+import {
+  MEDIA_INFO, MEDIA_STATE, MEDIA_STATUS, TAGS, TRACK_KIND,
+} from '../../constants';
+
+const isValidDeviceId = deviceId => typeof deviceId === 'string' && !!deviceId;
+
+const retrieveKindsToSwitch = (options) => {
+  const kinds = [];
+
+  if (isValidDeviceId(options.audioDeviceId)) {
+    kinds.push(TRACK_KIND.AUDIO);
+  }
+
+  if (isValidDeviceId(options.videoDeviceId)) {
+    kinds.push(TRACK_KIND.VIDEO);
+  }
+
+  return kinds;
+};
+
+const retrieveTrack = (stream, kind) => (kind === TRACK_KIND.AUDIO ? stream.getAudioTracks()[0] : stream.getVideoTracks()[0]);
+
+const buildConstraints = (streamObj, kinds, options) => {
+  const constraints = {};
+
+  kinds.forEach((kind) => {
+    const deviceId = kind === TRACK_KIND.AUDIO ? options.audioDeviceId : options.videoDeviceId;
+    const kindConstraints = streamObj.constraints && isAObj(streamObj.constraints[kind]) ? streamObj.constraints[kind] : {};
+
+    constraints[kind] = Object.assign({}, kindConstraints, { deviceId: { exact: deviceId } });
+  });
+
+  return constraints;
+};
+
+const settle = promise => promise.then(switched => ({ switched }), error => ({ error }));
+
+// Resolves with the functions that either keep the switched track and stop the replaced track, or switch back to the
+// replaced track, so that all the kinds are rolled back when the track of any kind fails to be switched
+const switchTrack = (room, streamId, kind, newSourceTrack) => {
+  const { streams: { userMedia } } = Skylink.getSkylinkState(room.id);
+  const { stream, trackProcessors: prevPipeline } = userMedia[streamId];
+  const oldTrack = retrieveTrack(stream, kind);
+  const pipelinePromise = prevPipeline
+    ? helpers.runTrackProcessors(newSourceTrack, prevPipeline.processors, streamId) : Promise.resolve(null);
+
+  return pipelinePromise.then((pipeline) => {
+    const newTrack = pipeline ? pipeline.track : newSourceTrack;
+    const stopPipeline = () => {
+      if (pipeline) {
+        helpers.stopTrackProcessors(pipeline);
+      }
+    };
+
+    return helpers.swapLocalTrack(room, streamId, oldTrack, newTrack)
+      .then(() => ({
+        track: newTrack,
+        commit: () => {
+          if (prevPipeline) {
+            const updatedState = Skylink.getSkylinkState(room.id);
+
+            helpers.stopTrackProcessors(prevPipeline, true);
+            updatedState.streams.userMedia[streamId].trackProcessors = pipeline;
+            Skylink.setSkylinkState(updatedState, room.id);
+          } else {
+            oldTrack.stop();
+          }
+        },
+        rollback: () => helpers.swapLocalTrack(room, streamId, newTrack, oldTrack)
+          .catch((error) => {
+            logger.log.ERROR([null, TAGS.MEDIA_STREAM, streamId, MESSAGES.MEDIA_STREAM.ERRORS.SWITCH_INPUT_DEVICE], error);
+          })
+          .then(stopPipeline),
+      }))
+      .catch((error) => {
+        stopPipeline();
+        throw error;
+      });
+  });
+};
+
+const switchTracks = (room, streamId, kinds, newStream) => Promise.all(kinds
+  .map(kind => settle(switchTrack(room, streamId, kind, retrieveTrack(newStream, kind)))))
+  .then((results) => {
+    const failedResult = results.filter(result => result.error)[0];
+
+    if (!failedResult) {
+      results.forEach(({ switched }) => switched.commit());
+      return results.map(({ switched }) => switched.track);
+    }
+
+    return Promise.all(results.filter(result => result.switched).map(({ switched }) => switched.rollback()))
+      .then(() => {
+        throw failedResult.error;
+      });
+  });
+
+const updateStreamState = (room, streamId, kind, deviceId, newTrack) => {
+  const updatedState = Skylink.getSkylinkState(room.id);
+  const {
+    streams: { userMedia }, streamsMediaStatus, peerMedias, user,
+  } = updatedState;
+  const streamObj = userMedia[streamId];
+  const mediaId = PeerMedia.retrieveMediaId(kind, streamId);
+  const mediaStatusKey = kind === TRACK_KIND.AUDIO ? 'audioMuted' : 'videoMuted';
+
+  if (isAObj(streamObj.settings[kind])) {
+    streamObj.settings[kind].deviceId = deviceId;
+  }
+
+  if (streamObj.constraints) {
+    streamObj.constraints[kind] = Object.assign({}, isAObj(streamObj.constraints[kind]) ? streamObj.constraints[kind] : {}, { deviceId: { exact: deviceId } });
+  }
+
+  if (streamsMediaStatus[streamId]) {
+    streamsMediaStatus[streamId][mediaStatusKey] = newTrack.enabled ? MEDIA_STATUS.ACTIVE : MEDIA_STATUS.MUTED;
+  }
+
+  const hasMediaInfo = !!(peerMedias[user.sid] && peerMedias[user.sid][mediaId]);
+
+  Skylink.setSkylinkState(updatedState, room.id);
+
+  if (hasMediaInfo) {
+    PeerMedia.updatePeerMediaInfo(room, user.sid, mediaId, MEDIA_INFO.MEDIA_STATE, newTrack.enabled ? MEDIA_STATE.ACTIVE : MEDIA_STATE.MUTED);
+  }
+};
+
+/**
+ * Function that switches the microphone or camera of a <code>userMedia</code> stream.
+ * The new track is retrieved from the device, routed through the stream track processors if any, and replaces the
+ * stream track for all Peers with <code>RTCRtpSender.replaceTrack</code>, without renegotiating the Peer connections.
+ * When a track fails to be switched for any Peer, all the Peers are switched back to the stream tracks and the new
+ * tracks are stopped.
+ * @param {SkylinkState} roomState
+ * @param {String} streamId - The stream id.
+ * @param {Object} options
+ * @param {String} [options.audioDeviceId] - The device id of the microphone to switch to.
+ * @param {String} [options.videoDeviceId] - The device id of the camera to switch to.
+ * @return {Promise<MediaStream>} The stream with the switched tracks.
+ * @memberOf MediaStreamHelpers
+ */
+const switchInputDevice = (roomState, streamId, options) => new Promise((resolve, reject) => {
+  try {
+    const { navigator } = window;
+    const state = Skylink.getSkylinkState(roomState.room.id);
+    const { room, streams: { userMedia } } = state;
+    const streamObj = userMedia && userMedia[streamId];
+
+    if (!streamObj) {
+      SkylinkError.throwError(MESSAGES.MEDIA_STREAM.ERRORS.INVALID_STREAM_ID, streamId);
+    }
+
+    const kinds = isAObj(options) ? retrieveKindsToSwitch(options) : [];
+
+    if (kinds.length === 0) {
+      SkylinkError.throwError(MESSAGES.MEDIA_STREAM.ERRORS.INVALID_SWITCH_INPUT_DEVICE_OPTIONS);
+    }
+
+    const { stream } = streamObj;
+
+    kinds.forEach((kind) => {
+      if (!retrieveTrack(stream, kind)) {
+        SkylinkError.throwError(MESSAGES.MEDIA_STREAM.ERRORS.NO_TRACK_TO_SWITCH, kind);
+      }
+    });
+
+    navigator.mediaDevices.getUserMedia(buildConstraints(streamObj, kinds, options))
+      .then(newStream => switchTracks(room, streamId, kinds, newStream)
+        .catch((error) => {
+          newStream.getTracks().forEach(track => track.stop());
+          throw error;
+        }))
+      .then((newTracks) => {
+        kinds.forEach((kind, index) => {
+          const deviceId = kind === TRACK_KIND.AUDIO ? options.audioDeviceId : options.videoDeviceId;
+
+          updateStreamState(room, streamId, kind, deviceId, newTracks[index]);
+        });
+
+        logger.log.INFO([null, TAGS.MEDIA_STREAM, streamId, MESSAGES.MEDIA_STREAM.INPUT_DEVICE_SWITCHED], options);
+        resolve(stream);
+      })
+      .catch((error) => {
+        logger.log.ERROR([null, TAGS.MEDIA_STREAM, streamId, MESSAGES.MEDIA_STREAM.ERRORS.SWITCH_INPUT_DEVICE], error);
+        reject(error);
+      });
+  } catch (error) {
+    logger.log.ERROR(error);
+    reject(error);
+  }
+});
+
+export default switchInputDevice;
@@ -0,0 +1,81 @@
+import Skylink from '../../index';
+import helpers from './index';
+import logger from '../../logger';
+import MESSAGES from '../../messages';
+import SkylinkError from '../../utils/skylinkError';
+import { isValidTrackProcessors } from './runTrackProcessors';
+import { TAGS } from '../../constants';
+
+const updatePipelineInState = (room, streamId, pipeline) => {
+  const updatedState = Skylink.getSkylinkState(room.id);
+
+  updatedState.streams.userMedia[streamId].trackProcessors = pipeline;
+  Skylink.setSkylinkState(updatedState, room.id);
+};
+
+/**
+ * Function that updates the track processors of a <code>userMedia</code> stream while it is being sent.
+ * The track retrieved from the device is routed through the updated processors and the processed track replaces the
+ * stream track for all Peers without renegotiating the Peer connections.
+ * @param {SkylinkState} roomState
+ * @param {String} streamId - The stream id.
+ * @param {Function} updateProcessors - The function that returns the updated track processors from the current track processors.
+ * @return {Promise<MediaStream>}
+ * @memberOf MediaStreamHelpers
+ */
+const updateTrackProcessors = (roomState, streamId, updateProcessors) => new Promise((resolve, reject) => {
+  try {
+    const state = Skylink.getSkylinkState(roomState.room.id);
+    const { room, streams: { userMedia } } = state;
+    const streamObj = userMedia && userMedia[streamId];
+
+    if (!streamObj) {
+      SkylinkError.throwError(MESSAGES.MEDIA_STREAM.ERRORS.INVALID_STREAM_ID, streamId);
+    }
+
+    const { stream, trackProcessors: prevPipeline } = streamObj;
+    const processors = updateProcessors(prevPipeline ? prevPipeline.processors : []);
+
+    if (!isValidTrackProcessors(processors)) {
+      SkylinkError.throwError(MESSAGES.MEDIA_STREAM.ERRORS.INVALID_TRACK_PROCESSORS);
+    }
+
+    const currentTrack = stream.getTracks()[0];
+    const sourceTrack = prevPipeline ? prevPipeline.sourceTrack : currentTrack;
+
+    helpers.runTrackProcessors(sourceTrack, processors, streamId)
+      .then((pipeline) => {
+        const swapPromise = pipeline.track === currentTrack ? Promise.resolve()
+          : helpers.swapLocalTrack(room, streamId, currentTrack, pipeline.track);
+
+        return swapPromise
+          .then(() => {
+            if (pipeline.track !== sourceTrack) {
+              // The track retrieved from the device is the processors input and is muted with the processed track instead
+              sourceTrack.enabled = true;
+            }
+
+            if (prevPipeline) {
+              helpers.stopTrackProcessors(prevPipeline);
+            }
+
+            updatePipelineInState(room, streamId, pipeline);
+            logger.log.INFO([null, TAGS.MEDIA_STREAM, streamId, MESSAGES.MEDIA_STREAM.TRACK_PROCESSORS_UPDATED], processors.length);
+            resolve(stream);
+          })
+          .catch((error) => {
+            helpers.stopTrackProcessors(pipeline);
+            throw error;
+          });
+      })
+      .catch((error) => {
+        logger.log.ERROR([null, TAGS.MEDIA_STREAM, streamId, MESSAGES.MEDIA_STREAM.ERRORS.TRACK_PROCESSOR], error);
+        reject(error);
+      });
+  } catch (error) {
+    logger.log.ERROR(error);
+    reject(error);
+  }
+});
+
+export default updateTrackProcessors;
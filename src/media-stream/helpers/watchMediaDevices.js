@@ -0,0 +1,86 @@
+import logger from '../../logger';
+import MESSAGES from '../../messages';
+import { getOutputSources } from './getStreamSources';
+import { mediaDevicesChanged } from '../../skylink-events';
+import { dispatchEvent } from '../../utils/skylinkEventManager';
+import { isAFunction } from '../../utils/helpers';
+import { TAGS } from '../../constants';
+
+let knownDevices = null;
+let isWatching = false;
+
+const getDeviceKey = device => `${device.kind}-${device.deviceId}`;
+
+const formatDevice = device => ({
+  deviceId: device.deviceId || 'default',
+  kind: device.kind,
+  label: device.label || `Source for ${device.deviceId || 'default'}`,
+  groupId: device.groupId || null,
+});
+
+const diffDevices = (prevDevices, devices) => {
+  const prevKeys = prevDevices.map(getDeviceKey);
+  const keys = devices.map(getDeviceKey);
+
+  return {
+    addedDevices: devices.filter(device => prevKeys.indexOf(getDeviceKey(device)) === -1).map(formatDevice),
+    removedDevices: prevDevices.filter(device => keys.indexOf(getDeviceKey(device)) === -1).map(formatDevice),
+  };
+};
+
+const onDeviceChange = () => {
+  const { navigator } = window;
+
+  navigator.mediaDevices.enumerateDevices()
+    .then((devices) => {
+      const prevDevices = knownDevices || [];
+      const { addedDevices, removedDevices } = diffDevices(prevDevices, devices);
+
+      knownDevices = devices;
+
+      if (addedDevices.length === 0 && removedDevices.length === 0) {
+        return;
+      }
+
+      logger.log.INFO([null, TAGS.MEDIA_STREAM, null, MESSAGES.MEDIA_STREAM.MEDIA_DEVICES_CHANGED], { addedDevices, removedDevices });
+
+      dispatchEvent(mediaDevicesChanged({
+        addedDevices,
+        removedDevices,
+        sources: getOutputSources(devices),
+      }));
+    })
+    .catch((error) => {
+      logger.log.WARN([null, TAGS.MEDIA_STREAM, null, MESSAGES.MEDIA_STREAM.ERRORS.ENUMERATE_DEVICES], error);
+    });
+};
+
+/**
+ * Function that listens to the <code>devicechange</code> event of <code>navigator.mediaDevices</code> and dispatches the
+ * <code>mediaDevicesChanged</code> event with the media devices that are plugged in or removed.
+ * The listener is only added once for all Skylink instances.
+ * @memberOf MediaStreamHelpers
+ */
+const watchMediaDevices = () => {
+  const { navigator } = window;
+
+  if (isWatching || !(navigator && navigator.mediaDevices && isAFunction(navigator.mediaDevices.enumerateDevices))) {
+    return;
+  }
+
+  isWatching = true;
+
+  navigator.mediaDevices.enumerateDevices()
+    .then((devices) => {
+      knownDevices = knownDevices || devices;
+    })
+    .catch(() => {});
+
+  if (isAFunction(navigator.mediaDevices.addEventListener)) {
+    navigator.mediaDevices.addEventListener('devicechange', onDeviceChange);
+  } else {
+    navigator.mediaDevices.ondevicechange = onDeviceChange;
+  }
+};
+
+export default watchMediaDevices;
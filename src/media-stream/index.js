@@ -23,12 +23,14 @@ class MediaStream {
     const updatedRoomState = helpers.parseMediaOptions(mediaOptions, state);
     const { audio, video } = mediaOptions;
     const useExactConstraints = !!mediaOptions.useExactConstraints;
+    const { trackProcessors } = mediaOptions;
     Skylink.setSkylinkState(updatedRoomState, room.id);
 
     return helpers.prepMediaAccessRequest({
       useExactConstraints,
       audio,
       video,
+      trackProcessors,
       roomKey: room.id,
     });
   }
@@ -106,6 +108,16 @@ class MediaStream {
     return helpers.muteStreams(roomState, options, streamId);
   }
 
+  /**
+   * Function that unmutes the audio of a userMedia stream only while push to talk is active.
+   * @param {SkylinkState} roomState
+   * @param {String} streamId
+   * @param {boolean} active
+   */
+  static pushToTalk(roomState, streamId, active) {
+    return helpers.pushToTalk(roomState, streamId, active);
+  }
+
   /**
    * Function that sends the MediaStream object if present or mediaStream settings.
    * @param {SkylinkState} roomState
@@ -115,6 +127,57 @@ class MediaStream {
     return helpers.sendStream(roomState, options);
   }
 
+  /**
+   * Function that updates the sending bitrate and framerate of a stream.
+   * @param {SkylinkState} roomState
+   * @param {String} streamId
+   * @param {Object} options
+   * @param {String} [peerId]
+   * @return {Promise<Array<String>>}
+   */
+  static setStreamBandwidth(roomState, streamId, options, peerId) {
+    return helpers.setStreamBandwidth(roomState, streamId, options, peerId);
+  }
+
+  /**
+   * Function that switches the microphone or camera of a userMedia stream without renegotiating.
+   * @param {SkylinkState} roomState
+   * @param {String} streamId
+   * @param {Object} options
+   * @param {String} [options.audioDeviceId]
+   * @param {String} [options.videoDeviceId]
+   * @return {Promise<MediaStream>}
+   */
+  static switchInputDevice(roomState, streamId, options) {
+    return helpers.switchInputDevice(roomState, streamId, options);
+  }
+
+  /**
+   * Function that adds a track processor to a userMedia stream while it is being sent.
+   * @param {SkylinkState} roomState
+   * @param {String} streamId
+   * @param {trackProcessor} processor
+   * @return {Promise<MediaStream>}
+   */
+  static addTrackProcessor(roomState, streamId, processor) {
+    return helpers.updateTrackProcessors(roomState, streamId, processors => processors.concat(processor));
+  }
+
+  /**
+   * Function that removes a track processor from a userMedia stream while it is being sent.
+   * @param {SkylinkState} roomState
+   * @param {String} streamId
+   * @param {trackProcessor} processor
+   * @return {Promise<MediaStream>}
+   */
+  static removeTrackProcessor(roomState, streamId, processor) {
+    return helpers.updateTrackProcessors(roomState, streamId, processors => processors.filter(item => item !== processor));
+  }
+
+  static watchMediaDevices() {
+    return helpers.watchMediaDevices();
+  }
+
   static getStreamSources() {
     return helpers.getStreamSources();
   }
@@ -17,6 +17,10 @@ const MESSAGES = {
   JOIN_ROOM: {
     ERRORS: {
       CODEC_SUPPORT: 'No audio/video codecs available to start connection',
+      ROOM_LOCKED: 'Failed joining the room as the room is locked',
+      REJECTED: 'Failed joining the room as the Signaling server rejected the request',
+      TIMEOUT: 'Failed joining the room as the Signaling server did not respond in time',
+      CHANNEL_CLOSED: 'Failed joining the room as the Signaling server connection closed',
     },
   },
   ROOM: {
@@ -27,6 +31,7 @@ const MESSAGES = {
       NOT_IN_ROOM: 'User is not in room',
       NO_PEERS: 'No peers in room',
     },
+    LOCK_CHANGED: 'Room lock status changed by peer',
     LEAVE_ROOM: {
       ERROR: 'Leave room error -->',
       NO_PEERS: 'No peers in room',
@@ -85,11 +90,20 @@ const MESSAGES = {
     refresh_no_edge_support: 'Edge browser currently does not support renegotiation',
     refresh_not_supported: 'Failed restarting with other agents connecting from other SDKs as re-negotiation is not supported by other SDKs',
     peerId_does_not_exist: 'Peer Id does not exist ->',
+    ICE_RESTART_SCHEDULED: 'Scheduled ICE restart',
+    ICE_RESTART_ATTEMPT: 'Restarting ICE connection',
+    ICE_RESTART_MAX_ATTEMPTS: 'Reached the maximum ICE restart attempts',
+    NETWORK_OFFLINE: 'Network is offline. Pausing ICE restarts',
+    NETWORK_CHANGED: 'Network changed. Restarting ICE connections',
   },
   PEER_PRIVILEGED: {
     not_privileged: 'Please upgrade your key to privileged to use this function',
     no_appkey: 'App key is not defined - Please authenticate again',
     getPeerListFromServer: 'Enquired server for peers within the App space',
+    introducePeer: 'Requested server to introduce the Peers',
+    introducePeer_failed: 'Introduce failed',
+    invalid_introduce_peer_ids: 'The sending and receiving Peer IDs must be different strings',
+    approachPeer: 'Approaching Peer introduced by the privileged Peer',
   },
   ICE_CANDIDATE: {
     CANDIDATE_HANDLER: {
@@ -124,9 +138,109 @@ const MESSAGES = {
     closed: 'Datachannel has closed',
     onclose_error: 'Error in data-channel onclose callback',
     NO_REMOTE_DATA_CHANNEL: 'Remote peer does not have data channel',
+    QUEUED: 'Queued data as Datachannel buffered amount is above high water mark. Queue depth ->',
+    QUEUE_FLUSHED: 'Sent queued data as Datachannel buffered amount is below low water mark. Queue depth ->',
     ERRORS: {
       FAILED_CLOSING: 'Failed closing DataChannels --> ',
       NO_SESSIONS: 'Peer Connection does not have DataChannel sessions',
+      QUEUE_OVERFLOW: 'Failed sending data as Datachannel outbound queue is full',
+      FAILED_SENDING_QUEUED: 'Failed sending queued data',
+      QUEUE_DROPPED: 'Dropping queued data as Datachannel has closed. Dropped queue depth ->',
+      INVALID_MESSAGE_FRAGMENT: 'Dropping invalid P2P message fragment ->',
+      MESSAGE_TOO_LARGE: 'Failed sending P2P message as it exceeds the maximum number of fragments',
+      MESSAGE_REASSEMBLY_TIMEOUT: 'Discarding P2P message as its remaining fragments were not received ->',
+      TOO_MANY_PENDING_MESSAGES: 'Dropping P2P message fragment as too many P2P messages from Peer are being reassembled ->',
+      FAILED_PARSING_MESSAGE: 'Failed parsing reassembled P2P message ->',
+    },
+  },
+  DATA_TRANSFER: {
+    SENDING_WRQ: 'Sending data transfer request to Peer',
+    RECEIVED_WRQ: 'Received data transfer request from Peer',
+    ACCEPTED: 'Accepted data transfer request from Peer',
+    REJECTED: 'Rejected data transfer request from Peer',
+    PEER_REJECTED: 'Peer rejected data transfer request',
+    UPLOAD_STARTED: 'Peer accepted data transfer request. Starting upload',
+    UPLOAD_COMPLETED: 'Data transfer upload to Peer has completed',
+    DOWNLOAD_COMPLETED: 'Data transfer download from Peer has completed',
+    CANCELLED: 'Data transfer has been cancelled',
+    PEER_CANCELLED: 'Peer cancelled data transfer',
+    RECEIVED_CHUNK: 'Received data chunk with size ->',
+    INTERRUPTED: 'Data transfer interrupted as Datachannel has closed. Waiting for Datachannel to be revived',
+    RESUMING: 'Resuming data transfer from last acknowledged data chunk',
+    RESUMED: 'Data transfer has resumed',
+    ERRORS: {
+      INVALID_DATA: 'Data provided is not a Blob or is empty',
+      NO_DATA_CHANNEL: 'User does not have DataChannel enabled',
+      MCU_NOT_SUPPORTED: 'Data transfers are not supported in MCU enabled rooms',
+      NO_PEERS: 'There are no Peers to start data transfer with',
+      WRQ_FAILED: 'Failed sending data transfer request to all Peers',
+      NO_PEER_DATA_CHANNEL: 'Peer does not have a DataChannel connection',
+      TRANSFER_IN_PROGRESS: 'There is an existing data transfer in-progress with Peer',
+      NO_SESSION: 'There is no data transfer session with Peer for transfer id',
+      ALREADY_STARTED: 'Data transfer request has already been responded to',
+      NOT_DOWNLOAD: 'Data transfer is not a download from Peer',
+      INVALID_WRQ: 'Dropping invalid data transfer request ->',
+      DUPLICATE_WRQ: 'Dropping data transfer request as a data transfer with the same transfer id exists ->',
+      INVALID_ACK: 'Dropping ACK for data transfer that is not an upload to Peer ->',
+      DUPLICATE_CHUNK: 'Dropping data chunk as it has already been received',
+      DISCARDED_CHUNK: 'Discarded data chunk without session ->',
+      FAILED_READING_CHUNK: 'Failed reading data chunk',
+      FAILED_SENDING_CHUNK: 'Failed sending data chunk',
+      TIMEOUT: 'Data transfer timed out waiting for response from Peer',
+      PEER_ERROR: 'Peer terminated data transfer with error',
+      CLOSED: 'Data transfer terminated as Datachannel has closed',
+      RESUME_NOT_FOUND: 'Unable to resume data transfer as data transfer session is not present',
+    },
+  },
+  DATA_STREAM: {
+    STARTING: 'Starting data streaming session with Peer',
+    STARTED: 'Data streaming session has started',
+    RECEIVING_STARTED: 'Received data streaming session from Peer',
+    STOPPED: 'Data streaming session has stopped',
+    CHUNK_QUEUED: 'Queueing data streaming chunk as Datachannel buffer is full ->',
+    ERRORS: {
+      NO_STREAM: 'There is no data streaming session for stream id',
+      NOT_SENDER: 'Data streaming session was not started by User',
+      INVALID_CHUNK: 'Data streaming chunk type does not match the data streaming session',
+      CHUNK_TOO_LARGE: 'Data streaming chunk exceeds the maximum size of',
+      FAILED_SENDING_CHUNK: 'Failed sending data streaming chunk',
+      FAILED_CREATING_CHANNEL: 'Failed creating Datachannel for data streaming session',
+      INVALID_CHANNEL: 'Dropping data streaming request as it was not received on a data streaming Datachannel ->',
+      DUPLICATE_STREAM: 'Dropping data streaming request as a data streaming session with the same stream id exists ->',
+    },
+  },
+  PEER_METHOD: {
+    REGISTERED: 'Registered peer method',
+    UNREGISTERED: 'Unregistered peer method',
+    CALLING: 'Calling peer method ->',
+    RECEIVED_CALL: 'Received peer method call ->',
+    RECEIVED_RESPONSE: 'Received peer method call response ->',
+    ERRORS: {
+      INVALID_METHOD: 'Peer method name must be a non-empty string',
+      INVALID_HANDLER: 'Peer method handler must be a function',
+      INVALID_PEER: 'Peer method call target must be a Peer id',
+      NOT_IN_ROOM: 'Unable to call peer method as User is not in Room',
+      NO_DATA_CHANNEL: 'Unable to call peer method as there is no Datachannel connection with Peer',
+      METHOD_NOT_FOUND: 'Peer method is not registered by Peer',
+      TIMEOUT: 'Peer method call timed out waiting for response',
+      PEER_LEFT: 'Peer method call failed as Peer left the Room',
+      FAILED_SENDING: 'Failed sending peer method call',
+      FAILED_SENDING_RESPONSE: 'Failed sending peer method call response',
+      UNKNOWN_CALL: 'Dropping peer method call response as there is no pending call ->',
+    },
+  },
+  MODERATION: {
+    SENDING_COMMAND: 'Sending moderation command ->',
+    RECEIVED_COMMAND: 'Received moderation command ->',
+    RECEIVED_RESPONSE: 'Received moderation command response ->',
+    COMMAND_NOT_ACCEPTED: 'Moderation command not accepted by the application ->',
+    ERRORS: {
+      INVALID_PEER: 'Moderation command target must be the Peer id of another Peer',
+      INVALID_COMMAND: 'Dropping unknown moderation command ->',
+      NOT_PRIVILEGED: 'Dropping moderation command as the Signaling server did not vouch for the privileged Peer ->',
+      NOT_IN_ROOM: 'Unable to send moderation command as User is not in Room',
+      TIMEOUT: 'Moderation command timed out waiting for response',
+      UNKNOWN_COMMAND: 'Dropping moderation command response as there is no pending command ->',
     },
   },
   NEGOTIATION_PROGRESS: {
@@ -153,6 +267,17 @@ const MESSAGES = {
     DROPPING_MUTE_EVENT: 'Dropping mute audio / video event message as it is processed by mediaInfoEvent',
     BUFFER_NOT_NEEDED: 'Enter message sent. Messages do not need to be buffered',
     ABORTING_OFFER: 'Aborting offer as current negotiation has not completed',
+    MESSAGE_ADDED_TO_GROUP: 'Message queued to be sent in a group message',
+    GROUP_MESSAGE_SENT: 'Group message sent',
+    DROPPING_GROUP_MESSAGE: 'Dropping queued group messages as User has left the room',
+    DROPPING_GROUPED_MESSAGE: 'Dropping bundled message of group message that cannot be parsed',
+    DROPPING_UNGROUPABLE_MESSAGE: 'Dropping bundled message of group message as its type cannot be sent in a group message',
+    MESSAGE_THROTTLED: 'Message queued as the signaling rate limit is reached',
+    SUPERSEDED_MESSAGE_REPLACED: 'Replacing queued message that is superseded by the new message',
+    THROTTLED_MESSAGES_SENT: 'Queued messages sent',
+    DROPPING_THROTTLED_MESSAGES: 'Dropping queued messages as the socket connection has closed',
+    DROPPING_HELD_MESSAGES: 'Dropping queued messages as the room session was not recovered',
+    DROPPING_HELD_NEGOTIATION_MESSAGES: 'Dropping queued negotiation messages as the room session has been recovered',
   },
   MESSAGING: {
     PRIVATE_MESSAGE: 'Sending private message to Peer',
@@ -172,6 +297,8 @@ const MESSAGES = {
     },
     ENCRYPTION: {
       SEND_MESSAGE: 'Sending encrypted message',
+      SEND_P2P_MESSAGE: 'Sending encrypted P2P message',
+      P2P_MESSAGE_ENCRYPTION: 'P2P message encryption set to ->',
       DELETE_ALL: 'Deleting all stored secrets',
       ERRORS: {
         FAILED_DECRYPTING_MESSAGE: 'Failed decrypting message',
@@ -187,6 +314,11 @@ const MESSAGES = {
         SECRET_ID_NOT_SELECTED: 'Secret id not selected',
         SECRET_ID_NOT_PROVIDED: 'Secret id not provided',
         SECRETS_NOT_PROVIDED: 'Secrets not provided',
+        NO_WEB_CRYPTO: 'WebCrypto is not available to encrypt messages. Encrypted messaging requires a secure context',
+        INTEGRITY_FAILURE: 'Message failed integrity check. It may have been tampered with or encrypted with a different secret',
+        INVALID_CIPHER: 'Message is not in a valid cipher format',
+        INVALID_P2P_MESSAGE_ENCRYPTION: 'P2P message encryption flag must be a boolean',
+        UNENCRYPTED_P2P_MESSAGE: 'Dropping unencrypted P2P message as P2P message encryption is enabled',
       },
     },
     ERRORS: {
@@ -212,6 +344,42 @@ const MESSAGES = {
     AUDIO_STATE_CHANGE: 'Peers\'s audio state changed to ->',
     VIDEO_SCREEN_STATE_CHANGE: 'Peers\'s video screen state changed to ->',
   },
+  SIMULCAST: {
+    SENDING_LAYERS: 'Sending video track with simulcast layers',
+    SET_RECEIVE_QUALITY: 'Requesting simulcast layer for media',
+    ERRORS: {
+      NOT_SUPPORTED: 'Simulcast is not supported by the browser. Sending a single video encoding',
+      MCU_ONLY: 'Simulcast is only supported in rooms with MCU. Sending a single video encoding',
+      SET_RECEIVE_QUALITY_MCU_ONLY: 'Receive quality can only be set in rooms with MCU',
+      NO_SIMULCAST_MEDIA: 'There is no simulcast media for the mediaId',
+      INVALID_LAYER: 'Invalid simulcast layer',
+    },
+  },
+  SESSION_RECOVERY: {
+    STARTED: 'Socket connection lost. Recovering room session',
+    REJOINING: 'Socket connection re-opened. Rejoining room with previous peer id',
+    PEER_ID_CHANGED: 'Signaling server assigned a new peer id. Re-establishing all peer connections',
+    PEER_KEPT: 'Peer connection is still connected. Keeping peer connection',
+    PEER_RESTARTED: 'Peer connection is not connected. Restarting peer connection',
+    PEER_REMOVED: 'Removing peer that has not responded',
+    COMPLETED: 'Recovered room session',
+    ABORTED: 'Socket connection cannot be re-opened. Aborting room session recovery',
+    ERRORS: {
+      RESTART_PEER: 'Error restarting peer connection',
+    },
+  },
+  AUDIO_OUTPUT: {
+    STREAM_ATTACHED: 'Attached stream to media element',
+    AUDIO_OUTPUT_SET: 'Set audio output device',
+    SINK_ID_SET: 'Set audio output device of media element',
+    ERRORS: {
+      SET_SINK_ID_NOT_SUPPORTED: 'HTMLMediaElement.setSinkId is not supported. Unable to set audio output device',
+      SET_SINK_ID: 'Error setting audio output device of media element',
+      INVALID_DEVICE_ID: 'Audio output device id is not a string',
+      INVALID_ELEMENT: 'Element is not a media element',
+      NO_STREAM: 'No local or remote stream detected with stream id',
+    },
+  },
   MEDIA_STREAM: {
     STOP_SETTINGS: 'Stopped streams with settings:',
     STOP_SUCCESS: 'Successfully stopped and removed stream from state',
@@ -226,6 +394,14 @@ const MESSAGES = {
     UPDATE_MEDIA_STATUS: 'Updated stream media status',
     AUDIO_MUTED: 'Peers\'s audio muted: ',
     VIDEO_MUTED: 'Peers\'s video muted: ',
+    STREAM_BANDWIDTH_UPDATED: 'Updated stream sending bandwidth',
+    STREAM_BANDWIDTH_RENEGOTIATE: 'RTCRtpSender.setParameters is not supported. Renegotiating to update stream sending bandwidth',
+    MEDIA_DEVICES_CHANGED: 'Media devices changed',
+    INPUT_DEVICE_SWITCHED: 'Switched stream input device',
+    TRACK_PROCESSORS_APPLIED: 'Routed stream tracks through track processors',
+    TRACK_PROCESSORS_UPDATED: 'Updated stream track processors',
+    SPEAKING_WHILE_MUTED: 'Speaking while stream audio is muted',
+    PUSH_TO_TALK: 'Push to talk state changed',
     ERRORS: {
       STOP_SCREEN: 'Error stopping screen share stream',
       START_SCREEN: 'Error starting screen share stream',
@@ -251,15 +427,35 @@ const MESSAGES = {
       SEND_STREAM: 'Error sending stream',
       INVALID_MEDIA_STREAM_ARRAY: 'Array is not of type MediaStream',
       ACTIVE_STREAMS: 'There are currently active streams being sent to remote peers. Please stop streams.',
+      INVALID_STREAM_BANDWIDTH_OPTIONS: 'Invalid setStreamBandwidth options provided',
+      SET_PARAMETERS_NOT_SUPPORTED: 'Framerate and resolution cannot be updated without RTCRtpSender.setParameters support',
+      SET_STREAM_BANDWIDTH: 'Error updating stream sending bandwidth',
+      INVALID_SWITCH_INPUT_DEVICE_OPTIONS: 'Invalid switchInputDevice options provided',
+      NO_TRACK_TO_SWITCH: 'No track in stream to switch input device for',
+      SWITCH_INPUT_DEVICE: 'Error switching stream input device',
+      ENUMERATE_DEVICES: 'Error retrieving media devices',
+      INVALID_TRACK_PROCESSORS: 'Invalid track processors provided. Each track processor must have a process function',
+      INVALID_PROCESSED_TRACK: 'Track processor did not return a track of the same kind',
+      TRACK_PROCESSOR: 'Error processing track with track processors',
+      STOP_TRACK_PROCESSOR: 'Error stopping track processor',
+      NO_AUDIO_TRACK: 'No audio track in stream',
+      SPEAKING_WHILE_MUTED_NOT_SUPPORTED: 'Web Audio is not supported. Unable to detect speaking while muted',
     },
   },
   STATS_MODULE: {
     NOT_INITIATED: 'Stats Module is not initiated',
     STATS_DISCARDED: 'Stats report discarded as peer has left the room',
+    QUALITY_MONITOR_STARTED: 'Started monitoring peer connection quality',
+    QUALITY_MONITOR_STOPPED: 'Stopped monitoring peer connection quality',
+    PEER_QUALITY_CHANGED: 'Peer connection quality changed',
+    ACTIVE_SPEAKER_STARTED: 'Started active speaker detection',
+    ACTIVE_SPEAKER_STOPPED: 'Stopped active speaker detection',
+    ACTIVE_SPEAKER_CHANGED: 'Active speaker changed',
     ERRORS: {
       RETRIEVE_STATS_FAILED: 'Failed retrieving stats',
       POST_FAILED: 'Failed posting to stats api',
       PARSE_FAILED: 'Failed parsing stats report',
+      AUDIO_ANALYSER_NOT_SUPPORTED: 'Web Audio is not supported. Unable to sample remote stream audio levels',
       STATS_IS_NULL: 'Stats object is null',
     },
     HANDLE_ICE_GATHERING_STATS: {
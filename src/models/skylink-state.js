@@ -40,6 +40,34 @@ class SkylinkState {
      * @private
      */
     this.dataStreams = {};
+    /**
+     * Stores the list of fragmented P2P messages being reassembled from Peers.
+     * @name messageFragments
+     * @property {JSON} #senderPeerId The P2P messages being reassembled from the Peer.
+     * @property {JSON} #senderPeerId.#messageId The received fragments of the P2P message.
+     * @type JSON
+     * @since 2.0.0
+     * @private
+     */
+    this.messageFragments = {};
+    /**
+     * Stores the list of remote method calls to Peers that are waiting for a response.
+     * @name peerMethodCalls
+     * @property {JSON} #callId The remote method call.
+     * @type JSON
+     * @since 2.0.0
+     * @private
+     */
+    this.peerMethodCalls = {};
+    /**
+     * Stores the list of moderation commands sent to Peers that are waiting for a response.
+     * @name moderationCommands
+     * @property {JSON} #commandId The moderation command.
+     * @type JSON
+     * @since 2.0.0
+     * @private
+     */
+    this.moderationCommands = {};
     /**
      * Stores the list of buffered ICE candidates that is received before
      *   remote session description is received and set.
@@ -644,6 +672,21 @@ class SkylinkState {
      * @since 2.0.0
      */
     this.remoteStreams = {};
+    /**
+     * Stores the audio output device selection and the media elements that it is applied to.
+     * @name audioOutput
+     * @property {String} deviceId The audio output device id for all Peers.
+     * @property {JSON} peerDeviceIds The audio output device id for each Peer.
+     * @property {JSON} elements The media elements attached with <code>attachStream</code> by stream id.
+     * @type Object
+     * @private
+     * @since 2.0.0
+     */
+    this.audioOutput = {
+      deviceId: null,
+      peerDeviceIds: {},
+      elements: {},
+    };
     /**
      * Stores the flag if messages should be persisted. Value determined by the hasPersistentMessage value returned from the API.
      * This feature is enabled in the Temasys Developer Console by toggling the Persistent Message feature at the key level.
@@ -0,0 +1,257 @@
+import PeerConnection from '../index';
+import Skylink from '../../index';
+import logger from '../../logger';
+import MESSAGES from '../../messages';
+import { dispatchEvent } from '../../utils/skylinkEventManager';
+import { activeSpeakerChanged, audioLevel } from '../../skylink-events';
+import { computeAudioLevel, hasAudioTrack } from '../../utils/helpers';
+import {
+  ACTIVE_SPEAKER_DETECTION, ACTIVE_SPEAKER_SOURCE, PEER_CONNECTION_STATE, TAGS,
+} from '../../constants';
+
+const instance = {};
+
+const getActiveSpeakerOptions = () => {
+  const { activeSpeaker } = Skylink.getInitOptions() || {};
+
+  return Object.assign({
+    enabled: false,
+    source: ACTIVE_SPEAKER_SOURCE.STATS,
+    interval: ACTIVE_SPEAKER_DETECTION.INTERVAL,
+    speakingThreshold: ACTIVE_SPEAKER_DETECTION.SPEAKING_THRESHOLD,
+    silenceThreshold: ACTIVE_SPEAKER_DETECTION.SILENCE_THRESHOLD,
+    switchDelay: ACTIVE_SPEAKER_DETECTION.SWITCH_DELAY,
+  }, activeSpeaker);
+};
+
+/**
+ * @classdesc This class is used to sample the audio levels of the Peers in a room and detect the active speaker.
+ * @class
+ * @private
+ */
+class ActiveSpeakerDetector {
+  constructor(params) {
+    const { state } = params;
+
+    if (instance[state.room.id]) {
+      return instance[state.room.id];
+    }
+
+    this.room = state.room;
+    this.detectionInterval = null;
+    this.peers = {};
+    this.activeSpeaker = null;
+    this.candidate = null;
+    this.candidateSince = null;
+    this.audioContext = null;
+    this.analysers = {};
+
+    instance[this.room.id] = this;
+  }
+
+  static isEnabled() {
+    return !!getActiveSpeakerOptions().enabled;
+  }
+
+  startDetection() {
+    if (this.detectionInterval) {
+      return;
+    }
+
+    logger.log.DEBUG([null, TAGS.STATS_MODULE, this.room.roomName, MESSAGES.STATS_MODULE.ACTIVE_SPEAKER_STARTED]);
+
+    this.detectionInterval = setInterval(() => {
+      const state = Skylink.getSkylinkState(this.room.id);
+
+      if (!state) {
+        this.stopDetection();
+        return;
+      }
+
+      this.sampleAudioLevels(state)
+        .then((audioLevels) => {
+          if (this.detectionInterval) {
+            this.processAudioLevels(audioLevels);
+          }
+        })
+        .catch(() => {});
+    }, getActiveSpeakerOptions().interval);
+  }
+
+  stopDetection() {
+    clearInterval(this.detectionInterval);
+    this.detectionInterval = null;
+
+    Object.keys(this.analysers).forEach(streamId => this.removeAnalyser(streamId));
+
+    if (this.audioContext) {
+      this.audioContext.close().catch(() => {});
+      this.audioContext = null;
+    }
+
+    delete instance[this.room.id];
+
+    logger.log.DEBUG([null, TAGS.STATS_MODULE, this.room.roomName, MESSAGES.STATS_MODULE.ACTIVE_SPEAKER_STOPPED]);
+  }
+
+  sampleAudioLevels(state) {
+    // The MCU Peer connection stats cannot be attributed to each Peer
+    if (getActiveSpeakerOptions().source === ACTIVE_SPEAKER_SOURCE.STATS && !state.hasMCU) {
+      return this.sampleStatsAudioLevels(state);
+    }
+
+    return Promise.resolve(this.sampleAnalyserAudioLevels(state));
+  }
+
+  sampleStatsAudioLevels(state) {
+    const { peerConnections } = state;
+    const peerIds = Object.keys(peerConnections)
+      .filter(peerId => peerConnections[peerId].signalingState !== PEER_CONNECTION_STATE.CLOSED);
+
+    return Promise.all(peerIds.map(peerId => PeerConnection.retrieveInternalStatistics(this.room.id, peerId)
+      .then(stats => (stats ? stats.audio.receiving.audioLevel : null))
+      .catch(() => null)))
+      .then((levels) => {
+        const audioLevels = {};
+
+        peerIds.forEach((peerId, index) => {
+          if (typeof levels[index] === 'number') {
+            audioLevels[peerId] = levels[index];
+          }
+        });
+
+        return audioLevels;
+      });
+  }
+
+  sampleAnalyserAudioLevels(state) {
+    const { remoteStreams } = state;
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    const audioLevels = {};
+    const streamIds = [];
+
+    if (!AudioContext) {
+      logger.log.WARN([null, TAGS.STATS_MODULE, this.room.roomName, MESSAGES.STATS_MODULE.ERRORS.AUDIO_ANALYSER_NOT_SUPPORTED]);
+      this.stopDetection();
+      return audioLevels;
+    }
+
+    if (!this.audioContext) {
+      this.audioContext = new AudioContext();
+    }
+
+    if (this.audioContext.state === 'suspended') {
+      this.audioContext.resume().catch(() => {});
+    }
+
+    Object.keys(remoteStreams).forEach((peerId) => {
+      Object.keys(remoteStreams[peerId]).forEach((streamId) => {
+        const stream = remoteStreams[peerId][streamId];
+
+        if (!hasAudioTrack(stream)) {
+          return;
+        }
+
+        if (!this.analysers[streamId]) {
+          this.analysers[streamId] = this.createAnalyser(stream);
+        }
+
+        const { analyser, samples } = this.analysers[streamId];
+
+        streamIds.push(streamId);
+        audioLevels[peerId] = Math.max(audioLevels[peerId] || 0, computeAudioLevel(analyser, samples));
+      });
+    });
+
+    Object.keys(this.analysers).forEach((streamId) => {
+      if (streamIds.indexOf(streamId) === -1) {
+        this.removeAnalyser(streamId);
+      }
+    });
+
+    return audioLevels;
+  }
+
+  createAnalyser(stream) {
+    const source = this.audioContext.createMediaStreamSource(stream);
+    const analyser = this.audioContext.createAnalyser();
+
+    analyser.fftSize = 512;
+    source.connect(analyser);
+
+    return { source, analyser, samples: new Uint8Array(analyser.fftSize) };
+  }
+
+  removeAnalyser(streamId) {
+    this.analysers[streamId].source.disconnect();
+    delete this.analysers[streamId];
+  }
+
+  processAudioLevels(audioLevels) {
+    const { speakingThreshold, silenceThreshold, switchDelay } = getActiveSpeakerOptions();
+    const now = Date.now();
+
+    Object.keys(this.peers).forEach((peerId) => {
+      if (typeof audioLevels[peerId] !== 'number') {
+        delete this.peers[peerId];
+      }
+    });
+
+    Object.keys(audioLevels).forEach((peerId) => {
+      const peer = this.peers[peerId] || { isSpeaking: false };
+
+      // Hysteresis so that the speaking status does not flap around a single threshold
+      peer.audioLevel = audioLevels[peerId];
+      peer.isSpeaking = peer.audioLevel >= (peer.isSpeaking ? silenceThreshold : speakingThreshold);
+      this.peers[peerId] = peer;
+
+      dispatchEvent(audioLevel({
+        room: this.room,
+        peerId,
+        audioLevel: peer.audioLevel,
+        isSpeaking: peer.isSpeaking,
+      }));
+    });
+
+    if (this.activeSpeaker && !this.peers[this.activeSpeaker]) {
+      this.setActiveSpeaker(null);
+    }
+
+    const loudestPeerId = Object.keys(this.peers)
+      .filter(peerId => this.peers[peerId].isSpeaking)
+      .sort((peerIdA, peerIdB) => this.peers[peerIdB].audioLevel - this.peers[peerIdA].audioLevel)[0] || null;
+
+    if (!loudestPeerId || loudestPeerId === this.activeSpeaker) {
+      this.candidate = null;
+      return;
+    }
+
+    if (this.candidate !== loudestPeerId) {
+      this.candidate = loudestPeerId;
+      this.candidateSince = now;
+    }
+
+    if (now - this.candidateSince >= switchDelay) {
+      this.candidate = null;
+      this.setActiveSpeaker(loudestPeerId);
+    }
+  }
+
+  setActiveSpeaker(peerId) {
+    const previousPeerId = this.activeSpeaker;
+    const level = peerId ? this.peers[peerId].audioLevel : 0;
+
+    this.activeSpeaker = peerId;
+
+    logger.log.DEBUG([peerId, TAGS.STATS_MODULE, this.room.roomName, MESSAGES.STATS_MODULE.ACTIVE_SPEAKER_CHANGED], { previousPeerId, audioLevel: level });
+
+    dispatchEvent(activeSpeakerChanged({
+      room: this.room,
+      peerId,
+      previousPeerId,
+      audioLevel: level,
+    }));
+  }
+}
+
+export default ActiveSpeakerDetector;
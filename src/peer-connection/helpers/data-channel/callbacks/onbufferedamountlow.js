@@ -4,11 +4,13 @@ import { onDataChannelStateChanged } from '../../../../skylink-events';
 import PeerConnection from '../../../index';
 import { DATA_CHANNEL_STATE } from '../../../../skylink-events/constants';
 import Skylink from '../../../../index';
+import DataStream from '../../../../features/data-stream';
 
 /**
  *
  * @param {Object} params
  * @fires onDataChannelStateChanged
+ * @fires dataStreamState
  * @memberOf PeerConnection.PeerConnectionHelpers.CreateDataChannelCallbacks
  */
 const onbufferedamountlow = (params) => {
@@ -33,6 +35,14 @@ const onbufferedamountlow = (params) => {
     channelType,
     bufferAmount: PeerConnection.getDataChannelBuffer(dataChannel),
   }));
+
+  PeerConnection.flushDataChannelQueue(state, peerId, channelProp);
+
+  const targetDataChannel = state.dataChannels[peerId] && state.dataChannels[peerId][channelProp];
+
+  if (targetDataChannel && targetDataChannel.streamId) {
+    DataStream.flushDataStream(state, targetDataChannel.streamId, peerId);
+  }
 };
 
 export default onbufferedamountlow;
@@ -2,29 +2,41 @@ import logger from '../../../../logger';
 import { dispatchEvent } from '../../../../utils/skylinkEventManager';
 import { dataTransferState, onDataChannelStateChanged } from '../../../../skylink-events';
 import {
-  DATA_CHANNEL_STATE, DATA_CHANNEL_TYPE, PEER_CONNECTION_STATE, HANDSHAKE_PROGRESS,
+  DATA_CHANNEL_STATE, DATA_CHANNEL_TYPE, DATA_TRANSFER_STATE, PEER_CONNECTION_STATE, HANDSHAKE_PROGRESS,
 } from '../../../../constants';
 import Skylink from '../../../../index';
 import messages from '../../../../messages';
 import HandleDataChannelStats from '../../../../skylink-stats/handleDataChannelStats';
 import PeerConnection from '../../../index';
+import DataTransfer from '../../../../features/data-transfer';
+import DataStream from '../../../../features/data-stream';
+import dropDataChannelQueue from '../dropDataChannelQueue';
 
 const getTransferIDByPeerId = (pid, state) => {
   const { dataTransfers } = state;
   const transferIds = Object.keys(dataTransfers);
 
   for (let i = 0; i < transferIds.length; i += 1) {
-    if (transferIds[i].indexOf(pid) !== -1) {
+    if (dataTransfers[transferIds[i]].sessions[pid]) {
       return transferIds[i];
     }
   }
   return null;
 };
 
+// The Datachannel closing may be a replaced one, in which case the data transfer has already moved on
+const isTransferChannel = (state, transferId, peerId, dataChannel) => {
+  const { channelProp } = state.dataTransfers[transferId].sessions[peerId];
+  const currentDataChannel = state.dataChannels[peerId] && state.dataChannels[peerId][channelProp];
+  return !currentDataChannel || currentDataChannel.channel === dataChannel;
+};
+
 /**
  * @param {Object} params
  * @fires onDataChannelStateChanged
  * @fires dataTransferState
+ * @fires dataStreamState
+ * @fires onIncomingDataStreamStopped
  * @memberOf PeerConnection.PeerConnectionHelpers.CreateDataChannelCallbacks
  */
 const onclose = (params) => {
@@ -60,15 +72,33 @@ const onclose = (params) => {
       bufferAmount: PeerConnection.getDataChannelBuffer(dataChannel),
     }));
 
+    if (state.dataChannels[peerId] && state.dataChannels[peerId][channelProp]
+      && state.dataChannels[peerId][channelProp].channel === dataChannel) {
+      dropDataChannelQueue(state, peerId, channelProp);
+    }
+
     // ESS-983 Handling dataChannel unexpected close to trigger dataTransferState Error.
-    if (transferId) {
-      dispatchEvent(dataTransferState({
-        state: DATA_CHANNEL_STATE.ERROR,
-        transferId,
-        peerId,
-        transferInfo: null, // TODO: implement self._getTransferInfo(transferId, peerId, true, false, false) data-transfer
-        error: new Error(DATA_CHANNEL.closed),
-      }));
+    // The data transfer is kept to be resumed instead when the Datachannel can still be revived.
+    if (transferId && isTransferChannel(state, transferId, peerId, dataChannel)) {
+      if (peerConnections[peerId] && peerConnections[peerId].signalingState !== PEER_CONNECTION_STATE.CLOSED) {
+        DataTransfer.interruptDataTransfer(state, transferId, peerId);
+      } else {
+        dispatchEvent(dataTransferState({
+          state: DATA_TRANSFER_STATE.ERROR,
+          transferId,
+          peerId,
+          transferInfo: DataTransfer.getTransferInfo(state, transferId, peerId, false),
+          error: {
+            message: new Error(messages.DATA_TRANSFER.ERRORS.CLOSED),
+            transferType: state.dataTransfers[transferId].direction,
+          },
+        }));
+        DataTransfer.clearDataTransferSession(state, transferId, peerId);
+      }
+    }
+
+    if (channelType === DATA_CHANNEL_TYPE.DATA) {
+      DataStream.onDataStreamChannelClose(state, peerId, channelProp);
     }
 
     if (peerConnections[peerId] && peerConnections[peerId].remoteDescription
@@ -86,14 +116,15 @@ const onclose = (params) => {
             && peerConnections[peerId].localDescription.type === HANDSHAKE_PROGRESS.OFFER)) {
           logger.log.DEBUG([peerId, 'RTCDataChannel', channelProp, DATA_CHANNEL.reviving_dataChannel]);
 
+          // A closed Datachannel cannot be re-opened, so a new one is created with the same label
           PeerConnection.createDataChannel({
             peerId,
-            dataChannel,
-            bufferThreshold: PeerConnection.getDataChannelBuffer(dataChannel),
+            dataChannel: dataChannel.label,
+            bufferThreshold: PeerConnection.getDataChannelBuffer(dataChannel).bufferedAmountLowThreshold,
             createAsMessagingChannel: true,
             roomState: state,
           });
-          handleDataChannelStats.send(STATS_MODULE.HANDLE_DATA_CHANNEL_STATS.reconnecting, peerId, { label: channelName }, 'main');
+          handleDataChannelStats.send(room.id, STATS_MODULE.HANDLE_DATA_CHANNEL_STATS.reconnecting, peerId, { label: channelName }, 'main');
         }
       }, 100);
     }
@@ -5,10 +5,15 @@ import { DATA_CHANNEL_STATE } from '../../../../constants';
 import messages from '../../../../messages';
 import PeerConnection from '../../../index';
 import HandleDataChannelStats from '../../../../skylink-stats/handleDataChannelStats';
+import DataTransfer from '../../../../features/data-transfer';
+import DataStream from '../../../../features/data-stream';
+import getDataChannelQueueOptions from '../getDataChannelQueueOptions';
 
 /**
  * @param {Object} params
  * @fires onDataChannelStateChanged
+ * @fires dataTransferState
+ * @fires dataStreamState
  * @memberOf PeerConnection.PeerConnectionHelpers.CreateDataChannelCallbacks
  */
 const onopen = (params) => {
@@ -26,7 +31,7 @@ const onopen = (params) => {
   const { STATS_MODULE } = messages;
 
   logger.log.DEBUG([peerId, 'RTCDataChannel', channelProp, 'Datachannel has opened']);
-  dataChannel.bufferedAmountLowThreshold = bufferThreshold || 0;
+  dataChannel.bufferedAmountLowThreshold = bufferThreshold || getDataChannelQueueOptions().lowWaterMark;
   handleDataChannelStats.send(room.id, STATS_MODULE.HANDLE_DATA_CHANNEL_STATS.closed, peerId, dataChannel, channelProp);
   dispatchEvent(onDataChannelStateChanged({
     state: DATA_CHANNEL_STATE.OPEN,
@@ -35,6 +40,12 @@ const onopen = (params) => {
     channelType,
     bufferAmount: PeerConnection.getDataChannelBuffer(dataChannel),
   }));
+
+  if (channelProp === 'main') {
+    DataTransfer.resumeDataTransfers(roomState, peerId);
+  } else {
+    DataStream.startDataStreamSession(roomState, peerId, channelProp);
+  }
 };
 
 export default onopen;
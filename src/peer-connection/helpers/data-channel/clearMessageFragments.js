@@ -0,0 +1,32 @@
+import Skylink from '../../../index';
+
+/**
+ * Function that discards the fragments of the P2P messages being reassembled when Peer or User leaves the Room,
+ * instead of waiting for them to time out.
+ * @param {SkylinkState} roomState
+ * @param {String} [peerId] - The Peer id. Discards the fragments from all Peers when not provided.
+ * @memberOf PeerConnection.PeerConnectionHelpers
+ */
+const clearMessageFragments = (roomState, peerId) => {
+  const state = Skylink.getSkylinkState(roomState.room.id);
+
+  if (!state) {
+    return;
+  }
+
+  const peerIds = peerId ? [peerId] : Object.keys(state.messageFragments);
+
+  peerIds.filter(fragmentsPeerId => state.messageFragments[fragmentsPeerId]).forEach((fragmentsPeerId) => {
+    const peerMessages = state.messageFragments[fragmentsPeerId];
+
+    Object.keys(peerMessages).forEach((messageId) => {
+      clearTimeout(peerMessages[messageId].timer);
+    });
+
+    delete state.messageFragments[fragmentsPeerId];
+  });
+
+  Skylink.setSkylinkState(state, state.room.id);
+};
+
+export default clearMessageFragments;
@@ -6,13 +6,14 @@ import logger from '../../../logger';
 import PeerConnection from '../../index';
 import { dispatchEvent } from '../../../utils/skylinkEventManager';
 import Skylink from '../../../index';
+import dropDataChannelQueue from './dropDataChannelQueue';
 
 const closeFn = (roomState, peerId, channelNameProp) => {
   const { dataChannels } = roomState;
   const targetDataChannel = dataChannels[peerId][channelNameProp];
-  const { channelName, channelType } = targetDataChannel.channelName;
+  const { channelName, channelType } = targetDataChannel;
 
-  if (targetDataChannel.readyState !== DATA_CHANNEL_STATE.CLOSED) {
+  if (targetDataChannel.channel.readyState !== DATA_CHANNEL_STATE.CLOSED) {
     const { room } = roomState;
     const handleDataChannelStats = new HandleDataChannelStats();
     logger.log.DEBUG([peerId, TAGS.DATA_CHANNEL, channelNameProp, MESSAGES.DATA_CHANNEL.CLOSING]);
@@ -30,6 +31,7 @@ const closeFn = (roomState, peerId, channelNameProp) => {
 
     targetDataChannel.channel.close();
 
+    dropDataChannelQueue(roomState, peerId, channelNameProp);
     delete dataChannels[peerId][channelNameProp];
   }
 };
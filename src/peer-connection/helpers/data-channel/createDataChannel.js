@@ -6,6 +6,7 @@ import { onDataChannelStateChanged } from '../../../skylink-events/datachannel-e
 import PeerConnection from '../..';
 import { dispatchEvent } from '../../../utils/skylinkEventManager';
 import HandleDataChannelStats from '../../../skylink-stats/handleDataChannelStats';
+import dropDataChannelQueue from './dropDataChannelQueue';
 
 /* eslint-disable prefer-const */
 /**
@@ -47,6 +48,10 @@ const createDataChannel = (params) => {
     dataChannel = null;
   }
 
+  if (channelType === DATA_CHANNEL_TYPE.DATA) {
+    channelProp = channelName;
+  }
+
   if (!dataChannels[peerId]) {
     channelProp = 'main';
     channelType = DATA_CHANNEL_TYPE.MESSAGING;
@@ -99,12 +104,14 @@ const createDataChannel = (params) => {
   dataChannel.onclose = callbacks.onclose.bind(dataChannel, callbackExtraParams);
 
   const channel = channelType === DATA_CHANNEL_TYPE.MESSAGING ? 'main' : channelName;
+  dropDataChannelQueue(state, peerId, channel);
   state.dataChannels[peerId][channel] = {
     channelName,
     channelType,
     transferId: null,
     streamId: null,
     channel: dataChannel,
+    queue: [],
   };
 
   Skylink.setSkylinkState(state, roomState.room.id);
@@ -0,0 +1,46 @@
+import logger from '../../../logger';
+import MESSAGES from '../../../messages';
+import { DATA_CHANNEL_STATE, TAGS } from '../../../constants';
+import { onDataChannelStateChanged } from '../../../skylink-events';
+import { dispatchEvent } from '../../../utils/skylinkEventManager';
+import PeerConnection from '../..';
+
+/**
+ * Function that drops the data queued on the Datachannel outbound queue when the Datachannel is closed or replaced,
+ * as the queued data can no longer be sent over it.
+ * @param {SkylinkState} state
+ * @param {String} peerId - The Peer id.
+ * @param {String} channelProp - The Datachannel property.
+ * @memberOf PeerConnection.PeerConnectionHelpers
+ * @fires onDataChannelStateChanged
+ */
+const dropDataChannelQueue = (state, peerId, channelProp) => {
+  const dataChannel = state.dataChannels[peerId] && state.dataChannels[peerId][channelProp];
+
+  if (!(dataChannel && dataChannel.queue && dataChannel.queue.length > 0)) {
+    return;
+  }
+
+  const {
+    channel, channelName, channelType, queue,
+  } = dataChannel;
+  const droppedData = queue.splice(0, queue.length);
+  const error = new Error(MESSAGES.DATA_CHANNEL.ERRORS.QUEUE_DROPPED);
+
+  logger.log.WARN([peerId, TAGS.DATA_CHANNEL, channelProp, error], droppedData.length);
+
+  droppedData.forEach(({ messageType }) => {
+    dispatchEvent(onDataChannelStateChanged({
+      room: state.room,
+      peerId,
+      channelName,
+      channelType,
+      messageType,
+      error,
+      state: DATA_CHANNEL_STATE.SEND_MESSAGE_ERROR,
+      bufferAmount: PeerConnection.getDataChannelBuffer(channel),
+    }));
+  });
+};
+
+export default dropDataChannelQueue;
@@ -0,0 +1,55 @@
+import Skylink from '../../../index';
+import logger from '../../../logger';
+import MESSAGES from '../../../messages';
+import { DATA_CHANNEL_STATE, TAGS } from '../../../constants';
+import { onDataChannelStateChanged } from '../../../skylink-events';
+import { dispatchEvent } from '../../../utils/skylinkEventManager';
+import PeerConnection from '../..';
+import isDataChannelBufferAvailable from './isDataChannelBufferAvailable';
+
+/**
+ * Function that sends the data queued on the Datachannel outbound queue until the Datachannel buffer is not available
+ * for the next queued data. The remaining data is sent when the Datachannel <code>bufferedamountlow</code>
+ * event is fired.
+ * @param {SkylinkState} roomState
+ * @param {String} peerId - The Peer id.
+ * @param {String} channelProp - The Datachannel property.
+ * @memberOf PeerConnection.PeerConnectionHelpers
+ * @fires onDataChannelStateChanged
+ */
+const flushDataChannelQueue = (roomState, peerId, channelProp) => {
+  const state = Skylink.getSkylinkState(roomState.room.id);
+  const dataChannel = state.dataChannels[peerId] && state.dataChannels[peerId][channelProp];
+
+  if (!(dataChannel && dataChannel.queue && dataChannel.queue.length > 0)) {
+    return;
+  }
+
+  const {
+    channel, channelName, channelType, queue,
+  } = dataChannel;
+
+  while (queue.length > 0 && channel.readyState === DATA_CHANNEL_STATE.OPEN && isDataChannelBufferAvailable(channel, queue[0].data)) {
+    const { data, messageType } = queue.shift();
+
+    try {
+      channel.send(data);
+    } catch (error) {
+      logger.log.ERROR([peerId, TAGS.DATA_CHANNEL, channelProp, MESSAGES.DATA_CHANNEL.ERRORS.FAILED_SENDING_QUEUED], error);
+      dispatchEvent(onDataChannelStateChanged({
+        room: state.room,
+        peerId,
+        channelName,
+        channelType,
+        messageType,
+        error,
+        state: DATA_CHANNEL_STATE.SEND_MESSAGE_ERROR,
+        bufferAmount: PeerConnection.getDataChannelBuffer(channel),
+      }));
+    }
+  }
+
+  logger.log.DEBUG([peerId, TAGS.DATA_CHANNEL, channelProp, MESSAGES.DATA_CHANNEL.QUEUE_FLUSHED], queue.length);
+};
+
+export default flushDataChannelQueue;
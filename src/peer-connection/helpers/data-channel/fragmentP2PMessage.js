@@ -0,0 +1,85 @@
+import { P2P_MESSAGE_FRAGMENT_SIZE, P2P_MESSAGE_MAX_FRAGMENTS } from '../../../constants';
+import { generateUUID } from '../../../utils/helpers';
+import SkylinkError from '../../../utils/skylinkError';
+import MESSAGES from '../../../messages';
+
+const getByteLength = value => new TextEncoder().encode(value).length;
+
+// The size in UTF-8 encoded bytes that a character takes once escaped in a serialized JSON string
+const getEscapedCharSize = (char) => {
+  const codePoint = char.codePointAt(0);
+
+  if (char === '"' || char === '\\' || codePoint < 0x20 || (codePoint >= 0xD800 && codePoint <= 0xDFFF)) {
+    return JSON.stringify(char).length - 2;
+  }
+
+  if (codePoint < 0x80) {
+    return 1;
+  }
+
+  if (codePoint < 0x800) {
+    return 2;
+  }
+
+  return codePoint < 0x10000 ? 3 : 4;
+};
+
+/**
+ * Function that builds the list of <code>"MESSAGE"</code> protocol messages to send for a P2P message.
+ * P2P messages that are larger than the fragment size once serialized are split into fragments with the
+ * <code>fragment</code> property that identifies the message id, part index and total number of parts,
+ * so that Peer can reassemble them before the message is delivered.
+ * The serialized content is split on characters so that surrogate pairs are kept in the same fragment, and each
+ * fragment is sized in UTF-8 encoded bytes with room left for the rest of the protocol message.
+ * @param {JSON} envelope - The <code>"MESSAGE"</code> protocol message.
+ * @return {Array<JSON>} The list of protocol messages to send.
+ * @throws {SkylinkError} When the P2P message exceeds the maximum number of fragments.
+ * @memberOf PeerConnection.PeerConnectionHelpers
+ */
+const fragmentP2PMessage = (envelope) => {
+  const content = JSON.stringify(envelope.data);
+
+  if (typeof content !== 'string' || getByteLength(JSON.stringify(envelope)) <= P2P_MESSAGE_FRAGMENT_SIZE) {
+    return [envelope];
+  }
+
+  const messageId = generateUUID();
+  const envelopeSize = getByteLength(JSON.stringify(Object.assign({}, envelope, {
+    data: '',
+    fragment: { messageId, index: P2P_MESSAGE_MAX_FRAGMENTS, total: P2P_MESSAGE_MAX_FRAGMENTS },
+  })));
+  const maxPartSize = P2P_MESSAGE_FRAGMENT_SIZE - envelopeSize;
+  const parts = [];
+  let part = '';
+  let partSize = 0;
+
+  Array.from(content).forEach((char) => {
+    const charSize = getEscapedCharSize(char);
+
+    if (partSize + charSize > maxPartSize) {
+      parts.push(part);
+      part = '';
+      partSize = 0;
+    }
+
+    part += char;
+    partSize += charSize;
+  });
+
+  parts.push(part);
+
+  if (parts.length > P2P_MESSAGE_MAX_FRAGMENTS) {
+    SkylinkError.throwError(MESSAGES.DATA_CHANNEL.ERRORS.MESSAGE_TOO_LARGE, parts.length);
+  }
+
+  return parts.map((data, index) => Object.assign({}, envelope, {
+    data,
+    fragment: {
+      messageId,
+      index,
+      total: parts.length,
+    },
+  }));
+};
+
+export default fragmentP2PMessage;
@@ -0,0 +1,20 @@
+import Skylink from '../../../index';
+import { DATA_CHANNEL_HIGH_WATER_MARK, DATA_CHANNEL_LOW_WATER_MARK, DATA_CHANNEL_MAX_QUEUE_SIZE } from '../../../constants';
+
+/**
+ * Function that returns the Datachannel outbound queue options configured in the initOptions.
+ * Options that are not configured fallback to the default values.
+ * @return {{highWaterMark: number, lowWaterMark: number, maxQueueSize: number}}
+ * @memberOf PeerConnection.PeerConnectionHelpers
+ */
+const getDataChannelQueueOptions = () => {
+  const { dataChannelQueue } = Skylink.getInitOptions() || {};
+
+  return Object.assign({
+    highWaterMark: DATA_CHANNEL_HIGH_WATER_MARK,
+    lowWaterMark: DATA_CHANNEL_LOW_WATER_MARK,
+    maxQueueSize: DATA_CHANNEL_MAX_QUEUE_SIZE,
+  }, dataChannelQueue);
+};
+
+export default getDataChannelQueueOptions;
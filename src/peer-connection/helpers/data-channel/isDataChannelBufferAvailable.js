@@ -0,0 +1,23 @@
+import getDataChannelQueueOptions from './getDataChannelQueueOptions';
+
+const getDataSize = data => data.size || data.length || data.byteLength || 0;
+
+/**
+ * Function that checks if data can be sent over the Datachannel instead of being queued on the outbound queue.
+ * The data is sent when the buffered amount stays within the high water mark after sending it, or when the buffered
+ * amount is at or below the <code>bufferedAmountLowThreshold</code>, as the <code>bufferedamountlow</code> event that
+ * flushes the queue only fires when the buffered amount drops to it. This also lets data larger than the high water mark
+ * be sent once the buffer has drained.
+ * @param {RTCDataChannel} channel
+ * @param {Blob|ArrayBuffer|String} data - The data to send.
+ * @return {boolean}
+ * @memberOf PeerConnection.PeerConnectionHelpers
+ */
+const isDataChannelBufferAvailable = (channel, data) => {
+  const { highWaterMark } = getDataChannelQueueOptions();
+
+  return channel.bufferedAmount <= (channel.bufferedAmountLowThreshold || 0)
+    || channel.bufferedAmount + getDataSize(data) <= highWaterMark;
+};
+
+export default isDataChannelBufferAvailable;
@@ -1,28 +1,28 @@
-import { DATA_CHANNEL_STATE, DATA_CHANNEL_TYPE, DC_PROTOCOL_TYPE } from '../../../constants';
+import {
+  DATA_CHANNEL_STATE, DATA_CHANNEL_TYPE, DATA_TRANSFER_DATA_TYPE, DC_PROTOCOL_TYPE,
+} from '../../../constants';
 import Skylink from '../../../index';
 import logger from '../../../logger';
 import { onDataChannelStateChanged, onIncomingMessage } from '../../../skylink-events';
 import { dispatchEvent } from '../../../utils/skylinkEventManager';
 import sendMessageToDataChannel from './sendMessageToDataChannel';
+import reassembleP2PMessage from './reassembleP2PMessage';
 import PeerData from '../../../peer-data';
 import PeerConnection from '../../index';
+import DataTransfer from '../../../features/data-transfer';
+import EncryptedMessaging from '../../../features/messaging/encrypted-messaging';
+import encryptHelpers from '../../../features/messaging/encrypted-messaging/helpers';
+import MESSAGES from '../../../messages';
+import DataStream from '../../../features/data-stream';
+import PeerMethod from '../../../features/peer-method';
 
-/**
- * Function that handles the "MESSAGE" data transfer protocol.
- * @private
- * @lends PeerConnection
- * @param {SkylinkState} roomState
- * @since 2.0.0
- * @fires onIncomingMessage
- */
-const messageProtocolHandler = (roomState, peerId, data, channelProp) => {
-  const senderPeerId = data.sender || peerId;
+const dispatchIncomingMessage = (roomState, senderPeerId, data, content, channelProp) => {
   logger.log.INFO([senderPeerId, 'RTCDataChannel', channelProp, 'Received P2P message from peer:'], data);
   dispatchEvent(onIncomingMessage({
     room: roomState.room,
     message: {
       targetPeerId: data.target,
-      content: data.data,
+      content,
       senderPeerId,
       isDataChannel: true,
       isPrivate: data.isPrivate,
@@ -33,6 +33,59 @@ const messageProtocolHandler = (roomState, peerId, data, channelProp) => {
   }));
 };
 
+/**
+ * Function that handles the "MESSAGE" data transfer protocol.
+ * Fragmented P2P messages are delivered once all of their fragments have been received, and
+ * encrypted P2P messages once they have been decrypted with the secret of their secret id.
+ * Unencrypted P2P messages are dropped when P2P message encryption is enabled.
+ * The P2P messages of each Peer are delivered in the order that they are received.
+ * @private
+ * @lends PeerConnection
+ * @param {SkylinkState} roomState
+ * @since 2.0.0
+ * @fires onIncomingMessage
+ * @fires messageIntegrityFailed
+ */
+const messageProtocolHandler = (roomState, peerId, data, channelProp) => {
+  const senderPeerId = data.sender || peerId;
+  let content = data.data;
+
+  if (data.fragment) {
+    const reassembledMessage = reassembleP2PMessage(roomState, senderPeerId, data, channelProp);
+
+    if (!reassembledMessage.isComplete) {
+      return;
+    }
+
+    ({ content } = reassembledMessage);
+  }
+
+  const encryptedMessaging = new EncryptedMessaging(roomState);
+  const deliverMessage = (messageContent) => {
+    dispatchIncomingMessage(roomState, senderPeerId, data, messageContent, channelProp);
+  };
+
+  if (data.secretId) {
+    encryptedMessaging.deliverInOrder(senderPeerId, encryptedMessaging.decryptP2PMessage(content, data.secretId), deliverMessage)
+      .catch((error) => {
+        if (encryptHelpers.utils.isIntegrityError(error)) {
+          encryptedMessaging.dispatchIntegrityFailedEvent(senderPeerId, data.secretId, error);
+        }
+
+        logger.log.ERROR([senderPeerId, 'RTCDataChannel', channelProp, MESSAGES.MESSAGING.ENCRYPTION.ERRORS.FAILED_DECRYPTING_MESSAGE], error);
+      });
+    return;
+  }
+
+  if (encryptedMessaging.getP2PMessageEncryption()) {
+    logger.log.ERROR([senderPeerId, 'RTCDataChannel', channelProp, MESSAGES.MESSAGING.ENCRYPTION.ERRORS.UNENCRYPTED_P2P_MESSAGE]);
+    encryptedMessaging.dispatchIntegrityFailedEvent(senderPeerId, null, encryptHelpers.utils.createIntegrityError());
+    return;
+  }
+
+  encryptedMessaging.deliverInOrder(senderPeerId, content, deliverMessage);
+};
+
 /**
  * Function that handles the data received from Datachannel and
  * routes to the relevant data transfer protocol handler.
@@ -40,6 +93,12 @@ const messageProtocolHandler = (roomState, peerId, data, channelProp) => {
  * @private
  * @since 2.0.0
  * @fires onDataChannelStateChanged
+ * @fires dataTransferState
+ * @fires onIncomingDataRequest
+ * @fires onIncomingData
+ * @fires dataStreamState
+ * @fires onIncomingDataStreamStarted
+ * @fires onIncomingDataStream
  */
 const processDataChannelData = (roomState, rawData, peerId, channelName, channelType) => {
   const state = Skylink.getSkylinkState(roomState.room.id);
@@ -59,8 +118,8 @@ const processDataChannelData = (roomState, rawData, peerId, channelName, channel
     return null; // dataChannel not avaialble propbably having being closed abruptly | ESS-983
   }
 
-  if (streamId && state.dataStreams[streamId]) {
-    isStreamChunk = state.dataStreams[streamId].sessionChunkType === 'string' ? typeof rawData === 'string' : typeof rawData === 'object';
+  if (channelProp !== 'main' && streamId && state.dataStreams[streamId] && !state.dataStreams[streamId].isSender) {
+    isStreamChunk = state.dataStreams[streamId].sessionChunkType === DATA_TRANSFER_DATA_TYPE.STRING ? typeof rawData === 'string' : typeof rawData === 'object';
   }
 
   if (!state.peerConnections[peerId]) {
@@ -73,11 +132,16 @@ const processDataChannelData = (roomState, rawData, peerId, channelName, channel
     return null;
   }
 
+  // Every data received on a data streaming Datachannel after the "WRQ" protocol message is a data streaming chunk
+  if (isStreamChunk) {
+    DataStream.dataStreamProtocolHandler(state, peerId, rawData, channelProp);
+    return null;
+  }
+
   // Expect as string
   if (typeof rawData === 'string') {
     try {
       const protocolData = JSON.parse(rawData);
-      isStreamChunk = false;
 
       logger.log.DEBUG([peerId, 'RTCDataChannel', channelProp, `Received protocol ${protocolData.type} message ->`], protocolData);
 
@@ -88,11 +152,15 @@ const processDataChannelData = (roomState, rawData, peerId, channelName, channel
         return null;
       }
 
-      // TODO: Complete other DataChannel handlers in the below switch case
       switch (protocolData.type) {
         case DC_PROTOCOL_TYPE.WRQ:
+          if (protocolData.streamId) {
+            DataStream.startReceivingDataStream(state, peerId, protocolData, channelProp);
+            break;
+          }
           // Discard iOS bidirectional upload when Datachannel is in-progress for data transfers
-          if (transferId && state.dataTransfers[transferId] && state.dataTransfers[transferId].sessions[peerId]) {
+          if (transferId && state.dataTransfers[transferId] && state.dataTransfers[transferId].sessions[peerId]
+            && !(protocolData.resume && protocolData.transferId === transferId)) {
             logger.log.WARN([peerId, 'RTCDataChannel', channelProp, 'Rejecting bidirectional data transfer request as it is currently not supported in the SDK ->'], protocolData);
             sendMessageToDataChannel(roomState, peerId, {
               type: DC_PROTOCOL_TYPE.ACK,
@@ -101,121 +169,59 @@ const processDataChannelData = (roomState, rawData, peerId, channelName, channel
             }, channelProp);
             break;
           }
-          // self._WRQProtocolHandler(peerId, protocolData, channelProp);
+          DataTransfer.wrqProtocolHandler(state, peerId, protocolData, channelProp);
+          break;
+        case DC_PROTOCOL_TYPE.ACK:
+          DataTransfer.ackProtocolHandler(state, peerId, protocolData, channelProp);
+          break;
+        case DC_PROTOCOL_TYPE.ERROR:
+          DataTransfer.errorProtocolHandler(state, peerId, protocolData, channelProp);
+          break;
+        case DC_PROTOCOL_TYPE.CANCEL:
+          DataTransfer.cancelProtocolHandler(state, peerId, protocolData, channelProp);
           break;
-        // case self._DC_PROTOCOL_TYPE.ACK:
-        //   self._ACKProtocolHandler(peerId, protocolData, channelProp);
-        //   break;
-        // case self._DC_PROTOCOL_TYPE.ERROR:
-        //   self._ERRORProtocolHandler(peerId, protocolData, channelProp);
-        //   break;
-        // case self._DC_PROTOCOL_TYPE.CANCEL:
-        //   self._CANCELProtocolHandler(peerId, protocolData, channelProp);
-        //   break;
         case DC_PROTOCOL_TYPE.MESSAGE:
           messageProtocolHandler(state, peerId, protocolData, channelProp);
           break;
+        case DC_PROTOCOL_TYPE.RPC:
+          PeerMethod.peerMethodProtocolHandler(state, peerId, protocolData, channelProp);
+          break;
         default:
           logger.log.WARN([peerId, 'RTCDataChannel', channelProp, `Discarded unknown ${protocolData.type} message ->`], protocolData);
       }
     } catch (error) {
-      console.log(isStreamChunk);
-      // if (rawData.indexOf('{') > -1 && rawData.indexOf('}') > 0) {
-      //   logger.log.ERROR([peerId, 'RTCDataChannel', channelProp, 'Failed parsing protocol step data error ->'], {
-      //     data: rawData,
-      //     error,
-      //   });
-      //
-
-      dispatchEvent(onDataChannelStateChanged({
-        peerId,
-        channelName,
-        channelType,
-        error,
-        state: DATA_CHANNEL_STATE.ERROR,
-        bufferAmount: PeerConnection.getDataChannelBuffer(state.dataChannels[peerId][channelProp].channel),
-      }));
-      //   throw error;
-      // }
-      //
-      // if (!isStreamChunk && !(transferId && state.dataTransfers[transferId] && state.dataTransfers[transferId].sessions[peerId])) {
-      //   logger.log.WARN([peerId, 'RTCDataChannel', channelProp, 'Discarded data chunk without session ->'], rawData);
-      //   return null;
-      // }
-      //
-      // if (!isStreamChunk && transferId) {
-      //   if (state.dataTransfers[transferId].chunks[state.dataTransfers[transferId].sessions[peerId].ackN]) {
-      //     logger.log.WARN([peerId, 'RTCDataChannel', transferId, 'Dropping data chunk ' + (!isStreamChunk ? '@' +
-      //       state.dataTransfers[transferId].sessions[peerId].ackN : '') + ' as it has already been added ->'], rawData);
-      //     return null;
-      //   }
-      // }
-      //
-      // if (!isStreamChunk ? self._dataTransfers[transferId].dataType === self.DATA_TRANSFER_SESSION_TYPE.DATA_URL : true) {
-      //   log.debug([peerId, 'RTCDataChannel', channelProp, 'Received string data chunk ' + (!isStreamChunk ? '@' +
-      //     self._dataTransfers[transferId].sessions[peerId].ackN : '') + ' with size ->'], rawData.length || rawData.size);
-      //
-      //   self._DATAProtocolHandler(peerId, rawData, self.DATA_TRANSFER_DATA_TYPE.STRING,
-      //     rawData.length || rawData.size || 0, channelProp);
-      //
-      // } else {
-      //   var removeSpaceData = rawData.replace(/\s|\r|\n/g, '');
-      //
-      //   log.debug([peerId, 'RTCDataChannel', channelProp, 'Received binary string data chunk @' +
-      //     self._dataTransfers[transferId].sessions[peerId].ackN + ' with size ->'],
-      //     removeSpaceData.length || removeSpaceData.size);
-      //
-      //   self._DATAProtocolHandler(peerId, self._base64ToBlob(removeSpaceData), self.DATA_TRANSFER_DATA_TYPE.BINARY_STRING,
-      //     removeSpaceData.length || removeSpaceData.size || 0, channelProp);
-      // }
+      if (rawData.indexOf('{') > -1 && rawData.indexOf('}') > 0) {
+        logger.log.ERROR([peerId, 'RTCDataChannel', channelProp, 'Failed parsing protocol step data error ->'], {
+          data: rawData,
+          error,
+        });
+
+        dispatchEvent(onDataChannelStateChanged({
+          peerId,
+          channelName,
+          channelType,
+          error,
+          state: DATA_CHANNEL_STATE.ERROR,
+          bufferAmount: PeerConnection.getDataChannelBuffer(state.dataChannels[peerId][channelProp].channel),
+        }));
+        return null;
+      }
+
+      if (!(transferId && state.dataTransfers[transferId] && state.dataTransfers[transferId].sessions[peerId])) {
+        logger.log.WARN([peerId, 'RTCDataChannel', channelProp, 'Discarded data chunk without session ->'], rawData.length);
+        return null;
+      }
+
+      // Base64 encoded string data chunks are sent by agents that do not support binary data chunks
+      DataTransfer.dataProtocolHandler(state, peerId, rawData, DATA_TRANSFER_DATA_TYPE.BINARY_STRING, channelProp);
     }
   } else {
-    // if (!isStreamChunk && !(transferId && self._dataTransfers[transferId] && self._dataTransfers[transferId].sessions[peerId])) {
-    //   log.warn([peerId, 'RTCDataChannel', channelProp, 'Discarded data chunk without session ->'], rawData);
-    //   return;
-    // }
-    //
-    // if (!isStreamChunk && transferId) {
-    //   if (self._dataTransfers[transferId].chunks[self._dataTransfers[transferId].sessions[peerId].ackN]) {
-    //     log.warn([peerId, 'RTCDataChannel', transferId, 'Dropping data chunk ' + (!isStreamChunk ? '@' +
-    //       self._dataTransfers[transferId].sessions[peerId].ackN : '') + ' as it has already been added ->'], rawData);
-    //     return;
-    //   }
-    // }
-    //
-    // if (rawData instanceof Blob) {
-    //   log.debug([peerId, 'RTCDataChannel', channelProp, 'Received blob data chunk ' + (isStreamChunk ? '' :
-    //     '@' + self._dataTransfers[transferId].sessions[peerId].ackN) + ' with size ->'], rawData.size);
-    //
-    //   self._DATAProtocolHandler(peerId, rawData, self.DATA_TRANSFER_DATA_TYPE.BLOB, rawData.size, channelProp);
-    //
-    // } else {
-    //   var byteArray = rawData;
-    //   var blob = null;
-    //
-    //   // Plugin binary handling
-    //   if (rawData.constructor && rawData.constructor.name === 'Array') {
-    //     // Need to re-parse on some browsers
-    //     byteArray = new Int8Array(rawData);
-    //   }
-    //
-    //   // Fallback for older IE versions
-    //   if (AdapterJS.webrtcDetectedBrowser === 'IE') {
-    //     if (window.BlobBuilder) {
-    //       var bb = new BlobBuilder();
-    //       bb.append(rawData.constructor && rawData.constructor.name === 'ArrayBuffer' ?
-    //         byteArray : (new Uint8Array(byteArray)).buffer);
-    //       blob = bb.getBlob();
-    //     }
-    //   } else {
-    //     blob = new Blob([byteArray]);
-    //   }
-    //
-    //   log.debug([peerId, 'RTCDataChannel', channelProp, 'Received arraybuffer data chunk ' + (isStreamChunk ? '' :
-    //     '@' + self._dataTransfers[transferId].sessions[peerId].ackN) + ' with size ->'], blob.size);
-    //
-    //   self._DATAProtocolHandler(peerId, blob, self.DATA_TRANSFER_DATA_TYPE.ARRAY_BUFFER, blob.size, channelProp);
-    // }
+    if (!(transferId && state.dataTransfers[transferId] && state.dataTransfers[transferId].sessions[peerId])) {
+      logger.log.WARN([peerId, 'RTCDataChannel', channelProp, 'Discarded data chunk without session ->'], rawData.size || rawData.byteLength);
+      return null;
+    }
+
+    DataTransfer.dataProtocolHandler(state, peerId, rawData, rawData instanceof window.Blob ? DATA_TRANSFER_DATA_TYPE.BLOB : DATA_TRANSFER_DATA_TYPE.ARRAY_BUFFER, channelProp);
   }
   return null;
 };
@@ -0,0 +1,96 @@
+import Skylink from '../../../index';
+import logger from '../../../logger';
+import MESSAGES from '../../../messages';
+import {
+  P2P_MESSAGE_MAX_FRAGMENTS, P2P_MESSAGE_MAX_PENDING, P2P_MESSAGE_REASSEMBLY_TIMEOUT, TAGS,
+} from '../../../constants';
+
+const isValidFragment = fragment => !!(fragment && fragment.messageId && Number.isInteger(fragment.total)
+  && fragment.total <= P2P_MESSAGE_MAX_FRAGMENTS && Number.isInteger(fragment.index) && fragment.index >= 0
+  && fragment.index < fragment.total);
+
+const deleteMessageFragments = (state, peerId, messageId) => {
+  const { messageFragments } = state;
+
+  delete messageFragments[peerId][messageId];
+
+  if (Object.keys(messageFragments[peerId]).length === 0) {
+    delete messageFragments[peerId];
+  }
+};
+
+/**
+ * Function that stores a received P2P message fragment and returns the P2P message content once all of its
+ * fragments have been received. The fragments are discarded if the remaining fragments are not received
+ * before the reassembly timeout, and the fragments of a new P2P message are dropped when too many P2P messages from
+ * the Peer are already being reassembled.
+ * @param {SkylinkState} roomState
+ * @param {String} senderPeerId - The Peer id of the P2P message sender.
+ * @param {JSON} data - The <code>"MESSAGE"</code> protocol message with the <code>fragment</code> property.
+ * @param {String} channelProp - The Datachannel property.
+ * @return {{isComplete: boolean, content: *}}
+ * @memberOf PeerConnection.PeerConnectionHelpers
+ */
+const reassembleP2PMessage = (roomState, senderPeerId, data, channelProp) => {
+  const state = Skylink.getSkylinkState(roomState.room.id);
+  const { fragment } = data;
+  const result = { isComplete: false, content: null };
+
+  if (!(isValidFragment(fragment) && typeof data.data === 'string')) {
+    logger.log.WARN([senderPeerId, TAGS.DATA_CHANNEL, channelProp, MESSAGES.DATA_CHANNEL.ERRORS.INVALID_MESSAGE_FRAGMENT], fragment);
+    return result;
+  }
+
+  const { messageId } = fragment;
+  const peerMessages = state.messageFragments[senderPeerId] || {};
+
+  if (!peerMessages[messageId]) {
+    if (Object.keys(peerMessages).length >= P2P_MESSAGE_MAX_PENDING) {
+      logger.log.WARN([senderPeerId, TAGS.DATA_CHANNEL, channelProp, MESSAGES.DATA_CHANNEL.ERRORS.TOO_MANY_PENDING_MESSAGES], messageId);
+      return result;
+    }
+
+    peerMessages[messageId] = {
+      parts: [],
+      receivedCount: 0,
+      total: fragment.total,
+      timer: setTimeout(() => {
+        const updatedState = Skylink.getSkylinkState(roomState.room.id);
+
+        if (updatedState && updatedState.messageFragments[senderPeerId] && updatedState.messageFragments[senderPeerId][messageId]) {
+          logger.log.WARN([senderPeerId, TAGS.DATA_CHANNEL, channelProp, MESSAGES.DATA_CHANNEL.ERRORS.MESSAGE_REASSEMBLY_TIMEOUT], messageId);
+          deleteMessageFragments(updatedState, senderPeerId, messageId);
+          Skylink.setSkylinkState(updatedState, updatedState.room.id);
+        }
+      }, P2P_MESSAGE_REASSEMBLY_TIMEOUT * 1000),
+    };
+    state.messageFragments[senderPeerId] = peerMessages;
+  }
+
+  const fragments = peerMessages[messageId];
+
+  if (typeof fragments.parts[fragment.index] !== 'string') {
+    fragments.parts[fragment.index] = data.data;
+    fragments.receivedCount += 1;
+  }
+
+  if (fragments.receivedCount < fragments.total) {
+    Skylink.setSkylinkState(state, state.room.id);
+    return result;
+  }
+
+  clearTimeout(fragments.timer);
+  deleteMessageFragments(state, senderPeerId, messageId);
+  Skylink.setSkylinkState(state, state.room.id);
+
+  try {
+    result.content = JSON.parse(fragments.parts.join(''));
+    result.isComplete = true;
+  } catch (error) {
+    logger.log.ERROR([senderPeerId, TAGS.DATA_CHANNEL, channelProp, MESSAGES.DATA_CHANNEL.ERRORS.FAILED_PARSING_MESSAGE], error);
+  }
+
+  return result;
+};
+
+export default reassembleP2PMessage;
@@ -3,16 +3,23 @@ import Skylink from '../../../index';
 import { onDataChannelStateChanged } from '../../../skylink-events';
 import { dispatchEvent } from '../../../utils/skylinkEventManager';
 import PeerConnection from '../..';
+import getDataChannelQueueOptions from './getDataChannelQueueOptions';
+import isDataChannelBufferAvailable from './isDataChannelBufferAvailable';
 
 import {
   PEER_CONNECTION_STATE,
   DC_PROTOCOL_TYPE,
   DATA_CHANNEL_MESSAGE_ERROR,
   DATA_CHANNEL_STATE,
+  TAGS,
 } from '../../../constants';
+import MESSAGES from '../../../messages';
 
 /**
  * Function that sends data over the DataChannel connection.
+ * Data is queued on the Datachannel outbound queue when the Datachannel buffered amount is above the
+ * configured high water mark, and sent when the Datachannel <code>bufferedamountlow</code> event is fired.
+ * See {@link PeerConnection.PeerConnectionHelpers.isDataChannelBufferAvailable} for when data is queued.
  * @private
  * @memberOf PeerConnection
  * @since 2.0.0
@@ -65,13 +72,41 @@ const sendMessageToDataChannel = (roomState, peerId, data, channelProperty, doNo
     throw notOpenError;
   }
 
+  const { queue, channel } = dataChannel[channelProp];
+  const { maxQueueSize } = getDataChannelQueueOptions();
+  const payload = !doNotConvert && typeof data === 'object' ? JSON.stringify(data) : data;
+
+  if (queue.length > 0 || !isDataChannelBufferAvailable(channel, payload)) {
+    if (queue.length >= maxQueueSize) {
+      const overflowError = new Error(MESSAGES.DATA_CHANNEL.ERRORS.QUEUE_OVERFLOW);
+      logger.log.ERROR([peerId, TAGS.DATA_CHANNEL, channelProp, overflowError], queue.length);
+      dispatchEvent(onDataChannelStateChanged({
+        room: state.room,
+        peerId,
+        channelName,
+        channelType,
+        messageType,
+        error: overflowError,
+        state: DATA_CHANNEL_STATE.QUEUE_OVERFLOW,
+        bufferAmount: PeerConnection.getDataChannelBuffer(channel),
+      }));
+      throw overflowError;
+    }
+
+    queue.push({ data: payload, messageType });
+    logger.log.DEBUG([peerId, TAGS.DATA_CHANNEL, channelProp, MESSAGES.DATA_CHANNEL.QUEUED], queue.length);
+    // The bufferedamountlow event does not fire when the buffered amount is already at or below the threshold
+    PeerConnection.flushDataChannelQueue(state, peerId, channelProp);
+    return null;
+  }
+
   try {
     if (!doNotConvert && typeof data === 'object') {
       logger.log.DEBUG([peerId, 'RTCDataChannel', channelProp, `Sending ${data.type} protocol message ->`], data);
-      dataChannel[channelProp].channel.send(JSON.stringify(data));
+      channel.send(payload);
     } else {
       logger.log.DEBUG([peerId, 'RTCDataChannel', channelProp, 'Sending data with size ->'], data.size || data.length || data.byteLength);
-      dataChannel[channelProp].channel.send(data);
+      channel.send(payload);
     }
   } catch (error) {
     logger.log.ERROR([peerId, 'RTCDataChannel', channelProp, 'Failed sending data)'], { error, data });
@@ -1,21 +1,26 @@
 import Skylink from '../../../index';
 import logger from '../../../logger';
 import sendMessageToDataChannel from './sendMessageToDataChannel';
+import fragmentP2PMessage from './fragmentP2PMessage';
 import { DC_PROTOCOL_TYPE, PEER_TYPE } from '../../../constants';
 import { onIncomingMessage } from '../../../skylink-events';
 import { dispatchEvent } from '../../../utils/skylinkEventManager';
 import PeerData from '../../../peer-data';
 import { getRoomStateByName } from '../../../utils/helpers';
+import EncryptedMessaging from '../../../features/messaging/encrypted-messaging';
+import MESSAGES from '../../../messages';
 
 /**
  * @param message
  * @param {String} targetPeerId
  * @param {SkylinkState} roomState
- * @returns {null}
+ * @param {JSON} [protocolMessage] - The protocol message properties to send instead of the <code>"MESSAGE"</code>
+ *   protocol message properties. The <code>onIncomingMessage</code> event is only dispatched for P2P messages.
+ * @returns {Array|null} The list of Peers that the message is sent to.
  * @memberOf PeerConnection.PeerConnectionHelpers
  * @fires onIncomingMessage
  */
-const sendP2PMessageForRoom = (roomState, message, targetPeerId) => {
+export const sendP2PMessageForRoom = (roomState, message, targetPeerId, protocolMessage = {}) => {
   const initOptions = Skylink.getInitOptions();
   const {
     dataChannels,
@@ -45,6 +50,13 @@ const sendP2PMessageForRoom = (roomState, message, targetPeerId) => {
     return null;
   }
 
+  const envelope = Object.assign({
+    type: DC_PROTOCOL_TYPE.MESSAGE,
+    isPrivate,
+    sender: user.sid,
+    data: message,
+  }, protocolMessage);
+
   // Loop out unwanted Peers
   for (let i = 0; i < listOfPeers.length; i += 1) {
     const peerId = listOfPeers[i];
@@ -59,13 +71,9 @@ const sendP2PMessageForRoom = (roomState, message, targetPeerId) => {
     } else if (!hasMCU) {
       logger.log.DEBUG([peerId, 'RTCDataChannel', null, `Sending ${isPrivate ? 'private' : ''} P2P message to Peer.`]);
 
-      sendMessageToDataChannel(roomState, peerId, {
-        type: DC_PROTOCOL_TYPE.MESSAGE,
-        isPrivate,
-        sender: user.sid,
+      fragmentP2PMessage(Object.assign({}, envelope, {
         target: targetPeerId ? peerId : null,
-        data: message,
-      }, 'main');
+      })).forEach(fragment => sendMessageToDataChannel(roomState, peerId, fragment, 'main'));
     }
   }
 
@@ -75,16 +83,12 @@ const sendP2PMessageForRoom = (roomState, message, targetPeerId) => {
 
   if (hasMCU) {
     logger.log.DEBUG([PEER_TYPE.MCU, 'RTCDataChannel', null, `Broadcasting ${isPrivate ? 'private' : ''} P2P message to Peers.`]);
-    sendMessageToDataChannel(roomState, PEER_TYPE.MCU, {
-      type: DC_PROTOCOL_TYPE.MESSAGE,
-      isPrivate,
-      sender: user.sid,
+    fragmentP2PMessage(Object.assign({}, envelope, {
       target: listOfPeers,
-      data: message,
-    }, 'main');
+    })).forEach(fragment => sendMessageToDataChannel(roomState, PEER_TYPE.MCU, fragment, 'main'));
   }
 
-  if (targetPeerId || !hasMCU) {
+  if (envelope.type === DC_PROTOCOL_TYPE.MESSAGE && (targetPeerId || !hasMCU)) {
     dispatchEvent(onIncomingMessage({
       room: roomState.room,
       message: {
@@ -100,20 +104,46 @@ const sendP2PMessageForRoom = (roomState, message, targetPeerId) => {
     }));
   }
 
-  return null;
+  return listOfPeers;
+};
+
+/**
+ * Function that sends the P2P message encrypted with the selected secret when P2P message encryption is enabled
+ * for the Room, so that it cannot be read by the MCU.
+ * @param {SkylinkState} roomState
+ * @param message
+ * @param {String|Array} targetPeerId
+ * @memberOf PeerConnection.PeerConnectionHelpers
+ * @fires onIncomingMessage
+ */
+const sendP2PMessageToRoom = (roomState, message, targetPeerId) => {
+  const encryptedMessaging = roomState.inRoom && roomState.user ? new EncryptedMessaging(roomState) : null;
+
+  if (!(encryptedMessaging && encryptedMessaging.getP2PMessageEncryption())) {
+    sendP2PMessageForRoom(roomState, message, targetPeerId);
+    return;
+  }
+
+  encryptedMessaging.encryptP2PMessage(message)
+    .then((protocolMessage) => {
+      sendP2PMessageForRoom(roomState, message, targetPeerId, protocolMessage);
+    })
+    .catch((error) => {
+      logger.log.ERROR([null, 'RTCDataChannel', null, MESSAGES.MESSAGING.ERRORS.DROPPING_MESSAGE], error);
+    });
 };
 
 const sendP2PMessage = (roomName, message, targetPeerId) => {
   const roomState = getRoomStateByName(roomName);
   if (roomState) {
-    sendP2PMessageForRoom(roomState, message, targetPeerId);
+    sendP2PMessageToRoom(roomState, message, targetPeerId);
   } else {
     // Global P2P Message - Broadcast to all rooms
     const roomStates = Skylink.getSkylinkState();
     const roomKeys = Object.keys(roomStates);
     for (let i = 0; i < roomKeys.length; i += 1) {
       const state = roomStates[roomKeys[i]];
-      sendP2PMessageForRoom(state, message, targetPeerId);
+      sendP2PMessageToRoom(state, message, targetPeerId);
     }
   }
 };
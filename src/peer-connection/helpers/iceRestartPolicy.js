@@ -0,0 +1,273 @@
+import PeerConnection from '../index';
+import Skylink from '../../index';
+import logger from '../../logger';
+import MESSAGES from '../../messages';
+import { dispatchEvent } from '../../utils/skylinkEventManager';
+import { iceConnectionState, iceRestartAttempt } from '../../skylink-events';
+import { isAFunction } from '../../utils/helpers';
+import {
+  ICE_CONNECTION_STATE, ICE_RESTART_POLICY, ICE_RESTART_TRIGGER, PEER_CONNECTION_STATE, TAGS,
+} from '../../constants';
+
+const instance = {};
+let isWatchingNetwork = false;
+
+const getIceRestartPolicyOptions = () => {
+  const { iceRestartPolicy } = Skylink.getInitOptions() || {};
+
+  return Object.assign({
+    enabled: false,
+    maxAttempts: ICE_RESTART_POLICY.MAX_ATTEMPTS,
+    initialDelay: ICE_RESTART_POLICY.INITIAL_DELAY,
+    maxDelay: ICE_RESTART_POLICY.MAX_DELAY,
+    disconnectedTimeout: ICE_RESTART_POLICY.DISCONNECTED_TIMEOUT,
+  }, iceRestartPolicy);
+};
+
+const isOffline = () => window.navigator.onLine === false;
+
+const isIceConnected = peerConnection => [ICE_CONNECTION_STATE.CONNECTED, ICE_CONNECTION_STATE.COMPLETED]
+  .indexOf(peerConnection.iceConnectionState) > -1;
+
+const isNetworkTrigger = trigger => [ICE_RESTART_TRIGGER.NETWORK_CHANGE, ICE_RESTART_TRIGGER.ONLINE].indexOf(trigger) > -1;
+
+const onNetworkChange = (trigger) => {
+  if (isOffline()) {
+    return;
+  }
+
+  logger.log.INFO([null, TAGS.PEER_CONNECTION, null, MESSAGES.PEER_CONNECTION.NETWORK_CHANGED], { trigger });
+
+  Object.keys(instance).forEach(roomKey => instance[roomKey].restartAll(trigger));
+};
+
+const onOffline = () => {
+  logger.log.INFO([null, TAGS.PEER_CONNECTION, null, MESSAGES.PEER_CONNECTION.NETWORK_OFFLINE]);
+
+  Object.keys(instance).forEach(roomKey => instance[roomKey].clearTimers());
+};
+
+const watchNetwork = () => {
+  const { connection } = window.navigator;
+
+  if (isWatchingNetwork) {
+    return;
+  }
+
+  isWatchingNetwork = true;
+
+  window.addEventListener('online', () => onNetworkChange(ICE_RESTART_TRIGGER.ONLINE));
+  window.addEventListener('offline', onOffline);
+
+  if (connection && isAFunction(connection.addEventListener)) {
+    let { type } = connection;
+
+    // The "change" event is also fired when the estimated bandwidth or round trip time changes
+    connection.addEventListener('change', () => {
+      if (connection.type === type) {
+        return;
+      }
+
+      ({ type } = connection);
+      onNetworkChange(ICE_RESTART_TRIGGER.NETWORK_CHANGE);
+    });
+  }
+};
+
+/**
+ * @classdesc This class is used to restart the ICE connection of the Peer connections in a room when the ICE connection
+ * is lost or the network changes, with exponential backoff between attempts.
+ * @class
+ * @private
+ */
+class IceRestartPolicy {
+  constructor(params) {
+    const { state } = params;
+
+    if (instance[state.room.id]) {
+      return instance[state.room.id];
+    }
+
+    this.room = state.room;
+    this.peers = {};
+
+    instance[this.room.id] = this;
+    watchNetwork();
+  }
+
+  static isEnabled() {
+    return !!getIceRestartPolicyOptions().enabled;
+  }
+
+  /**
+   * Function that schedules or cancels the ICE restart of a Peer connection when its ICE connection state changes.
+   * @param {String} peerId
+   * @param {String} state - The ICE connection state.
+   */
+  onIceConnectionStateChange(peerId, state) {
+    switch (state) {
+      case ICE_CONNECTION_STATE.CONNECTED:
+      case ICE_CONNECTION_STATE.COMPLETED:
+        this.resetPeer(peerId);
+        break;
+      case ICE_CONNECTION_STATE.DISCONNECTED:
+        this.scheduleRestart(peerId, ICE_RESTART_TRIGGER.ICE_DISCONNECTED);
+        break;
+      case ICE_CONNECTION_STATE.FAILED:
+        this.scheduleRestart(peerId, ICE_RESTART_TRIGGER.ICE_FAILED);
+        break;
+      case ICE_CONNECTION_STATE.CLOSED:
+        this.removePeer(peerId);
+        break;
+      default:
+        break;
+    }
+  }
+
+  getPeer(peerId) {
+    if (!this.peers[peerId]) {
+      this.peers[peerId] = { attempts: 0, timer: null, hasFailed: false };
+    }
+
+    return this.peers[peerId];
+  }
+
+  getDelay(peerId, trigger) {
+    const { initialDelay, maxDelay, disconnectedTimeout } = getIceRestartPolicyOptions();
+    const delay = Math.min(initialDelay * (2 ** this.getPeer(peerId).attempts), maxDelay);
+
+    return trigger === ICE_RESTART_TRIGGER.ICE_DISCONNECTED ? Math.max(delay, disconnectedTimeout) : delay;
+  }
+
+  scheduleRestart(peerId, trigger) {
+    const peer = this.getPeer(peerId);
+    const { maxAttempts } = getIceRestartPolicyOptions();
+
+    // Throttles the triggers while an attempt is pending
+    if (peer.timer || isOffline()) {
+      return;
+    }
+
+    if (peer.attempts >= maxAttempts) {
+      if (!peer.hasFailed) {
+        peer.hasFailed = true;
+
+        logger.log.WARN([peerId, TAGS.PEER_CONNECTION, null, MESSAGES.PEER_CONNECTION.ICE_RESTART_MAX_ATTEMPTS], { maxAttempts });
+
+        dispatchEvent(iceConnectionState({
+          state: ICE_CONNECTION_STATE.RESTART_FAILED,
+          peerId,
+        }));
+      }
+      return;
+    }
+
+    const delay = this.getDelay(peerId, trigger);
+
+    logger.log.DEBUG([peerId, TAGS.PEER_CONNECTION, null, MESSAGES.PEER_CONNECTION.ICE_RESTART_SCHEDULED], { trigger, delay });
+
+    peer.timer = setTimeout(() => {
+      peer.timer = null;
+      this.restart(peerId, trigger, delay);
+    }, delay);
+  }
+
+  restart(peerId, trigger, delay) {
+    const state = Skylink.getSkylinkState(this.room.id);
+    const peerConnection = state && state.peerConnections[peerId];
+    const peer = this.getPeer(peerId);
+    const { maxAttempts } = getIceRestartPolicyOptions();
+
+    if (!state) {
+      this.stop();
+      return;
+    }
+
+    if (!peerConnection || peerConnection.signalingState === PEER_CONNECTION_STATE.CLOSED) {
+      this.removePeer(peerId);
+      return;
+    }
+
+    if (isOffline() || isIceConnected(peerConnection)) {
+      return;
+    }
+
+    peer.attempts += 1;
+
+    logger.log.INFO([peerId, TAGS.PEER_CONNECTION, null, MESSAGES.PEER_CONNECTION.ICE_RESTART_ATTEMPT], {
+      trigger,
+      attempt: peer.attempts,
+      maxAttempts,
+    });
+
+    dispatchEvent(iceRestartAttempt({
+      room: state.room,
+      peerId,
+      trigger,
+      attempt: peer.attempts,
+      maxAttempts,
+      delay,
+    }));
+
+    dispatchEvent(iceConnectionState({
+      state: ICE_CONNECTION_STATE.RESTARTING,
+      peerId,
+    }));
+
+    PeerConnection.refreshConnection(state, peerId, true).catch((error) => {
+      logger.log.WARN([peerId, TAGS.PEER_CONNECTION, null, MESSAGES.PEER_CONNECTION.ERRORS.REFRESH], error);
+    });
+
+    // Checks again after the next backoff delay in case the ICE connection state does not change after the restart
+    this.scheduleRestart(peerId, isNetworkTrigger(trigger) ? ICE_RESTART_TRIGGER.ICE_FAILED : trigger);
+  }
+
+  restartAll(trigger) {
+    const state = Skylink.getSkylinkState(this.room.id);
+
+    if (!state) {
+      this.stop();
+      return;
+    }
+
+    // The connected Peer connections are not restarted, and the pending restarts keep their backoff
+    Object.keys(state.peerConnections).forEach((peerId) => {
+      if (isIceConnected(state.peerConnections[peerId]) || this.getPeer(peerId).timer) {
+        return;
+      }
+
+      this.resetPeer(peerId);
+      this.scheduleRestart(peerId, trigger);
+    });
+  }
+
+  resetPeer(peerId) {
+    const peer = this.getPeer(peerId);
+
+    clearTimeout(peer.timer);
+    peer.timer = null;
+    peer.attempts = 0;
+    peer.hasFailed = false;
+  }
+
+  removePeer(peerId) {
+    if (this.peers[peerId]) {
+      clearTimeout(this.peers[peerId].timer);
+      delete this.peers[peerId];
+    }
+  }
+
+  clearTimers() {
+    Object.keys(this.peers).forEach((peerId) => {
+      clearTimeout(this.peers[peerId].timer);
+      this.peers[peerId].timer = null;
+    });
+  }
+
+  stop() {
+    this.clearTimers();
+    delete instance[this.room.id];
+  }
+}
+
+export default IceRestartPolicy;
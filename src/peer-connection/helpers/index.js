@@ -8,6 +8,8 @@ import signalingEndOfCandidates from './signalingEndOfCandidates';
 import getDataChannelBuffer from './data-channel/getDataChannelBuffer';
 import refreshDataChannel from './data-channel/refreshDataChannel';
 import closeDataChannel from './data-channel/closeDataChannel';
+import flushDataChannelQueue from './data-channel/flushDataChannelQueue';
+import clearMessageFragments from './data-channel/clearMessageFragments';
 import refreshConnection from './refresh-connection/refreshConnection';
 import refreshPeerConnection from './refresh-connection/refreshPeerConnection';
 import restartPeerConnection from './refresh-connection/restartPeerConnection';
@@ -21,7 +23,7 @@ import updatePeerInformationsMediaStatus from './updatePeerInformationsMediaStat
  * @description All helper and utility functions for <code>{@link PeerConnection}</code> class are listed here.
  * @private
  * @memberOf PeerConnection
- * @type {{createOffer, createAnswer, addPeer, createDataChannel, sendP2PMessage, getPeersInRoom, signalingEndOfCandidates, getDataChannelBuffer, refreshDataChannel, closeDataChannel, refreshConnection, refreshPeerConnection, restartPeerConnection, buildPeerInformations, getConnectionStatus, closePeerConnection, updatePeerInformationsMediaStatus }}
+ * @type {{createOffer, createAnswer, addPeer, createDataChannel, sendP2PMessage, getPeersInRoom, signalingEndOfCandidates, getDataChannelBuffer, refreshDataChannel, closeDataChannel, flushDataChannelQueue, clearMessageFragments, refreshConnection, refreshPeerConnection, restartPeerConnection, buildPeerInformations, getConnectionStatus, closePeerConnection, updatePeerInformationsMediaStatus }}
  */
 const helpers = {
   createOffer,
@@ -34,6 +36,8 @@ const helpers = {
   getDataChannelBuffer,
   refreshDataChannel,
   closeDataChannel,
+  flushDataChannelQueue,
+  clearMessageFragments,
   refreshConnection,
   refreshPeerConnection,
   restartPeerConnection,
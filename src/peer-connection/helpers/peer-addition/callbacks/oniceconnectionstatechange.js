@@ -8,6 +8,9 @@ import Skylink from '../../../../index';
 import PeerConnection from '../../../index';
 import HandleBandwidthStats from '../../../../skylink-stats/handleBandwidthStats';
 import BandwidthAdjuster from '../../bandwidthAdjuster';
+import QualityMonitor from '../../qualityMonitor';
+import ActiveSpeakerDetector from '../../activeSpeakerDetector';
+import IceRestartPolicy from '../../iceRestartPolicy';
 
 const isIceConnectionStateCompleted = (pcIceConnectionState) => {
   const { ICE_CONNECTION_STATE } = constants;
@@ -20,6 +23,8 @@ const isIceConnectionStateCompleted = (pcIceConnectionState) => {
  * @param {String} targetMid - The Peer Id
  * @param {SkylinkState} currentRoomState
  * @fires iceConnectionState
+ * @fires iceRestartAttempt
+ * @fires peerQualityChanged
  * @memberOf PeerConnection.PeerConnectionHelpers.CreatePeerConnectionCallbacks
  */
 const oniceconnectionstatechange = (peerConnection, targetMid, currentRoomState) => {
@@ -81,6 +86,10 @@ const oniceconnectionstatechange = (peerConnection, targetMid, currentRoomState)
     }));
   }
 
+  if (IceRestartPolicy.isEnabled()) {
+    new IceRestartPolicy({ state }).onIceConnectionStateChange(targetMid, pcIceConnectionState);
+  }
+
   if (peerConnStatus && peerConnStatus[targetMid]) {
     peerConnStatus[targetMid].connected = isIceConnectionStateCompleted(pcIceConnectionState);
   }
@@ -111,6 +120,18 @@ const oniceconnectionstatechange = (peerConnection, targetMid, currentRoomState)
       peerConnection,
     }).setAdjustmentInterval();
   }
+
+  if (isIceConnectionStateCompleted(pcIceConnectionState) && QualityMonitor.isEnabled()) {
+    new QualityMonitor({
+      targetMid,
+      state,
+      peerConnection,
+    }).startMonitoring();
+  }
+
+  if (isIceConnectionStateCompleted(pcIceConnectionState) && ActiveSpeakerDetector.isEnabled()) {
+    new ActiveSpeakerDetector({ state }).startDetection();
+  }
 };
 
 export default oniceconnectionstatechange;
@@ -0,0 +1,178 @@
+import PeerConnection from '../index';
+import Skylink from '../../index';
+import logger from '../../logger';
+import MESSAGES from '../../messages';
+import { dispatchEvent } from '../../utils/skylinkEventManager';
+import { peerQualityChanged } from '../../skylink-events';
+import {
+  PEER_CONNECTION_STATE, PEER_QUALITY, PEER_QUALITY_THRESHOLDS, QUALITY_MONITOR_INTERVAL, TAGS,
+} from '../../constants';
+
+const instance = {};
+
+const getQualityMonitorOptions = () => {
+  const { qualityMonitor } = Skylink.getInitOptions() || {};
+
+  return Object.assign({
+    enabled: false,
+    interval: QUALITY_MONITOR_INTERVAL,
+    goodThreshold: PEER_QUALITY_THRESHOLDS.GOOD,
+    fairThreshold: PEER_QUALITY_THRESHOLDS.FAIR,
+  }, qualityMonitor);
+};
+
+const sumStats = (stats, direction, prop) => (stats.audio[direction][prop] || 0) + (stats.video[direction][prop] || 0);
+
+/**
+ * @classdesc This class is used to poll the Peer connection stats and measure the Peer connection quality.
+ * @class
+ * @private
+ */
+class QualityMonitor {
+  constructor(params) {
+    const { peerConnection, state, targetMid } = params;
+
+    if (instance[targetMid] && instance[targetMid].peerConnection === peerConnection) {
+      return instance[targetMid];
+    }
+
+    // The Peer connection has been re-established, so the monitor of the previous Peer connection is replaced
+    if (instance[targetMid]) {
+      instance[targetMid].stopMonitoring();
+    }
+
+    this.peerId = targetMid;
+    this.state = state;
+    this.peerConnection = peerConnection;
+    this.monitorInterval = null;
+    this.prevSample = null;
+    this.quality = null;
+
+    instance[this.peerId] = this;
+  }
+
+  static isEnabled() {
+    return !!getQualityMonitorOptions().enabled;
+  }
+
+  /**
+   * Function that derives the MOS (Mean Opinion Score) from the simplified ITU-T G.107 E-model.
+   * @param {number} packetLoss - The percentage of packets lost.
+   * @param {number} jitter - The jitter in milliseconds.
+   * @param {number} rtt - The round trip time in milliseconds.
+   * @return {number}
+   */
+  static computeMOS(packetLoss, jitter, rtt) {
+    const effectiveLatency = rtt + (jitter * 2) + 10;
+    let rFactor = effectiveLatency < 160 ? 93.2 - (effectiveLatency / 40) : 93.2 - ((effectiveLatency - 120) / 10);
+
+    rFactor = Math.min(Math.max(rFactor - (packetLoss * 2.5), 0), 100);
+
+    const mos = 1 + (0.035 * rFactor) + (0.000007 * rFactor * (rFactor - 60) * (100 - rFactor));
+    return parseFloat(Math.min(Math.max(mos, 1), 4.5).toFixed(2));
+  }
+
+  static getQualityLevel(mos) {
+    const { goodThreshold, fairThreshold } = getQualityMonitorOptions();
+
+    if (mos >= goodThreshold) {
+      return PEER_QUALITY.GOOD;
+    }
+
+    if (mos >= fairThreshold) {
+      return PEER_QUALITY.FAIR;
+    }
+
+    return PEER_QUALITY.POOR;
+  }
+
+  isPeerConnectionClosed() {
+    const { peerConnections } = Skylink.getSkylinkState(this.state.room.id) || { peerConnections: {} };
+
+    return !(this.peerConnection && this.peerConnection.signalingState !== PEER_CONNECTION_STATE.CLOSED)
+      || peerConnections[this.peerId] !== this.peerConnection;
+  }
+
+  startMonitoring() {
+    if (this.monitorInterval) {
+      return;
+    }
+
+    logger.log.DEBUG([this.peerId, TAGS.STATS_MODULE, null, MESSAGES.STATS_MODULE.QUALITY_MONITOR_STARTED]);
+
+    this.monitorInterval = setInterval(() => {
+      if (this.isPeerConnectionClosed()) {
+        this.stopMonitoring();
+        return;
+      }
+
+      PeerConnection.retrieveInternalStatistics(this.state.room.id, this.peerId)
+        .then((stats) => {
+          if (stats && !this.isPeerConnectionClosed()) {
+            this.processStats(stats);
+          }
+        })
+        .catch(() => {});
+    }, getQualityMonitorOptions().interval);
+  }
+
+  stopMonitoring() {
+    clearInterval(this.monitorInterval);
+    this.monitorInterval = null;
+
+    if (instance[this.peerId] === this) {
+      delete instance[this.peerId];
+    }
+
+    logger.log.DEBUG([this.peerId, TAGS.STATS_MODULE, null, MESSAGES.STATS_MODULE.QUALITY_MONITOR_STOPPED]);
+  }
+
+  processStats(stats) {
+    const sample = {
+      timestamp: Date.now(),
+      packets: sumStats(stats, 'receiving', 'totalPackets'),
+      packetsLost: sumStats(stats, 'receiving', 'totalPacketsLost'),
+      framesDecoded: stats.video.receiving.framesDecoded || 0,
+    };
+    const { prevSample } = this;
+
+    this.prevSample = sample;
+
+    if (!prevSample) {
+      return;
+    }
+
+    const packetsDelta = Math.max(sample.packets - prevSample.packets, 0);
+    const packetsLostDelta = Math.max(sample.packetsLost - prevSample.packetsLost, 0);
+    const elapsedTime = sample.timestamp - prevSample.timestamp;
+    const metrics = {
+      packetLoss: packetsDelta + packetsLostDelta > 0 ? (packetsLostDelta / (packetsDelta + packetsLostDelta)) * 100 : 0,
+      jitter: Math.max(stats.audio.receiving.jitter || 0, stats.video.receiving.jitter || 0) * 1000,
+      rtt: (stats.selectedCandidatePair.currentRoundTripTime || 0) * 1000,
+      frameRate: stats.video.receiving.ssrc && elapsedTime > 0
+        ? (Math.max(sample.framesDecoded - prevSample.framesDecoded, 0) / elapsedTime) * 1000 : null,
+    };
+    const mos = QualityMonitor.computeMOS(metrics.packetLoss, metrics.jitter, metrics.rtt);
+    const quality = QualityMonitor.getQualityLevel(mos);
+    const previousQuality = this.quality;
+
+    if (quality === previousQuality) {
+      return;
+    }
+
+    this.quality = quality;
+
+    logger.log.DEBUG([this.peerId, TAGS.STATS_MODULE, null, MESSAGES.STATS_MODULE.PEER_QUALITY_CHANGED], { quality, mos, metrics });
+
+    dispatchEvent(peerQualityChanged({
+      room: this.state.room,
+      peerId: this.peerId,
+      quality,
+      previousQuality,
+      mos,
+      metrics,
+    }));
+  }
+}
+
+export default QualityMonitor;
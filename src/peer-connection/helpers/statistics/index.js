@@ -56,6 +56,11 @@ class PeerConnectionStatistics {
     };
     this.beSilentOnLogs = Skylink.getInitOptions().beSilentOnStatsLogs;
     this.isAutoBwStats = false;
+    /**
+     * The flag if the statistics are retrieved for internal monitoring, in which case no events are dispatched
+     * @type {boolean}
+     */
+    this.isInternal = false;
     this.bandwidth = null;
   }
 
@@ -125,11 +130,13 @@ class PeerConnectionStatistics {
       this.getStatsFailure(promiseReject, messages.STATS_MODULE.ERRORS.PARSE_FAILED, err);
     }
 
-    dispatchEvent(getConnectionStatusStateChange({
-      state: GET_CONNECTION_STATUS_STATE.RETRIEVE_SUCCESS,
-      peerId: this.peerId,
-      stats: this.output,
-    }));
+    if (!this.isInternal) {
+      dispatchEvent(getConnectionStatusStateChange({
+        state: GET_CONNECTION_STATUS_STATE.RETRIEVE_SUCCESS,
+        peerId: this.peerId,
+        stats: this.output,
+      }));
+    }
 
     promiseResolve(this.output);
   }
@@ -137,7 +144,7 @@ class PeerConnectionStatistics {
   getStatsFailure(promiseReject, errorMsg, error) {
     const errMsg = errorMsg || messages.STATS_MODULE.RETRIEVE_STATS_FAILED;
 
-    if (!this.beSilentOnLogs) {
+    if (!this.beSilentOnLogs && !this.isInternal) {
       logger.log.ERROR([this.peerId, TAGS.STATS_MODULE, null, errMsg], error);
       dispatchEvent(getConnectionStatusStateChange({
         state: GET_CONNECTION_STATUS_STATE.RETRIEVE_ERROR,
@@ -152,11 +159,13 @@ class PeerConnectionStatistics {
    * Fetch webRTC stats of a RTCPeerConnection
    * @param beSilentOnLogs
    * @param isAutoBwStats
+   * @param {boolean} [isInternal=false] - The flag if the statistics are retrieved for internal monitoring, in which
+   *   case the getConnectionStatusStateChange event is not dispatched.
    * @return {Promise<statistics>}
    * @fires getConnectionStatusStateChange
    */
   // eslint-disable-next-line consistent-return
-  getStatistics(beSilentOnLogs = false, isAutoBwStats = false) {
+  getStatistics(beSilentOnLogs = false, isAutoBwStats = false, isInternal = false) {
     const { STATS_MODULE } = messages;
     return new Promise((resolve, reject) => {
       if (!this.roomState.peerStats[this.peerId] && !isAutoBwStats) {
@@ -165,6 +174,7 @@ class PeerConnectionStatistics {
       } else {
         this.beSilentOnLogs = beSilentOnLogs;
         this.isAutoBwStats = isAutoBwStats;
+        this.isInternal = isInternal;
 
         try {
           this.gatherRTCPeerConnectionDetails();
@@ -181,10 +191,12 @@ class PeerConnectionStatistics {
           this.getStatsFailure(reject, messages.PEER_CONNECTION.getstats_api_not_available);
         }
 
-        dispatchEvent(getConnectionStatusStateChange({
-          state: GET_CONNECTION_STATUS_STATE.RETRIEVING,
-          peerId: this.peerId,
-        }));
+        if (!isInternal) {
+          dispatchEvent(getConnectionStatusStateChange({
+            state: GET_CONNECTION_STATUS_STATE.RETRIEVING,
+            peerId: this.peerId,
+          }));
+        }
 
         this.peerConnection.getStats()
           .then((stats) => { this.getStatsSuccess(resolve, reject, stats); })
@@ -37,12 +37,17 @@ const parseAudio = (state, output, prop, peerConnection, peerId, isAutoBwStats)
       audio[direction].nacks = parsers.tabulateStats(prevStats, raw[prop], 'nackCount');
 
       audio[direction].fractionLost = parseInt(raw[prop].fractionLost || '0', 10);
-      audio[direction].jitter = parseInt(raw[prop].jitter || '0', 10);
+      audio[direction].jitter = parseFloat(raw[prop].jitter || '0');
+
+      // The audio level is reported in the inbound-rtp stats by newer browsers instead of the track stats
+      if (typeof raw[prop].audioLevel !== 'undefined') {
+        audio[direction].audioLevel = parseFloat(raw[prop].audioLevel || '0');
+      }
 
       const { trackId } = raw[prop];
       const audioReceiver = raw[trackId];
       if (audioReceiver) {
-        audio[direction].audioLevel = parseFloat(audioReceiver.audioLevel || '0');
+        audio[direction].audioLevel = parseFloat(audioReceiver.audioLevel || audio[direction].audioLevel || '0');
         audio[direction].totalAudioEnergy = parseInt(audioReceiver.totalAudioEnergy || '0', 10);
         audio[direction].jitterBufferDelay = parseInt(audioReceiver.jitterBufferDelay || '0', 10);
         audio[direction].jitterBufferEmittedCount = parseInt(audioReceiver.jitterBufferEmittedCount || '0', 10);
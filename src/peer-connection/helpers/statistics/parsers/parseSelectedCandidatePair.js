@@ -57,6 +57,7 @@ const parseSelectedCandidatePair = (roomState, output, prop, peerConnection, pee
           selectedCandidatePair.writable = candidatePairStats.writable;
           selectedCandidatePair.priority = candidatePairStats.priority;
           selectedCandidatePair.nominated = candidatePairStats.nominated;
+          selectedCandidatePair.currentRoundTripTime = parseFloat(candidatePairStats.currentRoundTripTime || '0');
 
           const prevStats = isAutoBwStats ? peerBandwidth[peerId][prop] : peerStats[peerId][prop];
           // FF has not implemented the following stats
@@ -44,6 +44,7 @@ const parseVideo = (state, output, prop, peerConnection, peerId, isAutoBwStats)
       video[direction].plis = parsers.tabulateStats(prevStats, raw[prop], 'pliCount');
 
       video[direction].fractionLost = parseInt(raw[prop].fractionLost || '0', 10);
+      video[direction].jitter = parseFloat(raw[prop].jitter || '0');
       video[direction].framesDecoded = parseInt(raw[prop].framesDecoded || '0', 10);
       video[direction].qpSum = parseInt(raw[prop].qpSum || '0', 10);
 
@@ -76,6 +76,18 @@ class PeerConnection {
     return peerConnectionStatistics.getStatistics(beSilentOnLogs, isAutoBwStats);
   }
 
+  /**
+   * Get webRTC statistics for internal monitoring, without logging or dispatching the getConnectionStatusStateChange event
+   * @param {SkylinkRoom.id} roomKey
+   * @param {String} peerId
+   * @static
+   * @return {Promise}
+   */
+  static retrieveInternalStatistics(roomKey, peerId) {
+    const peerConnectionStatistics = new PeerConnectionStatistics(roomKey, peerId);
+    return peerConnectionStatistics.getStatistics(true, false, true);
+  }
+
   /**
    * @static
    * @param args
@@ -109,8 +121,16 @@ class PeerConnection {
     return helpers.refreshDataChannel(roomState, peerId);
   }
 
-  static closeDataChannel(roomState, peerId) {
-    return helpers.closeDataChannel(roomState, peerId);
+  static closeDataChannel(roomState, peerId, channelProp) {
+    return helpers.closeDataChannel(roomState, peerId, channelProp);
+  }
+
+  static flushDataChannelQueue(roomState, peerId, channelProp) {
+    return helpers.flushDataChannelQueue(roomState, peerId, channelProp);
+  }
+
+  static clearMessageFragments(roomState, peerId) {
+    return helpers.clearMessageFragments(roomState, peerId);
   }
 
   static refreshConnection(roomState, targetPeerId, iceRestart, options, callback) {
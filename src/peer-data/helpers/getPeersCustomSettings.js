@@ -34,6 +34,9 @@ const getPeerCustomSettings = (state, peerId) => {
     const peerInfo = PeerData.getPeerInfo(usePeerId, state.room);
 
     customSettings.settings = clone(peerInfo.settings);
+    // The session information of the Peer does not carry the sending bandwidth, which the Peer custom configs update below
+    customSettings.settings.bandwidth = customSettings.settings.bandwidth || clone(state.streamsBandwidthSettings.bAS);
+    customSettings.settings.googleXBandwidth = customSettings.settings.googleXBandwidth || clone(state.streamsBandwidthSettings.googleX);
     customSettings.settings.data = initOptions.enableDataChannel && state.peerInformations[usePeerId].config.enableDataChannel;
 
     // TODO: check logic - why the need to build again and not take from getPeerInfo since the signature is the same
@@ -37,6 +37,7 @@ const getPeersDataChannels = (roomState) => {
         peerChannel.channelType = channelType;
         peerChannel.currentTransferId = transferId;
         peerChannel.currentStreamId = streamId;
+        peerChannel.queueDepth = channel.queue ? channel.queue.length : 0;
         peerChannel.readyState = channel.channel
           ? channel.channel.readyState : SkylinkConstants.DATA_CHANNEL_STATE.CREATE_ERROR;
 
@@ -9,7 +9,7 @@ const buildPeerMediaInfo = (room, mid, track, streamId, mediaType) => ({
   streamId,
   trackId: track.id,
   mediaMetaData: '',
-  simulcast: '',
+  simulcast: helpers.retrieveSimulcastInfo(room, track, streamId),
 });
 
 export default buildPeerMediaInfo;
@@ -11,6 +11,8 @@ import retrieveValueGivenTransceiverMid from './retrieveValueGivenTransceiverMid
 import retrieveFormattedMediaInfo from './retrieveFormattedMediaInfo';
 import resetPeerMedia from './resetPeerMedia';
 import populatePeerMediaInfo from './populatePeerMediaInfo';
+import retrieveSimulcastInfo from './retrieveSimulcastInfo';
+import setReceiveQuality from './setReceiveQuality';
 
 const helpers = {
   retrieveTransceiverMid,
@@ -26,6 +28,8 @@ const helpers = {
   retrieveFormattedMediaInfo,
   resetPeerMedia,
   populatePeerMediaInfo,
+  retrieveSimulcastInfo,
+  setReceiveQuality,
 };
 
 export default helpers;
@@ -0,0 +1,20 @@
+import Skylink from '../../index';
+import { TRACK_KIND } from '../../constants';
+
+// simulcast layers are only sent to MCU, see addLocalMediaStreams
+const retrieveSimulcastInfo = (room, track, streamId) => {
+  const roomState = Skylink.getSkylinkState(room.id);
+  const { streams, hasMCU } = roomState;
+  const streamObj = streams.userMedia && streams.userMedia[streamId];
+  const videoSettings = streamObj && streamObj.settings && streamObj.settings.video;
+
+  if (!hasMCU || track.kind !== TRACK_KIND.VIDEO || !videoSettings || !videoSettings.simulcast) {
+    return '';
+  }
+
+  return {
+    layers: videoSettings.simulcast.map(encoding => Object.assign({}, encoding)),
+  };
+};
+
+export default retrieveSimulcastInfo;
@@ -0,0 +1,37 @@
+import SkylinkSignalingServer from '../../server-communication/signaling-server/index';
+import Skylink from '../../index';
+import logger from '../../logger';
+import MESSAGES from '../../messages';
+import SkylinkError from '../../utils/skylinkError';
+import { TAGS } from '../../constants';
+
+/**
+ * Function that requests the MCU to send the simulcast layer of a remote simulcast media.
+ * @param {SkylinkState} roomState
+ * @param {String} peerId - The publisher Peer id.
+ * @param {String} mediaId - The media id.
+ * @param {SkylinkConstants.SIMULCAST_LAYER} layer - The simulcast layer rid.
+ */
+const setReceiveQuality = (roomState, peerId, mediaId, layer) => {
+  const state = Skylink.getSkylinkState(roomState.room.id);
+  const { hasMCU, peerMedias } = state;
+  const mediaInfo = peerMedias[peerId] && peerMedias[peerId][mediaId];
+
+  if (!hasMCU) {
+    SkylinkError.throwError(MESSAGES.SIMULCAST.ERRORS.SET_RECEIVE_QUALITY_MCU_ONLY);
+  }
+
+  if (!mediaInfo || !mediaInfo.simulcast || !Array.isArray(mediaInfo.simulcast.layers)) {
+    SkylinkError.throwError(MESSAGES.SIMULCAST.ERRORS.NO_SIMULCAST_MEDIA, mediaId);
+  }
+
+  if (!mediaInfo.simulcast.layers.some(simulcastLayer => simulcastLayer.rid === layer)) {
+    SkylinkError.throwError(MESSAGES.SIMULCAST.ERRORS.INVALID_LAYER, layer);
+  }
+
+  logger.log.INFO([peerId, TAGS.PEER_MEDIA, mediaId, MESSAGES.SIMULCAST.SET_RECEIVE_QUALITY], layer);
+
+  new SkylinkSignalingServer().setReceiveQuality(state, peerId, mediaId, layer);
+};
+
+export default setReceiveQuality;
@@ -230,6 +230,17 @@ class PeerMedia {
       logger.log.ERROR([peerId, TAGS.MEDIA_INFO, MESSAGES.MEDIA_INFO.ERRORS.FAILED_PROCESSING_PEER_MEDIA], err);
     }
   }
+
+  /**
+   * Method that requests the MCU to send the simulcast layer of a remote simulcast media.
+   * @param {SkylinkState} roomState
+   * @param {String} peerId
+   * @param {String} mediaId
+   * @param {SkylinkConstants.SIMULCAST_LAYER} layer
+   */
+  static setReceiveQuality(roomState, peerId, mediaId, layer) {
+    helpers.setReceiveQuality(roomState, peerId, mediaId, layer);
+  }
 }
 
 export default PeerMedia;
@@ -1,10 +1,13 @@
 import Skylink, { SkylinkConstants } from '../index';
 import logger from '../logger';
 import messages from '../messages';
-import { GET_PEERS_STATE } from '../constants';
+import { GET_PEERS_STATE, INTRODUCE_STATE } from '../constants';
 import SkylinkSignalingServer from '../server-communication/signaling-server';
 import { dispatchEvent, removeEventListener, addEventListener } from '../utils/skylinkEventManager';
-import { getPeersStateChange } from '../skylink-events';
+import { getPeersStateChange, introduceStateChange } from '../skylink-events';
+import { isAString } from '../utils/helpers';
+
+const isValidPeerId = peerId => isAString(peerId) && peerId.length > 0;
 
 /**
  * @classdesc Class that represents a Privilege Peer methods
@@ -80,6 +83,44 @@ class PeerPrivileged {
       }
     });
   }
+
+  /**
+   * Function that requests the Signaling server to introduce two Peers in the same App space to each other.
+   * @param {SkylinkRoom} room
+   * @param {String} sendingPeerId
+   * @param {String} receivingPeerId
+   * @fires introduceStateChange
+   */
+  static introducePeer(room, sendingPeerId, receivingPeerId) {
+    const state = Skylink.getSkylinkState(room.id);
+    const initOptions = Skylink.getInitOptions();
+
+    const dispatchIntroduceStateChange = (introduceState, reason = null) => dispatchEvent(introduceStateChange({
+      state: introduceState,
+      privilegedPeerId: state.user.sid,
+      sendingPeerId,
+      receivingPeerId,
+      reason,
+    }));
+
+    const rejectIntroduce = error => dispatchIntroduceStateChange(INTRODUCE_STATE.ERROR, error.message);
+
+    if (!this.shouldProceed(state, initOptions.appKey, rejectIntroduce)) {
+      return;
+    }
+
+    if (!isValidPeerId(sendingPeerId) || !isValidPeerId(receivingPeerId) || sendingPeerId === receivingPeerId) {
+      logger.log.ERROR(messages.PEER_PRIVILEGED.invalid_introduce_peer_ids, { sendingPeerId, receivingPeerId });
+      rejectIntroduce(new Error(messages.PEER_PRIVILEGED.invalid_introduce_peer_ids));
+      return;
+    }
+
+    new SkylinkSignalingServer().introduce(state, sendingPeerId, receivingPeerId);
+
+    logger.log.INFO(messages.PEER_PRIVILEGED.introducePeer, { sendingPeerId, receivingPeerId });
+
+    dispatchIntroduceStateChange(INTRODUCE_STATE.INTRODUCING);
+  }
 }
 
 export default PeerPrivileged;
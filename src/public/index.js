@@ -4,6 +4,7 @@ import {
 } from '../utils/helpers';
 import { dispatchEvent } from '../utils/skylinkEventManager';
 import { streamEnded } from '../skylink-events';
+import { MODERATION_COMMAND } from '../constants';
 import PeerConnection from '../peer-connection/index';
 import PeerData from '../peer-data/index';
 import PeerPrivileged from '../peer-privileged/index';
@@ -15,6 +16,12 @@ import RTMP from '../features/rtmp/index';
 import AsyncMessaging from '../features/messaging/async-messaging';
 import EncryptedMessaging from '../features/messaging/encrypted-messaging';
 import Messaging from '../features/messaging';
+import DataTransfer from '../features/data-transfer';
+import DataStream from '../features/data-stream';
+import PeerMethod from '../features/peer-method';
+import Moderation from '../features/moderation';
+import AudioOutput from '../features/audio-output';
+import PeerMedia from '../peer-media/index';
 
 /**
  * @classdesc This class lists all the public methods of Skylink.
@@ -28,6 +35,9 @@ class SkylinkPublicInterface {
    * @param {MediaStream} [prefetchedStream] - The pre-fetched media stream object obtained when the user calls {@link Skylink#getUserMedia|getUserMedia} method before {@link Skylink#joinRoom|joinRoom} method.
    * @return {Promise.<Array<MediaStream|null>>} Promise object with an array of <code>MediaStreams</code> or null if pre-fetched stream was
    * passed into <code>joinRoom</code> method. First item in array is MediaStream of kind audio and second item is MediaStream of kind video.
+   *   The Promise is resolved when the Signaling server accepts the User into the room, and rejected with an <code>Error</code>
+   *   named as one of the {@link SkylinkConstants.JOIN_ROOM_ERROR|JOIN_ROOM_ERROR} when the Signaling server rejects the User,
+   *   does not respond in time, or when the socket connection closes before the User is accepted.
    * @example
    * Example 1: Calling joinRoom with options
    *
@@ -62,6 +72,15 @@ class SkylinkPublicInterface {
    *    .catch((error) => {
    *    // handle error
    *    });
+   * @example
+   * Example 3: Handling a locked room
+   *
+   * skylink.joinRoom(joinRoomOptions)
+   *    .catch((error) => {
+   *        if (error.name === SkylinkConstants.JOIN_ROOM_ERROR.ROOM_LOCKED) {
+   *          // show that the room is locked
+   *        }
+   *    });
    * @alias Skylink#joinRoom
    */
   async joinRoom(options = {}, prefetchedStream) {
@@ -131,6 +150,249 @@ class SkylinkPublicInterface {
     PeerConnection.sendP2PMessage(roomName, message, targetPeerId);
   }
 
+  /**
+   * @description Method that calls a method registered by a peer with {@link Skylink#registerPeerMethod} via the
+   * data channel connection and resolves with its result.
+   * <blockquote class="info">
+   *   Note that in MCU enabled rooms, the call and its response are forwarded by the MCU.
+   * </blockquote>
+   * @param {String} roomName - The room name.
+   * @param {String} peerId - The peer id.
+   * @param {String} method - The method name.
+   * @param {*} [params] - The method parameters. It must be serializable to JSON.
+   * @param {Object} [options]
+   * @param {number} [options.timeout=10000] - The timeout in milliseconds to wait for the response.
+   * @return {Promise<*>} The method result. It is rejected with the error thrown by the peer method handler,
+   * or when the method is not registered by the peer or when the call times out.
+   * @example
+   * Example 1: Calling a peer method
+   *
+   * skylink.callPeer(roomName, peerId, "getDocument", { id: "doc_1" }, { timeout: 5000 })
+   *   .then((document) => {
+   *     // do something
+   *   })
+   *   .catch((error) => {
+   *     // handle error
+   *   });
+   * @alias Skylink#callPeer
+   * @since 2.0.0
+   */
+  callPeer(roomName, peerId, method, params, options = {}) {
+    const roomState = getRoomStateByName(roomName);
+    if (roomState) {
+      return PeerMethod.callPeer(roomState, peerId, method, params, options);
+    }
+
+    return null;
+  }
+
+  /**
+   * @description Method that registers a method that peers can call with {@link Skylink#callPeer}.
+   * The handler is invoked with the method parameters and the caller details, and its return value or resolved
+   * value is sent to the caller as the result. Errors thrown or rejected by the handler are sent to the caller.
+   * Registered methods can be called by peers in all rooms.
+   * @param {String} method - The method name.
+   * @param {Function|null} handler - The method handler. Provide <code>null</code> to unregister the method.
+   * @example
+   * Example 1: Registering a peer method
+   *
+   * skylink.registerPeerMethod("getDocument", (params, caller) => {
+   *   // caller.peerId, caller.room and caller.peerInfo describe the calling peer
+   *   return documents[params.id];
+   * });
+   * @alias Skylink#registerPeerMethod
+   * @since 2.0.0
+   */
+  registerPeerMethod(method, handler) {
+    PeerMethod.registerPeerMethod(method, handler);
+  }
+
+  /**
+   * @description Method that starts a data transfer of a Blob to peers via the data channel connection.
+   * <blockquote class="info">
+   *   Note that data transfers are not supported in MCU enabled rooms and that only one data transfer
+   *   can be in-progress with each peer at a time.
+   * </blockquote>
+   * @param {String} roomName - The room name.
+   * @param {Blob} blob - The Blob object to send.
+   * @param {String|Array} [targetPeerId] - The target peer id to send the Blob to.
+   * When provided as an Array, it will send the Blob to only peers which ids are in the list.
+   * When not provided, it will send the Blob to all connected peers with data channel connection in the room.
+   * @return {Promise<String>} transferId - The data transfer id. The promise rejects when the data transfer request
+   * could not be sent to any of the peers, and the peers that it failed to send to trigger the
+   * <code>START_ERROR</code> state.
+   * @example
+   * Example 1: Sending a file to a peer
+   *
+   * const file = fileInputEl.files[0];
+   *
+   * skylink.sendBlobData(roomName, file, targetPeerId)
+   *   .then((transferId) => {
+   *     // do something
+   *   })
+   *   .catch((error) => {
+   *     // handle error
+   *   });
+   * @example
+   * // Listen for dataTransferState event to track the upload progress
+   * SkylinkEventManager.addEventListener(SkylinkConstants.EVENTS.DATA_TRANSFER_STATE, (evt) => {
+   *   const { state, transferInfo } = evt.detail;
+   *   if (state === SkylinkConstants.DATA_TRANSFER_STATE.UPLOADING) {
+   *     // update progress with transferInfo.percentage
+   *   }
+   * });
+   * @fires {@link SkylinkEvents.event:dataTransferState|dataTransferStateEvent} with payload <code>state=USER_UPLOAD_REQUEST</code>
+   * when the request has been sent to the peer.
+   * @fires {@link SkylinkEvents.event:dataTransferState|dataTransferStateEvent} with payload <code>state=UPLOAD_STARTED</code>,
+   * <code>UPLOADING</code> and <code>UPLOAD_COMPLETED</code> as the peer accepts and receives the data.
+   * @fires {@link SkylinkEvents.event:dataTransferState|dataTransferStateEvent} with payload <code>state=REJECTED</code>
+   * if the peer rejected the request.
+   * @fires {@link SkylinkEvents.event:dataTransferState|dataTransferStateEvent} with payload <code>state=START_ERROR</code>
+   * if the data transfer failed to start with a peer.
+   * @alias Skylink#sendBlobData
+   * @since 0.5.5
+   */
+  sendBlobData(roomName, blob, targetPeerId) {
+    const roomState = getRoomStateByName(roomName);
+    if (roomState) {
+      return DataTransfer.sendBlobData(roomState, blob, targetPeerId);
+    }
+
+    return null;
+  }
+
+  /**
+   * @description Method that accepts or rejects a data transfer request from a peer.
+   * @param {String} roomName - The room name.
+   * @param {String} peerId - The peer id.
+   * @param {String} transferId - The data transfer id.
+   * @param {Boolean} [accept=true] - The flag if the data transfer request should be accepted.
+   * @example
+   * Example 1: Accepting a data transfer request
+   *
+   * SkylinkEventManager.addEventListener(SkylinkConstants.EVENTS.ON_INCOMING_DATA_REQUEST, (evt) => {
+   *   const { peerId, transferId, transferInfo } = evt.detail;
+   *   skylink.acceptDataTransfer(roomName, peerId, transferId, window.confirm(`Accept ${transferInfo.name}?`));
+   * });
+   *
+   * SkylinkEventManager.addEventListener(SkylinkConstants.EVENTS.ON_INCOMING_DATA, (evt) => {
+   *   const { data, transferInfo } = evt.detail;
+   *   // save data as transferInfo.name
+   * });
+   * @fires {@link SkylinkEvents.event:dataTransferState|dataTransferStateEvent} with payload <code>state=DOWNLOAD_STARTED</code>
+   * when the request is accepted, followed by <code>DOWNLOADING</code> and <code>DOWNLOAD_COMPLETED</code>.
+   * @fires {@link SkylinkEvents.event:dataTransferState|dataTransferStateEvent} with payload <code>state=USER_REJECTED</code>
+   * when the request is rejected.
+   * @fires {@link SkylinkEvents.event:onIncomingData|onIncomingDataEvent} when the data has been received.
+   * @alias Skylink#acceptDataTransfer
+   * @since 0.6.1
+   */
+  acceptDataTransfer(roomName, peerId, transferId, accept = true) {
+    const roomState = getRoomStateByName(roomName);
+    if (roomState) {
+      DataTransfer.acceptDataTransfer(roomState, peerId, transferId, accept);
+    }
+  }
+
+  /**
+   * @description Method that terminates an in-progress data transfer with a peer.
+   * @param {String} roomName - The room name.
+   * @param {String} peerId - The peer id.
+   * @param {String} transferId - The data transfer id.
+   * @fires {@link SkylinkEvents.event:dataTransferState|dataTransferStateEvent} with payload <code>state=CANCEL</code>.
+   * @alias Skylink#cancelDataTransfer
+   * @since 0.6.1
+   */
+  cancelDataTransfer(roomName, peerId, transferId) {
+    const roomState = getRoomStateByName(roomName);
+    if (roomState) {
+      DataTransfer.cancelDataTransfer(roomState, peerId, transferId);
+    }
+  }
+
+  /**
+   * @description Method that starts a data streaming session with peers. A dedicated data channel connection is opened
+   * with each peer for the session and data chunks are delivered to the peer in the order they are sent.
+   * <blockquote class="info">
+   *   Note that data streaming is not supported in MCU enabled rooms.
+   * </blockquote>
+   * @param {String} roomName - The room name.
+   * @param {Boolean} [isStringStream=false] - The flag if data chunks are sent as strings instead of binary.
+   * @param {String|Array} [targetPeerId] - The target peer id to start the data streaming session with.
+   * When provided as an Array, it will start the session with only peers which ids are in the list.
+   * When not provided, it will start the session with all connected peers with data channel connection in the room.
+   * @return {Promise<String>} streamId - The data streaming session id.
+   * @example
+   * Example 1: Streaming binary data to peers
+   *
+   * skylink.startStreamingData(roomName, false)
+   *   .then((streamId) => {
+   *     skylink.streamData(roomName, streamId, new Uint8Array([1, 2, 3]).buffer);
+   *     skylink.stopStreamingData(roomName, streamId);
+   *   })
+   *   .catch((error) => {
+   *     // handle error
+   *   });
+   * @example
+   * // Listen for onIncomingDataStream event to receive the data chunks
+   * SkylinkEventManager.addEventListener(SkylinkConstants.EVENTS.ON_INCOMING_DATA_STREAM, (evt) => {
+   *   const { chunk, streamId, peerId } = evt.detail;
+   *   // handle chunk
+   * });
+   * @fires {@link SkylinkEvents.event:dataStreamState|dataStreamStateEvent} with payload <code>state=SENDING_STARTED</code>
+   * when the data channel connection with the peer has opened.
+   * @fires {@link SkylinkEvents.event:dataStreamState|dataStreamStateEvent} with payload <code>state=START_ERROR</code>
+   * if the data streaming session failed to start with a peer.
+   * @alias Skylink#startStreamingData
+   * @since 0.6.18
+   */
+  startStreamingData(roomName, isStringStream = false, targetPeerId) {
+    const roomState = getRoomStateByName(roomName);
+    if (roomState) {
+      return DataStream.startStreamingData(roomState, isStringStream, targetPeerId);
+    }
+
+    return null;
+  }
+
+  /**
+   * @description Method that sends a data chunk to peers of a data streaming session.
+   * Data chunks are queued while the data channel buffer is full and sent when it has drained.
+   * @param {String} roomName - The room name.
+   * @param {String} streamId - The data streaming session id.
+   * @param {String|ArrayBuffer|ArrayBufferView} chunk - The data chunk.
+   * Strings are expected for string data streaming sessions, and binary data for the rest.
+   * The maximum size of each data chunk is <code>65456</code> bytes.
+   * @fires {@link SkylinkEvents.event:dataStreamState|dataStreamStateEvent} with payload <code>state=SENT</code>
+   * when the data chunk has been sent to a peer.
+   * @fires {@link SkylinkEvents.event:dataStreamState|dataStreamStateEvent} with payload <code>state=ERROR</code>
+   * if the data chunk failed to send to a peer.
+   * @alias Skylink#streamData
+   * @since 0.6.18
+   */
+  streamData(roomName, streamId, chunk) {
+    const roomState = getRoomStateByName(roomName);
+    if (roomState) {
+      DataStream.streamData(roomState, streamId, chunk);
+    }
+  }
+
+  /**
+   * @description Method that stops a data streaming session after the queued data chunks have been sent.
+   * @param {String} roomName - The room name.
+   * @param {String} streamId - The data streaming session id.
+   * @fires {@link SkylinkEvents.event:dataStreamState|dataStreamStateEvent} with payload <code>state=SENDING_STOPPED</code>
+   * when the data channel connection with the peer has closed.
+   * @alias Skylink#stopStreamingData
+   * @since 0.6.18
+   */
+  stopStreamingData(roomName, streamId) {
+    const roomState = getRoomStateByName(roomName);
+    if (roomState) {
+      DataStream.stopStreamingData(roomState, streamId);
+    }
+  }
+
   /**
    * @description Function that sends a message to peers via the Signaling socket connection.
    * @param {String} roomName - room name to send the message.
@@ -378,6 +640,141 @@ class SkylinkPublicInterface {
     return null;
   }
 
+  /**
+   * @description Method that introduces two Peers to each other to start a Peer connection.
+   * <p>The Peer with the <code>sendingPeerId</code> enters the room to the Peer with the <code>receivingPeerId</code>.</p>
+   * <p>This is used when the App Key has the auto introduce feature disabled, so that the Peers in the same room
+   * are not connected to each other when they join the room, e.g. to pair agents with customers.</p>
+   * <blockquote class="info">
+   *   Note that this feature requires <code>"isPrivileged"</code> flag to be enabled for the App Key
+   *   provided in the <code>initOptions</code>, as only Users connecting using
+   *   the App Key with this flag enabled (which we call privileged Users / Peers) can introduce Peers.
+   * </blockquote>
+   * @param {String} roomName - The name of the room that the privileged Peer is in.
+   * @param {String} sendingPeerId - The Peer ID of the Peer that enters the room to <code>receivingPeerId</code>.
+   * @param {String} receivingPeerId - The Peer ID of the Peer that receives the <code>sendingPeerId</code>.
+   * @fires {@link SkylinkEvents.event:introduceStateChange|introduceStateChange} with parameter payload
+   *   <code>state</code> as <code>INTRODUCING</code> when the introduction request is sent, or as <code>ERROR</code>
+   *   when the request is invalid or fails.
+   * @example
+   * Example 1: Pair an agent with a customer
+   *
+   * SkylinkEventManager.addEventListener(SkylinkConstants.EVENTS.INTRODUCE_STATE_CHANGE, (evt) => {
+   *   const { state, reason } = evt.detail;
+   *   if (state === SkylinkConstants.INTRODUCE_STATE.ERROR) {
+   *     // handle error
+   *   }
+   * });
+   *
+   * skylink.introducePeer(location, agentPeerId, customerPeerId);
+   * @alias Skylink#introducePeer
+   * @since 2.0.0
+   */
+  introducePeer(roomName, sendingPeerId, receivingPeerId) {
+    const roomState = getRoomStateByName(roomName);
+    if (roomState) {
+      PeerPrivileged.introducePeer(roomState.room, sendingPeerId, receivingPeerId);
+    }
+  }
+
+  /**
+   * @typedef {Object} moderationCommandResult
+   * @property {String} peerId - The Peer ID that the command was sent to.
+   * @property {SkylinkConstants.MODERATION_COMMAND} command - The moderation command.
+   * @property {Boolean} isApplied - The flag if the command was applied, or <code>false</code> when it was declined by the Peer.
+   */
+
+  /**
+   * @description Method that requests a Peer to mute its audio or video.
+   * <p>The Peer only mutes the requested media when its application accepts the request in the
+   * {@link SkylinkEvents.event:moderationRequest|moderationRequest} event.</p>
+   * <blockquote class="info">
+   *   Note that this feature requires <code>"isPrivileged"</code> flag to be enabled for the App Key
+   *   provided in the <code>initOptions</code>.
+   * </blockquote>
+   * @param {String} roomName - The room name.
+   * @param {String} peerId - The Peer ID.
+   * @param {Object} [options] - The media to mute.
+   * @param {Boolean} [options.audio=true] - The flag if the audio is muted.
+   * @param {Boolean} [options.video=true] - The flag if the video is muted.
+   * @return {Promise.<moderationCommandResult>} Promise object that is resolved with the response of the Peer.
+   * @fires {@link SkylinkEvents.event:moderationResponse|moderationResponse} when the Peer responds to the request.
+   * @example
+   * Example 1: Mute the audio of a participant
+   *
+   * skylink.requestMute(roomName, peerId, { audio: true, video: false })
+   *   .then((result) => {
+   *     if (!result.isApplied) {
+   *       // the participant declined the request
+   *     }
+   *   })
+   *   .catch((error) => {
+   *     // handle error
+   *   });
+   * @alias Skylink#requestMute
+   * @since 2.0.0
+   */
+  requestMute(roomName, peerId, options = { audio: true, video: true }) {
+    const roomState = getRoomStateByName(roomName);
+    if (roomState) {
+      return Moderation.sendCommand(roomState, peerId, MODERATION_COMMAND.MUTE, {
+        audio: options.audio !== false,
+        video: options.video !== false,
+      });
+    }
+
+    return null;
+  }
+
+  /**
+   * @description Method that removes a Peer from the room.
+   * <p>The Peer leaves the room when its application accepts the removal in the
+   * {@link SkylinkEvents.event:moderationRequest|moderationRequest} event.</p>
+   * <blockquote class="info">
+   *   Note that this feature requires <code>"isPrivileged"</code> flag to be enabled for the App Key
+   *   provided in the <code>initOptions</code>.
+   * </blockquote>
+   * @param {String} roomName - The room name.
+   * @param {String} peerId - The Peer ID.
+   * @param {String} [reason] - The reason of the removal that is shown to the Peer.
+   * @return {Promise.<moderationCommandResult>} Promise object that is resolved with the response of the Peer.
+   * @fires {@link SkylinkEvents.event:moderationResponse|moderationResponse} when the Peer responds to the removal.
+   * @alias Skylink#removePeer
+   * @since 2.0.0
+   */
+  removePeer(roomName, peerId, reason = null) {
+    const roomState = getRoomStateByName(roomName);
+    if (roomState) {
+      return Moderation.sendCommand(roomState, peerId, MODERATION_COMMAND.REMOVE, { reason });
+    }
+
+    return null;
+  }
+
+  /**
+   * @description Method that requests a Peer to lower its raised hand.
+   * <p>The hand is lowered by the application of the Peer in the
+   * {@link SkylinkEvents.event:moderationRequest|moderationRequest} event.</p>
+   * <blockquote class="info">
+   *   Note that this feature requires <code>"isPrivileged"</code> flag to be enabled for the App Key
+   *   provided in the <code>initOptions</code>.
+   * </blockquote>
+   * @param {String} roomName - The room name.
+   * @param {String} peerId - The Peer ID.
+   * @return {Promise.<moderationCommandResult>} Promise object that is resolved with the response of the Peer.
+   * @fires {@link SkylinkEvents.event:moderationResponse|moderationResponse} when the Peer responds to the request.
+   * @alias Skylink#requestLowerHand
+   * @since 2.0.0
+   */
+  requestLowerHand(roomName, peerId) {
+    const roomState = getRoomStateByName(roomName);
+    if (roomState) {
+      return Moderation.sendCommand(roomState, peerId, MODERATION_COMMAND.LOWER_HAND, {});
+    }
+
+    return null;
+  }
+
   /**
    * @typedef {Object.<String, Object>} peersStreamsInfo
    * @property {Object.<String, Object>} #peerId - Peer streams info keyed by peer id.
@@ -415,6 +812,8 @@ class SkylinkPublicInterface {
    *   current data streaming session id. Defined as <code>null</code> when there is currently
    *   no data streaming session on the data channel connection.
    * @property {String} readyState - The data channel connection readyState.
+   * @property {number} queueDepth - The number of data queued on the data channel connection outbound queue
+   *   waiting for the data channel buffered amount to fall below the low water mark.
    * @property {String} bufferedAmountLow - The data channel buffered amount.
    * @property {String} bufferedAmountLowThreshold - The data channel
    *   buffered amount threshold.
@@ -834,6 +1233,19 @@ class SkylinkPublicInterface {
    * @param {String|JSON} [options.video.facingMode] The video camera facing mode.
    *   The list of available video source id can be retrieved by the {@link https://developer.mozilla.org
    *   /en-US/docs/Web/API/MediaTrackConstraints/facingMode}.
+   * @param {Boolean|Array} [options.video.simulcast] <blockquote class="info">
+   *   Note that simulcast is only supported in rooms with MCU, and a single video encoding is sent otherwise.</blockquote>
+   *   The simulcast layers to send the video track with. Peers can select the layer to receive with
+   *   {@link Skylink#setReceiveQuality|setReceiveQuality}.
+   * - When provided as <code>true</code>, the <code>LOW</code>, <code>MEDIUM</code> and <code>HIGH</code>
+   *   [Rel: {@link SkylinkConstants.SIMULCAST_LAYER|SIMULCAST_LAYER}] layers are sent.
+   * - When provided as an Array, each item is a layer with the <code>rid</code>, and optional <code>scaleResolutionDownBy</code>
+   *   and <code>maxBitrate</code> in bps encoding parameters.
+   * @param {Array.<trackProcessor>} [options.trackProcessors] <blockquote class="info">
+   *   Note that the processors are only applied when a room name is provided.</blockquote>
+   *   The processors to route the audio and video tracks through before they are sent to peers, in the order that they are applied.
+   *   Processors can be added or removed while the stream is being sent with {@link Skylink#addTrackProcessor|addTrackProcessor}
+   *   and {@link Skylink#removeTrackProcessor|removeTrackProcessor}.
    * @return {Promise<MediaStream>} MediaStream
    * @example
    * Example 1: Get both audio and video after joinRoom
@@ -1109,14 +1521,15 @@ class SkylinkPublicInterface {
    * @param {String} roomName - The room name.
    * @return {Boolean}
    * @fires {@link SkylinkEvents.event:roomLock|roomLockEvent} with payload parameters <code>isLocked=true</code> when the room is successfully locked.
+   *   The other Peers in the room receive the event with payload parameters <code>isSelf=false</code>.
    * @example
-   * // add event listener to listen for room locked state when peer tries to join a locked room
-   * skylinkEventManager.addEventListener(SkylinkEvents.SYSTEM_ACTION, (evt) => {
-   *   const { detail } = evt;
-   *   if (detail.reason === SkylinkConstants.SYSTEM_ACTION.LOCKED') {
-   *     // handle event
-   *   }
-   * }
+   * // handle the rejection when peer tries to join a locked room
+   * skylink.joinRoom(joinRoomOptions)
+   *   .catch((error) => {
+   *     if (error.name === SkylinkConstants.JOIN_ROOM_ERROR.ROOM_LOCKED) {
+   *       // handle locked room
+   *     }
+   *   });
    *
    * // add event listener to listen for room locked/unlocked event after calling lockRoom method
    * skylinkEventManager.addEventListener(SkylinkEvents.ROOM_LOCK, (evt) => {
@@ -1146,6 +1559,7 @@ class SkylinkPublicInterface {
    * @param {String} roomName - The room name.
    * @return {Boolean}
    * @fires {@link SkylinkEvents.event:roomLock|roomLockEvent} with payload parameters <code>isLocked=false</code> when the room is successfully locked.
+   *   The other Peers in the room receive the event with payload parameters <code>isSelf=false</code>.
    * @alias Skylink#unlockRoom
    * @since 0.5.0
    */
@@ -1252,6 +1666,45 @@ class SkylinkPublicInterface {
     return null;
   }
 
+  /**
+   * @description Method that unmutes the audio of a <code>userMedia</code> stream only while push to talk is active.
+   * The audio is unmuted locally as soon as push to talk is active, while the muted status is sent to the peers after a short
+   * debounce so that rapid presses of the push to talk key only send the last status.
+   * Enable <code>speakingWhileMuted</code> in {@link initOptions} to be notified when the user speaks without pressing the key.
+   * @param {String} roomName - The room name.
+   * @param {String} streamId - The stream id of the <code>userMedia</code> stream.
+   * @param {Boolean} active - The flag if push to talk is active.
+   * @return {null}
+   * @example
+   * Example 1: Talk while the space bar is held down
+   *
+   * skylink.muteStreams(roomName, { audioMuted: true, videoMuted: false }, streamId);
+   *
+   * document.addEventListener('keydown', (evt) => {
+   *   if (evt.code === 'Space' && !evt.repeat) {
+   *     skylink.pushToTalk(roomName, streamId, true);
+   *   }
+   * });
+   *
+   * document.addEventListener('keyup', (evt) => {
+   *   if (evt.code === 'Space') {
+   *     skylink.pushToTalk(roomName, streamId, false);
+   *   }
+   * });
+   * @fires <b>On local peer:</b> {@link SkylinkEvents.event:localMediaMuted|localMediaMutedEvent}, {@link SkylinkEvents.event:streamMuted|streamMuted}, {@link SkylinkEvents.event:peerUpdated|peerUpdatedEvent} when the muted status is sent.
+   * @fires <b>On remote peer:</b> {@link SkylinkEvents.event:streamMuted|streamMuted}, {@link SkylinkEvents.event:peerUpdated|peerUpdatedEvent} with parameter payload <code>isSelf=false</code>.
+   * @alias Skylink#pushToTalk
+   * @since 2.0.0
+   */
+  pushToTalk(roomName, streamId, active) {
+    const roomState = getRoomStateByName(roomName);
+    if (roomState) {
+      return MediaStream.pushToTalk(roomState, streamId, active);
+    }
+
+    return null;
+  }
+
   /**
    * @description Method that starts a RTMP session. [Beta]
    * <blockquote class="info">
@@ -1339,6 +1792,145 @@ class SkylinkPublicInterface {
     return MediaStream.getStreamSources();
   }
 
+  /**
+   * @description Method that adds a processor to the end of the track processors of a <code>userMedia</code> stream
+   * while it is being sent. The track retrieved from the device is routed through the updated processors, and the processed
+   * track replaces the stream track for all connected peers without renegotiating the peer connections.
+   * @param {String} roomName - The room name.
+   * @param {String} streamId - The stream id of the <code>userMedia</code> stream.
+   * @param {trackProcessor} processor - The track processor.
+   * @return {Promise<MediaStream>} The stream with the processed track.
+   * @example
+   * Example 1: Watermark the camera stream
+   *
+   * const watermark = {
+   *   kind: 'video',
+   *   process: (track) => {
+   *     // draw the track frames with the watermark onto a canvas
+   *     return canvas.captureStream().getVideoTracks()[0];
+   *   },
+   *   stop: () => // stop drawing onto the canvas
+   * };
+   *
+   * skylink.addTrackProcessor(roomName, streamId, watermark)
+   *   .then((stream) => // do something)
+   *   .catch((error) => // handle error);
+   * @alias Skylink#addTrackProcessor
+   * @since 2.0.0
+   */
+  addTrackProcessor(roomName, streamId, processor) {
+    const roomState = getRoomStateByName(roomName);
+    if (roomState) {
+      return MediaStream.addTrackProcessor(roomState, streamId, processor);
+    }
+
+    return null;
+  }
+
+  /**
+   * @description Method that removes a processor from the track processors of a <code>userMedia</code> stream
+   * while it is being sent, without renegotiating the peer connections.
+   * @param {String} roomName - The room name.
+   * @param {String} streamId - The stream id of the <code>userMedia</code> stream.
+   * @param {trackProcessor} processor - The track processor that was passed in <code>options.trackProcessors</code>
+   * of {@link Skylink#getUserMedia|getUserMedia} or to {@link Skylink#addTrackProcessor|addTrackProcessor}.
+   * @return {Promise<MediaStream>} The stream with the processed track.
+   * @example
+   * Example 1: Turn off background blur
+   *
+   * skylink.removeTrackProcessor(roomName, streamId, backgroundBlur)
+   *   .then((stream) => // do something)
+   *   .catch((error) => // handle error);
+   * @alias Skylink#removeTrackProcessor
+   * @since 2.0.0
+   */
+  removeTrackProcessor(roomName, streamId, processor) {
+    const roomState = getRoomStateByName(roomName);
+    if (roomState) {
+      return MediaStream.removeTrackProcessor(roomState, streamId, processor);
+    }
+
+    return null;
+  }
+
+  /**
+   * @description Method that returns the audio output (speakers) devices.
+   * @return {Promise.<Array.<Object>>} The list of audio output devices.
+   * Object signature matches the {@link Skylink#getStreamSources|getStreamSources} <code>audio.output</code> items.
+   * @example
+   * Example 1: List the speakers
+   *
+   * skylink.getAudioOutputDevices()
+   *   .then((devices) => {
+   *     devices.forEach(device => console.log(device.deviceId, device.label));
+   *   });
+   * @alias Skylink#getAudioOutputDevices
+   * @since 2.0.0
+   */
+  getAudioOutputDevices() {
+    return AudioOutput.getAudioOutputDevices();
+  }
+
+  /**
+   * @description Method that sets the audio output (speakers) device of the streams in a room.
+   * The selection is remembered for the room and applied to all media elements attached with
+   * {@link Skylink#attachStream|attachStream}, including the elements of streams attached later.
+   * @param {String} roomName - The room name.
+   * @param {String} deviceId - The audio output device id. Use an empty string for the default device.
+   * @param {JSON} [options] - The audio output options.
+   * @param {String} [options.peerId] - The peer id. When provided, the audio output device is only set for the peer streams
+   * and takes precedence over the audio output device set for all peers.
+   * @return {Promise.<Array.<String>>} The list of stream ids that the audio output device is set for.
+   * @example
+   * Example 1: Play a peer on a different speaker
+   *
+   * skylink.setAudioOutput(roomName, deviceId, { peerId })
+   *   .then((streamIds) => // do something);
+   * @fires {@link SkylinkEvents.event:audioOutputError|audioOutputError} for each media element when
+   * <code>HTMLMediaElement.setSinkId</code> is not supported or is rejected.
+   * @alias Skylink#setAudioOutput
+   * @since 2.0.0
+   */
+  setAudioOutput(roomName, deviceId, options) {
+    const roomState = getRoomStateByName(roomName);
+    if (roomState) {
+      return AudioOutput.setAudioOutput(roomState, deviceId, options);
+    }
+
+    return null;
+  }
+
+  /**
+   * @description Method that attaches a local or remote stream to an audio or video element and sets the element audio
+   * output device selected with {@link Skylink#setAudioOutput|setAudioOutput}.
+   * @param {String} roomName - The room name.
+   * @param {HTMLMediaElement} element - The audio or video element.
+   * @param {String} streamId - The stream id.
+   * @return {Promise.<HTMLMediaElement>} The media element.
+   * @example
+   * Example 1: Attach an incoming stream
+   *
+   * SkylinkEventManager.addEventListener(SkylinkConstants.EVENTS.ON_INCOMING_STREAM, (evt) => {
+   *   const { stream, isSelf } = evt.detail;
+   *
+   *   if (!isSelf) {
+   *     skylink.attachStream(roomName, document.getElementById('remote-video'), stream.id);
+   *   }
+   * });
+   * @fires {@link SkylinkEvents.event:audioOutputError|audioOutputError} when
+   * <code>HTMLMediaElement.setSinkId</code> is not supported or is rejected.
+   * @alias Skylink#attachStream
+   * @since 2.0.0
+   */
+  attachStream(roomName, element, streamId) {
+    const roomState = getRoomStateByName(roomName);
+    if (roomState) {
+      return AudioOutput.attachStream(roomState, element, streamId);
+    }
+
+    return null;
+  }
+
   /**
    * @description Method that sends a new <code>userMedia</code> stream to all connected peers in a room.
    * @param {String} roomName - The room name.
@@ -1394,6 +1986,110 @@ class SkylinkPublicInterface {
     return MediaStream.sendStream(roomState, options);
   }
 
+  /**
+   * @description Method that updates the sending bandwidth, framerate and resolution of a stream while it is being sent,
+   * without renegotiating the peer connections.
+   * The settings are also applied to the stream when it is sent again over a new peer connection, to all peers or only to the
+   * peer with the <code>peerId</code>. The settings for the peer take precedence until the same settings are updated for all peers.
+   * <blockquote class="info">
+   *   Note that on browsers without <code>RTCRtpSender.setParameters</code> support, the peer connections are renegotiated
+   *   with the bandwidth set in the session description instead, which applies to all the streams sent to the peer and, when no
+   *   <code>peerId</code> is provided, to the peer connections that are established afterwards, and
+   *   <code>options.maxFramerate</code> and <code>options.scaleResolutionDownBy</code> are not applied. Bandwidth cannot exceed the <code>bandwidth</code>
+   *   negotiated when the peer connection was established without renegotiating.
+   * </blockquote>
+   * @param {String} roomName - The room name.
+   * @param {String} streamId - The stream id of the <code>userMedia</code> or screenshare stream.
+   * @param {JSON} options - The stream sending settings.
+   * @param {Number} [options.audio] - The maximum audio sending bandwidth in kbps.
+   * @param {Number} [options.video] - The maximum video sending bandwidth in kbps.
+   * For simulcast streams, each layer is not sent above its configured <code>maxBitrate</code>.
+   * @param {Number} [options.maxFramerate] - The maximum video sending framerate.
+   * @param {Number} [options.scaleResolutionDownBy] - The factor that the video sending resolution is scaled down by.
+   * The value must be <code>1</code> or more and is not applied to simulcast streams.
+   * @param {String} [peerId] - The peer id. When not provided, the stream is updated for all peers.
+   * @return {Promise<Array<String>>} The list of peer ids that the stream is updated for.
+   * @example
+   * Example 1: Throttle the camera stream when screensharing starts
+   *
+   * skylink.setStreamBandwidth(roomName, cameraStreamId, { video: 256, maxFramerate: 15 })
+   *   .then((peerIds) => // do something)
+   *   .catch((error) => // handle error);
+   * @alias Skylink#setStreamBandwidth
+   * @since 2.0.0
+   */
+  setStreamBandwidth(roomName, streamId, options, peerId) {
+    const roomState = getRoomStateByName(roomName);
+    if (roomState) {
+      return MediaStream.setStreamBandwidth(roomState, streamId, options, peerId);
+    }
+
+    return null;
+  }
+
+  /**
+   * @description Method that switches the microphone or camera of a <code>userMedia</code> stream while it is being sent.
+   * The track from the new device replaces the stream track for all connected peers without renegotiating the peer connections,
+   * and the stream keeps its stream id and muted status.
+   * @param {String} roomName - The room name.
+   * @param {String} streamId - The stream id of the <code>userMedia</code> stream.
+   * @param {JSON} options - The devices to switch to.
+   * @param {String} [options.audioDeviceId] - The device id of the microphone to switch to.
+   * @param {String} [options.videoDeviceId] - The device id of the camera to switch to.
+   * Device ids can be retrieved from {@link Skylink#getStreamSources|getStreamSources} or the
+   * {@link SkylinkEvents.event:mediaDevicesChanged|mediaDevicesChanged} event.
+   * @return {Promise<MediaStream>} The stream with the switched tracks.
+   * @example
+   * Example 1: Switch to a newly plugged in headset
+   *
+   * SkylinkEventManager.addEventListener(SkylinkConstants.EVENTS.MEDIA_DEVICES_CHANGED, (evt) => {
+   *   const { addedDevices } = evt.detail;
+   *   const microphone = addedDevices.filter(device => device.kind === 'audioinput')[0];
+   *
+   *   if (microphone) {
+   *     skylink.switchInputDevice(roomName, streamId, { audioDeviceId: microphone.deviceId })
+   *       .then((stream) => // do something)
+   *       .catch((error) => // handle error);
+   *   }
+   * });
+   * @alias Skylink#switchInputDevice
+   * @since 2.0.0
+   */
+  switchInputDevice(roomName, streamId, options) {
+    const roomState = getRoomStateByName(roomName);
+    if (roomState) {
+      return MediaStream.switchInputDevice(roomState, streamId, options);
+    }
+
+    return null;
+  }
+
+  /**
+   * @description Method that selects the simulcast layer of a peer simulcast video media to receive from the MCU.
+   * Receiving a lower layer reduces the bitrate received without lowering the bitrate that the peer publishes to other peers.
+   * The simulcast layers of a media are listed in the <code>mediaInfo.simulcast.layers</code> of the peer media info.
+   * <blockquote class="info">
+   *   Note that this is only supported in rooms with MCU where the peer publishes with the
+   *   <code>options.video.simulcast</code> {@link Skylink#getUserMedia|getUserMedia} option.
+   * </blockquote>
+   * @param {String} roomName - The room name.
+   * @param {String} peerId - The publisher peer id.
+   * @param {String} mediaId - The media id of the simulcast video media.
+   * @param {SkylinkConstants.SIMULCAST_LAYER} layer - The simulcast layer rid.
+   * @example
+   * Example 1: Receive the lowest layer of a peer video in a thumbnail view
+   *
+   * skylink.setReceiveQuality(roomName, peerId, mediaId, SkylinkConstants.SIMULCAST_LAYER.LOW);
+   * @alias Skylink#setReceiveQuality
+   * @since 2.0.0
+   */
+  setReceiveQuality(roomName, peerId, mediaId, layer) {
+    const roomState = getRoomStateByName(roomName);
+    if (roomState) {
+      PeerMedia.setReceiveQuality(roomState, peerId, mediaId, layer);
+    }
+  }
+
   /**
    * @typedef {Object} screenSources - The list of screensharing media sources and screen sources.
    * @property {Array.<String>} mediaSource - The screensharing media source item.
@@ -1445,6 +2141,11 @@ class SkylinkPublicInterface {
 
   /**
    * @description Method that stores a secret and secret id pair used for encrypting and decrypting messages.
+   * <blockquote class="info">
+   *   Messages are encrypted with AES-256-GCM using WebCrypto, which requires a secure context. Encrypted messages that
+   *   fail the integrity check are dropped and trigger the
+   *   {@link SkylinkEvents.event:messageIntegrityFailed|messageIntegrityFailedEvent}.
+   * </blockquote>
    * @param {String} roomName - The room name.
    * @param {String} secret - A secret to use for encrypting and decrypting messages.
    * @param {String} secretId - The id of the secret.
@@ -1510,6 +2211,39 @@ class SkylinkPublicInterface {
     return encryption.getSelectedSecretId(secretId);
   }
 
+  /**
+   * @description Method that sets if P2P messages sent with [{@link Skylink#sendP2PMessage|sendP2PMessage}] should be encrypted
+   * end-to-end with the selected secret, so that they cannot be read by the MCU in MCU enabled rooms.
+   * <blockquote class="info">
+   *   Note that a secret MUST be selected with [{@link Skylink#setSelectedSecret|setSelectedSecret}] for P2P messages to be sent,
+   *   and that peers MUST have the secret with the same secret id to decrypt the P2P messages.
+   *   Unencrypted P2P messages received while P2P message encryption is enabled are dropped, and the
+   *   {@link SkylinkEvents.event:messageIntegrityFailed|messageIntegrityFailed} event is triggered.
+   * </blockquote>
+   * @param {String} roomName - The room name.
+   * @param {Boolean} isEncrypted - The flag if P2P messages should be encrypted.
+   * @alias Skylink#setP2PMessageEncryption
+   * @since 2.0.0
+   */
+  setP2PMessageEncryption(roomName, isEncrypted) {
+    const roomState = getRoomStateByName(roomName);
+    const encryption = new EncryptedMessaging(roomState);
+    encryption.setP2PMessageEncryption(isEncrypted);
+  }
+
+  /**
+   * @description Method that retrieves if P2P messages are encrypted end-to-end with the selected secret.
+   * @param {String} roomName - The room name.
+   * @returns {Boolean} isEncrypted
+   * @alias Skylink#getP2PMessageEncryption
+   * @since 2.0.0
+   */
+  getP2PMessageEncryption(roomName) {
+    const roomState = getRoomStateByName(roomName);
+    const encryption = new EncryptedMessaging(roomState);
+    return encryption.getP2PMessageEncryption();
+  }
+
   /**
    * @description Method that overrides the persistent message feature configured at the key level.
    * <blockquote class="info">
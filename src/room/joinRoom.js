@@ -1,13 +1,102 @@
 import Skylink from '../index';
 import { SkylinkAPIServer, SkylinkSignalingServer } from '../server-communication/index';
 import HandleClientStats from '../skylink-stats/handleClientStats';
-import { dispatchEvent } from '../utils/skylinkEventManager';
+import { dispatchEvent, addEventListener, removeEventListener } from '../utils/skylinkEventManager';
 import { readyStateChange } from '../skylink-events';
 import * as constants from '../constants';
+import MESSAGES from '../messages';
 import SkylinkApiResponse from '../models/api-response';
 import SkylinkState from '../models/skylink-state';
 import MediaStream from '../media-stream/index';
 
+const getJoinRoomRejectedError = (action, reason, info) => {
+  const isLocked = action === constants.SYSTEM_ACTION.LOCKED || reason === constants.SYSTEM_ACTION_REASON.ROOM_LOCKED;
+  const error = new Error(isLocked ? MESSAGES.JOIN_ROOM.ERRORS.ROOM_LOCKED : MESSAGES.JOIN_ROOM.ERRORS.REJECTED);
+
+  error.name = isLocked ? constants.JOIN_ROOM_ERROR.ROOM_LOCKED : constants.JOIN_ROOM_ERROR.REJECTED;
+  error.reason = reason;
+  error.info = info;
+
+  return error;
+};
+
+const getJoinRoomError = (name, message) => {
+  const error = new Error(message);
+
+  error.name = name;
+
+  return error;
+};
+
+const stopStreams = (streams) => {
+  [].concat(streams).forEach((stream) => {
+    if (stream) {
+      stream.getTracks().forEach(track => track.stop());
+    }
+  });
+};
+
+/**
+ * @description Method that sends the "joinRoom" message and waits for the Signaling server to accept or reject the User.
+ * @param {SkylinkState} roomState
+ * @return {Promise} Promise that is rejected with a {@link SkylinkConstants.JOIN_ROOM_ERROR|JOIN_ROOM_ERROR} named error
+ *   when the Signaling server rejects the User from joining the room, does not respond in time, or when the socket
+ *   connection closes before the User is accepted.
+ * @private
+ */
+const sendJoinRoom = roomState => new Promise((resolve, reject) => {
+  const { EVENTS, JOIN_ROOM_ERROR } = constants;
+  const roomId = roomState.room.id;
+
+  const listeners = {};
+  let timer = null;
+
+  const removeListeners = () => {
+    clearTimeout(timer);
+    removeEventListener(EVENTS.PEER_JOINED, listeners.peerJoined);
+    removeEventListener(EVENTS.SYSTEM_ACTION, listeners.systemAction);
+    removeEventListener(EVENTS.CHANNEL_CLOSE, listeners.channelClose);
+  };
+
+  listeners.peerJoined = (evt) => {
+    const { isSelf, room } = evt.detail;
+
+    if (isSelf && room.id === roomId) {
+      removeListeners();
+      resolve();
+    }
+  };
+
+  listeners.systemAction = (evt) => {
+    const {
+      action, reason, info, rid,
+    } = evt.detail;
+
+    if ((rid && rid !== roomId) || action === constants.SYSTEM_ACTION.WARNING) {
+      return;
+    }
+
+    removeListeners();
+    reject(getJoinRoomRejectedError(action, reason, info));
+  };
+
+  listeners.channelClose = () => {
+    removeListeners();
+    reject(getJoinRoomError(JOIN_ROOM_ERROR.CHANNEL_CLOSED, MESSAGES.JOIN_ROOM.ERRORS.CHANNEL_CLOSED));
+  };
+
+  addEventListener(EVENTS.PEER_JOINED, listeners.peerJoined);
+  addEventListener(EVENTS.SYSTEM_ACTION, listeners.systemAction);
+  addEventListener(EVENTS.CHANNEL_CLOSE, listeners.channelClose);
+
+  timer = setTimeout(() => {
+    removeListeners();
+    reject(getJoinRoomError(JOIN_ROOM_ERROR.TIMEOUT, MESSAGES.JOIN_ROOM.ERRORS.TIMEOUT));
+  }, constants.JOIN_ROOM_TIMEOUT);
+
+  new SkylinkSignalingServer().joinRoom(roomState);
+});
+
 /**
  * @description Method that starts the Room Session.
  * @param {joinRoomOptions} [options] The options available to join the room and configure the session.
@@ -49,22 +138,32 @@ const joinRoom = (options = {}, prefetchedStream) => new Promise((resolve, rejec
 
         userMediaParams.room = room;
         if (prefetchedStream || (options.id && options.active)) { // check for prefetched stream as the only arg
-          MediaStream.usePrefetchedStream(response.room_key, prefetchedStream, options).then(() => {
-            signalingServer.joinRoom(room);
+          MediaStream.usePrefetchedStream(response.room_key, prefetchedStream, options)
+            .then(() => sendJoinRoom(room))
+            .then(() => {
+              resolve(null);
+            }).catch((error) => {
+              reject(error);
+            });
+        } else if (options.audio || options.video) {
+          MediaStream.getUserMedia(skylinkState, userMediaParams)
+            .then(stream => sendJoinRoom(room).then(() => stream)
+              // The media tracks are not kept when the User does not join the room
+              .catch((error) => {
+                stopStreams(stream);
+                throw error;
+              }))
+            .then((stream) => {
+              resolve(stream);
+            }).catch((streamException) => {
+              reject(streamException);
+            });
+        } else {
+          sendJoinRoom(room).then(() => {
             resolve(null);
           }).catch((error) => {
             reject(error);
           });
-        } else if (options.audio || options.video) {
-          MediaStream.getUserMedia(skylinkState, userMediaParams).then((stream) => {
-            signalingServer.joinRoom(room);
-            resolve(stream);
-          }).catch((streamException) => {
-            reject(streamException);
-          });
-        } else {
-          signalingServer.joinRoom(room);
-          resolve(null);
         }
       });
     }).catch((codecError) => {
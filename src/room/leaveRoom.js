@@ -10,6 +10,7 @@ import logger from '../logger/index';
 import PeerConnection from '../peer-connection/index';
 import stopStreamHelpers from '../media-stream/helpers/stopStream/index';
 import ScreenSharing from '../features/screen-sharing';
+import PeerMethod from '../features/peer-method';
 import MESSAGES from '../messages';
 import { isEmptyArray } from '../utils/helpers';
 
@@ -68,6 +69,8 @@ const sendByeOrDisconnectSocket = state => new Promise((resolve) => {
   const skylinkSignalingServer = new SkylinkSignalingServer();
   const isInMoreThanOneRoom = Object.keys(Skylink.getSkylinkState()).length > 1;
 
+  // The queued group messages are dropped once the room state is removed
+  skylinkSignalingServer.flushGroupMessages(room.id);
   updatedState.inRoom = false;
   Skylink.setSkylinkState(updatedState, room.id);
 
@@ -88,6 +91,8 @@ const sendByeOrDisconnectSocket = state => new Promise((resolve) => {
     });
 
     if (skylinkSignalingServer.socket.connected) {
+      // The queued messages are dropped once the socket connection is closed
+      skylinkSignalingServer.flushThrottledMessages();
       skylinkSignalingServer.socket.disconnect();
     } else {
       resolve(updatedState);
@@ -101,9 +106,12 @@ const sendByeOrDisconnectSocket = state => new Promise((resolve) => {
  * @param {SkylinkState} state
  */
 const stopStreams = (state) => {
-  const { room } = state;
+  const { room, streams } = state;
+
+  if (streams.userMedia) {
+    stopStreamHelpers.prepStopStreams(room.id, null, true);
+  }
 
-  stopStreamHelpers.prepStopStreams(room.id, null, true);
   new ScreenSharing(state).stop();
 };
 
@@ -121,6 +129,9 @@ export const leaveRoom = roomState => new Promise((resolve, reject) => {
   try {
     const peerIds = hasMCU ? [PEER_TYPE.MCU] : Array.from(new Set([...Object.keys(peerConnections), ...Object.keys(peerInformations)]));
 
+    PeerMethod.rejectPeerMethodCalls(roomState);
+    PeerConnection.clearMessageFragments(roomState);
+
     if (isEmptyArray(peerIds)) {
       logger.log.DEBUG([room.roomName, null, null, LEAVE_ROOM.NO_PEERS]);
       stopStreams(roomState);
@@ -2,6 +2,19 @@ import {
   TURN_TRANSPORT,
   AUDIO_CODEC,
   VIDEO_CODEC,
+  DATA_CHANNEL_HIGH_WATER_MARK,
+  DATA_CHANNEL_LOW_WATER_MARK,
+  DATA_CHANNEL_MAX_QUEUE_SIZE,
+  STATS_BATCH_SIZE,
+  STATS_FLUSH_INTERVAL,
+  QUALITY_MONITOR_INTERVAL,
+  PEER_QUALITY_THRESHOLDS,
+  ACTIVE_SPEAKER_SOURCE,
+  ACTIVE_SPEAKER_DETECTION,
+  SPEAKING_WHILE_MUTED_DETECTION,
+  SESSION_RECOVERY,
+  ICE_RESTART_POLICY,
+  SIGNALING_RATE_LIMIT,
 } from '../../constants';
 
 /**
@@ -30,6 +43,9 @@ const defaultOptions = {
   enableTURNServer: true,
   socketServerPath: null,
   enableStatsGathering: true,
+  statsSink: null,
+  statsBatchSize: STATS_BATCH_SIZE,
+  statsFlushInterval: STATS_FLUSH_INTERVAL,
   audioFallback: true,
   socketTimeout: 7000,
   apiTimeout: 4000,
@@ -44,6 +60,7 @@ const defaultOptions = {
   mcuUseRenegoRestart: true,
   useEdgeWebRTC: false,
   enableSimultaneousTransfers: true,
+  enableGroupMessages: false,
   TURNServerTransport: TURN_TRANSPORT.ANY,
   credentials: null,
   filterCandidatesType: {
@@ -56,6 +73,47 @@ const defaultOptions = {
     refreshConnection: 5000,
     getUserMedia: 0,
   },
+  dataChannelQueue: {
+    highWaterMark: DATA_CHANNEL_HIGH_WATER_MARK,
+    lowWaterMark: DATA_CHANNEL_LOW_WATER_MARK,
+    maxQueueSize: DATA_CHANNEL_MAX_QUEUE_SIZE,
+  },
+  qualityMonitor: {
+    enabled: false,
+    interval: QUALITY_MONITOR_INTERVAL,
+    goodThreshold: PEER_QUALITY_THRESHOLDS.GOOD,
+    fairThreshold: PEER_QUALITY_THRESHOLDS.FAIR,
+  },
+  activeSpeaker: {
+    enabled: false,
+    source: ACTIVE_SPEAKER_SOURCE.STATS,
+    interval: ACTIVE_SPEAKER_DETECTION.INTERVAL,
+    speakingThreshold: ACTIVE_SPEAKER_DETECTION.SPEAKING_THRESHOLD,
+    silenceThreshold: ACTIVE_SPEAKER_DETECTION.SILENCE_THRESHOLD,
+    switchDelay: ACTIVE_SPEAKER_DETECTION.SWITCH_DELAY,
+  },
+  speakingWhileMuted: {
+    enabled: false,
+    interval: SPEAKING_WHILE_MUTED_DETECTION.INTERVAL,
+    threshold: SPEAKING_WHILE_MUTED_DETECTION.THRESHOLD,
+    duration: SPEAKING_WHILE_MUTED_DETECTION.DURATION,
+  },
+  sessionRecovery: {
+    enabled: false,
+    timeout: SESSION_RECOVERY.TIMEOUT,
+  },
+  iceRestartPolicy: {
+    enabled: false,
+    maxAttempts: ICE_RESTART_POLICY.MAX_ATTEMPTS,
+    initialDelay: ICE_RESTART_POLICY.INITIAL_DELAY,
+    maxDelay: ICE_RESTART_POLICY.MAX_DELAY,
+    disconnectedTimeout: ICE_RESTART_POLICY.DISCONNECTED_TIMEOUT,
+  },
+  signalingRateLimit: {
+    enabled: false,
+    rate: SIGNALING_RATE_LIMIT.RATE,
+    burst: SIGNALING_RATE_LIMIT.BURST,
+  },
   iceServer: null,
   socketServer: null,
   audioCodec: AUDIO_CODEC.AUTO,
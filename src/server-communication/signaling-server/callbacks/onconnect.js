@@ -1,6 +1,7 @@
 import clone from 'clone';
 import Skylink from '../../../index';
 import HandleSignalingStats from '../../../skylink-stats/handleSignalingStats';
+import SessionRecovery from '../../../features/session-recovery/index';
 import { dispatchEvent } from '../../../utils/skylinkEventManager';
 import { channelOpen, channelReopen } from '../../../skylink-events';
 import { STATES } from '../../../constants';
@@ -26,6 +27,8 @@ const onConnection = (resolve, roomKey) => {
     }));
   }
 
+  SessionRecovery.rejoinRooms();
+
   resolve();
 };
 
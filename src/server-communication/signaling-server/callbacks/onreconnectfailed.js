@@ -7,6 +7,7 @@ import SkylinkSignalingServer from '../index';
 import { dispatchEvent } from '../../../utils/skylinkEventManager';
 import { socketError } from '../../../skylink-events';
 import { DEFAULTS } from '../../../defaults/index';
+import SessionRecovery from '../../../features/session-recovery/index';
 
 const onReconnectFailed = (resolve, reject, roomKey) => {
   const state = Skylink.getSkylinkState(roomKey);
@@ -20,6 +21,7 @@ const onReconnectFailed = (resolve, reject, roomKey) => {
     signaling.updateAttempts(roomKey, 'finalAttempts', socketSession.socketSession.finalAttempts += 1);
   } else {
     new HandleSignalingStats().send(roomKey, STATES.SIGNALING.RECONNECT_FAILED, MESSAGES.INIT.ERRORS.SOCKET_ERROR_ABORT);
+    SessionRecovery.abort();
 
     dispatchEvent(socketError({
       session: clone(socketSession),
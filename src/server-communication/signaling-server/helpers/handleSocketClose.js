@@ -4,6 +4,8 @@ import { dispatchEvent } from '../../../utils/skylinkEventManager';
 import { channelClose, sessionDisconnect } from '../../../skylink-events';
 import logger from '../../../logger';
 import PeerData from '../../../peer-data';
+import SessionRecovery from '../../../features/session-recovery/index';
+import { clearThrottledMessages } from './shouldThrottleMessage';
 
 const handleSocketClose = (roomKey, reason) => {
   const state = Skylink.getSkylinkState(roomKey) || Object.values(Skylink.getSkylinkState())[0]; // to handle leaveAllRooms method
@@ -27,6 +29,11 @@ const handleSocketClose = (roomKey, reason) => {
       peerInfo: PeerData.getCurrentSessionInfo(room),
     }));
   }
+
+  SessionRecovery.start(reason);
+
+  // The queued messages of the rooms that are recovering are sent once the rooms are rejoined
+  clearThrottledMessages(Object.keys(Skylink.getSkylinkState()).filter(rid => SessionRecovery.isRecovering(rid)));
 };
 
 export default handleSocketClose;
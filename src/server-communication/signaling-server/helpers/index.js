@@ -4,6 +4,10 @@ import handleSocketClose from './handleSocketClose';
 import closeSocket from './closeSocket';
 import setSocketCallbacks from './setSocketCallbacks';
 import shouldBufferMessage from './shouldBufferMessage';
+import shouldGroupMessage, { flushGroupMessages } from './shouldGroupMessage';
+import shouldThrottleMessage, {
+  clearThrottledMessages, flushThrottledMessages, releaseThrottledMessages,
+} from './shouldThrottleMessage';
 
 export {
   createSocket,
@@ -12,4 +16,10 @@ export {
   closeSocket,
   setSocketCallbacks,
   shouldBufferMessage,
+  shouldGroupMessage,
+  flushGroupMessages,
+  shouldThrottleMessage,
+  clearThrottledMessages,
+  flushThrottledMessages,
+  releaseThrottledMessages,
 };
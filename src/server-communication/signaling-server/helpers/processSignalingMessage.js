@@ -13,7 +13,8 @@ const processSignalingMessage = (messageHandler, message) => {
     case SIG_MESSAGE_TYPE.ANSWER_ACK: messageHandler.answerAckHandler(message); break;
     case SIG_MESSAGE_TYPE.CANDIDATE: messageHandler.candidateHandler(message); break;
     case SIG_MESSAGE_TYPE.PEER_LIST: messageHandler.getPeerListHandler(message); break;
-    case SIG_MESSAGE_TYPE.INTRODUCE_ERROR: messageHandler.introduceError(message); break;
+    case SIG_MESSAGE_TYPE.INTRODUCE_ERROR: messageHandler.introduceErrorHandler(message); break;
+    case SIG_MESSAGE_TYPE.APPROACH: messageHandler.approachHandler(message); break;
     case SIG_MESSAGE_TYPE.BYE: messageHandler.byeHandler(message); break;
     case SIG_MESSAGE_TYPE.STREAM: messageHandler.streamHandler(message); break;
     case SIG_MESSAGE_TYPE.RECORDING: messageHandler.recordingHandler(message); break;
@@ -23,6 +24,10 @@ const processSignalingMessage = (messageHandler, message) => {
     case SIG_MESSAGE_TYPE.MEDIA_INFO_EVENT: messageHandler.mediaInfoEventHandler(message); break;
     case SIG_MESSAGE_TYPE.MESSAGE: messageHandler.userMessageHandler(message, null); break;
     case SIG_MESSAGE_TYPE.STORED_MESSAGES: messageHandler.storedMessagesHandler(message); break;
+    case SIG_MESSAGE_TYPE.ROOM_LOCK: messageHandler.roomLockHandler(message); break;
+    case SIG_MESSAGE_TYPE.MODERATION_COMMAND: messageHandler.moderationCommandHandler(message); break;
+    case SIG_MESSAGE_TYPE.MODERATION_RESPONSE: messageHandler.moderationResponseHandler(message); break;
+    case SIG_MESSAGE_TYPE.GROUP: messageHandler.groupHandler(message); break;
     // Backward compatibility for 0.9.x
     case SIG_MESSAGE_TYPE.MUTE_AUDIO_EVENT: messageHandler.muteAudioEventHandler(message); break;
     case SIG_MESSAGE_TYPE.MUTE_VIDEO_EVENT: messageHandler.muteVideoEventHandler(message); break;
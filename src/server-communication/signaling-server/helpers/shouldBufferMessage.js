@@ -8,7 +8,7 @@ import logger from '../../../logger';
 import MESSAGES from '../../../messages';
 import SkylinkSignalingServer from '../index';
 
-const isNegotiationTypeMsg = (message) => {
+export const isNegotiationTypeMsg = (message) => {
   const {
     JOIN_ROOM, ENTER, WELCOME, OFFER, ANSWER, ANSWER_ACK, CANDIDATE, END_OF_CANDIDATES,
   } = SIG_MESSAGE_TYPE;
@@ -0,0 +1,94 @@
+import Skylink from '../../../index';
+import logger from '../../../logger';
+import MESSAGES from '../../../messages';
+import {
+  GROUP_MESSAGE_INTERVAL, GROUP_MESSAGE_LIST, GROUP_MESSAGE_MAX_SIZE, TAGS,
+} from '../../../constants';
+
+const groups = {};
+
+const getGroup = (rid) => {
+  if (!groups[rid]) {
+    groups[rid] = {
+      messages: [], timer: null, lastSentTimestamp: 0, sendGroupMessage: null,
+    };
+  }
+
+  return groups[rid];
+};
+
+const sendQueuedMessages = (rid) => {
+  const group = getGroup(rid);
+  const { messages, sendGroupMessage } = group;
+
+  clearTimeout(group.timer);
+  group.messages = [];
+  group.timer = null;
+  group.lastSentTimestamp = Date.now();
+
+  if (!Skylink.getSkylinkState(rid)) {
+    logger.log.DEBUG([null, TAGS.SIG_SERVER, null, MESSAGES.SIGNALING.DROPPING_GROUP_MESSAGE], { rid, count: messages.length });
+    delete groups[rid];
+    return;
+  }
+
+  sendGroupMessage(rid, messages);
+};
+
+/**
+ * Function that checks if the message is queued to be sent in a "group" message when <code>enableGroupMessages</code> is enabled.
+ * The messages in GROUP_MESSAGE_LIST that are broadcast to the room are sent right away, unless another one was sent
+ * less than GROUP_MESSAGE_INTERVAL ago, in which case they are queued and sent together when the interval elapses,
+ * or as soon as GROUP_MESSAGE_MAX_SIZE messages are queued.
+ * @param {JSON} message
+ * @param {Function} sendGroupMessage - The function called with the room id and the queued messages when the interval elapses.
+ * @return {boolean} The flag if the message is queued.
+ */
+const shouldGroupMessage = (message, sendGroupMessage) => {
+  const {
+    rid, type, target, isPersistent,
+  } = message;
+  const { enableGroupMessages } = Skylink.getInitOptions() || {};
+
+  if (!enableGroupMessages) {
+    return false;
+  }
+
+  // The Signaling server broadcasts the "group" message, and stores only the persistent messages that are sent on their own
+  if (GROUP_MESSAGE_LIST.indexOf(type) === -1 || target || isPersistent) {
+    return false;
+  }
+
+  const group = getGroup(rid);
+  const elapsedTime = Date.now() - group.lastSentTimestamp;
+
+  if (!group.timer && elapsedTime >= GROUP_MESSAGE_INTERVAL) {
+    group.lastSentTimestamp = Date.now();
+    return false;
+  }
+
+  group.messages.push(message);
+  group.sendGroupMessage = sendGroupMessage;
+  logger.log.DEBUG([message.mid, TAGS.SIG_SERVER, type, MESSAGES.SIGNALING.MESSAGE_ADDED_TO_GROUP]);
+
+  if (group.messages.length >= GROUP_MESSAGE_MAX_SIZE) {
+    sendQueuedMessages(rid);
+  } else if (!group.timer) {
+    group.timer = setTimeout(() => sendQueuedMessages(rid), GROUP_MESSAGE_INTERVAL - elapsedTime);
+  }
+
+  return true;
+};
+
+/**
+ * Function that sends the queued messages of the room right away, e.g. before the room state is removed when the User
+ * leaves the room, as the queued messages are dropped once the room state is removed.
+ * @param {SkylinkRoom.id} rid
+ */
+export const flushGroupMessages = (rid) => {
+  if (groups[rid] && groups[rid].messages.length > 0) {
+    sendQueuedMessages(rid);
+  }
+};
+
+export default shouldGroupMessage;
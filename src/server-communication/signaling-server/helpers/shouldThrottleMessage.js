@@ -0,0 +1,280 @@
+import Skylink from '../../../index';
+import logger from '../../../logger';
+import MESSAGES from '../../../messages';
+import { dispatchEvent } from '../../../utils/skylinkEventManager';
+import { signalingQueueState } from '../../../skylink-events';
+import { isNegotiationTypeMsg } from './shouldBufferMessage';
+import {
+  SIG_MESSAGE_TYPE, SIGNALING_QUEUE_PRIORITY, SIGNALING_QUEUE_STATE, SIGNALING_RATE_LIMIT, TAGS,
+} from '../../../constants';
+
+// The socket connection is shared by all the rooms, so the token bucket and the queue are too
+const bucket = {
+  tokens: null, lastRefillTimestamp: 0, timer: null, sendThrottledMessage: null,
+};
+const queue = [];
+// The queued messages of the rooms that are recovering after the socket connection was lost are held until the rooms are rejoined
+const heldRoomKeys = [];
+
+const MEDIA_STATE_TYPES = [
+  SIG_MESSAGE_TYPE.STREAM,
+  SIG_MESSAGE_TYPE.MUTE_AUDIO_EVENT,
+  SIG_MESSAGE_TYPE.MUTE_VIDEO_EVENT,
+  SIG_MESSAGE_TYPE.MEDIA_INFO_EVENT,
+];
+
+const getSignalingRateLimitOptions = () => {
+  const { signalingRateLimit } = Skylink.getInitOptions() || {};
+
+  return Object.assign({
+    enabled: false,
+    rate: SIGNALING_RATE_LIMIT.RATE,
+    burst: SIGNALING_RATE_LIMIT.BURST,
+  }, signalingRateLimit);
+};
+
+const getPriority = (message) => {
+  if (message.type === SIG_MESSAGE_TYPE.GROUP) {
+    return Math.min(...message.lists.map(groupedMessage => getPriority(JSON.parse(groupedMessage))));
+  }
+
+  if (isNegotiationTypeMsg(message)) {
+    return SIGNALING_QUEUE_PRIORITY.NEGOTIATION;
+  }
+
+  if (MEDIA_STATE_TYPES.indexOf(message.type) > -1) {
+    return SIGNALING_QUEUE_PRIORITY.MEDIA_STATE;
+  }
+
+  return SIGNALING_QUEUE_PRIORITY.DATA;
+};
+
+// The newer message carries the latest state, so the queued message does not need to be sent anymore
+const isSuperseded = (queuedMessage, message) => {
+  if (queuedMessage.type !== message.type || queuedMessage.rid !== message.rid) {
+    return false;
+  }
+
+  switch (message.type) {
+    case SIG_MESSAGE_TYPE.UPDATE_USER:
+      return true;
+    case SIG_MESSAGE_TYPE.MEDIA_INFO_EVENT:
+      return queuedMessage.target === message.target && queuedMessage.mediaId === message.mediaId;
+    case SIG_MESSAGE_TYPE.MUTE_AUDIO_EVENT:
+    case SIG_MESSAGE_TYPE.MUTE_VIDEO_EVENT:
+      return queuedMessage.streamId === message.streamId;
+    default:
+      return false;
+  }
+};
+
+const refillTokens = ({ rate, burst }) => {
+  const now = Date.now();
+
+  bucket.tokens = bucket.tokens === null
+    ? burst : Math.min(burst, bucket.tokens + (((now - bucket.lastRefillTimestamp) * rate) / 1000));
+  bucket.lastRefillTimestamp = now;
+};
+
+const isHeld = rid => heldRoomKeys.indexOf(rid) > -1;
+
+// Picks the first queued message of the highest priority so that the messages of the same priority are sent in order
+const getNextMessageIndex = () => queue.reduce((nextIndex, entry, index) => {
+  if (isHeld(entry.message.rid) || (nextIndex > -1 && entry.priority >= queue[nextIndex].priority)) {
+    return nextIndex;
+  }
+
+  return index;
+}, -1);
+
+const dispatchQueueState = (state, droppedCount = 0) => {
+  dispatchEvent(signalingQueueState({
+    state,
+    queueLength: queue.length,
+    droppedCount,
+  }));
+};
+
+const scheduleSend = (sendQueuedMessages) => {
+  const { rate } = getSignalingRateLimitOptions();
+
+  if (!bucket.timer) {
+    bucket.timer = setTimeout(sendQueuedMessages, Math.ceil(((1 - bucket.tokens) * 1000) / rate));
+  }
+};
+
+// The queued messages are sent even when the room state has been removed, as the room and Peer ids are resolved when
+// the messages are queued, e.g. the "bye" messages that leaveRoom sends before it removes the room state
+const sendQueuedMessages = () => {
+  let sentCount = 0;
+  let nextIndex = getNextMessageIndex();
+
+  bucket.timer = null;
+  refillTokens(getSignalingRateLimitOptions());
+
+  while (nextIndex > -1 && bucket.tokens >= 1) {
+    const { message } = queue.splice(nextIndex, 1)[0];
+
+    bucket.tokens -= 1;
+    sentCount += 1;
+    bucket.sendThrottledMessage(message);
+    nextIndex = getNextMessageIndex();
+  }
+
+  logger.log.DEBUG([null, TAGS.SIG_SERVER, null, `${MESSAGES.SIGNALING.THROTTLED_MESSAGES_SENT}: ${sentCount}`]);
+
+  if (nextIndex > -1) {
+    scheduleSend(sendQueuedMessages);
+  } else if (queue.length === 0) {
+    dispatchQueueState(SIGNALING_QUEUE_STATE.DRAINED);
+  }
+};
+
+/**
+ * Function that checks if the message is queued as the signaling rate limit is reached.
+ * The rate limit is a token bucket that allows a burst of messages, and the queued messages are sent as the tokens refill,
+ * with the negotiation messages first, then the media state messages, and then the other messages.
+ * The messages of a room that is recovering are held until the room is rejoined.
+ * @param {JSON} message
+ * @param {Function} sendThrottledMessage - The function called with each queued message when it can be sent.
+ * @return {boolean} The flag if the message is queued.
+ * @fires signalingQueueState
+ */
+const shouldThrottleMessage = (message, sendThrottledMessage) => {
+  const options = getSignalingRateLimitOptions();
+
+  if (!options.enabled) {
+    return false;
+  }
+
+  bucket.sendThrottledMessage = sendThrottledMessage;
+
+  // The room is rejoined before its held messages are sent
+  if (isHeld(message.rid) && message.type === SIG_MESSAGE_TYPE.JOIN_ROOM) {
+    return false;
+  }
+
+  refillTokens(options);
+
+  if (!isHeld(message.rid) && getNextMessageIndex() === -1 && bucket.tokens >= 1) {
+    bucket.tokens -= 1;
+    return false;
+  }
+
+  const supersededIndex = queue.findIndex(entry => isSuperseded(entry.message, message));
+
+  if (supersededIndex > -1) {
+    logger.log.DEBUG([message.mid, TAGS.SIG_SERVER, message.type, MESSAGES.SIGNALING.SUPERSEDED_MESSAGE_REPLACED]);
+    queue[supersededIndex].message = message;
+    return true;
+  }
+
+  queue.push({ message, priority: getPriority(message) });
+  logger.log.DEBUG([message.mid, TAGS.SIG_SERVER, message.type, MESSAGES.SIGNALING.MESSAGE_THROTTLED]);
+
+  if (queue.length === 1) {
+    dispatchQueueState(SIGNALING_QUEUE_STATE.THROTTLED);
+  }
+
+  scheduleSend(sendQueuedMessages);
+  return true;
+};
+
+const dropQueuedMessages = (shouldDrop, logMessage) => {
+  const droppedCount = queue.filter(entry => shouldDrop(entry.message)).length;
+
+  if (droppedCount === 0) {
+    return;
+  }
+
+  for (let i = queue.length - 1; i >= 0; i -= 1) {
+    if (shouldDrop(queue[i].message)) {
+      queue.splice(i, 1);
+    }
+  }
+
+  logger.log.WARN([null, TAGS.SIG_SERVER, null, logMessage], { droppedCount });
+  dispatchQueueState(SIGNALING_QUEUE_STATE.DROPPED, droppedCount);
+};
+
+/**
+ * Function that sends all the queued messages right away regardless of the rate limit, e.g. before the socket connection
+ * is closed when the User leaves the last room.
+ * @fires signalingQueueState
+ */
+export const flushThrottledMessages = () => {
+  let sentCount = 0;
+  let nextIndex = getNextMessageIndex();
+
+  if (nextIndex === -1) {
+    return;
+  }
+
+  clearTimeout(bucket.timer);
+  bucket.timer = null;
+
+  while (nextIndex > -1) {
+    const { message } = queue.splice(nextIndex, 1)[0];
+
+    sentCount += 1;
+    bucket.sendThrottledMessage(message);
+    nextIndex = getNextMessageIndex();
+  }
+
+  logger.log.DEBUG([null, TAGS.SIG_SERVER, null, `${MESSAGES.SIGNALING.THROTTLED_MESSAGES_SENT}: ${sentCount}`]);
+
+  if (queue.length === 0) {
+    dispatchQueueState(SIGNALING_QUEUE_STATE.DRAINED);
+  }
+};
+
+/**
+ * Function that releases the queued messages of a room that were held while the room was recovering.
+ * The media state and data messages are sent with the Peer id that the User rejoined the room with, while the negotiation
+ * messages are dropped as the Peer connections are kept, restarted or re-established when the session is recovered.
+ * All the messages are dropped when the room was not rejoined.
+ * @param {SkylinkRoom.id} roomKey
+ * @param {String} [peerId] - The Peer id assigned by the Signaling server when the room was rejoined.
+ * @fires signalingQueueState
+ */
+export const releaseThrottledMessages = (roomKey, peerId = null) => {
+  if (!isHeld(roomKey)) {
+    return;
+  }
+
+  heldRoomKeys.splice(heldRoomKeys.indexOf(roomKey), 1);
+
+  if (!peerId) {
+    dropQueuedMessages(message => message.rid === roomKey, MESSAGES.SIGNALING.DROPPING_HELD_MESSAGES);
+    return;
+  }
+
+  dropQueuedMessages(message => message.rid === roomKey && isNegotiationTypeMsg(message), MESSAGES.SIGNALING.DROPPING_HELD_NEGOTIATION_MESSAGES);
+
+  for (let i = 0; i < queue.length; i += 1) {
+    if (queue[i].message.rid === roomKey) {
+      queue[i].message.mid = peerId;
+    }
+  }
+
+  if (getNextMessageIndex() > -1) {
+    refillTokens(getSignalingRateLimitOptions());
+    scheduleSend(sendQueuedMessages);
+  }
+};
+
+/**
+ * Function that drops the queued messages when the socket connection has closed, except the messages of the rooms
+ * that are recovering, which are held until the rooms are rejoined.
+ * @param {Array<SkylinkRoom.id>} [recoveringRoomKeys]
+ * @fires signalingQueueState
+ */
+export const clearThrottledMessages = (recoveringRoomKeys = []) => {
+  clearTimeout(bucket.timer);
+  bucket.timer = null;
+  heldRoomKeys.splice(0, heldRoomKeys.length, ...recoveringRoomKeys);
+
+  dropQueuedMessages(message => !isHeld(message.rid), MESSAGES.SIGNALING.DROPPING_THROTTLED_MESSAGES);
+};
+
+export default shouldThrottleMessage;
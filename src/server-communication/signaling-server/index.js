@@ -5,6 +5,11 @@ import {
   processSignalingMessage,
   setSocketCallbacks,
   shouldBufferMessage,
+  shouldGroupMessage,
+  flushGroupMessages,
+  shouldThrottleMessage,
+  flushThrottledMessages,
+  releaseThrottledMessages,
 } from './signaling-server-helpers';
 import logger from '../../logger';
 import SignalingMessageHandler from './message-handler/index';
@@ -169,10 +174,10 @@ class SkylinkSignalingServer {
    *
    * @param args
    */
-  enterRoom(...args) {
-    const enter = this.messageBuilder.getEnterRoomMessage(...args);
+  enterRoom(roomState, previousMid, targetMid) {
+    const enter = this.messageBuilder.getEnterRoomMessage(roomState, previousMid, targetMid);
     this.sendMessage(enter);
-    this.dispatchHandshakeProgress(...args, 'ENTER');
+    this.dispatchHandshakeProgress(roomState, 'ENTER');
   }
 
   joinRoom(...args) {
@@ -231,6 +236,16 @@ class SkylinkSignalingServer {
     }
   }
 
+  /**
+   * @param {SkylinkState} roomState
+   * @param {String} sendingPeerId
+   * @param {String} receivingPeerId
+   */
+  introduce(roomState, sendingPeerId, receivingPeerId) {
+    const introduce = this.messageBuilder.getIntroduceMessage(roomState, sendingPeerId, receivingPeerId);
+    this.sendMessage(introduce);
+  }
+
   stream(...args) {
     const stream = this.messageBuilder.getStreamMessage(...args);
     if (stream) {
@@ -281,6 +296,23 @@ class SkylinkSignalingServer {
     }
   }
 
+  setReceiveQuality(roomState, peerId, mediaId, layer) {
+    const receiveQuality = this.messageBuilder.getSetReceiveQualityMessage(roomState, peerId, mediaId, layer);
+    if (receiveQuality) {
+      this.sendMessage(receiveQuality);
+    }
+  }
+
+  moderationCommand(roomState, peerId, commandId, command, options) {
+    const moderationCommand = this.messageBuilder.getModerationCommandMessage(roomState, peerId, commandId, command, options);
+    this.sendMessage(moderationCommand);
+  }
+
+  moderationResponse(roomState, peerId, commandId, command, isApplied) {
+    const moderationResponse = this.messageBuilder.getModerationResponseMessage(roomState, peerId, commandId, command, isApplied);
+    this.sendMessage(moderationResponse);
+  }
+
   getStoredMessages(roomState) {
     const history = this.messageBuilder.getGetStoredMessagesMessage(roomState);
     if (history) {
@@ -302,10 +334,65 @@ class SkylinkSignalingServer {
   }
 
   sendMessage(message) {
-    if (!shouldBufferMessage(message)) {
-      logger.log.INFO(['SIG SERVER', null, message.type, 'sent']);
-      sendChannelMessage(this.socket, message);
+    if (!shouldBufferMessage(message) && !shouldGroupMessage(message, (rid, messages) => this.sendGroupMessage(rid, messages))) {
+      this.sendThrottledMessage(message);
+    }
+  }
+
+  /**
+   * @param {JSON} message
+   * @fires signalingQueueState
+   */
+  sendThrottledMessage(message) {
+    if (!shouldThrottleMessage(message, throttledMessage => this.sendChannelMessage(throttledMessage))) {
+      this.sendChannelMessage(message);
+    }
+  }
+
+  /**
+   * @fires signalingQueueState
+   */
+  // eslint-disable-next-line class-methods-use-this
+  flushThrottledMessages() {
+    flushThrottledMessages();
+  }
+
+  /**
+   * @param {SkylinkRoom.id} roomKey
+   * @param {String} [peerId]
+   * @fires signalingQueueState
+   */
+  // eslint-disable-next-line class-methods-use-this
+  releaseThrottledMessages(roomKey, peerId) {
+    releaseThrottledMessages(roomKey, peerId);
+  }
+
+  /**
+   * @param {JSON} message
+   */
+  sendChannelMessage(message) {
+    logger.log.INFO(['SIG SERVER', null, message.type, 'sent']);
+    sendChannelMessage(this.socket, message);
+  }
+
+  /**
+   * @param {String} rid
+   * @param {Array<JSON>} messages - The queued messages.
+   */
+  // eslint-disable-next-line class-methods-use-this
+  flushGroupMessages(rid) {
+    flushGroupMessages(rid);
+  }
+
+  sendGroupMessage(rid, messages) {
+    if (messages.length === 1) {
+      this.sendThrottledMessage(messages[0]);
+      return;
     }
+
+    const group = this.messageBuilder.getGroupMessage(Skylink.getSkylinkState(rid), messages);
+    logger.log.DEBUG([null, TAGS.SIG_SERVER, group.type, MESSAGES.SIGNALING.GROUP_MESSAGE_SENT], { count: messages.length });
+    this.sendThrottledMessage(group);
   }
 
   sendUserMessage(roomState, config, message) {
@@ -4,7 +4,7 @@ import {
 } from '../../../../constants';
 import PeerData from '../../../../peer-data/index';
 
-export const getEnterRoomMessage = (roomState) => {
+export const getEnterRoomMessage = (roomState, previousMid = null, targetMid = null) => {
   // FIXME: Welcome and Enter are exactly same but for targetMid which is extra in welcomeMsg. @Ishan to merge code for Welcome and Enter
   const { room } = roomState;
   const state = Skylink.getSkylinkState(room.id);
@@ -37,6 +37,16 @@ export const getEnterRoomMessage = (roomState) => {
     enterMsg.publisherId = user.sid;
   }
 
+  // Re-entering to recover the room session after the socket connection was lost
+  if (previousMid) {
+    enterMsg.previousMid = previousMid;
+  }
+
+  // Entering only to the Peer that the privileged Peer introduced when the app key does not auto introduce the Peers
+  if (targetMid) {
+    enterMsg.target = targetMid;
+  }
+
   return enterMsg;
 };
 
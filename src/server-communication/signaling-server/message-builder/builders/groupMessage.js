@@ -0,0 +1,29 @@
+import { SIG_MESSAGE_TYPE } from '../../../../constants';
+
+/**
+ * @typedef groupMessage
+ * @property {SkylinkConstants.SIG_MESSAGE_TYPE.GROUP} type
+ * @property {String} mid
+ * @property {String} rid
+ * @property {Array<String>} lists - The bundled messages as JSON strings.
+ */
+
+/**
+ * @param {SkylinkState} roomState
+ * @param {Array<JSON>} messages - The messages to bundle.
+ * @return {groupMessage}
+ * @memberOf SignalingMessageBuilder
+ * @private
+ */
+const groupMessage = (roomState, messages) => {
+  const { user, room } = roomState;
+
+  return {
+    type: SIG_MESSAGE_TYPE.GROUP,
+    mid: user.sid,
+    rid: room.id,
+    lists: messages.map(message => JSON.stringify(message)),
+  };
+};
+
+export default groupMessage;
@@ -7,6 +7,7 @@ import answerAckMessage from './answerAckMessage';
 import candidateMessage from './candidateMessage';
 import setUserDataMessage from './setUserDataMessage';
 import getPeerListMessage from './getPeerListMessage';
+import introduceMessage from './introduceMessage';
 import restartOfferMessage from './restartOfferMessage';
 import streamMessage from './streamMessage';
 import recordingMessage from './recordingMessage';
@@ -18,6 +19,10 @@ import muteAudioEventMessage from './muteAudioEventMessage';
 import muteVideoEventMessage from './muteVideoEventMessage';
 import getStoredMessagesMessage from './getStoredMessagesMessage';
 import userMessagesMessage from './getUserMessages';
+import setReceiveQualityMessage from './setReceiveQualityMessage';
+import moderationCommandMessage from './moderationCommandMessage';
+import moderationResponseMessage from './moderationResponseMessage';
+import groupMessage from './groupMessage';
 
 const messageBuilders = {
   joinRoom: joinRoomMessage,
@@ -29,6 +34,7 @@ const messageBuilders = {
   candidate: candidateMessage,
   setUserData: setUserDataMessage,
   getPeerList: getPeerListMessage,
+  introduce: introduceMessage,
   restartOffer: restartOfferMessage,
   stream: streamMessage,
   recording: recordingMessage,
@@ -40,6 +46,10 @@ const messageBuilders = {
   muteVideoEvent: muteVideoEventMessage,
   getStoredMessages: getStoredMessagesMessage,
   userMessages: userMessagesMessage,
+  setReceiveQuality: setReceiveQualityMessage,
+  moderationCommand: moderationCommandMessage,
+  moderationResponse: moderationResponseMessage,
+  group: groupMessage,
 };
 
 export default messageBuilders;
@@ -0,0 +1,32 @@
+import { SIG_MESSAGE_TYPE } from '../../../../constants';
+
+/**
+ * @typedef introduceMessage
+ * @property {SkylinkConstants.SIG_MESSAGE_TYPE.INTRODUCE} type
+ * @property {String} mid
+ * @property {String} rid
+ * @property {String} sendingPeerId
+ * @property {String} receivingPeerId
+ */
+
+/**
+ * @param {SkylinkState} roomState
+ * @param {String} sendingPeerId - The Peer that is requested to send the "enter" message.
+ * @param {String} receivingPeerId - The Peer that receives the "enter" message.
+ * @return {introduceMessage}
+ * @memberOf SignalingMessageBuilder
+ * @private
+ */
+const introduceMessage = (roomState, sendingPeerId, receivingPeerId) => {
+  const { user, room } = roomState;
+
+  return {
+    type: SIG_MESSAGE_TYPE.INTRODUCE,
+    mid: user.sid,
+    rid: room.id,
+    sendingPeerId,
+    receivingPeerId,
+  };
+};
+
+export default introduceMessage;
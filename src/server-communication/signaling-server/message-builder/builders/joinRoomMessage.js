@@ -1,11 +1,11 @@
 import Skylink from '../../../../index';
 import { SIG_MESSAGE_TYPE } from '../../../../constants';
 
-const getJoinRoomMessage = (roomState) => {
+const getJoinRoomMessage = (roomState, previousMid = null) => {
   const { room } = roomState;
   const state = Skylink.getSkylinkState(room.id);
   const initOptions = Skylink.getInitOptions();
-  return {
+  const joinRoomMsg = {
     type: SIG_MESSAGE_TYPE.JOIN_ROOM,
     uid: state.user.uid,
     cid: state.key,
@@ -20,6 +20,13 @@ const getJoinRoomMessage = (roomState) => {
     autoIntroduce: state.autoIntroduce,
     key: initOptions.appKey,
   };
+
+  // Rejoining to recover the room session after the socket connection was lost
+  if (previousMid) {
+    joinRoomMsg.previousMid = previousMid;
+  }
+
+  return joinRoomMsg;
 };
 
 export default getJoinRoomMessage;
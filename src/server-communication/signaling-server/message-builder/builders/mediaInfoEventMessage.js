@@ -10,6 +10,7 @@ const mediaInfoEventMessage = (roomState, peerId, mediaInfo) => ({
   mediaType: mediaInfo.mediaType,
   mediaState: mediaInfo.mediaState,
   transceiverMid: mediaInfo.transceiverMid,
+  simulcast: mediaInfo.simulcast,
 });
 
 export default mediaInfoEventMessage;
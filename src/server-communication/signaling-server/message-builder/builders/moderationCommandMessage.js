@@ -0,0 +1,27 @@
+import { SIG_MESSAGE_TYPE } from '../../../../constants';
+
+/**
+ * @param {SkylinkState} roomState
+ * @param {String} peerId - The Peer that the command is sent to.
+ * @param {String} commandId
+ * @param {SkylinkConstants.MODERATION_COMMAND} command
+ * @param {Object} options - The command options.
+ * @return {JSON}
+ * @memberOf SignalingMessageBuilder
+ * @private
+ */
+const moderationCommandMessage = (roomState, peerId, commandId, command, options) => {
+  const { user, room } = roomState;
+
+  return {
+    type: SIG_MESSAGE_TYPE.MODERATION_COMMAND,
+    mid: user.sid,
+    rid: room.id,
+    target: peerId,
+    commandId,
+    command,
+    options,
+  };
+};
+
+export default moderationCommandMessage;
@@ -0,0 +1,27 @@
+import { SIG_MESSAGE_TYPE } from '../../../../constants';
+
+/**
+ * @param {SkylinkState} roomState
+ * @param {String} peerId - The privileged Peer that sent the command.
+ * @param {String} commandId
+ * @param {SkylinkConstants.MODERATION_COMMAND} command
+ * @param {boolean} isApplied - The flag if the command is applied or declined.
+ * @return {JSON}
+ * @memberOf SignalingMessageBuilder
+ * @private
+ */
+const moderationResponseMessage = (roomState, peerId, commandId, command, isApplied) => {
+  const { user, room } = roomState;
+
+  return {
+    type: SIG_MESSAGE_TYPE.MODERATION_RESPONSE,
+    mid: user.sid,
+    rid: room.id,
+    target: peerId,
+    commandId,
+    command,
+    isApplied,
+  };
+};
+
+export default moderationResponseMessage;
@@ -0,0 +1,17 @@
+import { SIG_MESSAGE_TYPE, PEER_TYPE } from '../../../../constants';
+
+const setReceiveQualityMessage = (roomState, peerId, mediaId, layer) => {
+  const { user, room } = roomState;
+
+  return {
+    type: SIG_MESSAGE_TYPE.SET_RECEIVE_QUALITY,
+    mid: user.sid,
+    rid: room.id,
+    target: PEER_TYPE.MCU,
+    publisherId: peerId,
+    mediaId,
+    layer,
+  };
+};
+
+export default setReceiveQualityMessage;
@@ -47,6 +47,10 @@ class SignalingMessageBuilder {
     return this.messageBuilders.getPeerList(...args);
   }
 
+  getIntroduceMessage(...args) {
+    return this.messageBuilders.introduce(...args);
+  }
+
   getRestartOfferMessage(...args) {
     return this.messageBuilders.restartOffer(...args);
   }
@@ -94,6 +98,22 @@ class SignalingMessageBuilder {
   getUserMessages(...args) {
     return this.messageBuilders.userMessages(...args);
   }
+
+  getSetReceiveQualityMessage(...args) {
+    return this.messageBuilders.setReceiveQuality(...args);
+  }
+
+  getModerationCommandMessage(...args) {
+    return this.messageBuilders.moderationCommand(...args);
+  }
+
+  getModerationResponseMessage(...args) {
+    return this.messageBuilders.moderationResponse(...args);
+  }
+
+  getGroupMessage(...args) {
+    return this.messageBuilders.group(...args);
+  }
 }
 
 export default SignalingMessageBuilder;
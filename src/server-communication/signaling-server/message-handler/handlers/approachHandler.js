@@ -0,0 +1,27 @@
+import Skylink from '../../../../index';
+import logger from '../../../../logger';
+import messages from '../../../../messages';
+import SkylinkSignalingServer from '../../index';
+import { TAGS } from '../../../../constants';
+
+/**
+ * Function that handles the "approach" socket message received.
+ * The Signaling server sends it to the sending Peer of the "introduce" message, which enters the room
+ * only to the receiving Peer so that the Peers start the connection.
+ * @param {JSON} message
+ * @memberOf SignalingMessageHandler
+ */
+const approachHandler = (message) => {
+  const { rid, target, type } = message;
+  const roomState = Skylink.getSkylinkState(rid);
+
+  if (!roomState || !roomState.inRoom || !target) {
+    return;
+  }
+
+  logger.log.INFO([target, TAGS.SIG_SERVER, type, messages.PEER_PRIVILEGED.approachPeer]);
+
+  new SkylinkSignalingServer().enterRoom(roomState, null, target);
+};
+
+export default approachHandler;
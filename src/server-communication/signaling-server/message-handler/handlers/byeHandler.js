@@ -7,6 +7,7 @@ import {
 import PeerData from '../../../../peer-data';
 import HandleIceConnectionStats from '../../../../skylink-stats/handleIceConnectionStats';
 import PeerConnection from '../../../../peer-connection/index';
+import PeerMethod from '../../../../features/peer-method';
 import {
   PEER_TYPE, PEER_CONNECTION_STATE, ICE_CONNECTION_STATE, SERVER_PEER_TYPE, BROWSER_AGENT, TAGS,
 } from '../../../../constants';
@@ -119,6 +120,13 @@ export const clearPeerInfo = (roomKey, peerId) => {
   delete updatedState.gatheredCandidates[peerId];
   delete updatedState.peerCustomConfigs[peerId];
   delete updatedState.peerConnStatus[peerId];
+  delete updatedState.audioOutput.peerDeviceIds[peerId];
+
+  Object.keys(updatedState.audioOutput.elements).forEach((streamId) => {
+    if (updatedState.audioOutput.elements[streamId].peerId === peerId) {
+      delete updatedState.audioOutput.elements[streamId];
+    }
+  });
 };
 
 /**
@@ -202,6 +210,8 @@ const byeHandler = (message) => {
     triggerPeerLeftEventAndChangeState(roomKey, peerId);
     checksIfHealthTimerExists(roomKey, peerId);
     clearPeerInfo(roomKey, peerId);
+    PeerMethod.rejectPeerMethodCalls(roomState, peerId);
+    PeerConnection.clearMessageFragments(roomState, peerId);
     tryCloseDataChannel(roomKey, peerId);
   } catch (error) {
     logger.log.DEBUG([peerId, TAGS.ROOM, null, MESSAGES.ROOM.LEAVE_ROOM.PEER_LEFT.ERROR], error);
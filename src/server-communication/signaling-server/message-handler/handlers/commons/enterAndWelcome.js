@@ -6,6 +6,7 @@ import handleNegotiationStats from '../../../../../skylink-stats/handleNegotiati
 import logger from '../../../../../logger';
 import messages from '../../../../../messages';
 import parsers from '../../../parsers';
+import SessionRecovery from '../../../../../features/session-recovery/index';
 
 export const CALLERS = {
   ENTER: 'enterHandler',
@@ -94,6 +95,10 @@ export const parseAndSendWelcome = (message, caller) => {
 
   logStats(caller, targetMid, state, parsedMsg);
 
+  if (SessionRecovery.onPeerPresent(rid, targetMid)) {
+    return;
+  }
+
   let callerState = 'enter';
   if (caller === CALLERS.WELCOME) {
     callerState = 'welcome';
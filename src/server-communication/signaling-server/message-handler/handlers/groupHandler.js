@@ -0,0 +1,44 @@
+import SkylinkSignalingServer from '../../index';
+import logger from '../../../../logger';
+import MESSAGES from '../../../../messages';
+import { GROUP_MESSAGE_LIST, TAGS } from '../../../../constants';
+import { processSignalingMessage } from '../../signaling-server-helpers';
+
+/**
+ * Function that handles the "group" socket message received by processing each of the bundled messages.
+ * A bundled message that cannot be parsed, or whose type is not in GROUP_MESSAGE_LIST (e.g. a nested "group" message),
+ * is dropped without dropping the other bundled messages. The sender and room of the bundled messages are taken from the
+ * "group" message, as only the sender of the "group" message is stamped by the Signaling server.
+ * @param {JSON} message
+ * @memberOf SignalingMessageHandler
+ */
+const groupHandler = (message) => {
+  const { lists } = message;
+  const { messageHandler } = new SkylinkSignalingServer();
+
+  if (!Array.isArray(lists)) {
+    return;
+  }
+
+  lists.forEach((bundledMessage) => {
+    let parsedMessage = bundledMessage;
+
+    if (typeof bundledMessage === 'string') {
+      try {
+        parsedMessage = JSON.parse(bundledMessage);
+      } catch (error) {
+        logger.log.WARN([message.mid, TAGS.SIG_SERVER, message.type, MESSAGES.SIGNALING.DROPPING_GROUPED_MESSAGE], error);
+        return;
+      }
+    }
+
+    if (!(parsedMessage && GROUP_MESSAGE_LIST.indexOf(parsedMessage.type) > -1)) {
+      logger.log.WARN([message.mid, TAGS.SIG_SERVER, message.type, MESSAGES.SIGNALING.DROPPING_UNGROUPABLE_MESSAGE], parsedMessage);
+      return;
+    }
+
+    processSignalingMessage(messageHandler, Object.assign({}, parsedMessage, { mid: message.mid, rid: message.rid }));
+  });
+};
+
+export default groupHandler;
@@ -3,6 +3,7 @@ import SkylinkSignalingServer from '../../index';
 import IceConnection from '../../../../ice-connection/index';
 import PeerData from '../../../../peer-data';
 import PeerMedia from '../../../../peer-media/index';
+import SessionRecovery from '../../../../features/session-recovery/index';
 import { peerJoined, onIncomingStream } from '../../../../skylink-events';
 import { dispatchEvent } from '../../../../utils/skylinkEventManager';
 import { hasAudioTrack, hasVideoTrack } from '../../../../utils/helpers';
@@ -47,6 +48,10 @@ const inRoomHandler = (message) => {
   PeerMedia.updatePeerMediaWithUserSid(roomState.room, sid);
   Skylink.setSkylinkState(roomState, rid);
 
+  if (SessionRecovery.onInRoom(rid, sid)) {
+    return;
+  }
+
   dispatchEvent(peerJoined({
     peerId: roomState.user.sid,
     peerInfo: PeerData.getCurrentSessionInfo(roomState.room),
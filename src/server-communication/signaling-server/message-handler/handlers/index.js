@@ -8,6 +8,7 @@ import welcome from './welcomeHandler';
 import candidate from './candidateHandler';
 import getPeerList from './getPeerListHandler';
 import introduceError from './introduceErrorHandler';
+import approach from './approachHandler';
 import bye from './byeHandler';
 import stream from './streamHandler';
 import recording from './recordingHandler';
@@ -18,6 +19,10 @@ import mediaInfoEvent from './mediaInfoEventHandler';
 import muteVideoEvent from './muteVideoEventHandler';
 import muteAudioEvent from './muteAudioEventHandler';
 import storedMessages from './storedMessagesHandler';
+import roomLock from './roomLockHandler';
+import moderationCommand from './moderationCommandHandler';
+import moderationResponse from './moderationResponseHandler';
+import group from './groupHandler';
 
 const handlers = {
   userMessageHandler,
@@ -30,6 +35,7 @@ const handlers = {
   candidate,
   getPeerList,
   introduceError,
+  approach,
   stream,
   bye,
   recording,
@@ -40,6 +46,10 @@ const handlers = {
   setUserData,
   mediaInfoEvent,
   storedMessages,
+  roomLock,
+  moderationCommand,
+  moderationResponse,
+  group,
 };
 
 export default handlers;
@@ -1,10 +1,10 @@
-
 import Skylink from '../../../../index';
 import logger from '../../../../logger';
+import messages from '../../../../messages';
 import HandleSessionStats from '../../../../skylink-stats/handleSessionStats';
 import { dispatchEvent } from '../../../../utils/skylinkEventManager';
 import { introduceStateChange } from '../../../../skylink-events';
-import { INTRODUCE_STATE_CHANGE } from '../../../../skylink-events/constants';
+import { INTRODUCE_STATE, TAGS } from '../../../../constants';
 
 /**
  * Function that handles the "introduceError" socket message received.
@@ -13,14 +13,19 @@ import { INTRODUCE_STATE_CHANGE } from '../../../../skylink-events/constants';
  * @fires introduceStateChange
  */
 const introduceErrorHandler = (message) => {
-  const state = Skylink.getSkylinkState();
+  const state = Skylink.getSkylinkState(message.rid);
+
+  if (!state) {
+    return;
+  }
+
   const { room, user } = state;
-  logger.log.WARN(['Server', null, message.type, `Introduce failed. Reason: ${message.reason}`]);
+  logger.log.WARN([null, TAGS.SIG_SERVER, message.type, messages.PEER_PRIVILEGED.introducePeer_failed], { reason: message.reason });
 
   const handleSessionStats = new HandleSessionStats();
   handleSessionStats.send(room.id, message);
   dispatchEvent(introduceStateChange({
-    state: INTRODUCE_STATE_CHANGE.ERROR,
+    state: INTRODUCE_STATE.ERROR,
     privilegedPeerId: user.sid,
     receivingPeerId: message.receivingPeerId,
     sendingPeerId: message.sendingPeerId,
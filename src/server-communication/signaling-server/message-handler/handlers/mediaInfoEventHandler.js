@@ -62,6 +62,10 @@ const valueChanged = (roomKey, peerId, mediaId, key, newValue) => {
   const { peerMedias } = state;
   const mediaInfo = peerMedias[peerId][mediaId];
 
+  if (key === MEDIA_INFO.SIMULCAST) {
+    return JSON.stringify(mediaInfo[key] || '') !== JSON.stringify(newValue || '');
+  }
+
   return mediaInfo[key] && mediaInfo[key] !== newValue;
 };
 
@@ -91,7 +95,9 @@ const mediaInfoEventHandler = (message) => {
             return;
           }
 
-          processOtherChanges(targetMid, message, mediaInfoKeys[k]);
+          if (mediaInfoKeys[k] !== MEDIA_INFO.SIMULCAST) {
+            processOtherChanges(targetMid, message, mediaInfoKeys[k]);
+          }
         }
       }
     }
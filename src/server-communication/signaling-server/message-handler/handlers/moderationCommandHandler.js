@@ -0,0 +1,13 @@
+import Moderation from '../../../../features/moderation';
+
+/**
+ * Function that handles the "moderationCommand" socket message received from a privileged Peer.
+ * @param {JSON} message
+ * @memberOf SignalingMessageHandler
+ * @fires moderationRequest
+ */
+const moderationCommandHandler = (message) => {
+  Moderation.processCommand(message);
+};
+
+export default moderationCommandHandler;
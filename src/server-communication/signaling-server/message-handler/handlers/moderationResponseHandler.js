@@ -0,0 +1,13 @@
+import Moderation from '../../../../features/moderation';
+
+/**
+ * Function that handles the "moderationResponse" socket message received from the Peer that the command was sent to.
+ * @param {JSON} message
+ * @memberOf SignalingMessageHandler
+ * @fires moderationResponse
+ */
+const moderationResponseHandler = (message) => {
+  Moderation.processResponse(message);
+};
+
+export default moderationResponseHandler;
@@ -0,0 +1,40 @@
+import Skylink from '../../../../index';
+import logger from '../../../../logger';
+import MESSAGES from '../../../../messages';
+import PeerData from '../../../../peer-data';
+import { dispatchEvent } from '../../../../utils/skylinkEventManager';
+import { roomLock } from '../../../../skylink-events';
+import { TAGS } from '../../../../constants';
+
+/**
+ * Function that handles the "roomLockEvent" socket message received when a Peer locks or unlocks the room.
+ * @param {JSON} message
+ * @memberOf SignalingMessageHandler
+ * @fires roomLock
+ */
+const roomLockHandler = (message) => {
+  const {
+    mid, rid, lock, type,
+  } = message;
+  const roomState = Skylink.getSkylinkState(rid);
+
+  // The room lock status is already updated when the User locks or unlocks the room
+  if (!roomState || mid === roomState.user.sid) {
+    return;
+  }
+
+  const { room } = roomState;
+  roomState.roomLocked = !!lock;
+  Skylink.setSkylinkState(roomState, rid);
+
+  logger.log.INFO([mid, TAGS.ROOM, type, MESSAGES.ROOM.LOCK_CHANGED], { isLocked: roomState.roomLocked });
+
+  dispatchEvent(roomLock({
+    isLocked: roomState.roomLocked,
+    peerInfo: PeerData.getPeerInfo(mid, room),
+    peerId: mid,
+    isSelf: false,
+  }));
+};
+
+export default roomLockHandler;
@@ -48,6 +48,10 @@ class SignalingMessageHandler {
     handlers.introduceError(...args);
   }
 
+  approachHandler(...args) {
+    handlers.approach(...args);
+  }
+
   byeHandler(...args) {
     handlers.bye(...args);
   }
@@ -87,6 +91,22 @@ class SignalingMessageHandler {
   storedMessagesHandler(...args) {
     handlers.storedMessages(...args);
   }
+
+  roomLockHandler(...args) {
+    handlers.roomLock(...args);
+  }
+
+  moderationCommandHandler(...args) {
+    handlers.moderationCommand(...args);
+  }
+
+  moderationResponseHandler(...args) {
+    handlers.moderationResponse(...args);
+  }
+
+  groupHandler(...args) {
+    handlers.group(...args);
+  }
 }
 
 export default SignalingMessageHandler;
@@ -24,3 +24,23 @@ export const setSocketCallbacks = (...args) => {
 };
 
 export const shouldBufferMessage = (...args) => helpers.shouldBufferMessage(...args);
+
+export const shouldGroupMessage = (...args) => helpers.shouldGroupMessage(...args);
+
+export const flushGroupMessages = (rid) => {
+  helpers.flushGroupMessages(rid);
+};
+
+export const shouldThrottleMessage = (...args) => helpers.shouldThrottleMessage(...args);
+
+export const clearThrottledMessages = (...args) => {
+  helpers.clearThrottledMessages(...args);
+};
+
+export const flushThrottledMessages = () => {
+  helpers.flushThrottledMessages();
+};
+
+export const releaseThrottledMessages = (...args) => {
+  helpers.releaseThrottledMessages(...args);
+};
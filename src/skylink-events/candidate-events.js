@@ -3,6 +3,7 @@ import {
   CANDIDATE_GENERATION_STATE,
   CANDIDATES_GATHERED,
   ICE_CONNECTION_STATE,
+  ICE_RESTART_ATTEMPT,
 } from './constants';
 
 import SkylinkEvent from '../utils/skylinkEvent';
@@ -56,3 +57,17 @@ export const candidatesGathered = detail => new SkylinkEvent(CANDIDATES_GATHERED
  * @param {String} peerId The Peer ID.
  */
 export const iceConnectionState = detail => new SkylinkEvent(ICE_CONNECTION_STATE, { detail });
+
+/**
+ * @event SkylinkEvents.iceRestartAttempt
+ * @description Event triggered when the ICE restart policy restarts a Peer connection ICE connection.
+ * The ICE restart policy is enabled with the <code>iceRestartPolicy.enabled</code> configured in {@link initOptions}.
+ * @param {Object} detail - Event's payload.
+ * @param {SkylinkRoom} detail.room - The current room.
+ * @param {String} detail.peerId - The Peer ID.
+ * @param {SkylinkConstants.ICE_RESTART_TRIGGER} detail.trigger - The trigger of the ICE restart.
+ * @param {number} detail.attempt - The current attempt, starting from 1.
+ * @param {number} detail.maxAttempts - The maximum number of attempts.
+ * @param {number} detail.delay - The delay in milliseconds before this attempt.
+ */
+export const iceRestartAttempt = (detail = {}) => new SkylinkEvent(ICE_RESTART_ATTEMPT, { detail });
@@ -22,6 +22,8 @@ export const ON_INCOMING_DATA_STREAM_STARTED = 'onIncomingDataStreamStarted';
 export const ON_INCOMING_DATA_STREAM_STOPPED = 'onIncomingDataStreamStopped';
 export const GET_PEERS_STATE_CHANGE = 'getPeersStateChange';
 export const SESSION_DISCONNECT = 'sessionDisconnect';
+export const SESSION_RECOVERING = 'sessionRecovering';
+export const SESSION_RECOVERED = 'sessionRecovered';
 export const STREAM_MUTED = 'streamMuted';
 export const CHANNEL_OPEN = 'channelOpen';
 export const CHANNEL_REOPEN = 'channelReopen';
@@ -31,6 +33,7 @@ export const CHANNEL_ERROR = 'channelError';
 export const CHANNEL_RETRY = 'channelRetry';
 export const SOCKET_ERROR = 'socketError';
 export const SYSTEM_ACTION = 'systemAction';
+export const SIGNALING_QUEUE_STATE = 'signalingQueueState';
 export const MEDIA_ACCESS_FALLBACK = 'mediaAccessFallback';
 export const MEDIA_ACCESS_REQUIRED = 'mediaAccessRequired';
 export const MEDIA_ACCESS_STOPPED = 'mediaAccessStopped';
@@ -39,14 +42,24 @@ export const RECORDING_STATE = 'recordingState';
 export const LOCAL_MEDIA_MUTED = 'localMediaMuted';
 export const MEDIA_ACCESS_ERROR = 'mediaAccessError';
 export const GET_CONNECTION_STATUS_STATE_CHANGE = 'getConnectionStatusStateChange';
+export const PEER_QUALITY_CHANGED = 'peerQualityChanged';
+export const ACTIVE_SPEAKER_CHANGED = 'activeSpeakerChanged';
+export const AUDIO_LEVEL = 'audioLevel';
 export const READY_STATE_CHANGE = 'readyStateChange';
 export const ROOM_LOCK = 'roomLock';
 export const INTRODUCE_STATE_CHANGE = 'introduceStateChange';
+export const MODERATION_REQUEST = 'moderationRequest';
+export const MODERATION_RESPONSE = 'moderationResponse';
 export const ICE_CONNECTION_STATE = 'iceConnectionState';
+export const ICE_RESTART_ATTEMPT = 'iceRestartAttempt';
 export const BYE = 'bye';
 export const RTMP_STATE = 'rtmpState';
 export const LOGGED_ON_CONSOLE = 'loggedOnConsole';
 export const MEDIA_INFO_DELETED = 'mediaInfoDeleted';
+export const MEDIA_DEVICES_CHANGED = 'mediaDevicesChanged';
+export const AUDIO_OUTPUT_ERROR = 'audioOutputError';
+export const SPEAKING_WHILE_MUTED = 'speakingWhileMuted';
 export const STORED_MESSAGES = 'storedMessages';
 export const ENCRYPT_SECRETS_UPDATED = 'encryptSecretsUpdated';
+export const MESSAGE_INTEGRITY_FAILED = 'messageIntegrityFailed';
 export const PERSISTENT_MESSAGE_STATE = 'persistentMessageState';
@@ -34,7 +34,6 @@ import SkylinkEvent from '../utils/skylinkEvent';
  * @param {String} detail.streamInfo.senderPeerId The sender Peer ID.
  * @param {Error} [detail.error] The error object.
  *   Defined only when <code>state</code> payload is <code>ERROR</code> or <code>START_ERROR</code>.
- * @ignore
  */
 export const dataStreamState = detail => new SkylinkEvent(DATA_STREAM_STATE, { detail });
 
@@ -80,7 +79,6 @@ export const dataStreamState = detail => new SkylinkEvent(DATA_STREAM_STATE, { d
  *   <code>REJECTED</code>, <code>START_ERROR</code> or <code>USER_REJECTED</code>.
  * @param {Error|String} detail.error.message The error object.
  * @param {SkylinkConstants.DATA_TRANSFER_TYPE} detail.error.transferType The data transfer direction from where the error occurred.
- * @ignore
  */
 export const dataTransferState = detail => new SkylinkEvent(DATA_TRANSFER_STATE, { detail });
 
@@ -96,7 +94,6 @@ export const dataTransferState = detail => new SkylinkEvent(DATA_TRANSFER_STATE,
  *   {@link SkylinkEvents.event:dataTransferState|dataTransferStateEvent}
  *   except without the <code>data</code> property.
  * @param {Boolean} detail.isSelf The flag if Peer is User.
- * @ignore
  */
 export const onIncomingData = detail => new SkylinkEvent(ON_INCOMING_DATA, { detail });
 
@@ -111,7 +108,6 @@ export const onIncomingData = detail => new SkylinkEvent(ON_INCOMING_DATA, { det
  *   {@link SkylinkEvents.event:dataTransferState|dataTransferStateEvent}
  *   except without the <code>data</code> property.
  * @param {Boolean} detail.isSelf The flag if Peer is User.
- * @ignore
  */
 export const onIncomingDataRequest = detail => new SkylinkEvent(ON_INCOMING_DATA_REQUEST, { detail });
 
@@ -127,7 +123,6 @@ export const onIncomingDataRequest = detail => new SkylinkEvent(ON_INCOMING_DATA
  *   {@link SkylinkEvents.event:dataStreamState|dataStreamStateEvent}
  *   except without the <code>chunk</code> property.
  * @param {Boolean} detail.isSelf The flag if Peer is User.
- * @ignore
  */
 export const onIncomingDataStream = detail => new SkylinkEvent(ON_INCOMING_DATA_STREAM, { detail });
 
@@ -142,7 +137,6 @@ export const onIncomingDataStream = detail => new SkylinkEvent(ON_INCOMING_DATA_
  *   {@link SkylinkEvents.event:dataStreamState|dataStreamStateEvent}
  *   except without the <code>chunk</code> property.
  * @param {Boolean} detail.isSelf The flag if Peer is User.
- * @ignore
  */
 export const onIncomingDataStreamStarted = detail => new SkylinkEvent(ON_INCOMING_DATA_STREAM_STARTED, { detail });
 
@@ -157,6 +151,5 @@ export const onIncomingDataStreamStarted = detail => new SkylinkEvent(ON_INCOMIN
  *   {@link SkylinkEvents.event:dataStreamState|dataStreamStateEvent}
  *   except without the <code>chunk</code> property.
  * @param {Boolean} detail.isSelf The flag if Peer is User.
- * @ignore
  */
 export const onIncomingDataStreamStopped = detail => new SkylinkEvent(ON_INCOMING_DATA_STREAM_STOPPED, { detail });
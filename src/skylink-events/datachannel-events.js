@@ -1,5 +1,6 @@
 import {
   DATA_CHANNEL_STATE, ON_INCOMING_MESSAGE, STORED_MESSAGES, ENCRYPT_SECRETS_UPDATED, PERSISTENT_MESSAGE_STATE,
+  MESSAGE_INTEGRITY_FAILED,
 } from './constants';
 
 import SkylinkEvent from '../utils/skylinkEvent';
@@ -106,3 +107,22 @@ export const encryptionSecretsUpdated = (detail = {}) => new SkylinkEvent(ENCRYP
  *   {@link SkylinkEvents.event:peerJoined|peerJoinedEvent}.
  */
 export const persistentMessageState = (detail = {}) => new SkylinkEvent(PERSISTENT_MESSAGE_STATE, { detail });
+
+/**
+ * @event SkylinkEvents.messageIntegrityFailed
+ * @description Event triggered when an encrypted message fails its integrity check when decrypted.
+ * This happens when the encrypted message has been tampered with, or encrypted with a different secret than the one
+ * stored for its secret id. The message is dropped. It is also triggered when an unencrypted P2P message is received while
+ * P2P message encryption is enabled with {@link Skylink#setP2PMessageEncryption}.
+ * @param {Object} detail - Event's payload.
+ * @param {SkylinkRoom} detail.room - The current room
+ * @param {String|null} detail.secretId - The secret id that the message was encrypted with, or <code>null</code> for an
+ *   unencrypted P2P message.
+ * @param {boolean} detail.isStoredMessage - The flag if the message is a stored message.
+ * @param {Error} detail.error - The error object.
+ * @param {String} detail.peerId - The sender Peer ID.
+ * @param {peerInfo} detail.peerInfo - The sender Peer session information.
+ *   Object signature matches the <code>peerInfo</code> parameter payload received in the
+ *   {@link SkylinkEvents.event:peerJoined|peerJoinedEvent}.
+ */
+export const messageIntegrityFailed = (detail = {}) => new SkylinkEvent(MESSAGE_INTEGRITY_FAILED, { detail });
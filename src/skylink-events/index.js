@@ -6,6 +6,7 @@ import {
 } from './stream-events';
 import {
   onDataChannelStateChanged, onIncomingMessage, storedMessages, encryptionSecretsUpdated, persistentMessageState,
+  messageIntegrityFailed,
 } from './datachannel-events';
 import { handshakeProgress, introduceStateChange } from './peer-handshake-events';
 import { readyStateChange } from './init-events';
@@ -14,8 +15,11 @@ import {
   candidateGenerationState,
   candidatesGathered,
   iceConnectionState,
+  iceRestartAttempt,
 } from './candidate-events';
-import { roomLock, bye } from './room-events';
+import {
+  roomLock, bye, moderationRequest, moderationResponse,
+} from './room-events';
 import {
   dataStreamState,
   dataTransferState,
@@ -34,7 +38,12 @@ import {
   getPeersStateChange,
   peerConnectionState,
   sessionDisconnect,
+  sessionRecovering,
+  sessionRecovered,
   getConnectionStatusStateChange,
+  peerQualityChanged,
+  activeSpeakerChanged,
+  audioLevel,
 } from './peer-events';
 import {
   channelClose,
@@ -45,6 +54,7 @@ import {
   channelRetry,
   socketError,
   systemAction,
+  signalingQueueState,
 } from './socket-events';
 import {
   mediaAccessFallback,
@@ -56,6 +66,9 @@ import {
   mediaAccessError,
   rtmpState,
   mediaInfoDeleted,
+  mediaDevicesChanged,
+  audioOutputError,
+  speakingWhileMuted,
 } from './media-events';
 
 import {
@@ -107,6 +120,8 @@ export {
   onIncomingDataStreamStopped,
   peerConnectionState,
   sessionDisconnect,
+  sessionRecovering,
+  sessionRecovered,
   channelClose,
   channelError,
   channelMessage,
@@ -115,6 +130,7 @@ export {
   channelRetry,
   socketError,
   systemAction,
+  signalingQueueState,
   mediaAccessFallback,
   mediaAccessRequired,
   mediaAccessStopped,
@@ -123,14 +139,24 @@ export {
   localMediaMuted,
   mediaAccessError,
   getConnectionStatusStateChange,
+  peerQualityChanged,
+  activeSpeakerChanged,
+  audioLevel,
   readyStateChange,
   roomLock,
+  moderationRequest,
+  moderationResponse,
   introduceStateChange,
   iceConnectionState,
+  iceRestartAttempt,
   bye,
   rtmpState,
   loggedOnConsole,
   mediaInfoDeleted,
+  mediaDevicesChanged,
+  audioOutputError,
+  speakingWhileMuted,
   encryptionSecretsUpdated,
+  messageIntegrityFailed,
   persistentMessageState,
 };
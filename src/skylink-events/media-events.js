@@ -8,6 +8,9 @@ import {
   MEDIA_ACCESS_ERROR,
   RTMP_STATE,
   MEDIA_INFO_DELETED,
+  MEDIA_DEVICES_CHANGED,
+  AUDIO_OUTPUT_ERROR,
+  SPEAKING_WHILE_MUTED,
 } from './constants';
 import SkylinkEvent from '../utils/skylinkEvent';
 
@@ -111,3 +114,46 @@ export const mediaAccessError = (detail = {}) => new SkylinkEvent(MEDIA_ACCESS_E
  * @private
  */
 export const mediaInfoDeleted = (detail = {}) => new SkylinkEvent(MEDIA_INFO_DELETED, { detail });
+
+/**
+ * @event SkylinkEvents.mediaDevicesChanged
+ * @description Event triggered when a camera, microphone or speaker is plugged in or removed.
+ * @param {Object} detail - Event's payload.
+ * @param {Array.<Object>} detail.addedDevices - The list of media devices that were plugged in.
+ * @param {String} detail.addedDevices.#index.deviceId - The device id.
+ * @param {String} detail.addedDevices.#index.kind - The device kind, e.g. <code>"audioinput"</code>, <code>"audiooutput"</code> or <code>"videoinput"</code>.
+ * @param {String} detail.addedDevices.#index.label - The device label name.
+ * @param {String} [detail.addedDevices.#index.groupId] - The device physical device id.
+ * @param {Array.<Object>} detail.removedDevices - The list of media devices that were removed.
+ * Object signature matches <code>detail.addedDevices.#index</code> format.
+ * @param {streamSources} detail.sources - The current camera, microphone and speaker sources.
+ * Object signature matches the {@link Skylink#getStreamSources|getStreamSources} result.
+ */
+export const mediaDevicesChanged = (detail = {}) => new SkylinkEvent(MEDIA_DEVICES_CHANGED, { detail });
+
+/**
+ * @event SkylinkEvents.audioOutputError
+ * @description Event triggered when the audio output device cannot be set on a media element attached with
+ * {@link Skylink#attachStream|attachStream}.
+ * @param {Object} detail - Event's payload.
+ * @param {SkylinkRoom} detail.room - The current room.
+ * @param {String} detail.peerId - The Peer id of the stream.
+ * @param {String} detail.streamId - The stream id.
+ * @param {String} detail.deviceId - The audio output device id.
+ * @param {HTMLMediaElement} detail.element - The media element.
+ * @param {Error} detail.error - The error object. The error is raised when <code>HTMLMediaElement.setSinkId</code> is not
+ * supported by the browser or when it is rejected.
+ */
+export const audioOutputError = (detail = {}) => new SkylinkEvent(AUDIO_OUTPUT_ERROR, { detail });
+
+/**
+ * @event SkylinkEvents.speakingWhileMuted
+ * @description Event triggered when the user speaks into the microphone of a muted <code>userMedia</code> stream.
+ * The event is triggered once for each burst of speech, and the speaking while muted detector is enabled with the
+ * <code>speakingWhileMuted.enabled</code> configured in {@link initOptions}.
+ * @param {Object} detail - Event's payload.
+ * @param {SkylinkRoom} detail.room - The current room.
+ * @param {String} detail.streamId - The muted stream id.
+ * @param {number} detail.audioLevel - The audio level of the microphone, ranging from 0 to 1.
+ */
+export const speakingWhileMuted = (detail = {}) => new SkylinkEvent(SPEAKING_WHILE_MUTED, { detail });
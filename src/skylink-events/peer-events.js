@@ -7,7 +7,12 @@ import {
   GET_PEERS_STATE_CHANGE,
   PEER_CONNECTION_STATE,
   SESSION_DISCONNECT,
+  SESSION_RECOVERING,
+  SESSION_RECOVERED,
   GET_CONNECTION_STATUS_STATE_CHANGE,
+  PEER_QUALITY_CHANGED,
+  ACTIVE_SPEAKER_CHANGED,
+  AUDIO_LEVEL,
 } from './constants';
 import SkylinkEvent from '../utils/skylinkEvent';
 
@@ -97,6 +102,32 @@ export const peerConnectionState = (detail = {}) => new SkylinkEvent(PEER_CONNEC
  */
 export const sessionDisconnect = (detail = {}) => new SkylinkEvent(SESSION_DISCONNECT, { detail });
 
+/**
+ * @event SkylinkEvents.sessionRecovering
+ * @description Event triggered when the socket connection to the Signaling server is lost and the Room session is being recovered.
+ * The session recovery is enabled with the <code>sessionRecovery.enabled</code> configured in {@link initOptions}.
+ * @param {Object} detail - Event's payload.
+ * @param {SkylinkRoom} detail.room - The current room.
+ * @param {String} detail.peerId - The User's Room session Peer ID before the socket connection was lost.
+ * @param {Array.<String>} detail.peerIds - The list of Peer IDs that the User was connected to.
+ */
+export const sessionRecovering = (detail = {}) => new SkylinkEvent(SESSION_RECOVERING, { detail });
+
+/**
+ * @event SkylinkEvents.sessionRecovered
+ * @description Event triggered when the Room session has been recovered after the socket connection to the Signaling server is re-opened.
+ * @param {Object} detail - Event's payload.
+ * @param {SkylinkRoom} detail.room - The current room.
+ * @param {String} detail.peerId - The User's Room session Peer ID.
+ * @param {String} detail.previousPeerId - The User's Room session Peer ID before the socket connection was lost.
+ * When the Peer IDs are different, all the previous Peer connections are removed and established again.
+ * @param {Array.<String>} detail.keptPeerIds - The list of Peer IDs whose Peer connections were still connected and are kept.
+ * @param {Array.<String>} detail.restartedPeerIds - The list of Peer IDs whose Peer connections are restarted with ICE restart.
+ * @param {Array.<String>} detail.removedPeerIds - The list of Peer IDs that have left the room or whose Peer connections are removed.
+ * The {@link SkylinkEvents.event:peerLeft|peerLeft} event is triggered for each of these Peers.
+ */
+export const sessionRecovered = (detail = {}) => new SkylinkEvent(SESSION_RECOVERED, { detail });
+
 /**
  * Event triggered when <code>{@link PeerConnection.getConnectionStatus}</code> method
  * retrieval state changes.
@@ -108,3 +139,48 @@ export const sessionDisconnect = (detail = {}) => new SkylinkEvent(SESSION_DISCO
  * @param {Error} detail.error - The error object. Defined only when <code>state</code> payload is <code>RETRIEVE_ERROR</code>.
  */
 export const getConnectionStatusStateChange = (detail = {}) => new SkylinkEvent(GET_CONNECTION_STATUS_STATE_CHANGE, { detail });
+
+/**
+ * @event SkylinkEvents.peerQualityChanged
+ * @description Event triggered when the Peer connection quality level measured by the quality monitor changes.
+ * The quality monitor is enabled with the <code>qualityMonitor.enabled</code> configured in {@link initOptions}.
+ * @param {Object} detail - Event's payload.
+ * @param {SkylinkRoom} detail.room - The current room.
+ * @param {String} detail.peerId - The Peer ID.
+ * @param {SkylinkConstants.PEER_QUALITY} detail.quality - The current Peer connection quality level.
+ * @param {SkylinkConstants.PEER_QUALITY} detail.previousQuality - The previous Peer connection quality level.
+ *   Value is <code>null</code> for the first measurement.
+ * @param {number} detail.mos - The MOS (Mean Opinion Score) of the Peer connection, ranging from <code>1</code> to <code>4.5</code>.
+ * @param {Object} detail.metrics - The metrics that the MOS is derived from.
+ * @param {number} detail.metrics.packetLoss - The percentage of packets lost since the last measurement.
+ * @param {number} detail.metrics.jitter - The receiving jitter in milliseconds.
+ * @param {number} detail.metrics.rtt - The round trip time in milliseconds.
+ * @param {number} detail.metrics.frameRate - The receiving video frame rate since the last measurement.
+ *   Value is <code>null</code> when there is no receiving video.
+ */
+export const peerQualityChanged = (detail = {}) => new SkylinkEvent(PEER_QUALITY_CHANGED, { detail });
+
+/**
+ * @event SkylinkEvents.activeSpeakerChanged
+ * @description Event triggered when the Peer that is the active speaker changes.
+ * The active speaker detector is enabled with the <code>activeSpeaker.enabled</code> configured in {@link initOptions}.
+ * @param {Object} detail - Event's payload.
+ * @param {SkylinkRoom} detail.room - The current room.
+ * @param {String} detail.peerId - The Peer ID of the active speaker.
+ *   Value is <code>null</code> when the active speaker has left the room.
+ * @param {String} detail.previousPeerId - The Peer ID of the previous active speaker.
+ *   Value is <code>null</code> when there is no previous active speaker.
+ * @param {number} detail.audioLevel - The audio level of the active speaker, ranging from <code>0</code> to <code>1</code>.
+ */
+export const activeSpeakerChanged = (detail = {}) => new SkylinkEvent(ACTIVE_SPEAKER_CHANGED, { detail });
+
+/**
+ * @event SkylinkEvents.audioLevel
+ * @description Event triggered at each interval that the active speaker detector samples the audio level of a Peer.
+ * @param {Object} detail - Event's payload.
+ * @param {SkylinkRoom} detail.room - The current room.
+ * @param {String} detail.peerId - The Peer ID.
+ * @param {number} detail.audioLevel - The audio level of the Peer, ranging from <code>0</code> to <code>1</code>.
+ * @param {boolean} detail.isSpeaking - The flag if the Peer is speaking.
+ */
+export const audioLevel = (detail = {}) => new SkylinkEvent(AUDIO_LEVEL, { detail });
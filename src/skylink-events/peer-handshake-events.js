@@ -24,6 +24,5 @@ export const handshakeProgress = (detail = {}) => new SkylinkEvent(HANDSHAKE_PRO
  * @param {String} detail.receivingPeerId The Peer ID to be connected with <code>sendingPeerId</code>.
  * @param {String} [detail.reason] The error object.
  *   Defined only when <code>state</code> payload is <code>ERROR</code>.
- * @ignore
  */
 export const introduceStateChange = (detail = {}) => new SkylinkEvent(INTRODUCE_STATE_CHANGE, { detail });
@@ -1,6 +1,8 @@
 import {
   ROOM_LOCK,
   BYE,
+  MODERATION_REQUEST,
+  MODERATION_RESPONSE,
 } from './constants';
 
 import SkylinkEvent from '../utils/skylinkEvent';
@@ -16,6 +18,43 @@ import SkylinkEvent from '../utils/skylinkEvent';
  */
 export const roomLock = (detail = {}) => new SkylinkEvent(ROOM_LOCK, { detail });
 
+/**
+ * @event SkylinkEvents.moderationRequest
+ * @description Event triggered when a privileged Peer sends a moderation command to the User.
+ * The command is only applied when a listener accepts it by calling <code>accept()</code>, and is declined otherwise.
+ * To decide asynchronously, e.g. after prompting the User, a listener calls <code>defer()</code> and then <code>accept()</code>
+ * or <code>decline()</code>, and the command is declined when neither is called within 8 seconds.
+ * Commands are dropped without this event when the Signaling server does not set the <code>isPrivileged</code> flag of the
+ * relayed command. The flag is only a guard against commands from Peers that are not privileged, so the application
+ * should check that it trusts the sender before accepting a command.
+ * @param {Object} detail - Event's payload
+ * @param {SkylinkRoom} detail.room The room.
+ * @param {String} detail.peerId The Peer ID of the privileged Peer.
+ * @param {SkylinkConstants.MODERATION_COMMAND} detail.command The moderation command.
+ * @param {Object} detail.options The command options.
+ * @param {Boolean} [detail.options.audio] The flag if the audio is requested to be muted.
+ *   Defined only when <code>command</code> is <code>MUTE</code>.
+ * @param {Boolean} [detail.options.video] The flag if the video is requested to be muted.
+ *   Defined only when <code>command</code> is <code>MUTE</code>.
+ * @param {String} [detail.options.reason] The reason of the removal.
+ *   Defined only when <code>command</code> is <code>REMOVE</code>.
+ * @param {Function} detail.accept The function to accept and apply the command.
+ * @param {Function} detail.decline The function to decline the command.
+ * @param {Function} detail.defer The function to defer the decision to a later <code>accept()</code> or <code>decline()</code> call.
+ */
+export const moderationRequest = (detail = {}) => new SkylinkEvent(MODERATION_REQUEST, { detail });
+
+/**
+ * @event SkylinkEvents.moderationResponse
+ * @description Event triggered when a Peer responds to the moderation command sent by the User.
+ * @param {Object} detail - Event's payload
+ * @param {SkylinkRoom} detail.room The room.
+ * @param {String} detail.peerId The Peer ID of the Peer that the command was sent to.
+ * @param {SkylinkConstants.MODERATION_COMMAND} detail.command The moderation command.
+ * @param {Boolean} detail.isApplied The flag if the command was applied, or <code>false</code> when it was declined by the Peer.
+ */
+export const moderationResponse = (detail = {}) => new SkylinkEvent(MODERATION_RESPONSE, { detail });
+
 /*
  * @event SkylinkEvents.bye
  * @description Event triggered when a user leaves a room.
@@ -8,6 +8,7 @@ import {
   CHANNEL_RETRY,
   SOCKET_ERROR,
   SYSTEM_ACTION,
+  SIGNALING_QUEUE_STATE,
 } from './constants';
 
 import SkylinkEvent from '../utils/skylinkEvent'
@@ -99,3 +100,15 @@ export const socketError = detail => new SkylinkEvent(SOCKET_ERROR, { detail });
  * @param {SkylinkConstants.SYSTEM_ACTION_REASON} detail.reason The Signaling server reaction state reason of action code.
  */
 export const systemAction = detail => new SkylinkEvent(SYSTEM_ACTION, { detail });
+
+/**
+ * @description Event triggered when the state of the queue of the messages sent to the Signaling server has changed.
+ * The messages are queued when they are sent faster than the <code>signalingRateLimit</code> configured in {@link initOptions},
+ * with the negotiation messages sent first, then the media state messages, and then the other messages.
+ * @event SkylinkEvents.signalingQueueState
+ * @param {Object} detail - Event's payload.
+ * @param {SkylinkConstants.SIGNALING_QUEUE_STATE} detail.state The current state of the queue.
+ * @param {Number} detail.queueLength The number of messages in the queue.
+ * @param {Number} detail.droppedCount The number of messages dropped from the queue.
+ */
+export const signalingQueueState = detail => new SkylinkEvent(SIGNALING_QUEUE_STATE, { detail });
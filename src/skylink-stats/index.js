@@ -2,18 +2,47 @@ import appConfig from '../../configs/app';
 import Skylink from '../index';
 import logger from '../logger';
 import MESSAGES from '../messages';
+import { STATS_BATCH_SIZE, STATS_FLUSH_INTERVAL } from '../constants';
+
+// The stats buffers are shared by all the stats handlers so that the stats are flushed in batches
+const statsBuffer = {};
+const sinkQueue = [];
+let flushTimer = null;
+let hasUnloadListener = false;
+
+const getStatsOptions = () => {
+  const {
+    enableStatsGathering, statsSink, statsBatchSize, statsFlushInterval,
+  } = Skylink.getInitOptions() || {};
+
+  return {
+    enableStatsGathering,
+    statsSink: statsSink || null,
+    batchSize: statsBatchSize > 0 ? statsBatchSize : STATS_BATCH_SIZE,
+    flushInterval: statsFlushInterval > 0 ? statsFlushInterval : STATS_FLUSH_INTERVAL,
+  };
+};
+
+const isCustomSink = statsSink => typeof statsSink === 'function' || !!(statsSink && typeof statsSink.send === 'function');
+
+const getStatsUrl = (statsSink, endpoint) => `${typeof statsSink === 'string' ? statsSink : appConfig.stats.statsBase}${endpoint}`;
+
+const queueSinkStats = (endpoint, data) => {
+  [].concat(data).forEach((item) => {
+    sinkQueue.push({ endpoint, data: Object.assign({}, item) });
+  });
+};
 
 /* eslint-disable class-methods-use-this */
 /**
  * @class
- * @classdesc This class is used to post the stats data.
+ * @classdesc This class is used to post the stats data to the stats sink configured in the <code>initOptions.statsSink</code>.
+ * By default, the stats are posted to the Temasys stats server.
  * @private
  */
 class SkylinkStats {
   constructor() {
     this.endpoints = appConfig.stats.endPoints;
-    this.stats_buffer = {};
-    this.bufferTimeout = false;
   }
 
   postStats(endpoint, data) {
@@ -21,47 +50,128 @@ class SkylinkStats {
     const { fetch } = window;
 
     try {
-      const initOptions = Skylink.getInitOptions();
-      const { enableStatsGathering } = initOptions;
-
-      if (enableStatsGathering) {
-        fetch(`${appConfig.stats.statsBase}${endpoint}`, {
-          method: 'POST',
-          mode: 'cors',
-          headers: {
-            'Content-type': 'application/json',
-          },
-          body: JSON.stringify(data),
-        });
+      const { enableStatsGathering, statsSink, batchSize } = getStatsOptions();
+
+      if (!enableStatsGathering) {
+        return;
+      }
+
+      if (isCustomSink(statsSink)) {
+        queueSinkStats(endpoint, data);
+
+        this.addUnloadListener();
+
+        if (sinkQueue.length >= batchSize) {
+          this.flushStats();
+        } else {
+          this.scheduleFlush();
+        }
+        return;
       }
+
+      fetch(getStatsUrl(statsSink, endpoint), {
+        method: 'POST',
+        mode: 'cors',
+        headers: {
+          'Content-type': 'application/json',
+        },
+        body: JSON.stringify(data),
+      });
     } catch (err) {
       logger.log.WARN(STATS_MODULE.ERRORS.POST_FAILED, err);
     }
   }
 
   addToStatsBuffer(operation, data, url) {
-    if (!this.stats_buffer[operation]) {
-      this.stats_buffer[operation] = {};
-      this.stats_buffer[operation].url = url;
-      this.stats_buffer[operation].data = [];
+    if (!statsBuffer[operation]) {
+      statsBuffer[operation] = {};
+      statsBuffer[operation].url = url;
+      statsBuffer[operation].data = [];
     }
 
     const cloneData = Object.assign({}, data);
-    this.stats_buffer[operation].data.push(cloneData);
+    statsBuffer[operation].data.push(cloneData);
   }
 
   manageStatsBuffer() {
-    if (!this.bufferTimeout) {
-      this.bufferTimeout = true;
-      setInterval(() => {
-        const operations = Object.keys(this.stats_buffer);
-        for (let i = 0; i < operations.length; i += 1) {
-          if (this.stats_buffer[operations[i]].data.length > 0) {
-            this.postStats(this.stats_buffer[operations[i]].url, this.stats_buffer[operations[i]].data);
-            this.stats_buffer[operations[i]].data = [];
-          }
+    const { batchSize } = getStatsOptions();
+    const isBatchFull = Object.keys(statsBuffer).some(operation => statsBuffer[operation].data.length >= batchSize);
+
+    this.addUnloadListener();
+
+    if (isBatchFull) {
+      this.flushStats();
+      return;
+    }
+
+    this.scheduleFlush();
+  }
+
+  scheduleFlush() {
+    if (!flushTimer) {
+      flushTimer = setTimeout(() => this.flushStats(), getStatsOptions().flushInterval);
+    }
+  }
+
+  /**
+   * Flushes the buffered stats to the stats sink.
+   * @param {boolean} [isUnloading=false] - The flag if the page is unloading, in which case the buffered stats are
+   *   sent with <code>navigator.sendBeacon</code> so that they are not lost.
+   */
+  flushStats(isUnloading = false) {
+    const { STATS_MODULE } = MESSAGES;
+    const { statsSink } = getStatsOptions();
+    const operations = Object.keys(statsBuffer);
+
+    clearTimeout(flushTimer);
+    flushTimer = null;
+
+    for (let i = 0; i < operations.length; i += 1) {
+      const { url, data } = statsBuffer[operations[i]];
+
+      if (data.length > 0) {
+        statsBuffer[operations[i]].data = [];
+
+        // The buffered stats go into the batch sent below so that they are not queued again through postStats
+        if (isCustomSink(statsSink)) {
+          queueSinkStats(url, data);
+        } else if (isUnloading) {
+          this.beaconStats(getStatsUrl(statsSink, url), data);
+        } else {
+          this.postStats(url, data);
         }
-      }, 5000);
+      }
+    }
+
+    if (!(isCustomSink(statsSink) && sinkQueue.length > 0)) {
+      return;
+    }
+
+    const batch = sinkQueue.splice(0, sinkQueue.length);
+
+    try {
+      if (typeof statsSink === 'function') {
+        statsSink(batch);
+      } else {
+        statsSink.send(batch);
+      }
+    } catch (err) {
+      logger.log.WARN(STATS_MODULE.ERRORS.POST_FAILED, err);
+    }
+  }
+
+  beaconStats(url, data) {
+    const { navigator } = window;
+
+    if (navigator && typeof navigator.sendBeacon === 'function') {
+      navigator.sendBeacon(url, new window.Blob([JSON.stringify(data)], { type: 'application/json' }));
+    }
+  }
+
+  addUnloadListener() {
+    if (!hasUnloadListener && typeof window.addEventListener === 'function') {
+      hasUnloadListener = true;
+      window.addEventListener('pagehide', () => this.flushStats(true));
     }
   }
 }
@@ -109,6 +109,18 @@
  *   Temasys collects encrypted, anonymous performance and connectivity statistics to allow us to improve performance for our customers and identify regional or ISP specific connectivity issues.
  *   This data does not contain any personal information or session content.
  *   To enable the configuration of this option, you need to "Collect Quality Statistics" option on the Temasys console Website under App key settings section.
+ * @property {String|Function|Object} [statsSink] The stats sink that the performance and connectivity statistics are sent to
+ *   instead of the Temasys stats server. Stats are only sent when <code>enableStatsGathering</code> is enabled.
+ *   - When defined as a string, the stats are posted to the URL with the stats endpoint path appended, the same as the Temasys stats server.
+ *   - When defined as a function, it is invoked with each batch of stats.
+ *   - When defined as an object, its <code>send</code> method is invoked with each batch of stats.
+ *   Each batch of stats is an Array of <code>{ endpoint, data }</code> objects, where <code>endpoint</code> is the stats
+ *   endpoint path and <code>data</code> is the stats report.
+ *   The buffered stats are flushed with <code>navigator.sendBeacon</code> for URL sinks, or sent to the custom sink,
+ *   when the page is unloading so that the last batch is not lost.
+ * @property {number} [statsBatchSize=20] The number of buffered stats after which they are flushed to the stats sink.
+ * @property {number} [statsFlushInterval=5000] The interval in milliseconds after which the buffered stats are flushed
+ *   to the stats sink.
  * @property {boolean} [enableDataChannel=true] The flag if Datachannel connections should be enabled.
  * <blockquote class="info">
  *   Note that for Edge browsers, this value is overriden as <code>false</code> due to its supports.
@@ -240,6 +252,79 @@
  *   Note that there will be no throttling when {@link Skylink#refreshConnection} is called internally.
  * @property {boolean} [throttleShouldThrowError=false] The flag if throttled methods should throw errors when
  *   method is invoked less than the interval timeout value configured in <code>throttleIntervals</code>.
+ * @property {JSON} [dataChannelQueue] The configuration options to configure the outbound queue of each Datachannel.
+ *   Data sent when the Datachannel buffered amount is above the high water mark is queued and sent when the
+ *   buffered amount falls below the low water mark.
+ * @property {number} [dataChannelQueue.highWaterMark=1048576] The Datachannel buffered amount in bytes above which
+ *   sent data is queued.
+ * @property {number} [dataChannelQueue.lowWaterMark=262144] The Datachannel buffered amount in bytes below which
+ *   queued data is sent.
+ * @property {number} [dataChannelQueue.maxQueueSize=1024] The maximum number of data queued for each Datachannel.
+ *   Sending data fails with the {@link SkylinkEvents.event:onDataChannelStateChanged|onDataChannelStateChangedEvent}
+ *   state <code>QUEUE_OVERFLOW</code> when the queue is full.
+ * @property {JSON} [qualityMonitor] The configuration options to configure the Peer connection quality monitor.
+ *   The quality monitor polls the stats of each Peer connection, derives a MOS (Mean Opinion Score) from the packet loss,
+ *   jitter and round trip time, and triggers the {@link SkylinkEvents.event:peerQualityChanged|peerQualityChangedEvent}
+ *   when the Peer connection quality level changes.
+ * @property {boolean} [qualityMonitor.enabled=false] The flag if the quality monitor should be enabled.
+ * @property {number} [qualityMonitor.interval=2000] The interval in milliseconds at which the Peer connection stats are polled.
+ * @property {number} [qualityMonitor.goodThreshold=4] The minimum MOS of the <code>GOOD</code> quality level.
+ * @property {number} [qualityMonitor.fairThreshold=3] The minimum MOS of the <code>FAIR</code> quality level.
+ *   MOS below this value is of the <code>POOR</code> quality level.
+ * @property {JSON} [activeSpeaker] The configuration options to configure the active speaker detector.
+ *   The active speaker detector samples the audio level of each Peer, and triggers the
+ *   {@link SkylinkEvents.event:audioLevel|audioLevelEvent} for each Peer at each interval, and the
+ *   {@link SkylinkEvents.event:activeSpeakerChanged|activeSpeakerChangedEvent} when the active speaker changes.
+ * @property {boolean} [activeSpeaker.enabled=false] The flag if the active speaker detector should be enabled.
+ * @property {SkylinkConstants.ACTIVE_SPEAKER_SOURCE} [activeSpeaker.source=STATS] The source to sample the audio levels from.
+ * @property {number} [activeSpeaker.interval=500] The interval in milliseconds at which the audio levels are sampled.
+ * @property {number} [activeSpeaker.speakingThreshold=0.05] The audio level at or above which a Peer is speaking.
+ * @property {number} [activeSpeaker.silenceThreshold=0.02] The audio level below which a speaking Peer is silent.
+ * @property {number} [activeSpeaker.switchDelay=1000] The duration in milliseconds that a Peer must be the loudest speaking Peer
+ *   before it becomes the active speaker.
+ * @property {JSON} [speakingWhileMuted] The configuration options to configure the speaking while muted detector.
+ *   The detector samples the microphone audio level of each muted <code>userMedia</code> stream, and triggers the
+ *   {@link SkylinkEvents.event:speakingWhileMuted|speakingWhileMutedEvent} when the user speaks while muted.
+ * @property {boolean} [speakingWhileMuted.enabled=false] The flag if the speaking while muted detector should be enabled.
+ * @property {number} [speakingWhileMuted.interval=200] The interval in milliseconds at which the microphone audio level is sampled.
+ * @property {number} [speakingWhileMuted.threshold=0.05] The audio level at or above which the user is speaking.
+ * @property {number} [speakingWhileMuted.duration=600] The duration in milliseconds that the audio level must stay at or
+ *   above the threshold before the event is triggered.
+ * @property {JSON} [sessionRecovery] The configuration options to configure the session recovery.
+ *   When the socket connection to the Signaling server is lost and re-opened, the room is rejoined with the previous Peer ID,
+ *   the Peer connections that are still connected are kept, and the others are restarted or removed.
+ *   The {@link SkylinkEvents.event:sessionRecovering|sessionRecoveringEvent} is triggered when the socket connection is lost,
+ *   and the {@link SkylinkEvents.event:sessionRecovered|sessionRecoveredEvent} is triggered when the session is recovered.
+ * @property {boolean} [sessionRecovery.enabled=false] The flag if the session recovery should be enabled.
+ * @property {number} [sessionRecovery.timeout=10000] The duration in milliseconds to wait for the Peers to respond after
+ *   the room is rejoined, before the Peers that have not responded are removed.
+ * @property {JSON} [iceRestartPolicy] The configuration options to configure the ICE restart policy.
+ *   The policy restarts the Peer connection ICE connection with {@link Skylink#refreshConnection|refreshConnection} when
+ *   the ICE connection state is <code>DISCONNECTED</code> or <code>FAILED</code>. When the <code>navigator.connection</code>
+ *   network type changes or the browser goes back online, the Peer connections that are not connected and have no pending
+ *   restart are restarted right away. The attempts are throttled with exponential backoff, and
+ *   each attempt triggers the {@link SkylinkEvents.event:iceRestartAttempt|iceRestartAttemptEvent}.
+ * @property {boolean} [iceRestartPolicy.enabled=false] The flag if the ICE restart policy should be enabled.
+ * @property {number} [iceRestartPolicy.maxAttempts=5] The maximum number of ICE restart attempts for each Peer connection
+ *   before the {@link SkylinkEvents.event:iceConnectionState|iceConnectionStateEvent} state <code>RESTART_FAILED</code> is triggered.
+ *   The attempts are reset when the ICE connection is connected, or when the network changes while no restart is pending.
+ * @property {number} [iceRestartPolicy.initialDelay=1000] The delay in milliseconds before the first attempt, which doubles
+ *   after each attempt.
+ * @property {number} [iceRestartPolicy.maxDelay=30000] The maximum delay in milliseconds between attempts.
+ * @property {number} [iceRestartPolicy.disconnectedTimeout=3000] The duration in milliseconds that the ICE connection state
+ *   must stay <code>DISCONNECTED</code> before it is restarted, as the browser may revive the ICE connection by itself.
+ * @property {boolean} [enableGroupMessages=false] The flag if the room broadcast messages in <code>GROUP_MESSAGE_LIST</code>,
+ *   e.g. {@link Skylink#sendMessage} messages and mute events, that are sent less than a second apart should be sent together
+ *   in one <code>group</code> message. The received <code>group</code> messages are processed regardless of this option.
+ * @property {JSON} [signalingRateLimit] The configuration options to configure the rate limiter of the messages sent to
+ *   the Signaling server, which disconnects the socket connection when too many messages are sent.
+ *   When the rate limit is reached, the messages are queued and sent with the negotiation messages first, then the media
+ *   state messages, and then the other messages. The queued <code>updateUserEvent</code>, <code>mediaInfoEvent</code> and
+ *   mute event messages are replaced by the newer messages that supersede them. The changes of the queue state trigger the
+ *   {@link SkylinkEvents.event:signalingQueueState|signalingQueueStateEvent}.
+ * @property {boolean} [signalingRateLimit.enabled=false] The flag if the rate limiter should be enabled.
+ * @property {number} [signalingRateLimit.rate=10] The number of messages that can be sent per second.
+ * @property {number} [signalingRateLimit.burst=20] The number of messages that can be sent at once before the rate limit applies.
  * @property {String|Array} [iceServer] The ICE servers for debugging purposes to use.
  *   - When defined as string, the value is considered as <code>[iceServer]</code>.
  *   Note that this is a debugging feature and is only used when instructed for debugging purposes.
@@ -573,6 +658,15 @@
  * @property {String|JSON} [options.video.facingMode] The video camera facing mode.
  *   The list of available video source ID can be retrieved by the <a href="https://developer.mozilla.org
  *   /en-US/docs/Web/API/MediaTrackConstraints/facingMode">MediaTrackConstraints <code>facingMode</code> API</a>.
+ * @property {boolean|Array} [options.video.simulcast] The simulcast layers to send the video track with.
+ *   Note that simulcast is only supported in rooms with MCU, and a single video encoding is sent otherwise.
+ *   - When provided as <code>true</code>, the <code>LOW</code>, <code>MEDIUM</code> and <code>HIGH</code>
+ *   [Rel: {@link SkylinkConstants.SIMULCAST_LAYER|SIMULCAST_LAYER}] layers are sent.
+ *   - When provided as an Array, each item is a layer with the <code>rid</code>, and optional <code>scaleResolutionDownBy</code>
+ *   and <code>maxBitrate</code> in bps encoding parameters.
+ * @property {Array.<trackProcessor>} [options.trackProcessors] The processors to route the audio and video tracks through
+ *   before they are sent to Peers, in the order that they are applied.
+ *   Note that the processors are only applied when a room name is provided.
  * @property {Function} [callback] The callback function fired when request has completed.
  *   Function parameters signature is <code>function (error, success)</code>
  *   Function request completion is determined by the <a href="#event_mediaAccessSuccess">
@@ -586,6 +680,19 @@
  *   Object signature is the camera Stream object.
  */
 
+/**
+ * @typedef {Object} trackProcessor - A processor that local tracks are routed through before they are sent to Peers,
+ *   e.g. a canvas or <code>MediaStreamTrackProcessor</code> based video filter or a Web Audio node chain.
+ * @property {String} [kind] The kind of tracks that the processor is applied to, <code>"audio"</code> or <code>"video"</code>.
+ *   When not provided, the processor is applied to both audio and video tracks.
+ * @property {Function} process The function that processes a track.
+ *   Function parameters signature is <code>function (track, context)</code> where <code>context</code> has the
+ *   <code>streamId</code> and the track <code>kind</code>, and it returns the processed <code>MediaStreamTrack</code>
+ *   of the same kind, or a Promise that resolves with it.
+ * @property {Function} [stop] The function called with the track returned by <code>process</code> when it is no longer sent,
+ *   to release the processor resources.
+ */
+
 /**
  * @typedef {Object} peerInfo - The Peer session information.
  * @property {JSON|String} userData - The Peer current custom data.
@@ -1077,7 +1184,11 @@
  * @property {String} mediaInfo.mediaState
  * @property {String} mediaInfo.transceiverMid
  * @property {String|JSON} mediaInfo.mediaMetaData
- * @property {JSON} mediaInfo.simulcast
+ * @property {JSON} mediaInfo.simulcast The simulcast layers of the video media. Value is an empty string when the media is not simulcast.
+ * @property {Array.<JSON>} mediaInfo.simulcast.layers The list of simulcast layers.
+ * @property {SkylinkConstants.SIMULCAST_LAYER} mediaInfo.simulcast.layers.#index.rid The simulcast layer rid.
+ * @property {number} [mediaInfo.simulcast.layers.#index.scaleResolutionDownBy] The factor that the video resolution is scaled down by.
+ * @property {number} [mediaInfo.simulcast.layers.#index.maxBitrate] The maximum bitrate in bps.
  * @property {String} streamId - The stream id associated with the media.
  */
 
@@ -352,3 +352,24 @@ export const parseUNIXTimeStamp = timestamp => new Date(timestamp).toISOString()
  * @memberOf UtilHelpers
  */
 export const generateISOStringTimesStamp = () => new Date().toISOString();
+
+/**
+ * Function that computes the audio level from the time domain samples of a Web Audio <code>AnalyserNode</code>.
+ * The audio level is the RMS of the samples, which ranges from 0 to 1 like the <code>audioLevel</code> in the inbound-rtp stats.
+ * @param {AnalyserNode} analyser
+ * @param {Uint8Array} samples - The buffer of <code>analyser.fftSize</code> length to read the samples into.
+ * @returns {number}
+ * @memberOf UtilHelpers
+ */
+export const computeAudioLevel = (analyser, samples) => {
+  let sum = 0;
+
+  analyser.getByteTimeDomainData(samples);
+
+  for (let i = 0; i < samples.length; i += 1) {
+    const value = (samples[i] - 128) / 128;
+    sum += value * value;
+  }
+
+  return Math.sqrt(sum / samples.length);
+};
@@ -0,0 +1,136 @@
+const expect = require('chai').expect;
+import { createSignalingServer, createSkylinkClient, destroySkylinkClients } from '../support/harness';
+
+const ROOM_NAME = 'streaming';
+
+describe('#startStreamingData with two clients', () => {
+  let server;
+  let alice;
+  let bob;
+  let EVENTS;
+  let DATA_STREAM_STATE;
+  let alicePeerId;
+  let bobPeerId;
+
+  const collectChunks = (count) => {
+    const chunks = [];
+
+    return bob.waitForEvent(EVENTS.ON_INCOMING_DATA_STREAM, (detail) => {
+      chunks.push(detail.chunk);
+      return chunks.length === count;
+    }).then(() => chunks);
+  };
+
+  // Waits for the data streaming Datachannel of Peer to open and returns its Datachannel property
+  const startStream = (isStringStream) => {
+    const sendingStarted = alice.waitForEvent(EVENTS.DATA_STREAM_STATE, detail => detail.state === DATA_STREAM_STATE.SENDING_STARTED);
+
+    return alice.skylink.startStreamingData(ROOM_NAME, isStringStream, bobPeerId)
+      .then(streamId => Promise.all([streamId, sendingStarted]))
+      .then(([streamId]) => {
+        const dataChannels = alice.getSkylinkState(`room-${ROOM_NAME}`).dataChannels[bobPeerId];
+        const channelProp = Object.keys(dataChannels).find(prop => dataChannels[prop].streamId === streamId);
+
+        return { streamId, channelProp };
+      });
+  };
+
+  beforeEach(() => {
+    server = createSignalingServer();
+    alice = createSkylinkClient(server);
+    bob = createSkylinkClient(server);
+    ({ EVENTS, DATA_STREAM_STATE } = alice.SkylinkConstants);
+
+    const aliceDataChannelOpen = alice.waitForEvent(EVENTS.DATA_CHANNEL_STATE, detail => detail.state === 'open');
+    const bobDataChannelOpen = bob.waitForEvent(EVENTS.DATA_CHANNEL_STATE, detail => detail.state === 'open');
+
+    return alice.skylink.joinRoom({ roomName: ROOM_NAME })
+      .then(() => bob.skylink.joinRoom({ roomName: ROOM_NAME }))
+      .then(() => Promise.all([aliceDataChannelOpen, bobDataChannelOpen]))
+      .then(([aliceDetail, bobDetail]) => {
+        bobPeerId = aliceDetail.peerId;
+        alicePeerId = bobDetail.peerId;
+      });
+  });
+
+  afterEach(() => destroySkylinkClients(server, [alice, bob]));
+
+  it('streams the string chunks to the Peer in order until the stream is stopped', () => {
+    const streamStarted = bob.waitForEvent(EVENTS.ON_INCOMING_DATA_STREAM_STARTED);
+    const streamStopped = bob.waitForEvent(EVENTS.ON_INCOMING_DATA_STREAM_STOPPED);
+    const chunksReceived = collectChunks(3);
+
+    return startStream(true)
+      .then(({ streamId }) => {
+        ['first', 'second', 'third'].forEach(chunk => alice.skylink.streamData(ROOM_NAME, streamId, chunk));
+        alice.skylink.stopStreamingData(ROOM_NAME, streamId);
+
+        return Promise.all([streamId, streamStarted, chunksReceived, streamStopped]);
+      })
+      .then(([streamId, startedDetail, chunks, stoppedDetail]) => {
+        expect(startedDetail.streamId).to.equal(streamId);
+        expect(startedDetail.peerId).to.equal(alicePeerId);
+        expect(chunks).to.deep.equal(['first', 'second', 'third']);
+        expect(stoppedDetail.streamId).to.equal(streamId);
+      });
+  });
+
+  it('streams the binary chunks to the Peer', () => {
+    const chunksReceived = collectChunks(2);
+
+    return startStream(false)
+      .then(({ streamId }) => {
+        alice.skylink.streamData(ROOM_NAME, streamId, new Uint8Array([1, 2, 3]).buffer);
+        alice.skylink.streamData(ROOM_NAME, streamId, new Uint8Array([4, 5]));
+
+        return chunksReceived;
+      })
+      .then((chunks) => {
+        expect(chunks.map(chunk => chunk.size)).to.deep.equal([3, 2]);
+      });
+  });
+
+  it('drops a data streaming request received on the messaging datachannel', () => {
+    const streamRequests = [];
+    const messageReceived = bob.waitForEvent(EVENTS.ON_INCOMING_MESSAGE, detail => !detail.isSelf);
+
+    bob.SkylinkEventManager.addEventListener(EVENTS.ON_INCOMING_DATA_STREAM_STARTED, (evt) => {
+      streamRequests.push(evt.detail.streamId);
+    });
+
+    alice.sendRawDataChannelMessage(bobPeerId, {
+      type: 'WRQ',
+      streamId: 'messaging-stream',
+      isStringStream: true,
+      sender: alicePeerId,
+    });
+    alice.skylink.sendP2PMessage(ROOM_NAME, 'after the request', bobPeerId);
+
+    return messageReceived.then((detail) => {
+      expect(detail.message.content).to.equal('after the request');
+      expect(streamRequests).to.have.lengthOf(0);
+      expect(bob.getSkylinkState(`room-${ROOM_NAME}`).dataChannels[alicePeerId].main.streamId).to.not.equal('messaging-stream');
+    });
+  });
+
+  it('drops a data streaming request that reuses the stream id of an existing data streaming session', () => {
+    const chunksReceived = collectChunks(1);
+
+    return startStream(false)
+      .then(({ streamId, channelProp }) => {
+        alice.sendRawDataChannelMessage(bobPeerId, {
+          type: 'WRQ',
+          streamId,
+          isStringStream: true,
+          sender: alicePeerId,
+        }, channelProp);
+        alice.skylink.streamData(ROOM_NAME, streamId, new Uint8Array([1]));
+
+        return Promise.all([streamId, chunksReceived]);
+      })
+      .then(([streamId, chunks]) => {
+        expect(chunks[0].size).to.equal(1);
+        expect(bob.getSkylinkState(`room-${ROOM_NAME}`).dataStreams[streamId].isStringStream).to.be.false;
+      });
+  });
+});
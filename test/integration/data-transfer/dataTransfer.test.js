@@ -0,0 +1,148 @@
+const expect = require('chai').expect;
+import { createSignalingServer, createSkylinkClient, destroySkylinkClients } from '../support/harness';
+import { closeFakeDataChannels } from '../support/fakeWebRTC';
+
+const ROOM_NAME = 'transfers';
+// Spans several data chunks so that the transfer can be interrupted and cancelled before it completes
+const BLOB_SIZE = 200000;
+
+const createBlob = () => new window.Blob(['x'.repeat(BLOB_SIZE)], { type: 'text/plain' });
+
+describe('#sendBlobData with two clients', () => {
+  let server;
+  let alice;
+  let bob;
+  let EVENTS;
+  let DATA_TRANSFER_STATE;
+  let alicePeerId;
+  let bobPeerId;
+
+  const acceptIncomingRequests = (accept = true) => {
+    bob.SkylinkEventManager.addEventListener(EVENTS.ON_INCOMING_DATA_REQUEST, (evt) => {
+      bob.skylink.acceptDataTransfer(ROOM_NAME, evt.detail.peerId, evt.detail.transferId, accept);
+    });
+  };
+
+  beforeEach(() => {
+    server = createSignalingServer();
+    alice = createSkylinkClient(server);
+    bob = createSkylinkClient(server);
+    ({ EVENTS, DATA_TRANSFER_STATE } = alice.SkylinkConstants);
+
+    const aliceDataChannelOpen = alice.waitForEvent(EVENTS.DATA_CHANNEL_STATE, detail => detail.state === 'open');
+    const bobDataChannelOpen = bob.waitForEvent(EVENTS.DATA_CHANNEL_STATE, detail => detail.state === 'open');
+
+    return alice.skylink.joinRoom({ roomName: ROOM_NAME })
+      .then(() => bob.skylink.joinRoom({ roomName: ROOM_NAME }))
+      .then(() => Promise.all([aliceDataChannelOpen, bobDataChannelOpen]))
+      .then(([aliceDetail, bobDetail]) => {
+        bobPeerId = aliceDetail.peerId;
+        alicePeerId = bobDetail.peerId;
+      });
+  });
+
+  afterEach(() => destroySkylinkClients(server, [alice, bob]));
+
+  it('uploads the Blob once the Peer accepts the request', () => {
+    const uploadCompleted = alice.waitForEvent(EVENTS.DATA_TRANSFER_STATE, detail => detail.state === DATA_TRANSFER_STATE.UPLOAD_COMPLETED);
+    const incomingData = bob.waitForEvent(EVENTS.ON_INCOMING_DATA);
+
+    acceptIncomingRequests();
+
+    return alice.skylink.sendBlobData(ROOM_NAME, createBlob(), bobPeerId)
+      .then(transferId => Promise.all([transferId, uploadCompleted, incomingData]))
+      .then(([transferId, uploadDetail, incomingDetail]) => {
+        expect(uploadDetail.transferId).to.equal(transferId);
+        expect(uploadDetail.peerId).to.equal(bobPeerId);
+        expect(incomingDetail.transferId).to.equal(transferId);
+        expect(incomingDetail.peerId).to.equal(alicePeerId);
+        expect(incomingDetail.data.size).to.equal(BLOB_SIZE);
+      });
+  });
+
+  it('ends the upload when the Peer rejects the request', () => {
+    const rejected = alice.waitForEvent(EVENTS.DATA_TRANSFER_STATE, detail => detail.state === DATA_TRANSFER_STATE.REJECTED);
+
+    acceptIncomingRequests(false);
+
+    return alice.skylink.sendBlobData(ROOM_NAME, createBlob(), bobPeerId)
+      .then(transferId => Promise.all([transferId, rejected]))
+      .then(([transferId, detail]) => {
+        expect(detail.transferId).to.equal(transferId);
+        expect(detail.peerId).to.equal(bobPeerId);
+      });
+  });
+
+  it('ends the download when the User cancels the upload', () => {
+    const cancelled = bob.waitForEvent(EVENTS.DATA_TRANSFER_STATE, detail => detail.state === DATA_TRANSFER_STATE.CANCEL);
+
+    acceptIncomingRequests();
+    alice.waitForEvent(EVENTS.DATA_TRANSFER_STATE, detail => detail.state === DATA_TRANSFER_STATE.UPLOADING)
+      .then(detail => alice.skylink.cancelDataTransfer(ROOM_NAME, detail.peerId, detail.transferId));
+
+    return alice.skylink.sendBlobData(ROOM_NAME, createBlob(), bobPeerId)
+      .then(transferId => Promise.all([transferId, cancelled]))
+      .then(([transferId, detail]) => {
+        expect(detail.transferId).to.equal(transferId);
+        expect(detail.peerId).to.equal(alicePeerId);
+      });
+  });
+
+  it('resumes the upload after the datachannel is revived', () => {
+    const resumed = alice.waitForEvent(EVENTS.DATA_TRANSFER_STATE, detail => detail.state === DATA_TRANSFER_STATE.RESUMED);
+    const incomingData = bob.waitForEvent(EVENTS.ON_INCOMING_DATA);
+
+    acceptIncomingRequests();
+    alice.waitForEvent(EVENTS.DATA_TRANSFER_STATE, detail => detail.state === DATA_TRANSFER_STATE.UPLOADING)
+      .then(() => closeFakeDataChannels());
+
+    return alice.skylink.sendBlobData(ROOM_NAME, createBlob(), bobPeerId)
+      .then(transferId => Promise.all([transferId, resumed, incomingData]))
+      .then(([transferId, resumedDetail, incomingDetail]) => {
+        expect(resumedDetail.transferId).to.equal(transferId);
+        expect(incomingDetail.transferId).to.equal(transferId);
+        expect(incomingDetail.data.size).to.equal(BLOB_SIZE);
+      });
+  });
+
+  it('drops a request that reuses the transfer id of an existing transfer and bounds its timeout', () => {
+    const incomingRequests = [];
+    const markerReceived = bob.waitForEvent(EVENTS.ON_INCOMING_MESSAGE, detail => detail.message.content === 'marker');
+    const request = {
+      type: 'WRQ',
+      transferId: 'remote-transfer',
+      size: 10,
+      chunkSize: 10,
+      timeout: 100000,
+      sender: alicePeerId,
+    };
+
+    bob.SkylinkEventManager.addEventListener(EVENTS.ON_INCOMING_DATA_REQUEST, (evt) => {
+      incomingRequests.push(evt.detail.transferInfo.name);
+    });
+
+    alice.sendRawDataChannelMessage(bobPeerId, Object.assign({ name: 'first' }, request));
+    alice.sendRawDataChannelMessage(bobPeerId, Object.assign({ name: 'second' }, request));
+    alice.skylink.sendP2PMessage(ROOM_NAME, 'marker', bobPeerId);
+
+    return markerReceived.then(() => {
+      expect(incomingRequests).to.deep.equal(['first']);
+      expect(bob.getSkylinkState(`room-${ROOM_NAME}`).dataTransfers['remote-transfer'].timeout).to.equal(300);
+    });
+  });
+
+  it('rejects when the request cannot be sent to any Peer', () => {
+    const startError = alice.waitForEvent(EVENTS.DATA_TRANSFER_STATE, detail => detail.state === DATA_TRANSFER_STATE.START_ERROR);
+
+    closeFakeDataChannels();
+
+    return alice.skylink.sendBlobData(ROOM_NAME, createBlob(), bobPeerId)
+      .then(() => {
+        throw new Error('sendBlobData should be rejected');
+      }, error => Promise.all([error, startError]))
+      .then(([error, detail]) => {
+        expect(error.message).to.contain(bobPeerId);
+        expect(detail.peerId).to.equal(bobPeerId);
+      });
+  });
+});
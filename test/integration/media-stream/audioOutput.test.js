@@ -0,0 +1,158 @@
+const expect = require('chai').expect;
+import { createSignalingServer, createSkylinkClient, destroySkylinkClients } from '../support/harness';
+import { setFakeMediaDevices } from '../support/fakeMediaDevices';
+
+const ROOM_NAME = 'audio-output';
+const ROOM_KEY = `room-${ROOM_NAME}`;
+const DEVICES = [
+  { deviceId: 'default-microphone', kind: 'audioinput', label: 'Default microphone', groupId: 'default' },
+  { deviceId: 'default-speaker', kind: 'audiooutput', label: 'Default speaker', groupId: 'default' },
+  { deviceId: 'headset', kind: 'audiooutput', label: 'Headset', groupId: 'headset' },
+];
+
+// The media element that the SDK needs, which records the audio output devices that it is set with
+const createMediaElement = (options = {}) => {
+  const element = { srcObject: null, sinkId: '', sinkIds: [] };
+
+  if (options.hasSetSinkId !== false) {
+    element.setSinkId = (deviceId) => {
+      element.sinkIds.push(deviceId);
+
+      if (options.error) {
+        return Promise.reject(options.error);
+      }
+
+      element.sinkId = deviceId;
+      return Promise.resolve();
+    };
+  }
+
+  return element;
+};
+
+describe('#setAudioOutput and #attachStream with two clients', () => {
+  let server;
+  let alice;
+  let bob;
+  let carol;
+  let EVENTS;
+  let alicePeerId;
+  let aliceStream;
+
+  const joinWithAudio = (client) => {
+    const incomingStream = bob.waitForEvent(EVENTS.ON_INCOMING_STREAM, detail => !detail.isSelf && detail.peerId !== alicePeerId);
+
+    return client.skylink.joinRoom({ roomName: ROOM_NAME, audio: true })
+      .then(() => incomingStream);
+  };
+
+  beforeEach(() => {
+    setFakeMediaDevices(DEVICES);
+    server = createSignalingServer();
+    alice = createSkylinkClient(server);
+    bob = createSkylinkClient(server);
+    carol = null;
+    ({ EVENTS } = alice.SkylinkConstants);
+    alicePeerId = null;
+
+    return bob.skylink.joinRoom({ roomName: ROOM_NAME })
+      .then(() => joinWithAudio(alice))
+      .then((detail) => {
+        alicePeerId = detail.peerId;
+        aliceStream = detail.stream;
+      });
+  });
+
+  afterEach(() => {
+    setFakeMediaDevices();
+    return destroySkylinkClients(server, [alice, bob].concat(carol || []));
+  });
+
+  it('lists the audio output devices', () => bob.skylink.getAudioOutputDevices()
+    .then((devices) => {
+      expect(devices.map(device => device.deviceId)).to.deep.equal(['default-speaker', 'headset']);
+    }));
+
+  it('applies the audio output device to the attached streams, including the streams attached later', () => {
+    const element = createMediaElement();
+
+    return bob.skylink.attachStream(ROOM_NAME, element, aliceStream.id)
+      .then((attachedElement) => {
+        expect(attachedElement).to.equal(element);
+        expect(element.srcObject).to.equal(aliceStream);
+        // The audio output device is only set once selected
+        expect(element.sinkIds).to.be.empty;
+
+        return bob.skylink.setAudioOutput(ROOM_NAME, 'headset');
+      })
+      .then((streamIds) => {
+        expect(streamIds).to.deep.equal([aliceStream.id]);
+        expect(element.sinkId).to.equal('headset');
+
+        carol = createSkylinkClient(server);
+        return joinWithAudio(carol);
+      })
+      .then((detail) => {
+        const carolElement = createMediaElement();
+
+        return bob.skylink.attachStream(ROOM_NAME, carolElement, detail.stream.id);
+      })
+      .then((carolElement) => {
+        expect(carolElement.sinkIds).to.deep.equal(['headset']);
+      });
+  });
+
+  it('keeps the audio output device of a peer over the audio output device for all peers', () => {
+    const element = createMediaElement();
+
+    return bob.skylink.attachStream(ROOM_NAME, element, aliceStream.id)
+      .then(() => bob.skylink.setAudioOutput(ROOM_NAME, 'headset', { peerId: alicePeerId }))
+      .then((streamIds) => {
+        expect(streamIds).to.deep.equal([aliceStream.id]);
+
+        return bob.skylink.setAudioOutput(ROOM_NAME, 'default-speaker');
+      })
+      .then((streamIds) => {
+        expect(streamIds).to.be.empty;
+        expect(element.sinkIds).to.deep.equal(['headset']);
+        expect(bob.getSkylinkState(ROOM_KEY).audioOutput).to.include({ deviceId: 'default-speaker' });
+      });
+  });
+
+  it('triggers audioOutputError when setSinkId is not supported or is rejected', () => {
+    const unsupportedElement = createMediaElement({ hasSetSinkId: false });
+    const rejectedElement = createMediaElement({ error: new Error('Fake setSinkId error') });
+    const errors = [];
+
+    bob.SkylinkEventManager.addEventListener(EVENTS.AUDIO_OUTPUT_ERROR, (evt) => {
+      errors.push(evt.detail);
+    });
+
+    return bob.skylink.setAudioOutput(ROOM_NAME, 'headset')
+      .then(() => bob.skylink.attachStream(ROOM_NAME, unsupportedElement, aliceStream.id))
+      .then(() => bob.skylink.attachStream(ROOM_NAME, rejectedElement, aliceStream.id))
+      .then(() => bob.skylink.setAudioOutput(ROOM_NAME, 'default-speaker'))
+      .then((streamIds) => {
+        expect(streamIds).to.be.empty;
+        expect(errors.map(error => error.element)).to.deep.equal([unsupportedElement, rejectedElement, rejectedElement]);
+        expect(errors[0]).to.include({ peerId: alicePeerId, streamId: aliceStream.id, deviceId: 'headset' });
+        expect(errors[2].error.message).to.equal('Fake setSinkId error');
+        expect(rejectedElement.sinkIds).to.deep.equal(['headset', 'default-speaker']);
+      });
+  });
+
+  it('removes the attached streams and the audio output device of a peer when the peer leaves', () => bob.skylink.attachStream(ROOM_NAME, createMediaElement(), aliceStream.id)
+    .then(() => bob.skylink.setAudioOutput(ROOM_NAME, 'headset', { peerId: alicePeerId }))
+    .then(() => {
+      const peerLeft = bob.waitForEvent(EVENTS.PEER_LEFT, detail => detail.peerId === alicePeerId);
+
+      alice.skylink.leaveRoom(ROOM_NAME);
+      return peerLeft;
+    })
+    .then(() => {
+      const { audioOutput } = bob.getSkylinkState(ROOM_KEY);
+
+      expect(audioOutput.elements).to.deep.equal({});
+      expect(audioOutput.peerDeviceIds).to.deep.equal({});
+    }));
+});
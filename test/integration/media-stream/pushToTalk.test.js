@@ -0,0 +1,173 @@
+const expect = require('chai').expect;
+import { createSignalingServer, createSkylinkClient, destroySkylinkClients } from '../support/harness';
+import { setFakeAudioLevel, resetFakeAudioLevels } from '../support/fakeMediaDevices';
+
+const ROOM_NAME = 'push-to-talk';
+const ROOM_KEY = `room-${ROOM_NAME}`;
+const MICROPHONE = 'default-microphone';
+const PUSH_TO_TALK_DEBOUNCE = 300;
+const INTERVAL = 50;
+const DURATION = 200;
+
+const wait = delay => new Promise(resolve => setTimeout(resolve, delay));
+
+describe('#pushToTalk and speakingWhileMuted with two clients', () => {
+  let server;
+  let alice;
+  let bob;
+  let EVENTS;
+  let audioStream;
+  let audioTrack;
+
+  const muteAudio = () => {
+    const muted = server.waitForMessage('muteAudioEvent', message => message.muted === true);
+
+    alice.skylink.muteStreams(ROOM_NAME, { audioMuted: true, videoMuted: true }, audioStream.id);
+    return muted.then(() => {
+      server.receivedMessages = [];
+    });
+  };
+
+  beforeEach(() => {
+    server = createSignalingServer();
+    alice = createSkylinkClient(server, {
+      speakingWhileMuted: {
+        enabled: true,
+        interval: INTERVAL,
+        threshold: 0.1,
+        duration: DURATION,
+      },
+    });
+    bob = createSkylinkClient(server);
+    ({ EVENTS } = alice.SkylinkConstants);
+
+    const connected = alice.waitForEvent(EVENTS.DATA_CHANNEL_STATE, detail => detail.state === 'open');
+
+    return alice.skylink.joinRoom({ roomName: ROOM_NAME, audio: true })
+      .then((streams) => {
+        [audioStream] = streams;
+        [audioTrack] = audioStream.getAudioTracks();
+        return bob.skylink.joinRoom({ roomName: ROOM_NAME });
+      })
+      .then(() => connected);
+  });
+
+  afterEach(() => {
+    resetFakeAudioLevels();
+    return destroySkylinkClients(server, [alice, bob]);
+  });
+
+  it('toggles the audio track immediately and only broadcasts the last push to talk state after the debounce', () => muteAudio()
+    .then(() => {
+      const startTime = Date.now();
+      const unmuted = server.waitForMessage('muteAudioEvent');
+
+      alice.skylink.pushToTalk(ROOM_NAME, audioStream.id, true);
+      expect(audioTrack.enabled).to.be.true;
+
+      alice.skylink.pushToTalk(ROOM_NAME, audioStream.id, false);
+      expect(audioTrack.enabled).to.be.false;
+
+      alice.skylink.pushToTalk(ROOM_NAME, audioStream.id, true);
+      expect(audioTrack.enabled).to.be.true;
+
+      return unmuted.then((message) => {
+        expect(Date.now() - startTime).to.be.at.least(PUSH_TO_TALK_DEBOUNCE);
+        expect(message).to.include({ muted: false, streamId: audioStream.id });
+      });
+    })
+    .then(() => wait(PUSH_TO_TALK_DEBOUNCE * 2))
+    .then(() => {
+      expect(server.getReceivedMessages('muteAudioEvent')).to.have.lengthOf(1);
+      expect(alice.getSkylinkState(ROOM_KEY).streamsMutedSettings[audioStream.id].audioMuted).to.be.false;
+    }));
+
+  it('does not broadcast a push to talk that is released before the debounce', () => muteAudio()
+    .then(() => {
+      alice.skylink.pushToTalk(ROOM_NAME, audioStream.id, true);
+      alice.skylink.pushToTalk(ROOM_NAME, audioStream.id, false);
+
+      return wait(PUSH_TO_TALK_DEBOUNCE * 2);
+    })
+    .then(() => {
+      expect(audioTrack.enabled).to.be.false;
+      expect(server.getReceivedMessages('muteAudioEvent')).to.be.empty;
+      expect(alice.getSkylinkState(ROOM_KEY).streamsMutedSettings[audioStream.id].audioMuted).to.be.true;
+    }));
+
+  it('triggers speakingWhileMuted once per burst of speech that lasts for the duration while muted', () => {
+    const events = [];
+
+    alice.SkylinkEventManager.addEventListener(EVENTS.SPEAKING_WHILE_MUTED, (evt) => {
+      events.push(evt.detail);
+    });
+
+    return muteAudio()
+      .then(() => {
+        const startTime = Date.now();
+
+        setFakeAudioLevel(MICROPHONE, 0.5);
+        return alice.waitForEvent(EVENTS.SPEAKING_WHILE_MUTED)
+          .then(() => {
+            expect(Date.now() - startTime).to.be.at.least(DURATION);
+          });
+      })
+      .then(() => wait(DURATION * 2))
+      .then(() => {
+        expect(events).to.have.lengthOf(1);
+        expect(events[0]).to.include({ streamId: audioStream.id, audioLevel: 0.5 });
+        expect(events[0].room.roomName).to.equal(ROOM_NAME);
+
+        // A new burst of speech after silence is notified again
+        setFakeAudioLevel(MICROPHONE, 0);
+        return wait(INTERVAL * 3);
+      })
+      .then(() => {
+        setFakeAudioLevel(MICROPHONE, 0.5);
+        return alice.waitForEvent(EVENTS.SPEAKING_WHILE_MUTED);
+      })
+      .then(() => {
+        expect(events).to.have.lengthOf(2);
+      });
+  });
+
+  it('does not trigger speakingWhileMuted for short or quiet speech, or while unmuted or pushing to talk', () => {
+    const events = [];
+
+    alice.SkylinkEventManager.addEventListener(EVENTS.SPEAKING_WHILE_MUTED, (evt) => {
+      events.push(evt.detail);
+    });
+
+    // Unmuted
+    setFakeAudioLevel(MICROPHONE, 0.5);
+
+    return wait(DURATION * 2)
+      .then(() => {
+        setFakeAudioLevel(MICROPHONE, 0);
+        return muteAudio();
+      })
+      .then(() => {
+        // Below the threshold
+        setFakeAudioLevel(MICROPHONE, 0.05);
+        return wait(DURATION * 2);
+      })
+      .then(() => {
+        // Shorter than the duration
+        setFakeAudioLevel(MICROPHONE, 0.5);
+        return wait(DURATION / 2);
+      })
+      .then(() => {
+        setFakeAudioLevel(MICROPHONE, 0);
+        return wait(INTERVAL * 3);
+      })
+      .then(() => {
+        // While pushing to talk
+        alice.skylink.pushToTalk(ROOM_NAME, audioStream.id, true);
+        setFakeAudioLevel(MICROPHONE, 0.5);
+        return wait(DURATION * 2);
+      })
+      .then(() => {
+        expect(events).to.be.empty;
+      });
+  });
+});
@@ -0,0 +1,122 @@
+const expect = require('chai').expect;
+import { createSignalingServer, createSkylinkClient, destroySkylinkClients } from '../support/harness';
+
+const ROOM_NAME = 'bandwidth';
+const ROOM_KEY = `room-${ROOM_NAME}`;
+
+describe('#setStreamBandwidth with two clients', () => {
+  let server;
+  let alice;
+  let bob;
+  let carol;
+  let EVENTS;
+  let bobPeerId;
+  let videoStreamId;
+
+  const getState = () => alice.getSkylinkState(ROOM_KEY);
+
+  const getVideoSender = peerId => getState().currentRTCRTPSenders[peerId].find(sender => sender.track.kind === 'video');
+
+  const getVideoEncoding = peerId => getVideoSender(peerId).getParameters().encodings[0];
+
+  beforeEach(() => {
+    server = createSignalingServer();
+    alice = createSkylinkClient(server);
+    bob = createSkylinkClient(server);
+    carol = null;
+    ({ EVENTS } = alice.SkylinkConstants);
+
+    const aliceConnected = alice.waitForEvent(EVENTS.DATA_CHANNEL_STATE, detail => detail.state === 'open');
+
+    return alice.skylink.joinRoom({ roomName: ROOM_NAME, audio: true, video: true })
+      .then((streams) => {
+        videoStreamId = streams[1].id;
+      })
+      .then(() => bob.skylink.joinRoom({ roomName: ROOM_NAME }))
+      .then(() => aliceConnected)
+      .then((detail) => {
+        bobPeerId = detail.peerId;
+      });
+  });
+
+  afterEach(() => destroySkylinkClients(server, [alice, bob].concat(carol || [])));
+
+  const joinCarol = () => {
+    carol = createSkylinkClient(server);
+
+    const carolConnected = alice.waitForEvent(EVENTS.DATA_CHANNEL_STATE, detail => detail.state === 'open' && detail.peerId !== bobPeerId);
+
+    return carol.skylink.joinRoom({ roomName: ROOM_NAME })
+      .then(() => carolConnected)
+      .then(detail => detail.peerId);
+  };
+
+  it('updates the sender encodings of all peers and applies them to subsequent peer connections', () => {
+    const { bAS } = getState().streamsBandwidthSettings;
+    const videoBandwidth = bAS.video;
+
+    return alice.skylink.setStreamBandwidth(ROOM_NAME, videoStreamId, { video: 256, maxFramerate: 15 })
+      .then((peerIds) => {
+        expect(peerIds).to.deep.equal([bobPeerId]);
+        expect(getVideoEncoding(bobPeerId)).to.include({ maxBitrate: 256000, maxFramerate: 15 });
+        expect(getState().streams.userMedia[videoStreamId].bandwidthSettings).to.deep.equal({ video: 256, maxFramerate: 15 });
+        // The session description bandwidth of the other streams is not changed
+        expect(getState().streamsBandwidthSettings.bAS.video).to.equal(videoBandwidth);
+
+        return joinCarol();
+      })
+      .then((carolPeerId) => {
+        expect(getVideoEncoding(carolPeerId)).to.include({ maxBitrate: 256000, maxFramerate: 15 });
+      });
+  });
+
+  it('keeps the settings for a peer until they are updated for all peers', () => alice.skylink.setStreamBandwidth(ROOM_NAME, videoStreamId, { video: 128, maxFramerate: 10 }, bobPeerId)
+    .then((peerIds) => {
+      expect(peerIds).to.deep.equal([bobPeerId]);
+      expect(getVideoEncoding(bobPeerId)).to.include({ maxBitrate: 128000, maxFramerate: 10 });
+      expect(getState().peerCustomConfigs[bobPeerId].streamBandwidthSettings[videoStreamId]).to.deep.equal({ video: 128, maxFramerate: 10 });
+      expect(getState().streams.userMedia[videoStreamId].bandwidthSettings).to.equal(undefined);
+
+      return joinCarol();
+    })
+    .then((carolPeerId) => {
+      // The settings for the peer are not applied to other peers
+      expect(getVideoEncoding(carolPeerId)).to.not.have.property('maxBitrate');
+
+      return alice.skylink.setStreamBandwidth(ROOM_NAME, videoStreamId, { video: 512 });
+    })
+    .then(() => {
+      expect(getVideoEncoding(bobPeerId)).to.include({ maxBitrate: 512000, maxFramerate: 10 });
+      expect(getState().peerCustomConfigs[bobPeerId].streamBandwidthSettings[videoStreamId]).to.deep.equal({ maxFramerate: 10 });
+    }));
+
+  it('removes the settings for a peer when the peer leaves', () => alice.skylink.setStreamBandwidth(ROOM_NAME, videoStreamId, { video: 128 }, bobPeerId)
+    .then(() => {
+      const peerLeft = alice.waitForEvent(EVENTS.PEER_LEFT, detail => detail.peerId === bobPeerId);
+
+      bob.skylink.leaveRoom(ROOM_NAME);
+      return peerLeft;
+    })
+    .then(() => {
+      expect(getState().peerCustomConfigs[bobPeerId]).to.equal(undefined);
+    }));
+
+  it('renegotiates with the session description bandwidth and stores it when the senders cannot be updated', () => {
+    getState().currentRTCRTPSenders[bobPeerId].forEach((sender) => {
+      const updatedSender = sender;
+
+      delete updatedSender.setParameters;
+    });
+
+    const renegotiated = alice.waitForEvent(EVENTS.PEER_CONNECTION_STATE, detail => detail.peerId === bobPeerId && detail.state === 'have-local-offer');
+
+    return alice.skylink.setStreamBandwidth(ROOM_NAME, videoStreamId, { video: 300 })
+      .then((peerIds) => {
+        expect(peerIds).to.deep.equal([bobPeerId]);
+        expect(getState().streamsBandwidthSettings.bAS.video).to.equal(300);
+        expect(getState().peerCustomConfigs[bobPeerId].bandwidth.video).to.equal(300);
+
+        return renegotiated;
+      });
+  });
+});
@@ -0,0 +1,136 @@
+const expect = require('chai').expect;
+import { createSignalingServer, createSkylinkClient, destroySkylinkClients } from '../support/harness';
+
+const ROOM_NAME = 'simulcast';
+const ROOM_KEY = `room-${ROOM_NAME}`;
+const MCU_PEER_ID = 'MCU';
+const DEFAULT_LAYERS = [
+  { rid: 'q', scaleResolutionDownBy: 4, maxBitrate: 150000 },
+  { rid: 'h', scaleResolutionDownBy: 2, maxBitrate: 500000 },
+  { rid: 'f', scaleResolutionDownBy: 1, maxBitrate: 1500000 },
+];
+
+const getVideoEncodings = (client, peerId) => client.getSkylinkState(ROOM_KEY).peerConnections[peerId].getSenders()
+  .find(sender => sender.track && sender.track.kind === 'video')
+  .getParameters().encodings;
+
+describe('simulcast with the MCU', () => {
+  let server;
+  let alice;
+  let bob;
+  let EVENTS;
+  let SIMULCAST_LAYER;
+
+  const joinMCURoom = (client, options) => {
+    const connected = client.waitForEvent(EVENTS.HANDSHAKE_PROGRESS, detail => detail.peerId === MCU_PEER_ID && detail.state === 'answer');
+
+    return client.skylink.joinRoom(Object.assign({ roomName: ROOM_NAME }, options))
+      .then(() => connected);
+  };
+
+  beforeEach(() => {
+    server = createSignalingServer({ hasMCU: true });
+    alice = createSkylinkClient(server);
+    bob = createSkylinkClient(server);
+    ({ EVENTS, SIMULCAST_LAYER } = alice.SkylinkConstants);
+  });
+
+  afterEach(() => destroySkylinkClients(server, [alice, bob]));
+
+  it('sends the video with the simulcast layers and advertises them in the media info', () => {
+    const offer = server.waitForMessage('offer', message => message.target === MCU_PEER_ID);
+
+    return joinMCURoom(alice, { audio: true, video: { simulcast: true } })
+      .then(() => offer)
+      .then((message) => {
+        const videoMediaInfo = message.mediaInfoList.find(mediaInfo => mediaInfo.mediaType === 'videoCamera');
+        const audioMediaInfo = message.mediaInfoList.find(mediaInfo => mediaInfo.mediaType === 'audioMic');
+
+        expect(getVideoEncodings(alice, MCU_PEER_ID)).to.deep.equal(DEFAULT_LAYERS);
+        expect(videoMediaInfo.simulcast.layers).to.deep.equal(DEFAULT_LAYERS);
+        expect(audioMediaInfo.simulcast).to.equal('');
+      });
+  });
+
+  it('sends the valid simulcast layers provided', () => joinMCURoom(alice, {
+    video: {
+      simulcast: [
+        { rid: 'low', scaleResolutionDownBy: 2, maxBitrate: 200000 },
+        { rid: 'high', scaleResolutionDownBy: 0.5, maxBitrate: -1 },
+        { scaleResolutionDownBy: 4 },
+      ],
+    },
+  })
+    .then(() => {
+      expect(getVideoEncodings(alice, MCU_PEER_ID)).to.deep.equal([
+        { rid: 'low', scaleResolutionDownBy: 2, maxBitrate: 200000 },
+        { rid: 'high' },
+      ]);
+    }));
+
+  it('requests the simulcast layer of a peer media from the MCU', () => {
+    let alicePeerId;
+    let mediaInfos;
+
+    return joinMCURoom(alice, { audio: true, video: { simulcast: true } })
+      .then(() => {
+        alicePeerId = alice.getSkylinkState(ROOM_KEY).user.sid;
+        return joinMCURoom(bob);
+      })
+      .then(() => {
+        mediaInfos = Object.values(bob.getSkylinkState(ROOM_KEY).peerMedias[alicePeerId]);
+
+        const videoMediaInfo = mediaInfos.find(mediaInfo => mediaInfo.mediaType === 'videoCamera');
+        const receiveQuality = server.waitForMessage('setReceiveQuality');
+
+        bob.skylink.setReceiveQuality(ROOM_NAME, alicePeerId, videoMediaInfo.mediaId, SIMULCAST_LAYER.LOW);
+        return Promise.all([videoMediaInfo, receiveQuality]);
+      })
+      .then(([videoMediaInfo, message]) => {
+        expect(message).to.include({
+          target: MCU_PEER_ID,
+          mid: bob.getSkylinkState(ROOM_KEY).user.sid,
+          publisherId: alicePeerId,
+          mediaId: videoMediaInfo.mediaId,
+          layer: SIMULCAST_LAYER.LOW,
+        });
+        expect(() => bob.skylink.setReceiveQuality(ROOM_NAME, alicePeerId, videoMediaInfo.mediaId, 'unknown')).to.throw();
+
+        const audioMediaInfo = mediaInfos.find(mediaInfo => mediaInfo.mediaType === 'audioMic');
+
+        expect(() => bob.skylink.setReceiveQuality(ROOM_NAME, alicePeerId, audioMediaInfo.mediaId, SIMULCAST_LAYER.LOW)).to.throw();
+        expect(server.getReceivedMessages('setReceiveQuality')).to.have.lengthOf(1);
+      });
+  });
+});
+
+describe('simulcast without the MCU', () => {
+  let server;
+  let alice;
+  let bob;
+  let EVENTS;
+
+  beforeEach(() => {
+    server = createSignalingServer();
+    alice = createSkylinkClient(server);
+    bob = createSkylinkClient(server);
+    ({ EVENTS } = alice.SkylinkConstants);
+  });
+
+  afterEach(() => destroySkylinkClients(server, [alice, bob]));
+
+  it('sends a single video encoding to the peers and rejects setReceiveQuality', () => {
+    const aliceConnected = alice.waitForEvent(EVENTS.DATA_CHANNEL_STATE, detail => detail.state === 'open');
+
+    return alice.skylink.joinRoom({ roomName: ROOM_NAME, video: { simulcast: true } })
+      .then(() => bob.skylink.joinRoom({ roomName: ROOM_NAME }))
+      .then(() => aliceConnected)
+      .then(({ peerId }) => {
+        const bobPeerId = peerId;
+        const alicePeerId = alice.getSkylinkState(ROOM_KEY).user.sid;
+
+        expect(getVideoEncodings(alice, bobPeerId)).to.deep.equal([{}]);
+        expect(() => bob.skylink.setReceiveQuality(ROOM_NAME, alicePeerId, 'media-id', 'q')).to.throw();
+      });
+  });
+});
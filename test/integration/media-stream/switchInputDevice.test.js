@@ -0,0 +1,132 @@
+const expect = require('chai').expect;
+import { createSignalingServer, createSkylinkClient, destroySkylinkClients } from '../support/harness';
+import { setFakeMediaDevices } from '../support/fakeMediaDevices';
+
+const ROOM_NAME = 'devices';
+const ROOM_KEY = `room-${ROOM_NAME}`;
+const DEVICES = [
+  { deviceId: 'default-microphone', kind: 'audioinput', label: 'Default microphone', groupId: 'default' },
+  { deviceId: 'default-camera', kind: 'videoinput', label: 'Default camera', groupId: 'default' },
+];
+const USB_CAMERA = { deviceId: 'usb-camera', kind: 'videoinput', label: 'USB camera', groupId: 'usb' };
+
+describe('#switchInputDevice with three clients', () => {
+  let server;
+  let alice;
+  let bob;
+  let carol;
+  let EVENTS;
+  let peerIds;
+  let videoStream;
+
+  const getState = () => alice.getSkylinkState(ROOM_KEY);
+
+  const getVideoSender = peerId => getState().peerConnections[peerId].getSenders()
+    .find(sender => sender.track && sender.track.kind === 'video');
+
+  const joinPeer = (client) => {
+    const connected = alice.waitForEvent(EVENTS.DATA_CHANNEL_STATE, detail => detail.state === 'open' && peerIds.indexOf(detail.peerId) === -1);
+
+    return client.skylink.joinRoom({ roomName: ROOM_NAME })
+      .then(() => connected)
+      .then((detail) => {
+        peerIds.push(detail.peerId);
+      });
+  };
+
+  beforeEach(() => {
+    setFakeMediaDevices(DEVICES);
+    server = createSignalingServer();
+    alice = createSkylinkClient(server);
+    bob = createSkylinkClient(server);
+    carol = createSkylinkClient(server);
+    ({ EVENTS } = alice.SkylinkConstants);
+    peerIds = [];
+
+    return alice.skylink.joinRoom({ roomName: ROOM_NAME, audio: true, video: true })
+      .then((streams) => {
+        [, videoStream] = streams;
+      })
+      .then(() => joinPeer(bob))
+      .then(() => joinPeer(carol));
+  });
+
+  afterEach(() => {
+    setFakeMediaDevices();
+    return destroySkylinkClients(server, [alice, bob, carol]);
+  });
+
+  it('triggers mediaDevicesChanged when a camera is plugged in and removed', () => {
+    const plugged = alice.waitForEvent(EVENTS.MEDIA_DEVICES_CHANGED);
+
+    setFakeMediaDevices(DEVICES.concat(USB_CAMERA));
+
+    return plugged
+      .then((detail) => {
+        expect(detail.addedDevices).to.deep.equal([USB_CAMERA]);
+        expect(detail.removedDevices).to.deep.equal([]);
+        expect(detail.sources.video.input.map(source => source.deviceId)).to.include(USB_CAMERA.deviceId);
+
+        const removed = alice.waitForEvent(EVENTS.MEDIA_DEVICES_CHANGED);
+
+        setFakeMediaDevices(DEVICES);
+        return removed;
+      })
+      .then((detail) => {
+        expect(detail.addedDevices).to.deep.equal([]);
+        expect(detail.removedDevices).to.deep.equal([USB_CAMERA]);
+      });
+  });
+
+  it('switches the camera for all peers and stops the replaced track', () => {
+    const oldTrack = videoStream.getVideoTracks()[0];
+
+    setFakeMediaDevices(DEVICES.concat(USB_CAMERA));
+
+    return alice.skylink.switchInputDevice(ROOM_NAME, videoStream.id, { videoDeviceId: USB_CAMERA.deviceId })
+      .then((stream) => {
+        const newTrack = stream.getVideoTracks()[0];
+
+        expect(stream.id).to.equal(videoStream.id);
+        expect(newTrack.deviceId).to.equal(USB_CAMERA.deviceId);
+        expect(oldTrack.readyState).to.equal('ended');
+        peerIds.forEach((peerId) => {
+          expect(getVideoSender(peerId).track).to.equal(newTrack);
+        });
+      });
+  });
+
+  it('switches back the peers that the track was replaced for when it fails to be replaced for a peer', () => {
+    const oldTrack = videoStream.getVideoTracks()[0];
+    const [bobPeerId, carolPeerId] = peerIds;
+    const failedSender = getVideoSender(carolPeerId);
+    const replacedTracks = [];
+
+    setFakeMediaDevices(DEVICES.concat(USB_CAMERA));
+    failedSender.replaceTrack = () => Promise.reject(new Error('Fake replaceTrack error'));
+
+    const bobSender = getVideoSender(bobPeerId);
+    const { replaceTrack } = bobSender;
+
+    bobSender.replaceTrack = (track) => {
+      replacedTracks.push(track);
+      return replaceTrack(track);
+    };
+
+    return alice.skylink.switchInputDevice(ROOM_NAME, videoStream.id, { videoDeviceId: USB_CAMERA.deviceId })
+      .then(() => {
+        throw new Error('Expected the camera switch to fail');
+      }, (error) => {
+        const [newTrack] = replacedTracks;
+
+        expect(error.message).to.equal('Fake replaceTrack error');
+        // Bob was switched to the new track and then back to the old track
+        expect(replacedTracks).to.deep.equal([newTrack, oldTrack]);
+        expect(newTrack.readyState).to.equal('ended');
+        expect(oldTrack.readyState).to.equal('live');
+        expect(bobSender.track).to.equal(oldTrack);
+        expect(failedSender.track).to.equal(oldTrack);
+        expect(videoStream.getVideoTracks()).to.deep.equal([oldTrack]);
+      });
+  });
+});
@@ -0,0 +1,188 @@
+const expect = require('chai').expect;
+import { createSignalingServer, createSkylinkClient, destroySkylinkClients } from '../support/harness';
+import { FakeMediaStreamTrack } from '../support/fakeMediaDevices';
+
+const ROOM_NAME = 'processors';
+const ROOM_KEY = `room-${ROOM_NAME}`;
+
+// A processor that returns a new track for each track that it processes, e.g. a canvas based video filter
+const createProcessor = (kind, outputKind = kind) => {
+  const processor = {
+    kind,
+    inputs: [],
+    outputs: [],
+    stopped: [],
+    process: (track) => {
+      const outputTrack = new FakeMediaStreamTrack(outputKind);
+
+      processor.inputs.push(track);
+      processor.outputs.push(outputTrack);
+      return Promise.resolve(outputTrack);
+    },
+    stop: (track) => {
+      processor.stopped.push(track);
+    },
+  };
+
+  return processor;
+};
+
+describe('track processors with three clients', () => {
+  let server;
+  let alice;
+  let bob;
+  let carol;
+  let EVENTS;
+  let peerIds;
+
+  const getState = () => alice.getSkylinkState(ROOM_KEY);
+
+  const getSender = (peerId, kind) => getState().peerConnections[peerId].getSenders()
+    .find(sender => sender.track && sender.track.kind === kind);
+
+  const joinPeer = (client) => {
+    const connected = alice.waitForEvent(EVENTS.DATA_CHANNEL_STATE, detail => detail.state === 'open' && peerIds.indexOf(detail.peerId) === -1);
+
+    return client.skylink.joinRoom({ roomName: ROOM_NAME })
+      .then(() => connected)
+      .then((detail) => {
+        peerIds.push(detail.peerId);
+      });
+  };
+
+  const joinRoom = options => alice.skylink.joinRoom(Object.assign({ roomName: ROOM_NAME }, options))
+    .then(streams => joinPeer(bob)
+      .then(() => joinPeer(carol))
+      .then(() => streams));
+
+  beforeEach(() => {
+    server = createSignalingServer();
+    alice = createSkylinkClient(server);
+    bob = createSkylinkClient(server);
+    carol = createSkylinkClient(server);
+    ({ EVENTS } = alice.SkylinkConstants);
+    peerIds = [];
+  });
+
+  afterEach(() => destroySkylinkClients(server, [alice, bob, carol]));
+
+  it('sends the tracks processed by the processors in order and stops them with the stream', () => {
+    const blur = createProcessor('video');
+    const watermark = createProcessor('video');
+    const noiseGate = createProcessor('audio');
+    let audioStream;
+    let videoStream;
+
+    return joinRoom({ audio: true, video: true, trackProcessors: [blur, noiseGate, watermark] })
+      .then((streams) => {
+        [audioStream, videoStream] = streams;
+
+        const [cameraTrack] = blur.inputs;
+
+        expect(cameraTrack.deviceId).to.equal('default-camera');
+        expect(watermark.inputs).to.deep.equal(blur.outputs);
+        expect(videoStream.getVideoTracks()).to.deep.equal(watermark.outputs);
+        expect(audioStream.getAudioTracks()).to.deep.equal(noiseGate.outputs);
+        peerIds.forEach((peerId) => {
+          expect(getSender(peerId, 'video').track).to.equal(watermark.outputs[0]);
+          expect(getSender(peerId, 'audio').track).to.equal(noiseGate.outputs[0]);
+        });
+
+        alice.skylink.stopStreams(ROOM_NAME, videoStream.id);
+
+        expect(blur.stopped).to.deep.equal(blur.outputs);
+        expect(watermark.stopped).to.deep.equal(watermark.outputs);
+        expect(cameraTrack.readyState).to.equal('ended');
+        expect(noiseGate.stopped).to.be.empty;
+      });
+  });
+
+  it('adds and removes a processor while the stream is sent without renegotiating', () => {
+    const blur = createProcessor('video');
+    let videoStream;
+    let cameraTrack;
+
+    return joinRoom({ audio: true, video: true })
+      .then((streams) => {
+        [, videoStream] = streams;
+        [cameraTrack] = videoStream.getVideoTracks();
+        server.receivedMessages = [];
+
+        return alice.skylink.addTrackProcessor(ROOM_NAME, videoStream.id, blur);
+      })
+      .then((stream) => {
+        const [blurredTrack] = blur.outputs;
+
+        expect(stream).to.equal(videoStream);
+        expect(blur.inputs).to.deep.equal([cameraTrack]);
+        expect(videoStream.getVideoTracks()).to.deep.equal([blurredTrack]);
+        expect(cameraTrack.readyState).to.equal('live');
+        peerIds.forEach((peerId) => {
+          expect(getSender(peerId, 'video').track).to.equal(blurredTrack);
+        });
+
+        return alice.skylink.removeTrackProcessor(ROOM_NAME, videoStream.id, blur);
+      })
+      .then(() => {
+        const [blurredTrack] = blur.outputs;
+
+        expect(videoStream.getVideoTracks()).to.deep.equal([cameraTrack]);
+        expect(blur.stopped).to.deep.equal([blurredTrack]);
+        expect(blurredTrack.readyState).to.equal('ended');
+        peerIds.forEach((peerId) => {
+          expect(getSender(peerId, 'video').track).to.equal(cameraTrack);
+        });
+        expect(server.getReceivedMessages('offer')).to.be.empty;
+      });
+  });
+
+  it('switches back the peers and keeps the processors when the processed track fails to be replaced for a peer', () => {
+    const blur = createProcessor('video');
+    const watermark = createProcessor('video');
+    let videoStream;
+
+    return joinRoom({ video: true, trackProcessors: [blur] })
+      .then((streams) => {
+        [, videoStream] = streams;
+
+        const [bobPeerId, carolPeerId] = peerIds;
+
+        getSender(carolPeerId, 'video').replaceTrack = () => Promise.reject(new Error('Fake replaceTrack error'));
+
+        return alice.skylink.addTrackProcessor(ROOM_NAME, videoStream.id, watermark)
+          .then(() => {
+            throw new Error('Expected the track processor to fail to be added');
+          }, (error) => {
+            const [blurredTrack] = blur.outputs;
+
+            expect(error.message).to.equal('Fake replaceTrack error');
+            expect(getSender(bobPeerId, 'video').track).to.equal(blurredTrack);
+            expect(getSender(carolPeerId, 'video').track).to.equal(blurredTrack);
+            expect(videoStream.getVideoTracks()).to.deep.equal([blurredTrack]);
+            // The processors of the failed update are stopped and the previous processors are kept
+            expect(blur.stopped).to.deep.equal([blur.outputs[1]]);
+            expect(watermark.stopped).to.deep.equal(watermark.outputs);
+            expect(getState().streams.userMedia[videoStream.id].trackProcessors.processors).to.deep.equal([blur]);
+          });
+      });
+  });
+
+  it('rejects getUserMedia and stops the tracks when a processor does not return a track of the same kind', () => {
+    const blur = createProcessor('video');
+    const invalid = createProcessor('video', 'audio');
+    const mediaAccessError = alice.waitForEvent(EVENTS.MEDIA_ACCESS_ERROR);
+
+    return alice.skylink.joinRoom({ roomName: ROOM_NAME })
+      .then(() => alice.skylink.getUserMedia(ROOM_NAME, { video: true, trackProcessors: [blur, invalid] }))
+      .then(() => {
+        throw new Error('Expected getUserMedia to fail');
+      }, (error) => {
+        expect(error.message).to.equal('Track processor did not return a track of the same kind');
+        expect(blur.inputs[0].readyState).to.equal('ended');
+        expect(blur.stopped).to.deep.equal(blur.outputs);
+        expect(getState().streams.userMedia).to.satisfy(userMedia => !userMedia || Object.keys(userMedia).length === 0);
+
+        return mediaAccessError;
+      });
+  });
+});
@@ -0,0 +1,88 @@
+const expect = require('chai').expect;
+import { createSignalingServer, createSkylinkClient, destroySkylinkClients } from '../support/harness';
+import { closeFakeDataChannels, setFakeBufferedAmount } from '../support/fakeWebRTC';
+
+const ROOM_NAME = 'congested';
+const HIGH_WATER_MARK = 1000;
+const LOW_WATER_MARK = 100;
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('#sendP2PMessage with a congested datachannel', () => {
+  let server;
+  let alice;
+  let bob;
+  let EVENTS;
+  let DATA_CHANNEL_STATE;
+  let bobPeerId;
+  let bobMessages;
+
+  beforeEach(() => {
+    server = createSignalingServer();
+    alice = createSkylinkClient(server, {
+      dataChannelQueue: { highWaterMark: HIGH_WATER_MARK, lowWaterMark: LOW_WATER_MARK },
+    });
+    bob = createSkylinkClient(server);
+    ({ EVENTS, DATA_CHANNEL_STATE } = alice.SkylinkConstants);
+    bobMessages = [];
+
+    bob.SkylinkEventManager.addEventListener(EVENTS.ON_INCOMING_MESSAGE, (evt) => {
+      if (!evt.detail.isSelf) {
+        bobMessages.push(evt.detail.message.content);
+      }
+    });
+
+    const aliceDataChannelOpen = alice.waitForEvent(EVENTS.DATA_CHANNEL_STATE, detail => detail.state === 'open');
+    const bobDataChannelOpen = bob.waitForEvent(EVENTS.DATA_CHANNEL_STATE, detail => detail.state === 'open');
+
+    return alice.skylink.joinRoom({ roomName: ROOM_NAME })
+      .then(() => bob.skylink.joinRoom({ roomName: ROOM_NAME }))
+      .then(() => Promise.all([aliceDataChannelOpen, bobDataChannelOpen]))
+      .then(([aliceDetail]) => {
+        bobPeerId = aliceDetail.peerId;
+      });
+  });
+
+  afterEach(() => destroySkylinkClients(server, [alice, bob]));
+
+  it('queues the messages until the buffered amount falls to the low threshold', () => {
+    setFakeBufferedAmount(HIGH_WATER_MARK);
+    alice.skylink.sendP2PMessage(ROOM_NAME, 'first', bobPeerId);
+    alice.skylink.sendP2PMessage(ROOM_NAME, 'second', bobPeerId);
+
+    return wait(100)
+      .then(() => {
+        expect(bobMessages).to.be.empty;
+        setFakeBufferedAmount(0);
+        return wait(100);
+      })
+      .then(() => {
+        expect(bobMessages).to.deep.equal(['first', 'second']);
+      });
+  });
+
+  it('sends the queued messages when the buffered amount is already at the low threshold', () => {
+    setFakeBufferedAmount(LOW_WATER_MARK);
+    alice.skylink.sendP2PMessage(ROOM_NAME, 'x'.repeat(HIGH_WATER_MARK), bobPeerId);
+
+    return wait(100)
+      .then(() => {
+        expect(bobMessages).to.deep.equal(['x'.repeat(HIGH_WATER_MARK)]);
+      });
+  });
+
+  it('reports the queued messages dropped when the datachannel closes', () => {
+    const dropped = alice.waitForEvent(EVENTS.DATA_CHANNEL_STATE, detail => detail.state === DATA_CHANNEL_STATE.SEND_MESSAGE_ERROR);
+
+    setFakeBufferedAmount(HIGH_WATER_MARK);
+    alice.skylink.sendP2PMessage(ROOM_NAME, 'never sent', bobPeerId);
+    closeFakeDataChannels();
+
+    return dropped
+      .then((detail) => {
+        expect(detail.peerId).to.equal(bobPeerId);
+        expect(detail.error.message).to.contain('Dropping queued data');
+        expect(bobMessages).to.be.empty;
+      });
+  });
+});
@@ -0,0 +1,245 @@
+const expect = require('chai').expect;
+import CryptoJS from 'crypto-js';
+import { createSignalingServer, createSkylinkClient, destroySkylinkClients } from '../support/harness';
+import { FakeRTCDataChannel } from '../support/fakeWebRTC';
+
+const ROOM_NAME = 'encrypted';
+const SECRET = 'shared secret';
+const SECRET_ID = 'secret-1';
+
+const setSecret = (client) => {
+  client.skylink.setEncryptSecret(ROOM_NAME, SECRET, SECRET_ID);
+  client.skylink.setSelectedSecret(ROOM_NAME, SECRET_ID);
+};
+
+// Flips a character of the ciphertext part of the "v2.<salt>.<iv>.<ciphertext>" cipher format
+const tamper = (data) => {
+  const parts = data.split('.');
+  const ciphertext = parts[3];
+  const index = Math.floor(ciphertext.length / 2);
+
+  parts[3] = `${ciphertext.slice(0, index)}${ciphertext[index] === 'A' ? 'B' : 'A'}${ciphertext.slice(index + 1)}`;
+  return parts.join('.');
+};
+
+describe('encrypted messages with two clients', () => {
+  let server;
+  let alice;
+  let bob;
+  let EVENTS;
+  let bobPeerId;
+  let bobMessages;
+  let bobIntegrityFailures;
+  let originalSend;
+  let sentData;
+
+  beforeEach(() => {
+    server = createSignalingServer({ hasPersistentMessage: true });
+    alice = createSkylinkClient(server);
+    bob = createSkylinkClient(server);
+    ({ EVENTS } = alice.SkylinkConstants);
+    bobMessages = [];
+    bobIntegrityFailures = [];
+    sentData = [];
+
+    originalSend = FakeRTCDataChannel.prototype.send;
+    FakeRTCDataChannel.prototype.send = function send(data) {
+      sentData.push({ channel: this, data });
+      return originalSend.call(this, data);
+    };
+
+    bob.SkylinkEventManager.addEventListener(EVENTS.ON_INCOMING_MESSAGE, (evt) => {
+      if (!evt.detail.isSelf) {
+        bobMessages.push(evt.detail.message);
+      }
+    });
+    bob.SkylinkEventManager.addEventListener(EVENTS.MESSAGE_INTEGRITY_FAILED, (evt) => {
+      bobIntegrityFailures.push(evt.detail);
+    });
+
+    const aliceDataChannelOpen = alice.waitForEvent(EVENTS.DATA_CHANNEL_STATE, detail => detail.state === 'open');
+    const bobDataChannelOpen = bob.waitForEvent(EVENTS.DATA_CHANNEL_STATE, detail => detail.state === 'open');
+
+    return alice.skylink.joinRoom({ roomName: ROOM_NAME })
+      .then(() => bob.skylink.joinRoom({ roomName: ROOM_NAME }))
+      .then(() => Promise.all([aliceDataChannelOpen, bobDataChannelOpen]))
+      .then(([aliceDetail]) => {
+        bobPeerId = aliceDetail.peerId;
+        setSecret(alice);
+        setSecret(bob);
+      });
+  });
+
+  afterEach(() => {
+    FakeRTCDataChannel.prototype.send = originalSend;
+    return destroySkylinkClients(server, [alice, bob]);
+  });
+
+  const sendAndIntercept = (content) => {
+    const sentMessage = server.waitForMessage('message', message => message.target === bobPeerId);
+    const received = bob.waitForEvent(EVENTS.ON_INCOMING_MESSAGE, detail => !detail.isSelf);
+
+    alice.skylink.sendMessage(ROOM_NAME, content, bobPeerId);
+    return Promise.all([sentMessage, received]).then(([message]) => message);
+  };
+
+  it('rejects a tampered message with the integrity failure event', () => sendAndIntercept('hello')
+    .then((message) => {
+      expect(bobMessages).to.have.lengthOf(1);
+      expect(bobMessages[0].content).to.equal('hello');
+
+      const integrityFailed = bob.waitForEvent(EVENTS.MESSAGE_INTEGRITY_FAILED);
+
+      server.sendTo(message.rid, bobPeerId, Object.assign({}, message, { data: tamper(message.data) }));
+      return integrityFailed;
+    })
+    .then(() => {
+      expect(bobMessages).to.have.lengthOf(1);
+      expect(bobIntegrityFailures).to.have.lengthOf(1);
+      expect(bobIntegrityFailures[0].secretId).to.equal(SECRET_ID);
+      expect(bobIntegrityFailures[0].isStoredMessage).to.be.false;
+    }));
+
+  it('rejects a live message downgraded to the legacy format with the integrity failure event', () => sendAndIntercept('hello')
+    .then((message) => {
+      const legacyData = CryptoJS.AES.encrypt('downgraded', SECRET).toString();
+
+      const integrityFailed = bob.waitForEvent(EVENTS.MESSAGE_INTEGRITY_FAILED);
+
+      server.sendTo(message.rid, bobPeerId, Object.assign({}, message, { data: legacyData }));
+      return integrityFailed;
+    })
+    .then(() => {
+      expect(bobMessages.map(message => message.content)).to.deep.equal(['hello']);
+      expect(bobIntegrityFailures).to.have.lengthOf(1);
+    }));
+
+  it('delivers the messages of a peer in the order that they are received', () => {
+    const sentMessage = server.waitForMessage('message', message => message.target === bobPeerId);
+    const received = bob.waitForEvent(EVENTS.ON_INCOMING_MESSAGE, detail => !detail.isSelf && detail.message.content === 'plaintext');
+
+    alice.skylink.sendMessage(ROOM_NAME, 'encrypted', bobPeerId);
+
+    return sentMessage
+      .then((message) => {
+        // The unencrypted message is received while the encrypted message is being decrypted
+        const plaintextMessage = Object.assign({}, message, { data: 'plaintext' });
+
+        delete plaintextMessage.secretId;
+        server.sendTo(message.rid, bobPeerId, plaintextMessage);
+        return received;
+      })
+      .then(() => {
+        expect(bobMessages.map(message => message.content)).to.deep.equal(['encrypted', 'plaintext']);
+      });
+  });
+
+  it('encrypts and decrypts with the new secret when a secret id is deleted and set again', () => {
+    const updateSecret = (client) => {
+      client.skylink.deleteEncryptSecrets(ROOM_NAME, SECRET_ID);
+      client.skylink.setEncryptSecret(ROOM_NAME, 'updated secret', SECRET_ID);
+      client.skylink.setSelectedSecret(ROOM_NAME, SECRET_ID);
+    };
+
+    return sendAndIntercept('hello')
+      .then(() => {
+        const integrityFailed = bob.waitForEvent(EVENTS.MESSAGE_INTEGRITY_FAILED);
+
+        updateSecret(alice);
+        alice.skylink.sendMessage(ROOM_NAME, 'updated', bobPeerId);
+        return integrityFailed;
+      })
+      .then(() => {
+        updateSecret(bob);
+        return sendAndIntercept('updated again');
+      })
+      .then(() => {
+        expect(bobMessages.map(message => message.content)).to.deep.equal(['hello', 'updated again']);
+        expect(bobIntegrityFailures).to.have.lengthOf(1);
+      });
+  });
+
+  // Resolves once Peer has handled the P2P message, as it is encrypted and decrypted asynchronously
+  const sendP2PAndIntercept = (content, eventName = EVENTS.ON_INCOMING_MESSAGE) => {
+    const handled = bob.waitForEvent(eventName, detail => !detail.isSelf);
+
+    sentData = [];
+    alice.skylink.sendP2PMessage(ROOM_NAME, content, bobPeerId);
+
+    return handled.then(() => {
+      const { channel, data } = sentData.find(sent => JSON.parse(sent.data).type === 'MESSAGE');
+
+      return { channel, message: JSON.parse(data) };
+    });
+  };
+
+  it('rejects a tampered P2P message with the integrity failure event', () => {
+    alice.skylink.setP2PMessageEncryption(ROOM_NAME, true);
+    bob.skylink.setP2PMessageEncryption(ROOM_NAME, true);
+
+    return sendP2PAndIntercept('hello')
+      .then(({ channel, message }) => {
+        expect(message.secretId).to.equal(SECRET_ID);
+        expect(bobMessages.map(bobMessage => bobMessage.content)).to.deep.equal(['hello']);
+
+        const integrityFailed = bob.waitForEvent(EVENTS.MESSAGE_INTEGRITY_FAILED);
+
+        channel.send(JSON.stringify(Object.assign({}, message, { data: tamper(message.data) })));
+        return integrityFailed;
+      })
+      .then(() => {
+        expect(bobMessages).to.have.lengthOf(1);
+        expect(bobIntegrityFailures).to.have.lengthOf(1);
+        expect(bobIntegrityFailures[0].secretId).to.equal(SECRET_ID);
+      });
+  });
+
+  it('rejects a P2P message downgraded to the legacy format with the integrity failure event', () => {
+    alice.skylink.setP2PMessageEncryption(ROOM_NAME, true);
+    bob.skylink.setP2PMessageEncryption(ROOM_NAME, true);
+
+    return sendP2PAndIntercept('hello')
+      .then(({ channel, message }) => {
+        const legacyData = CryptoJS.AES.encrypt(JSON.stringify('downgraded'), SECRET).toString();
+
+        const integrityFailed = bob.waitForEvent(EVENTS.MESSAGE_INTEGRITY_FAILED);
+
+        channel.send(JSON.stringify(Object.assign({}, message, { data: legacyData })));
+        return integrityFailed;
+      })
+      .then(() => {
+        expect(bobMessages.map(message => message.content)).to.deep.equal(['hello']);
+        expect(bobIntegrityFailures).to.have.lengthOf(1);
+      });
+  });
+
+  it('drops an unencrypted P2P message when P2P message encryption is enabled', () => {
+    bob.skylink.setP2PMessageEncryption(ROOM_NAME, true);
+
+    return sendP2PAndIntercept('plaintext', EVENTS.MESSAGE_INTEGRITY_FAILED)
+      .then(({ message }) => {
+        expect(message.secretId).to.be.undefined;
+        expect(bobMessages).to.be.empty;
+        expect(bobIntegrityFailures).to.have.lengthOf(1);
+        expect(bobIntegrityFailures[0].secretId).to.be.null;
+      });
+  });
+
+  it('decrypts stored messages in the legacy format', () => {
+    const storedMessages = bob.waitForEvent(EVENTS.STORED_MESSAGES);
+    const room = Object.values(server.rooms)[0];
+
+    room.storedMessages.push({
+      data: CryptoJS.AES.encrypt('stored before', SECRET).toString(),
+      mid: 'previous-peer',
+      secretId: SECRET_ID,
+      timeStamp: Date.now(),
+    });
+    bob.skylink.getStoredMessages(ROOM_NAME);
+
+    return storedMessages.then((detail) => {
+      expect(detail.storedMessages).to.have.lengthOf(1);
+      expect(detail.storedMessages[0].content).to.equal('stored before');
+    });
+  });
+});
@@ -0,0 +1,191 @@
+const expect = require('chai').expect;
+import { createSignalingServer, createSkylinkClient, destroySkylinkClients } from '../support/harness';
+
+const ROOM_NAME = 'grouped';
+
+describe('#group messages with two clients', () => {
+  let server;
+  let alice;
+  let bob;
+
+  beforeEach(() => {
+    server = createSignalingServer();
+    alice = createSkylinkClient(server, { enableGroupMessages: true });
+    bob = createSkylinkClient(server, { enableGroupMessages: true });
+
+    const { EVENTS } = alice.SkylinkConstants;
+    const bobEntered = alice.waitForEvent(EVENTS.PEER_JOINED, detail => !detail.isSelf);
+
+    return alice.skylink.joinRoom({ roomName: ROOM_NAME })
+      .then(() => bob.skylink.joinRoom({ roomName: ROOM_NAME }))
+      .then(() => bobEntered);
+  });
+
+  afterEach(() => destroySkylinkClients(server, [alice, bob]));
+
+  it('sends the messages sent within the interval in one group message', () => {
+    const { EVENTS } = bob.SkylinkConstants;
+    const receivedContents = [];
+    const allReceived = bob.waitForEvent(EVENTS.ON_INCOMING_MESSAGE, (detail) => {
+      if (!detail.isSelf) {
+        receivedContents.push(detail.message.content);
+      }
+      return receivedContents.length === 3;
+    });
+    const groupSent = server.waitForMessage('group');
+    const sentMessageCount = server.getReceivedMessages('message').length;
+
+    alice.skylink.sendMessage(ROOM_NAME, 'first');
+    alice.skylink.sendMessage(ROOM_NAME, 'second');
+    alice.skylink.sendMessage(ROOM_NAME, 'third');
+
+    return Promise.all([groupSent, allReceived])
+      .then(([group]) => {
+        expect(server.getReceivedMessages('message')).to.have.lengthOf(sentMessageCount + 1);
+        expect(group.lists).to.have.lengthOf(2);
+        expect(receivedContents).to.deep.equal(['first', 'second', 'third']);
+      });
+  });
+
+  it('sends at most the maximum number of messages in one group message', () => {
+    const groupSent = server.waitForMessage('group');
+
+    for (let i = 0; i < 25; i += 1) {
+      alice.skylink.sendMessage(ROOM_NAME, `message ${i}`);
+    }
+
+    return groupSent.then((group) => {
+      expect(group.lists).to.have.lengthOf(20);
+      expect(JSON.parse(group.lists[0]).data).to.equal('message 1');
+    });
+  });
+
+  it('sends the queued messages when the User leaves the room', () => {
+    const { EVENTS } = alice.SkylinkConstants;
+    const lastMessageSent = server.waitForMessage('message', message => message.data === 'last');
+    let sentMessageCount;
+
+    return alice.waitForEvent(EVENTS.DATA_CHANNEL_STATE, detail => detail.state === 'open')
+      .then(() => {
+        sentMessageCount = server.getReceivedMessages('message').length;
+
+        alice.skylink.sendMessage(ROOM_NAME, 'first');
+        alice.skylink.sendMessage(ROOM_NAME, 'last');
+
+        return alice.skylink.leaveRoom(ROOM_NAME);
+      })
+      .then(() => lastMessageSent)
+      .then(() => {
+        const sentMessages = server.getReceivedMessages('message').slice(sentMessageCount);
+
+        expect(sentMessages.map(message => message.data)).to.deep.equal(['first', 'last']);
+      });
+  });
+
+  it('processes the other bundled messages when one of them cannot be parsed', () => {
+    const { EVENTS } = bob.SkylinkConstants;
+    const directMessageReceived = bob.waitForEvent(EVENTS.ON_INCOMING_MESSAGE, detail => !detail.isSelf);
+
+    alice.skylink.sendMessage(ROOM_NAME, 'bundled');
+
+    return directMessageReceived
+      .then(() => {
+        const [message] = server.getReceivedMessages('message').slice(-1);
+        const bundledMessageReceived = bob.waitForEvent(EVENTS.ON_INCOMING_MESSAGE, detail => !detail.isSelf);
+        const [bobPeerId] = server.getPeerIds(`room-${ROOM_NAME}`).filter(peerId => peerId !== message.mid);
+
+        server.sendTo(`room-${ROOM_NAME}`, bobPeerId, {
+          type: 'group',
+          mid: message.mid,
+          lists: ['{"type":', JSON.stringify(message)],
+        });
+
+        return bundledMessageReceived;
+      })
+      .then((detail) => {
+        expect(detail.message.content).to.equal('bundled');
+      });
+  });
+
+  it('drops the bundled messages that cannot be sent in a group message and uses the sender of the group message', () => {
+    const { EVENTS, MODERATION_COMMAND } = bob.SkylinkConstants;
+    const rid = `room-${ROOM_NAME}`;
+    const droppedEvents = [];
+    const bundledMessageReceived = bob.waitForEvent(EVENTS.ON_INCOMING_MESSAGE, detail => !detail.isSelf);
+    const [alicePeerId, bobPeerId] = server.getPeerIds(rid);
+
+    bob.SkylinkEventManager.addEventListener(EVENTS.PEER_LEFT, evt => droppedEvents.push(evt.detail));
+    bob.SkylinkEventManager.addEventListener(EVENTS.MODERATION_REQUEST, evt => droppedEvents.push(evt.detail));
+
+    server.sendTo(rid, bobPeerId, {
+      type: 'group',
+      mid: alicePeerId,
+      lists: [
+        JSON.stringify({ type: 'bye', rid, mid: alicePeerId }),
+        JSON.stringify({
+          type: 'moderationCommand',
+          rid,
+          mid: alicePeerId,
+          target: bobPeerId,
+          commandId: 'bundled',
+          command: MODERATION_COMMAND.REMOVE,
+          options: {},
+          isPrivileged: true,
+        }),
+        JSON.stringify({
+          type: 'group',
+          rid,
+          mid: alicePeerId,
+          lists: [JSON.stringify({ type: 'bye', rid, mid: alicePeerId })],
+        }),
+        JSON.stringify({
+          type: 'message', rid, mid: 'spoofed', data: 'bundled', target: null,
+        }),
+      ],
+    });
+
+    return bundledMessageReceived.then((detail) => {
+      expect(detail.message.content).to.equal('bundled');
+      expect(detail.peerId).to.equal(alicePeerId);
+      expect(droppedEvents).to.have.lengthOf(0);
+      expect(server.getPeerIds(rid)).to.have.lengthOf(2);
+    });
+  });
+});
+
+describe('#group messages with two clients without enableGroupMessages', () => {
+  let server;
+  let alice;
+  let bob;
+
+  beforeEach(() => {
+    server = createSignalingServer();
+    alice = createSkylinkClient(server);
+    bob = createSkylinkClient(server);
+
+    const { EVENTS } = alice.SkylinkConstants;
+    const bobEntered = alice.waitForEvent(EVENTS.PEER_JOINED, detail => !detail.isSelf);
+
+    return alice.skylink.joinRoom({ roomName: ROOM_NAME })
+      .then(() => bob.skylink.joinRoom({ roomName: ROOM_NAME }))
+      .then(() => bobEntered);
+  });
+
+  afterEach(() => destroySkylinkClients(server, [alice, bob]));
+
+  it('sends each message on its own', () => {
+    const lastMessageSent = server.waitForMessage('message', message => message.data === 'third');
+    const sentMessageCount = server.getReceivedMessages('message').length;
+
+    alice.skylink.sendMessage(ROOM_NAME, 'first');
+    alice.skylink.sendMessage(ROOM_NAME, 'second');
+    alice.skylink.sendMessage(ROOM_NAME, 'third');
+
+    return lastMessageSent.then(() => {
+      const sentMessages = server.getReceivedMessages('message').slice(sentMessageCount);
+
+      expect(sentMessages.map(message => message.data)).to.deep.equal(['first', 'second', 'third']);
+      expect(server.getReceivedMessages('group')).to.have.lengthOf(0);
+    });
+  });
+});
@@ -0,0 +1,151 @@
+const expect = require('chai').expect;
+import { createSignalingServer, createSkylinkClient, destroySkylinkClients } from '../support/harness';
+import { FakeRTCDataChannel } from '../support/fakeWebRTC';
+
+const ROOM_NAME = 'fragments';
+const FRAGMENT_SIZE = 16384;
+// Multi-byte characters, surrogate pairs and characters escaped in JSON, so that the serialized size differs from the length
+const CONTENT = '"é中😀\\'.repeat(10000);
+
+const getByteLength = value => new TextEncoder().encode(value).length;
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('#sendP2PMessage with a large message', () => {
+  let server;
+  let alice;
+  let bob;
+  let EVENTS;
+  let bobPeerId;
+  let alicePeerId;
+  let originalSend;
+  let sentData;
+
+  beforeEach(() => {
+    server = createSignalingServer();
+    alice = createSkylinkClient(server);
+    bob = createSkylinkClient(server);
+    ({ EVENTS } = alice.SkylinkConstants);
+    sentData = [];
+
+    originalSend = FakeRTCDataChannel.prototype.send;
+    FakeRTCDataChannel.prototype.send = function send(data) {
+      sentData.push({ channel: this, data });
+      return originalSend.call(this, data);
+    };
+
+    const aliceDataChannelOpen = alice.waitForEvent(EVENTS.DATA_CHANNEL_STATE, detail => detail.state === 'open');
+    const bobDataChannelOpen = bob.waitForEvent(EVENTS.DATA_CHANNEL_STATE, detail => detail.state === 'open');
+
+    return alice.skylink.joinRoom({ roomName: ROOM_NAME })
+      .then(() => bob.skylink.joinRoom({ roomName: ROOM_NAME }))
+      .then(() => Promise.all([aliceDataChannelOpen, bobDataChannelOpen]))
+      .then(([aliceDetail, bobDetail]) => {
+        bobPeerId = aliceDetail.peerId;
+        alicePeerId = bobDetail.peerId;
+      });
+  });
+
+  const getBobMessageFragments = () => Object.values(bob.skylink.constructor.getSkylinkState())[0].messageFragments;
+
+  // Sends the first fragment of P2P messages to Bob as the SDK would, with the envelope of a sent message
+  const sendPartialMessages = (messageIds) => {
+    sentData = [];
+    alice.skylink.sendP2PMessage(ROOM_NAME, 'hello', bobPeerId);
+
+    return wait(50)
+      .then(() => {
+        const { channel, data } = sentData[0];
+        const message = JSON.parse(data);
+
+        messageIds.forEach((messageId) => {
+          channel.send(JSON.stringify(Object.assign({}, message, {
+            data: '"partial',
+            fragment: { messageId, index: 0, total: 2 },
+          })));
+        });
+
+        return wait(50);
+      });
+  };
+
+  afterEach(() => {
+    FakeRTCDataChannel.prototype.send = originalSend;
+    return destroySkylinkClients(server, [alice, bob]);
+  });
+
+  it('sends fragments within the fragment size in bytes that are reassembled by the Peer', () => {
+    const incomingMessage = bob.waitForEvent(EVENTS.ON_INCOMING_MESSAGE, detail => !detail.isSelf);
+
+    sentData = [];
+    alice.skylink.sendP2PMessage(ROOM_NAME, CONTENT, bobPeerId);
+
+    return incomingMessage.then((detail) => {
+      const fragments = sentData.map(({ data }) => JSON.parse(data)).filter(message => message.fragment);
+
+      expect(detail.message.content).to.equal(CONTENT);
+      expect(fragments.length).to.be.above(1);
+      expect(fragments.length).to.equal(fragments[0].fragment.total);
+      sentData.forEach(({ data }) => expect(getByteLength(data)).to.be.at.most(FRAGMENT_SIZE));
+      fragments.forEach(({ data }) => expect(data).to.not.match(/[\uD800-\uDBFF]$/));
+    });
+  });
+
+  it('drops the fragments of a message with too many fragments', () => {
+    let bobReceived = false;
+
+    bob.SkylinkEventManager.addEventListener(EVENTS.ON_INCOMING_MESSAGE, (evt) => {
+      bobReceived = bobReceived || !evt.detail.isSelf;
+    });
+
+    sentData = [];
+    alice.skylink.sendP2PMessage(ROOM_NAME, 'hello', bobPeerId);
+
+    return wait(50)
+      .then(() => {
+        const { channel, data } = sentData[0];
+        const message = JSON.parse(data);
+
+        bobReceived = false;
+        channel.send(JSON.stringify(Object.assign({}, message, {
+          data: JSON.stringify('forged'),
+          fragment: { messageId: 'forged', index: 0, total: 1 },
+        })));
+        channel.send(JSON.stringify(Object.assign({}, message, {
+          data: '"forged',
+          fragment: { messageId: 'unbounded', index: 0, total: 1000000 },
+        })));
+        return wait(50);
+      })
+      .then(() => {
+        const storedFragments = getBobMessageFragments();
+
+        expect(bobReceived).to.be.true;
+        expect(Object.keys(storedFragments)).to.be.empty;
+      });
+  });
+
+  it('drops the fragments of new messages while too many messages from the Peer are being reassembled', () => {
+    const messageIds = Array.from({ length: 17 }, (value, index) => `partial-${index}`);
+
+    return sendPartialMessages(messageIds)
+      .then(() => {
+        const storedMessageIds = Object.keys(getBobMessageFragments()[alicePeerId]);
+
+        expect(storedMessageIds).to.deep.equal(messageIds.slice(0, 16));
+      });
+  });
+
+  it('discards the fragments being reassembled from the Peer when the Peer leaves', () => sendPartialMessages(['partial'])
+    .then(() => {
+      const peerLeft = bob.waitForEvent(EVENTS.PEER_LEFT, detail => detail.peerId === alicePeerId);
+
+      expect(Object.keys(getBobMessageFragments())).to.deep.equal([alicePeerId]);
+
+      alice.skylink.leaveRoom(ROOM_NAME);
+      return peerLeft;
+    })
+    .then(() => {
+      expect(getBobMessageFragments()).to.deep.equal({});
+    }));
+});
@@ -0,0 +1,184 @@
+const expect = require('chai').expect;
+import { createSignalingServer, createSkylinkClient, destroySkylinkClients } from '../support/harness';
+
+const ROOM_NAME = 'rate-limited';
+const MESSAGE_COUNT = 8;
+
+const wait = duration => new Promise(resolve => setTimeout(resolve, duration));
+
+describe('#signaling rate limit with two clients', () => {
+  let server;
+  let alice;
+  let bob;
+  let bobPeerId;
+
+  beforeEach(() => {
+    server = createSignalingServer();
+    alice = createSkylinkClient(server, { signalingRateLimit: { enabled: true, rate: 5, burst: 5 } });
+    bob = createSkylinkClient(server);
+
+    const { EVENTS } = alice.SkylinkConstants;
+    const aliceConnected = alice.waitForEvent(EVENTS.DATA_CHANNEL_STATE, detail => detail.state === 'open');
+
+    return alice.skylink.joinRoom({ roomName: ROOM_NAME })
+      .then(() => bob.skylink.joinRoom({ roomName: ROOM_NAME }))
+      .then(() => aliceConnected)
+      .then((detail) => {
+        bobPeerId = detail.peerId;
+      })
+      // Waits for the rate limiter to refill after the negotiation messages
+      .then(() => wait(1100));
+  });
+
+  afterEach(() => destroySkylinkClients(server, [alice, bob]));
+
+  it('queues the messages sent over the rate limit and sends them in order', () => {
+    const { EVENTS, SIGNALING_QUEUE_STATE } = alice.SkylinkConstants;
+    const receivedContents = [];
+    const allReceived = bob.waitForEvent(bob.SkylinkConstants.EVENTS.ON_INCOMING_MESSAGE, (detail) => {
+      if (!detail.isSelf) {
+        receivedContents.push(detail.message.content);
+      }
+      return receivedContents.length === MESSAGE_COUNT;
+    });
+    const throttled = alice.waitForEvent(EVENTS.SIGNALING_QUEUE_STATE, detail => detail.state === SIGNALING_QUEUE_STATE.THROTTLED);
+    const drained = alice.waitForEvent(EVENTS.SIGNALING_QUEUE_STATE, detail => detail.state === SIGNALING_QUEUE_STATE.DRAINED);
+    const sentMessageCount = server.getReceivedMessages('message').length;
+    const contents = [];
+
+    for (let i = 0; i < MESSAGE_COUNT; i += 1) {
+      contents.push(`message ${i}`);
+      alice.skylink.sendMessage(ROOM_NAME, contents[i], bobPeerId);
+    }
+
+    expect(server.getReceivedMessages('message').length - sentMessageCount).to.be.below(MESSAGE_COUNT);
+
+    return Promise.all([throttled, drained, allReceived])
+      .then(([throttledDetail, drainedDetail]) => {
+        expect(throttledDetail.queueLength).to.equal(1);
+        expect(drainedDetail.queueLength).to.equal(0);
+        expect(receivedContents).to.deep.equal(contents);
+      });
+  });
+
+  it('drops the queued messages when the socket connection closes', () => {
+    const { EVENTS, SIGNALING_QUEUE_STATE } = alice.SkylinkConstants;
+    const dropped = alice.waitForEvent(EVENTS.SIGNALING_QUEUE_STATE, detail => detail.state === SIGNALING_QUEUE_STATE.DROPPED);
+    const [alicePeerId] = server.getPeerIds(`room-${ROOM_NAME}`).filter(peerId => peerId !== bobPeerId);
+
+    for (let i = 0; i < MESSAGE_COUNT; i += 1) {
+      alice.skylink.sendMessage(ROOM_NAME, `message ${i}`, bobPeerId);
+    }
+
+    server.dropPeer(`room-${ROOM_NAME}`, alicePeerId);
+
+    return dropped.then((detail) => {
+      expect(detail.droppedCount).to.be.above(0);
+      expect(detail.queueLength).to.equal(0);
+    });
+  });
+
+  it('sends the queued messages before closing the socket connection when the User leaves the room', () => {
+    const lastMessageSent = server.waitForMessage('message', message => message.data === `message ${MESSAGE_COUNT - 1}`);
+    const sentMessageCount = server.getReceivedMessages('message').length;
+
+    for (let i = 0; i < MESSAGE_COUNT; i += 1) {
+      alice.skylink.sendMessage(ROOM_NAME, `message ${i}`, bobPeerId);
+    }
+
+    return alice.skylink.leaveRoom(ROOM_NAME)
+      .then(() => lastMessageSent)
+      .then(() => {
+        expect(server.getReceivedMessages('message')).to.have.lengthOf(sentMessageCount + MESSAGE_COUNT);
+      });
+  });
+
+  it('sends the queued bye messages after the room state is removed when the User is in several rooms', () => {
+    const byeSent = server.waitForMessage('bye', message => message.rid === `room-${ROOM_NAME}`);
+
+    return alice.skylink.joinRoom({ roomName: `${ROOM_NAME}-other` })
+      .then(() => {
+        for (let i = 0; i < MESSAGE_COUNT; i += 1) {
+          alice.skylink.sendMessage(ROOM_NAME, `message ${i}`, bobPeerId);
+        }
+
+        return alice.skylink.leaveRoom(ROOM_NAME);
+      })
+      .then(() => byeSent)
+      .then((bye) => {
+        expect(bye.target).to.equal(bobPeerId);
+      });
+  });
+});
+
+describe('#signaling rate limit with session recovery', () => {
+  let server;
+  let alice;
+  let bob;
+  let alicePeerId;
+  let bobPeerId;
+
+  beforeEach(() => {
+    server = createSignalingServer();
+    alice = createSkylinkClient(server, { signalingRateLimit: { enabled: true, rate: 5, burst: 5 }, sessionRecovery: { enabled: true } });
+    bob = createSkylinkClient(server);
+
+    const { EVENTS } = alice.SkylinkConstants;
+    const aliceConnected = alice.waitForEvent(EVENTS.DATA_CHANNEL_STATE, detail => detail.state === 'open');
+
+    return alice.skylink.joinRoom({ roomName: ROOM_NAME })
+      .then(() => bob.skylink.joinRoom({ roomName: ROOM_NAME }))
+      .then(() => aliceConnected)
+      .then((detail) => {
+        bobPeerId = detail.peerId;
+        [alicePeerId] = server.getPeerIds(`room-${ROOM_NAME}`).filter(peerId => peerId !== bobPeerId);
+      })
+      .then(() => wait(1100));
+  });
+
+  afterEach(() => destroySkylinkClients(server, [alice, bob]));
+
+  it('sends the queued messages once the room is rejoined', () => {
+    const { EVENTS, SIGNALING_QUEUE_STATE } = alice.SkylinkConstants;
+    const drained = alice.waitForEvent(EVENTS.SIGNALING_QUEUE_STATE, detail => detail.state === SIGNALING_QUEUE_STATE.DRAINED);
+    const lastMessageSent = server.waitForMessage('message', message => message.data === `message ${MESSAGE_COUNT - 1}`);
+    const [aliceSocket] = server.sockets.filter(socket => socket.id === alicePeerId);
+    const sentMessageCount = server.getReceivedMessages('message').length;
+
+    for (let i = 0; i < MESSAGE_COUNT; i += 1) {
+      alice.skylink.sendMessage(ROOM_NAME, `message ${i}`, bobPeerId);
+    }
+
+    aliceSocket.drop();
+    aliceSocket.connect();
+
+    return Promise.all([lastMessageSent, drained])
+      .then(([lastMessage]) => {
+        expect(server.getReceivedMessages('message')).to.have.lengthOf(sentMessageCount + MESSAGE_COUNT);
+        expect(lastMessage.mid).to.equal(server.getPeerIds(`room-${ROOM_NAME}`).filter(peerId => peerId !== bobPeerId)[0]);
+      });
+  });
+
+  it('drops the queued negotiation messages and sends the other queued messages once the room is rejoined', () => {
+    const { EVENTS, SIGNALING_QUEUE_STATE } = alice.SkylinkConstants;
+    const rid = `room-${ROOM_NAME}`;
+    const dropped = alice.waitForEvent(EVENTS.SIGNALING_QUEUE_STATE, detail => detail.state === SIGNALING_QUEUE_STATE.DROPPED);
+    const messageSent = server.waitForMessage('message', message => message.data === 'held');
+    const socket = server.dropPeer(rid, alicePeerId, { isKeptInRoom: true });
+    const heldOfferCount = () => server.getReceivedMessages('offer').filter(message => message.mid === alicePeerId).length;
+    const offerCount = heldOfferCount();
+
+    alice.skylink.sendMessage(ROOM_NAME, 'held', bobPeerId);
+
+    return alice.skylink.refreshConnection(ROOM_NAME, bobPeerId)
+      .catch(() => null)
+      .then(() => {
+        socket.connect();
+        return Promise.all([dropped, messageSent]);
+      })
+      .then(([detail]) => {
+        expect(detail.droppedCount).to.be.at.least(1);
+        expect(heldOfferCount()).to.equal(offerCount);
+      });
+  });
+});
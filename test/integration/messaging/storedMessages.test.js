@@ -0,0 +1,54 @@
+const expect = require('chai').expect;
+import { createSignalingServer, createSkylinkClient, destroySkylinkClients } from '../support/harness';
+
+const ROOM_NAME = 'persistent';
+const SECRET_ID = 'secret-1';
+
+const joinWithSecret = (client) => {
+  const { skylink, SkylinkConstants: { EVENTS } } = client;
+  const inRoom = client.waitForEvent(EVENTS.PEER_JOINED, detail => detail.isSelf);
+
+  return skylink.joinRoom({ roomName: ROOM_NAME })
+    .then(() => inRoom)
+    .then(() => {
+      skylink.setEncryptSecret(ROOM_NAME, 'shared secret', SECRET_ID);
+      skylink.setSelectedSecret(ROOM_NAME, SECRET_ID);
+    });
+};
+
+describe('#getStoredMessages with two clients', () => {
+  let server;
+  let alice;
+  let bob;
+
+  beforeEach(() => {
+    server = createSignalingServer({ hasPersistentMessage: true });
+    alice = createSkylinkClient(server);
+    bob = createSkylinkClient(server);
+  });
+
+  afterEach(() => destroySkylinkClients(server, [alice, bob]));
+
+  it('retrieves the persistent messages sent before joining the room', () => {
+    const { EVENTS } = bob.SkylinkConstants;
+    const messageStored = server.waitForMessage('message', message => message.isPersistent);
+
+    return joinWithSecret(alice)
+      .then(() => {
+        alice.skylink.setMessagePersistence(ROOM_NAME, true);
+        alice.skylink.sendMessage(ROOM_NAME, 'stored hello');
+        return messageStored;
+      })
+      .then(() => joinWithSecret(bob))
+      .then(() => {
+        const bobStoredMessages = bob.waitForEvent(EVENTS.STORED_MESSAGES);
+
+        bob.skylink.getStoredMessages(ROOM_NAME);
+        return bobStoredMessages;
+      })
+      .then((detail) => {
+        expect(detail.storedMessages).to.have.lengthOf(1);
+        expect(detail.storedMessages[0].content).to.equal('stored hello');
+      });
+  });
+});
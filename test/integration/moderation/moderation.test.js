@@ -0,0 +1,156 @@
+const expect = require('chai').expect;
+import { createSignalingServer, createSkylinkClient, destroySkylinkClients } from '../support/harness';
+
+const ROOM_NAME = 'webinar';
+
+describe('#moderation commands', () => {
+  let server;
+  let host;
+  let participant;
+  let EVENTS;
+  let MODERATION_COMMAND;
+  let hostPeerId;
+  let participantPeerId;
+
+  beforeEach(() => {
+    server = createSignalingServer();
+    host = createSkylinkClient(server, { isPrivileged: true });
+    participant = createSkylinkClient(server);
+    ({ EVENTS, MODERATION_COMMAND } = host.SkylinkConstants);
+
+    const hostConnected = host.waitForEvent(EVENTS.DATA_CHANNEL_STATE, detail => detail.state === 'open');
+    const participantConnected = participant.waitForEvent(EVENTS.DATA_CHANNEL_STATE, detail => detail.state === 'open');
+
+    return host.skylink.joinRoom({ roomName: ROOM_NAME })
+      .then(() => participant.skylink.joinRoom({ roomName: ROOM_NAME }))
+      .then(() => Promise.all([hostConnected, participantConnected]))
+      .then(([hostDetail, participantDetail]) => {
+        participantPeerId = hostDetail.peerId;
+        hostPeerId = participantDetail.peerId;
+      });
+  });
+
+  afterEach(() => destroySkylinkClients(server, [host, participant]));
+
+  const acceptModerationRequests = (client) => {
+    client.SkylinkEventManager.addEventListener(EVENTS.MODERATION_REQUEST, (evt) => {
+      evt.detail.accept();
+    });
+  };
+
+  it('applies the command and resolves with the response of the Peer', () => {
+    acceptModerationRequests(participant);
+    const moderationRequest = participant.waitForEvent(EVENTS.MODERATION_REQUEST);
+
+    return host.skylink.requestLowerHand(ROOM_NAME, participantPeerId)
+      .then((result) => {
+        expect(result).to.deep.equal({ peerId: participantPeerId, command: MODERATION_COMMAND.LOWER_HAND, isApplied: true });
+        return moderationRequest;
+      })
+      .then((detail) => {
+        expect(detail.peerId).to.equal(hostPeerId);
+        expect(detail.command).to.equal(MODERATION_COMMAND.LOWER_HAND);
+      });
+  });
+
+  it('resolves as not applied when the application does not accept the command', () => {
+    const moderationRequest = participant.waitForEvent(EVENTS.MODERATION_REQUEST);
+
+    return host.skylink.requestMute(ROOM_NAME, participantPeerId, { audio: true, video: false })
+      .then((result) => {
+        expect(result.command).to.equal(MODERATION_COMMAND.MUTE);
+        expect(result.isApplied).to.be.false;
+        return moderationRequest;
+      })
+      .then((detail) => {
+        expect(detail.options).to.deep.equal({ audio: true, video: false });
+      });
+  });
+
+  it('applies the command that the application accepts after deferring the decision', () => {
+    let acceptRequest;
+
+    participant.SkylinkEventManager.addEventListener(EVENTS.MODERATION_REQUEST, (evt) => {
+      evt.detail.defer();
+      acceptRequest = evt.detail.accept;
+    });
+
+    const participantLeft = host.waitForEvent(EVENTS.PEER_LEFT, detail => detail.peerId === participantPeerId);
+    const result = host.skylink.removePeer(ROOM_NAME, participantPeerId, 'off topic');
+
+    return participant.waitForEvent(EVENTS.MODERATION_REQUEST)
+      .then(() => new Promise(resolve => setTimeout(resolve, 50)))
+      .then(() => {
+        expect(server.getReceivedMessages('moderationResponse')).to.have.lengthOf(0);
+        acceptRequest();
+        return Promise.all([result, participantLeft]);
+      })
+      .then(([response]) => {
+        expect(response.isApplied).to.be.true;
+      });
+  });
+
+  it('resolves as not applied when the application declines the command after deferring the decision', () => {
+    participant.SkylinkEventManager.addEventListener(EVENTS.MODERATION_REQUEST, (evt) => {
+      evt.detail.defer();
+      setTimeout(() => {
+        evt.detail.decline();
+        evt.detail.accept();
+      }, 50);
+    });
+
+    return host.skylink.removePeer(ROOM_NAME, participantPeerId, 'off topic')
+      .then((result) => {
+        expect(result.isApplied).to.be.false;
+        expect(server.getPeerIds(`room-${ROOM_NAME}`)).to.have.lengthOf(2);
+      });
+  });
+
+  it('drops the command when the Signaling server does not vouch for the privilege of the sender', () => {
+    const requestedCommands = [];
+
+    acceptModerationRequests(participant);
+    participant.SkylinkEventManager.addEventListener(EVENTS.MODERATION_REQUEST, (evt) => {
+      requestedCommands.push(evt.detail.command);
+    });
+
+    server.sendTo(`room-${ROOM_NAME}`, participantPeerId, {
+      type: 'moderationCommand',
+      mid: hostPeerId,
+      target: participantPeerId,
+      commandId: 'unverified',
+      command: MODERATION_COMMAND.REMOVE,
+      options: {},
+    });
+
+    return host.skylink.requestLowerHand(ROOM_NAME, participantPeerId)
+      .then((result) => {
+        expect(result.isApplied).to.be.true;
+        expect(requestedCommands).to.deep.equal([MODERATION_COMMAND.LOWER_HAND]);
+        expect(server.getPeerIds(`room-${ROOM_NAME}`)).to.have.lengthOf(2);
+      });
+  });
+
+  it('removes the Peer from the room', () => {
+    acceptModerationRequests(participant);
+    const participantLeft = host.waitForEvent(EVENTS.PEER_LEFT, detail => detail.peerId === participantPeerId);
+    const moderationRequest = participant.waitForEvent(EVENTS.MODERATION_REQUEST);
+
+    return host.skylink.removePeer(ROOM_NAME, participantPeerId, 'off topic')
+      .then((result) => {
+        expect(result.isApplied).to.be.true;
+        return Promise.all([moderationRequest, participantLeft]);
+      })
+      .then(([detail]) => {
+        expect(detail.options.reason).to.equal('off topic');
+      });
+  });
+
+  it('rejects the command when the User is not privileged', () => participant.skylink.removePeer(ROOM_NAME, hostPeerId)
+    .then(() => {
+      throw new Error('removePeer should be rejected');
+    }, (error) => {
+      expect(error.message).to.equal('Please upgrade your key to privileged to use this function');
+      expect(server.getReceivedMessages('moderationCommand')).to.have.lengthOf(0);
+    }));
+});
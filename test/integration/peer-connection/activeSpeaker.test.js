@@ -0,0 +1,173 @@
+const expect = require('chai').expect;
+import { createSignalingServer, createSkylinkClient, destroySkylinkClients } from '../support/harness';
+import { setFakeStatsProvider } from '../support/fakeWebRTC';
+
+const ROOM_NAME = 'active-speaker';
+const ROOM_KEY = `room-${ROOM_NAME}`;
+const INTERVAL = 50;
+const SWITCH_DELAY = 300;
+
+describe('#activeSpeaker with three clients', () => {
+  let server;
+  let alice;
+  let bob;
+  let carol;
+  let EVENTS;
+  let alicePeerId;
+  let bobPeerId;
+  let audioLevels;
+
+  // Reports the audio level received from each peer, as set by the tests, on the peer connections of carol
+  const statsProvider = (peerConnection) => {
+    const { peerConnections } = carol.getSkylinkState(ROOM_KEY) || { peerConnections: {} };
+    const peerId = Object.keys(peerConnections).find(id => peerConnections[id] === peerConnection);
+
+    if (!peerId || typeof audioLevels[peerId] !== 'number') {
+      return [];
+    }
+
+    return [{
+      id: 'inbound-audio',
+      type: 'inbound-rtp',
+      mediaType: 'audio',
+      packetsReceived: 0,
+      packetsLost: 0,
+      jitter: 0,
+      audioLevel: audioLevels[peerId],
+    }];
+  };
+
+  const waitForAudioLevel = (peerId, level) => carol.waitForEvent(EVENTS.AUDIO_LEVEL, detail => detail.peerId === peerId && detail.audioLevel === level);
+
+  const waitForActiveSpeaker = peerId => carol.waitForEvent(EVENTS.ACTIVE_SPEAKER_CHANGED, detail => detail.peerId === peerId);
+
+  beforeEach(() => {
+    audioLevels = {};
+    setFakeStatsProvider(statsProvider);
+    server = createSignalingServer();
+    alice = createSkylinkClient(server);
+    bob = createSkylinkClient(server);
+    carol = createSkylinkClient(server, {
+      activeSpeaker: {
+        enabled: true,
+        interval: INTERVAL,
+        speakingThreshold: 0.1,
+        silenceThreshold: 0.04,
+        switchDelay: SWITCH_DELAY,
+      },
+    });
+    ({ EVENTS } = carol.SkylinkConstants);
+
+    const peerIds = [];
+    const connected = carol.waitForEvent(EVENTS.DATA_CHANNEL_STATE, (detail) => {
+      if (detail.state === 'open' && peerIds.indexOf(detail.peerId) === -1) {
+        peerIds.push(detail.peerId);
+      }
+
+      return peerIds.length === 2;
+    });
+
+    return carol.skylink.joinRoom({ roomName: ROOM_NAME })
+      .then(() => alice.skylink.joinRoom({ roomName: ROOM_NAME }))
+      .then(() => bob.skylink.joinRoom({ roomName: ROOM_NAME }))
+      .then(() => connected)
+      .then(() => {
+        alicePeerId = alice.getSkylinkState(ROOM_KEY).user.sid;
+        bobPeerId = bob.getSkylinkState(ROOM_KEY).user.sid;
+        audioLevels[alicePeerId] = 0;
+        audioLevels[bobPeerId] = 0;
+      });
+  });
+
+  afterEach(() => {
+    setFakeStatsProvider(null);
+    return destroySkylinkClients(server, [alice, bob, carol]);
+  });
+
+  it('keeps a peer speaking until its audio level falls below the silence threshold', () => {
+    audioLevels[alicePeerId] = 0.07;
+
+    return waitForAudioLevel(alicePeerId, 0.07)
+      .then((detail) => {
+        // Below the speaking threshold
+        expect(detail.isSpeaking).to.be.false;
+
+        audioLevels[alicePeerId] = 0.2;
+        return waitForAudioLevel(alicePeerId, 0.2);
+      })
+      .then((detail) => {
+        expect(detail.isSpeaking).to.be.true;
+
+        audioLevels[alicePeerId] = 0.07;
+        return waitForAudioLevel(alicePeerId, 0.07);
+      })
+      .then((detail) => {
+        // Still above the silence threshold
+        expect(detail.isSpeaking).to.be.true;
+
+        audioLevels[alicePeerId] = 0.03;
+        return waitForAudioLevel(alicePeerId, 0.03);
+      })
+      .then((detail) => {
+        expect(detail.isSpeaking).to.be.false;
+      });
+  });
+
+  it('switches the active speaker to the loudest speaking peer after the switch delay', () => {
+    let startTime = Date.now();
+
+    audioLevels[alicePeerId] = 0.3;
+
+    return waitForActiveSpeaker(alicePeerId)
+      .then((detail) => {
+        expect(Date.now() - startTime).to.be.at.least(SWITCH_DELAY);
+        expect(detail).to.include({ previousPeerId: null, audioLevel: 0.3 });
+
+        startTime = Date.now();
+        audioLevels[bobPeerId] = 0.5;
+        return waitForActiveSpeaker(bobPeerId);
+      })
+      .then((detail) => {
+        expect(Date.now() - startTime).to.be.at.least(SWITCH_DELAY);
+        expect(detail).to.include({ previousPeerId: alicePeerId, audioLevel: 0.5 });
+      });
+  });
+
+  it('does not switch the active speaker for a peer that is the loudest for less than the switch delay', () => {
+    const speakerChanges = [];
+
+    carol.SkylinkEventManager.addEventListener(EVENTS.ACTIVE_SPEAKER_CHANGED, (evt) => {
+      speakerChanges.push(evt.detail.peerId);
+    });
+
+    audioLevels[alicePeerId] = 0.3;
+
+    return waitForActiveSpeaker(alicePeerId)
+      .then(() => {
+        audioLevels[bobPeerId] = 0.5;
+        return waitForAudioLevel(bobPeerId, 0.5);
+      })
+      .then(() => {
+        audioLevels[bobPeerId] = 0;
+        return new Promise(resolve => setTimeout(resolve, SWITCH_DELAY * 2));
+      })
+      .then(() => {
+        expect(speakerChanges).to.deep.equal([alicePeerId]);
+      });
+  });
+
+  it('clears the active speaker when the peer leaves', () => {
+    audioLevels[alicePeerId] = 0.3;
+
+    return waitForActiveSpeaker(alicePeerId)
+      .then(() => {
+        const cleared = waitForActiveSpeaker(null);
+
+        alice.skylink.leaveRoom(ROOM_NAME);
+        return cleared;
+      })
+      .then((detail) => {
+        expect(detail).to.include({ previousPeerId: alicePeerId, audioLevel: 0 });
+      });
+  });
+});
@@ -0,0 +1,166 @@
+const expect = require('chai').expect;
+import { createSignalingServer, createSkylinkClient, destroySkylinkClients } from '../support/harness';
+import { failFakeIceConnections, restoreFakeIceConnections } from '../support/fakeWebRTC';
+
+const ROOM_NAME = 'restarts';
+const ICE_RESTART_POLICY = {
+  enabled: true,
+  maxAttempts: 3,
+  initialDelay: 50,
+  maxDelay: 100,
+  disconnectedTimeout: 100,
+};
+
+describe('#iceRestartPolicy with two clients', () => {
+  let server;
+  let alice;
+  let bob;
+  let EVENTS;
+  let ICE_CONNECTION_STATE;
+  let bobPeerId;
+  let attempts;
+  let connection;
+
+  const changeNetwork = (type) => {
+    connection.type = type;
+    connection.dispatchEvent(new window.Event('change'));
+  };
+
+  beforeEach(() => {
+    // The network information is read when the first room starts the policy
+    connection = new window.EventTarget();
+    connection.type = 'wifi';
+    Object.defineProperty(window.navigator, 'connection', { configurable: true, value: connection });
+
+    server = createSignalingServer();
+    alice = createSkylinkClient(server, { iceRestartPolicy: ICE_RESTART_POLICY });
+    bob = createSkylinkClient(server);
+    ({ EVENTS, ICE_CONNECTION_STATE } = alice.SkylinkConstants);
+    attempts = [];
+
+    alice.SkylinkEventManager.addEventListener(EVENTS.ICE_RESTART_ATTEMPT, (evt) => {
+      attempts.push(evt.detail);
+    });
+
+    const aliceConnected = alice.waitForEvent(EVENTS.ICE_CONNECTION_STATE, detail => detail.state === ICE_CONNECTION_STATE.CONNECTED);
+
+    return alice.skylink.joinRoom({ roomName: ROOM_NAME })
+      .then(() => bob.skylink.joinRoom({ roomName: ROOM_NAME }))
+      .then(() => aliceConnected)
+      .then((detail) => {
+        bobPeerId = detail.peerId;
+      });
+  });
+
+  afterEach(() => {
+    delete window.navigator.connection;
+    restoreFakeIceConnections();
+    return destroySkylinkClients(server, [alice, bob]);
+  });
+
+  it('restarts the failed ICE connection after the initial delay', () => {
+    const startTime = Date.now();
+    const firstAttempt = alice.waitForEvent(EVENTS.ICE_RESTART_ATTEMPT);
+
+    failFakeIceConnections();
+
+    return firstAttempt
+      .then((detail) => {
+        const reconnected = alice.waitForEvent(EVENTS.ICE_CONNECTION_STATE, stateDetail => stateDetail.state === ICE_CONNECTION_STATE.CONNECTED);
+
+        expect(Date.now() - startTime).to.be.at.least(ICE_RESTART_POLICY.initialDelay);
+        expect(detail.peerId).to.equal(bobPeerId);
+        expect(detail.trigger).to.equal('iceFailed');
+        expect(detail.attempt).to.equal(1);
+        expect(detail.delay).to.equal(ICE_RESTART_POLICY.initialDelay);
+
+        restoreFakeIceConnections();
+        return reconnected;
+      });
+  });
+
+  it('backs off between the attempts until the maximum number of attempts', () => {
+    const restartFailed = alice.waitForEvent(EVENTS.ICE_CONNECTION_STATE, detail => detail.state === ICE_CONNECTION_STATE.RESTART_FAILED);
+
+    failFakeIceConnections();
+
+    return restartFailed
+      .then((detail) => {
+        expect(detail.peerId).to.equal(bobPeerId);
+        expect(attempts.map(attempt => attempt.attempt)).to.deep.equal([1, 2, 3]);
+        expect(attempts.map(attempt => attempt.delay)).to.deep.equal([50, 100, 100]);
+      });
+  });
+
+  it('resets the attempts once the ICE connection is connected again', () => {
+    const firstAttempt = alice.waitForEvent(EVENTS.ICE_RESTART_ATTEMPT);
+
+    failFakeIceConnections();
+
+    return firstAttempt
+      .then(() => {
+        const reconnected = alice.waitForEvent(EVENTS.ICE_CONNECTION_STATE, detail => detail.state === ICE_CONNECTION_STATE.CONNECTED);
+
+        restoreFakeIceConnections();
+        return reconnected;
+      })
+      .then(() => {
+        const nextAttempt = alice.waitForEvent(EVENTS.ICE_RESTART_ATTEMPT);
+
+        failFakeIceConnections();
+        return nextAttempt;
+      })
+      .then((detail) => {
+        expect(detail.attempt).to.equal(1);
+        expect(detail.delay).to.equal(ICE_RESTART_POLICY.initialDelay);
+      });
+  });
+
+  it('does not restart the connected ICE connection when the browser goes back online', () => {
+    window.dispatchEvent(new window.Event('online'));
+
+    return new Promise(resolve => setTimeout(resolve, ICE_RESTART_POLICY.maxDelay * 2))
+      .then(() => {
+        expect(attempts).to.have.lengthOf(0);
+      });
+  });
+
+  it('keeps the backoff of the pending restart when the browser goes back online', () => {
+    const secondAttempt = alice.waitForEvent(EVENTS.ICE_RESTART_ATTEMPT, detail => detail.attempt === 2);
+
+    failFakeIceConnections();
+
+    return alice.waitForEvent(EVENTS.ICE_RESTART_ATTEMPT)
+      .then(() => {
+        window.dispatchEvent(new window.Event('online'));
+        return secondAttempt;
+      })
+      .then(() => {
+        expect(attempts.map(attempt => attempt.attempt)).to.deep.equal([1, 2]);
+        expect(attempts.map(attempt => attempt.trigger)).to.deep.equal(['iceFailed', 'iceFailed']);
+      });
+  });
+
+  it('restarts the failed ICE connection again only when the network type changes', () => {
+    const restartFailed = alice.waitForEvent(EVENTS.ICE_CONNECTION_STATE, detail => detail.state === ICE_CONNECTION_STATE.RESTART_FAILED);
+
+    failFakeIceConnections();
+
+    return restartFailed
+      .then(() => {
+        changeNetwork('wifi');
+        return new Promise(resolve => setTimeout(resolve, ICE_RESTART_POLICY.maxDelay * 2));
+      })
+      .then(() => {
+        const networkAttempt = alice.waitForEvent(EVENTS.ICE_RESTART_ATTEMPT, detail => detail.trigger === 'networkChange');
+
+        expect(attempts).to.have.lengthOf(ICE_RESTART_POLICY.maxAttempts);
+
+        changeNetwork('cellular');
+        return networkAttempt;
+      })
+      .then((detail) => {
+        expect(detail.attempt).to.equal(1);
+      });
+  });
+});
@@ -0,0 +1,103 @@
+const expect = require('chai').expect;
+import { createSignalingServer, createSkylinkClient, destroySkylinkClients } from '../support/harness';
+import { setFakeStatsProvider } from '../support/fakeWebRTC';
+
+const ROOM_NAME = 'quality';
+const PACKETS_PER_INTERVAL = 100;
+
+describe('#qualityMonitor with two clients', () => {
+  let server;
+  let alice;
+  let bob;
+  let EVENTS;
+  let PEER_QUALITY;
+  let bobPeerId;
+  let packetsLostPerInterval;
+
+  // Reports the audio packets received and lost since the peer connection was created
+  const createStatsProvider = () => {
+    const counters = new Map();
+
+    return (peerConnection) => {
+      const counter = counters.get(peerConnection) || { packetsReceived: 0, packetsLost: 0 };
+
+      counter.packetsReceived += PACKETS_PER_INTERVAL;
+      counter.packetsLost += packetsLostPerInterval;
+      counters.set(peerConnection, counter);
+
+      return [{
+        id: 'inbound-audio',
+        type: 'inbound-rtp',
+        mediaType: 'audio',
+        packetsReceived: counter.packetsReceived,
+        packetsLost: counter.packetsLost,
+        jitter: 0,
+      }];
+    };
+  };
+
+  const joinRoom = (qualityMonitor) => {
+    server = createSignalingServer();
+    alice = createSkylinkClient(server);
+    bob = createSkylinkClient(server, { qualityMonitor: Object.assign({ enabled: true, interval: 100 }, qualityMonitor) });
+    ({ EVENTS, PEER_QUALITY } = alice.SkylinkConstants);
+
+    const bobConnected = bob.waitForEvent(EVENTS.DATA_CHANNEL_STATE, detail => detail.state === 'open');
+    const aliceConnected = alice.waitForEvent(EVENTS.DATA_CHANNEL_STATE, detail => detail.state === 'open');
+
+    return alice.skylink.joinRoom({ roomName: ROOM_NAME })
+      .then(() => bob.skylink.joinRoom({ roomName: ROOM_NAME }))
+      .then(() => Promise.all([bobConnected, aliceConnected]))
+      .then(([, aliceDetail]) => {
+        bobPeerId = aliceDetail.peerId;
+      });
+  };
+
+  beforeEach(() => {
+    packetsLostPerInterval = 0;
+    setFakeStatsProvider(createStatsProvider());
+  });
+
+  afterEach(() => {
+    setFakeStatsProvider(null);
+    return destroySkylinkClients(server, [alice, bob]);
+  });
+
+  it('triggers the quality level changes as the packet loss rises', () => {
+    const qualityChanges = [];
+
+    return joinRoom()
+      .then(() => {
+        const poorQuality = bob.waitForEvent(EVENTS.PEER_QUALITY_CHANGED, (detail) => {
+          qualityChanges.push(detail);
+
+          if (detail.quality === PEER_QUALITY.GOOD) {
+            // 8 of 108 packets lost
+            packetsLostPerInterval = 8;
+          } else if (detail.quality === PEER_QUALITY.FAIR) {
+            // 25 of 125 packets lost
+            packetsLostPerInterval = 25;
+          }
+
+          return detail.quality === PEER_QUALITY.POOR;
+        });
+
+        return poorQuality;
+      })
+      .then(() => {
+        expect(qualityChanges.map(detail => detail.quality)).to.deep.equal([PEER_QUALITY.GOOD, PEER_QUALITY.FAIR, PEER_QUALITY.POOR]);
+        expect(qualityChanges.map(detail => detail.previousQuality)).to.deep.equal([null, PEER_QUALITY.GOOD, PEER_QUALITY.FAIR]);
+        expect(qualityChanges[0].mos).to.be.at.least(4);
+        expect(qualityChanges[1].mos).to.be.within(3, 4);
+        expect(qualityChanges[2].mos).to.be.below(3);
+        expect(qualityChanges[2].metrics.packetLoss).to.equal(20);
+      });
+  });
+
+  it('derives the quality level from the configured thresholds', () => joinRoom({ goodThreshold: 4.45, fairThreshold: 4.3 })
+    .then(() => bob.waitForEvent(EVENTS.PEER_QUALITY_CHANGED))
+    .then((detail) => {
+      expect(detail.mos).to.be.within(4.3, 4.45);
+      expect(detail.quality).to.equal(PEER_QUALITY.FAIR);
+    }));
+});
@@ -0,0 +1,80 @@
+const expect = require('chai').expect;
+import { createSignalingServer, createSkylinkClient, destroySkylinkClients } from '../support/harness';
+
+const ROOM_NAME = 'methods';
+
+describe('#callPeer with two clients', () => {
+  let server;
+  let alice;
+  let bob;
+  let bobPeerId;
+
+  const expectRejection = promise => promise.then(() => {
+    throw new Error('callPeer should be rejected');
+  }, error => error);
+
+  beforeEach(() => {
+    server = createSignalingServer();
+    alice = createSkylinkClient(server);
+    bob = createSkylinkClient(server);
+
+    const { EVENTS } = alice.SkylinkConstants;
+    const aliceDataChannelOpen = alice.waitForEvent(EVENTS.DATA_CHANNEL_STATE, detail => detail.state === 'open');
+    const bobDataChannelOpen = bob.waitForEvent(EVENTS.DATA_CHANNEL_STATE, detail => detail.state === 'open');
+
+    bob.skylink.registerPeerMethod('add', ({ a, b }) => a + b);
+    bob.skylink.registerPeerMethod('hang', () => new Promise(() => {}));
+
+    return alice.skylink.joinRoom({ roomName: ROOM_NAME })
+      .then(() => bob.skylink.joinRoom({ roomName: ROOM_NAME }))
+      .then(() => Promise.all([aliceDataChannelOpen, bobDataChannelOpen]))
+      .then(([aliceDetail]) => {
+        bobPeerId = aliceDetail.peerId;
+      });
+  });
+
+  afterEach(() => destroySkylinkClients(server, [alice, bob]));
+
+  it('resolves with the result of the Peer method', () => alice.skylink.callPeer(ROOM_NAME, bobPeerId, 'add', { a: 1, b: 2 })
+    .then((result) => {
+      expect(result).to.equal(3);
+    }));
+
+  it('rejects when the method is only inherited from the Object prototype', () => Promise.all(['constructor', 'toString', '__proto__']
+    .map(method => expectRejection(alice.skylink.callPeer(ROOM_NAME, bobPeerId, method))))
+    .then((errors) => {
+      errors.forEach((error) => {
+        expect(error.message).to.contain('Peer method is not registered');
+      });
+    }));
+
+  it('rejects when the Peer does not respond before the timeout', () => {
+    const startTime = Date.now();
+
+    return expectRejection(alice.skylink.callPeer(ROOM_NAME, bobPeerId, 'hang', null, { timeout: 200 }))
+      .then((error) => {
+        expect(error.message).to.contain('timed out');
+        expect(Date.now() - startTime).to.be.at.least(200);
+      });
+  });
+
+  it('rejects the pending call when the Peer leaves the Room', () => {
+    const pendingCall = expectRejection(alice.skylink.callPeer(ROOM_NAME, bobPeerId, 'hang', null, { timeout: 5000 }));
+
+    return bob.skylink.leaveRoom(ROOM_NAME)
+      .then(() => pendingCall)
+      .then((error) => {
+        expect(error.message).to.contain('Peer left the Room');
+      });
+  });
+
+  it('rejects the pending call when the User leaves the Room', () => {
+    const pendingCall = expectRejection(alice.skylink.callPeer(ROOM_NAME, bobPeerId, 'hang', null, { timeout: 5000 }));
+
+    return alice.skylink.leaveRoom(ROOM_NAME)
+      .then(() => pendingCall)
+      .then((error) => {
+        expect(error.message).to.contain('Peer left the Room');
+      });
+  });
+});
@@ -0,0 +1,92 @@
+const expect = require('chai').expect;
+import { createSignalingServer, createSkylinkClient, destroySkylinkClients } from '../support/harness';
+
+const ROOM_NAME = 'matchmaking';
+
+const wait = delay => new Promise(resolve => setTimeout(resolve, delay));
+
+const joinAndGetPeerId = (client) => {
+  const { skylink, SkylinkConstants: { EVENTS } } = client;
+  const inRoom = client.waitForEvent(EVENTS.PEER_JOINED, detail => detail.isSelf);
+
+  return skylink.joinRoom({ roomName: ROOM_NAME })
+    .then(() => inRoom)
+    .then(detail => detail.peerId);
+};
+
+describe('#introducePeer without auto introduce', () => {
+  let server;
+  let matchmaker;
+  let agent;
+  let customer;
+  let EVENTS;
+  let INTRODUCE_STATE;
+  let agentPeerId;
+  let customerPeerId;
+
+  beforeEach(() => {
+    server = createSignalingServer({ autoIntroduce: false });
+    matchmaker = createSkylinkClient(server, { isPrivileged: true });
+    agent = createSkylinkClient(server);
+    customer = createSkylinkClient(server);
+    ({ EVENTS, INTRODUCE_STATE } = matchmaker.SkylinkConstants);
+
+    return joinAndGetPeerId(matchmaker)
+      .then(() => joinAndGetPeerId(agent))
+      .then((peerId) => { agentPeerId = peerId; })
+      .then(() => joinAndGetPeerId(customer))
+      .then((peerId) => { customerPeerId = peerId; });
+  });
+
+  afterEach(() => destroySkylinkClients(server, [matchmaker, agent, customer]));
+
+  it('does not connect the Peers when they join the room', () => wait(100).then(() => {
+    expect(server.getReceivedMessages('enter')).to.have.lengthOf(3);
+    expect(agent.skylink.getPeersInRoom(ROOM_NAME)).to.not.have.property(customerPeerId);
+    expect(customer.skylink.getPeersInRoom(ROOM_NAME)).to.not.have.property(agentPeerId);
+  }));
+
+  it('connects the introduced Peers to each other', () => {
+    const introducing = matchmaker.waitForEvent(EVENTS.INTRODUCE_STATE_CHANGE);
+    const agentDataChannelOpen = agent.waitForEvent(EVENTS.DATA_CHANNEL_STATE, detail => detail.state === 'open');
+    const customerDataChannelOpen = customer.waitForEvent(EVENTS.DATA_CHANNEL_STATE, detail => detail.state === 'open');
+
+    matchmaker.skylink.introducePeer(ROOM_NAME, agentPeerId, customerPeerId);
+
+    return introducing
+      .then((detail) => {
+        expect(detail.state).to.equal(INTRODUCE_STATE.INTRODUCING);
+        expect(detail.sendingPeerId).to.equal(agentPeerId);
+        expect(detail.receivingPeerId).to.equal(customerPeerId);
+      })
+      .then(() => Promise.all([agentDataChannelOpen, customerDataChannelOpen]))
+      .then(([agentDetail, customerDetail]) => {
+        expect(agentDetail.peerId).to.equal(customerPeerId);
+        expect(customerDetail.peerId).to.equal(agentPeerId);
+        expect(matchmaker.skylink.getPeersInRoom(ROOM_NAME)).to.not.have.property(agentPeerId);
+      });
+  });
+
+  it('dispatches the error state when the Signaling server fails to introduce the Peers', () => {
+    const introduceError = matchmaker.waitForEvent(EVENTS.INTRODUCE_STATE_CHANGE, detail => detail.state === INTRODUCE_STATE.ERROR);
+
+    matchmaker.skylink.introducePeer(ROOM_NAME, agentPeerId, 'unknown-peer');
+
+    return introduceError.then((detail) => {
+      expect(detail.sendingPeerId).to.equal(agentPeerId);
+      expect(detail.receivingPeerId).to.equal('unknown-peer');
+      expect(detail.reason).to.equal('peerNotFound');
+    });
+  });
+
+  it('dispatches the error state when the User is not privileged', () => {
+    const introduceError = agent.waitForEvent(EVENTS.INTRODUCE_STATE_CHANGE, detail => detail.state === INTRODUCE_STATE.ERROR);
+
+    agent.skylink.introducePeer(ROOM_NAME, agentPeerId, customerPeerId);
+
+    return introduceError.then((detail) => {
+      expect(detail.privilegedPeerId).to.equal(agentPeerId);
+      expect(server.getReceivedMessages('introduce')).to.have.lengthOf(0);
+    });
+  });
+});
@@ -0,0 +1,73 @@
+const expect = require('chai').expect;
+import { createSignalingServer, createSkylinkClient, destroySkylinkClients } from '../support/harness';
+
+const ROOM_NAME = 'integration';
+
+describe('#joinRoom with two clients', () => {
+  let server;
+  let alice;
+  let bob;
+  let EVENTS;
+  let alicePeerId;
+  let bobPeerId;
+
+  beforeEach(() => {
+    server = createSignalingServer();
+    alice = createSkylinkClient(server);
+    bob = createSkylinkClient(server);
+    ({ EVENTS } = alice.SkylinkConstants);
+
+    const aliceDataChannelOpen = alice.waitForEvent(EVENTS.DATA_CHANNEL_STATE, detail => detail.state === 'open');
+    const bobDataChannelOpen = bob.waitForEvent(EVENTS.DATA_CHANNEL_STATE, detail => detail.state === 'open');
+
+    return alice.skylink.joinRoom({ roomName: ROOM_NAME })
+      .then(() => bob.skylink.joinRoom({ roomName: ROOM_NAME }))
+      .then(() => Promise.all([aliceDataChannelOpen, bobDataChannelOpen]))
+      .then(([aliceDetail, bobDetail]) => {
+        bobPeerId = aliceDetail.peerId;
+        alicePeerId = bobDetail.peerId;
+      });
+  });
+
+  afterEach(() => destroySkylinkClients(server, [alice, bob]));
+
+  it('connects the Peers to each other', () => {
+    expect(server.getPeerIds(`room-${ROOM_NAME}`)).to.have.members([alicePeerId, bobPeerId]);
+    expect(alice.skylink.getPeersInRoom(ROOM_NAME)).to.have.property(bobPeerId);
+    expect(bob.skylink.getPeersInRoom(ROOM_NAME)).to.have.property(alicePeerId);
+  });
+
+  it('exchanges messages through the Signaling server', () => {
+    const bobIncomingMessage = bob.waitForEvent(EVENTS.ON_INCOMING_MESSAGE, detail => !detail.isSelf);
+
+    alice.skylink.sendMessage(ROOM_NAME, 'hello over signaling');
+
+    return bobIncomingMessage.then((detail) => {
+      expect(detail.peerId).to.equal(alicePeerId);
+      expect(detail.message.content).to.equal('hello over signaling');
+      expect(detail.message.isDataChannel).to.be.false;
+    });
+  });
+
+  it('exchanges messages through the datachannel', () => {
+    const aliceIncomingMessage = alice.waitForEvent(EVENTS.ON_INCOMING_MESSAGE, detail => !detail.isSelf);
+
+    bob.skylink.sendP2PMessage(ROOM_NAME, 'hello over datachannel', alicePeerId);
+
+    return aliceIncomingMessage.then((detail) => {
+      expect(detail.peerId).to.equal(bobPeerId);
+      expect(detail.message.content).to.equal('hello over datachannel');
+      expect(detail.message.isDataChannel).to.be.true;
+    });
+  });
+
+  it('removes the Peer when it leaves the room', () => {
+    const alicePeerLeft = alice.waitForEvent(EVENTS.PEER_LEFT, detail => detail.peerId === bobPeerId);
+
+    return bob.skylink.leaveRoom(ROOM_NAME)
+      .then(() => alicePeerLeft)
+      .then(() => {
+        expect(server.getPeerIds(`room-${ROOM_NAME}`)).to.deep.equal([alicePeerId]);
+      });
+  });
+});
@@ -0,0 +1,82 @@
+const expect = require('chai').expect;
+import { createSignalingServer, createSkylinkClient, destroySkylinkClients } from '../support/harness';
+
+const ROOM_NAME = 'moderated';
+
+describe('#lockRoom with several clients', () => {
+  let server;
+  let moderator;
+  let participant;
+  let latecomer;
+  let EVENTS;
+  let JOIN_ROOM_ERROR;
+  let moderatorPeerId;
+
+  beforeEach(() => {
+    server = createSignalingServer();
+    moderator = createSkylinkClient(server);
+    participant = createSkylinkClient(server);
+    latecomer = createSkylinkClient(server);
+    ({ EVENTS, JOIN_ROOM_ERROR } = moderator.SkylinkConstants);
+
+    const participantConnected = participant.waitForEvent(EVENTS.DATA_CHANNEL_STATE, detail => detail.state === 'open');
+
+    return moderator.skylink.joinRoom({ roomName: ROOM_NAME })
+      .then(() => participant.skylink.joinRoom({ roomName: ROOM_NAME }))
+      .then(() => participantConnected)
+      .then((detail) => { moderatorPeerId = detail.peerId; });
+  });
+
+  afterEach(() => destroySkylinkClients(server, [moderator, participant, latecomer]));
+
+  it('updates the lock status of the other Peers in the room', () => {
+    const participantRoomLock = participant.waitForEvent(EVENTS.ROOM_LOCK);
+
+    moderator.skylink.lockRoom(ROOM_NAME);
+
+    return participantRoomLock.then((detail) => {
+      expect(detail.isLocked).to.be.true;
+      expect(detail.isSelf).to.be.false;
+      expect(detail.peerId).to.equal(moderatorPeerId);
+    });
+  });
+
+  it('rejects joining the locked room with a room locked error', () => {
+    const participantRoomLock = participant.waitForEvent(EVENTS.ROOM_LOCK);
+
+    moderator.skylink.lockRoom(ROOM_NAME);
+
+    return participantRoomLock
+      .then(() => latecomer.skylink.joinRoom({ roomName: ROOM_NAME }))
+      .then(() => {
+        throw new Error('joinRoom should be rejected');
+      }, (error) => {
+        expect(error.name).to.equal(JOIN_ROOM_ERROR.ROOM_LOCKED);
+        expect(error.reason).to.equal('locked');
+      });
+  });
+
+  it('rejects joining the room when the socket connection closes before the User is accepted', () => {
+    server.waitForMessage('joinRoom').then(() => server.sockets[server.sockets.length - 1].drop());
+
+    return latecomer.skylink.joinRoom({ roomName: ROOM_NAME })
+      .then(() => {
+        throw new Error('joinRoom should be rejected');
+      }, (error) => {
+        expect(error.name).to.equal(JOIN_ROOM_ERROR.CHANNEL_CLOSED);
+      });
+  });
+
+  it('allows joining the room after it is unlocked', () => {
+    const participantRoomUnlock = participant.waitForEvent(EVENTS.ROOM_LOCK, detail => !detail.isLocked);
+
+    moderator.skylink.lockRoom(ROOM_NAME);
+    moderator.skylink.unlockRoom(ROOM_NAME);
+
+    return participantRoomUnlock
+      .then(() => latecomer.skylink.joinRoom({ roomName: ROOM_NAME }))
+      .then(() => {
+        expect(server.getPeerIds(`room-${ROOM_NAME}`)).to.have.lengthOf(3);
+      });
+  });
+});
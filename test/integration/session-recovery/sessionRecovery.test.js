@@ -0,0 +1,137 @@
+const expect = require('chai').expect;
+import { createSignalingServer, createSkylinkClient, destroySkylinkClients } from '../support/harness';
+import { failFakeIceConnections, restoreFakeIceConnections } from '../support/fakeWebRTC';
+
+const ROOM_NAME = 'recovery';
+const RID = `room-${ROOM_NAME}`;
+
+describe('#session recovery with two clients', () => {
+  let server;
+  let alice;
+  let bob;
+  let EVENTS;
+  let alicePeerId;
+  let bobPeerId;
+
+  const joinRoom = (serverOptions) => {
+    server = createSignalingServer(serverOptions);
+    alice = createSkylinkClient(server, { sessionRecovery: { enabled: true, timeout: 1000 } });
+    bob = createSkylinkClient(server);
+    ({ EVENTS } = alice.SkylinkConstants);
+
+    const aliceConnected = alice.waitForEvent(EVENTS.DATA_CHANNEL_STATE, detail => detail.state === 'open');
+    const bobConnected = bob.waitForEvent(EVENTS.DATA_CHANNEL_STATE, detail => detail.state === 'open');
+
+    return alice.skylink.joinRoom({ roomName: ROOM_NAME })
+      .then(() => bob.skylink.joinRoom({ roomName: ROOM_NAME }))
+      .then(() => Promise.all([aliceConnected, bobConnected]))
+      .then(([aliceDetail, bobDetail]) => {
+        bobPeerId = aliceDetail.peerId;
+        alicePeerId = bobDetail.peerId;
+      });
+  };
+
+  afterEach(() => {
+    restoreFakeIceConnections();
+    return destroySkylinkClients(server, [alice, bob]);
+  });
+
+  it('keeps the Peer connections that are still connected', () => joinRoom()
+    .then(() => {
+      const recovering = alice.waitForEvent(EVENTS.SESSION_RECOVERING);
+      const recovered = alice.waitForEvent(EVENTS.SESSION_RECOVERED);
+      const socket = server.dropPeer(RID, alicePeerId, { isKeptInRoom: true });
+
+      return recovering.then((detail) => {
+        expect(detail.peerId).to.equal(alicePeerId);
+        expect(detail.peerIds).to.deep.equal([bobPeerId]);
+
+        socket.connect();
+        return recovered;
+      });
+    })
+    .then((detail) => {
+      const messageReceived = bob.waitForEvent(EVENTS.ON_INCOMING_MESSAGE, message => !message.isSelf);
+
+      expect(detail.peerId).to.equal(alicePeerId);
+      expect(detail.previousPeerId).to.equal(alicePeerId);
+      expect(detail.keptPeerIds).to.deep.equal([bobPeerId]);
+      expect(detail.restartedPeerIds).to.deep.equal([]);
+      expect(detail.removedPeerIds).to.deep.equal([]);
+
+      alice.skylink.sendP2PMessage(ROOM_NAME, 'still connected', bobPeerId);
+      return messageReceived;
+    })
+    .then((detail) => {
+      expect(detail.message.content).to.equal('still connected');
+    }));
+
+  it('restarts the Peer connections that are no longer connected', () => joinRoom()
+    .then(() => {
+      const recovered = alice.waitForEvent(EVENTS.SESSION_RECOVERED);
+      const iceFailed = alice.waitForEvent(EVENTS.ICE_CONNECTION_STATE, detail => detail.state === 'failed');
+      const socket = server.dropPeer(RID, alicePeerId, { isKeptInRoom: true });
+
+      failFakeIceConnections();
+
+      return iceFailed
+        .then(() => {
+          socket.connect();
+          return recovered;
+        });
+    })
+    .then((detail) => {
+      const reconnected = alice.waitForEvent(EVENTS.ICE_CONNECTION_STATE, state => state.peerId === bobPeerId && state.state === 'connected');
+
+      expect(detail.keptPeerIds).to.deep.equal([]);
+      expect(detail.restartedPeerIds).to.deep.equal([bobPeerId]);
+      expect(detail.removedPeerIds).to.deep.equal([]);
+
+      restoreFakeIceConnections();
+      return reconnected;
+    }));
+
+  it('removes the Peers that have left the room while the socket connection was lost', () => joinRoom()
+    .then(() => {
+      const recovering = alice.waitForEvent(EVENTS.SESSION_RECOVERING);
+      const recovered = alice.waitForEvent(EVENTS.SESSION_RECOVERED);
+      const peerLeft = alice.waitForEvent(EVENTS.PEER_LEFT, detail => detail.peerId === bobPeerId);
+      const socket = server.dropPeer(RID, alicePeerId, { isKeptInRoom: true });
+
+      return recovering
+        .then(() => bob.skylink.leaveRoom(ROOM_NAME))
+        .then(() => {
+          socket.connect();
+          return Promise.all([recovered, peerLeft]);
+        });
+    })
+    .then(([detail]) => {
+      expect(detail.keptPeerIds).to.deep.equal([]);
+      expect(detail.restartedPeerIds).to.deep.equal([]);
+      expect(detail.removedPeerIds).to.deep.equal([bobPeerId]);
+      expect(alice.getSkylinkState(RID).peerInformations[bobPeerId]).to.be.undefined;
+    }));
+
+  it('connects to the Peers again when the room is rejoined with a new Peer id', () => joinRoom({ keepsPreviousPeerId: false })
+    .then(() => {
+      const recovering = alice.waitForEvent(EVENTS.SESSION_RECOVERING);
+      const recovered = alice.waitForEvent(EVENTS.SESSION_RECOVERED);
+      const socket = server.dropPeer(RID, alicePeerId);
+
+      return recovering
+        .then(() => {
+          socket.connect();
+          return recovered;
+        });
+    })
+    .then((detail) => {
+      const reconnected = alice.waitForEvent(EVENTS.PEER_JOINED, peer => peer.peerId === bobPeerId && !peer.isSelf);
+
+      expect(detail.previousPeerId).to.equal(alicePeerId);
+      expect(detail.peerId).to.not.equal(alicePeerId);
+      expect(detail.removedPeerIds).to.deep.equal([bobPeerId]);
+      expect(server.getPeerIds(RID)).to.include(detail.peerId);
+
+      return reconnected;
+    }));
+});
@@ -0,0 +1,136 @@
+const expect = require('chai').expect;
+import { createSignalingServer, createSkylinkClient, destroySkylinkClients } from '../support/harness';
+
+const ROOM_NAME = 'stats';
+const BATCH_SIZE = 3;
+const FLUSH_INTERVAL = 400;
+const STATS_PATH = '../../../src/skylink-stats/index';
+
+let batches;
+
+// Keeps the stats batches in memory instead of posting them to the stats server
+const createMemorySink = () => ({
+  send: (batch) => {
+    batches.push(batch);
+  },
+});
+
+describe('#statsSink with two clients', () => {
+  let server;
+  let alice;
+  let bob;
+  let EVENTS;
+
+  const waitForBatches = count => new Promise((resolve) => {
+    const check = () => {
+      if (batches.length >= count) {
+        resolve(batches.slice(0, count));
+        return;
+      }
+
+      setTimeout(check, 20);
+    };
+
+    check();
+  });
+
+  beforeEach(() => {
+    batches = [];
+    server = createSignalingServer();
+    alice = createSkylinkClient(server, {
+      enableStatsGathering: true,
+      statsSink: createMemorySink(),
+      statsBatchSize: BATCH_SIZE,
+      // Only full batches are flushed during the tests
+      statsFlushInterval: 60000,
+    });
+    bob = createSkylinkClient(server);
+    ({ EVENTS } = alice.SkylinkConstants);
+
+    const aliceConnected = alice.waitForEvent(EVENTS.DATA_CHANNEL_STATE, detail => detail.state === 'open');
+
+    return alice.skylink.joinRoom({ roomName: ROOM_NAME })
+      .then(() => bob.skylink.joinRoom({ roomName: ROOM_NAME }))
+      .then(() => aliceConnected);
+  });
+
+  afterEach(() => destroySkylinkClients(server, [alice, bob]));
+
+  it('sends the stats to the sink in batches of the batch size', () => waitForBatches(2)
+    .then((sentBatches) => {
+      const endpoints = [].concat(...sentBatches).map(item => item.endpoint);
+
+      sentBatches.forEach((batch) => {
+        // The buffered stats are flushed into the same batch as the stats queued for the sink
+        expect(batch.length).to.be.at.least(BATCH_SIZE);
+        batch.forEach((item) => {
+          expect(item.endpoint).to.be.a('string');
+          expect(item.data).to.be.an('object');
+        });
+      });
+
+      expect(endpoints).to.include.members(['/client', '/client/negotiation']);
+    }));
+});
+
+describe('#statsSink with the stats buffers', () => {
+  let server;
+  let client;
+  let stats;
+
+  beforeEach(() => {
+    batches = [];
+    server = createSignalingServer();
+    client = createSkylinkClient(server, {
+      enableStatsGathering: true,
+      statsSink: createMemorySink(),
+      statsBatchSize: 2,
+      statsFlushInterval: FLUSH_INTERVAL,
+    });
+
+    // The stats module of the client is the copy last loaded by the harness
+    const { default: SkylinkStats } = require(STATS_PATH);
+
+    stats = new SkylinkStats();
+  });
+
+  afterEach(() => destroySkylinkClients(server, [client]));
+
+  it('flushes all the buffered stats into a single batch when a buffer is full', () => {
+    stats.addToStatsBuffer('negotiation', { state: 'offer' }, '/client/negotiation');
+    stats.manageStatsBuffer();
+    stats.addToStatsBuffer('iceGathering', { state: 'gathering' }, '/client/icegathering');
+    stats.manageStatsBuffer();
+    stats.addToStatsBuffer('negotiation', { state: 'answer' }, '/client/negotiation');
+    stats.manageStatsBuffer();
+
+    expect(batches).to.deep.equal([[
+      { endpoint: '/client/negotiation', data: { state: 'offer' } },
+      { endpoint: '/client/negotiation', data: { state: 'answer' } },
+      { endpoint: '/client/icegathering', data: { state: 'gathering' } },
+    ]]);
+  });
+
+  it('flushes the stats after the flush interval from when they are queued', () => {
+    const wait = delay => new Promise(resolve => setTimeout(resolve, delay));
+
+    stats.addToStatsBuffer('negotiation', { state: 'offer' }, '/client/negotiation');
+    stats.manageStatsBuffer();
+
+    return wait(FLUSH_INTERVAL * 1.5)
+      .then(() => {
+        expect(batches).to.deep.equal([[{ endpoint: '/client/negotiation', data: { state: 'offer' } }]]);
+
+        stats.postStats('/client', { state: 'joined' });
+        // The flush of the buffered stats did not leave a timer that flushes the queued stats earlier
+        return wait(FLUSH_INTERVAL * 0.75);
+      })
+      .then(() => {
+        expect(batches.length).to.equal(1);
+        return wait(FLUSH_INTERVAL * 0.5);
+      })
+      .then(() => {
+        expect(batches[1]).to.deep.equal([{ endpoint: '/client', data: { state: 'joined' } }]);
+      });
+  });
+});
@@ -0,0 +1,280 @@
+// In-process fake of the MediaStream, MediaStreamTrack, navigator.mediaDevices and AudioContext APIs used by the SDK.
+// The tracks carry no media, and the media devices are a list that the tests can change to fire devicechange.
+// The AudioContext analysers read the audio level that the tests set for the input device of the analysed track.
+
+let trackCounter = 0;
+let streamCounter = 0;
+
+const DEFAULT_DEVICES = [
+  { deviceId: 'default-microphone', kind: 'audioinput', label: 'Default microphone', groupId: 'default' },
+  { deviceId: 'default-camera', kind: 'videoinput', label: 'Default camera', groupId: 'default' },
+  { deviceId: 'default-speaker', kind: 'audiooutput', label: 'Default speaker', groupId: 'default' },
+];
+
+let devices = DEFAULT_DEVICES.slice();
+// When set, the next getUserMedia() call rejects with it
+let getUserMediaError = null;
+// The audio level, from 0 to 1, captured by each input device
+let audioLevels = {};
+
+const defer = fn => setTimeout(fn, 0);
+
+class FakeEventTarget {
+  constructor() {
+    this.listeners = {};
+  }
+
+  addEventListener(type, listener) {
+    this.listeners[type] = (this.listeners[type] || []).concat(listener);
+  }
+
+  removeEventListener(type, listener) {
+    this.listeners[type] = (this.listeners[type] || []).filter(item => item !== listener);
+  }
+
+  dispatchEvent(event) {
+    const evt = Object.assign({ target: this, currentTarget: this }, event);
+
+    if (typeof this[`on${event.type}`] === 'function') {
+      this[`on${event.type}`](evt);
+    }
+
+    (this.listeners[event.type] || []).slice().forEach(listener => listener(evt));
+    return true;
+  }
+}
+
+export class FakeMediaStreamTrack extends FakeEventTarget {
+  constructor(kind, deviceId = null, label = '') {
+    super();
+    trackCounter += 1;
+
+    this.id = `fake-track-${trackCounter}`;
+    this.kind = kind;
+    this.label = label;
+    this.deviceId = deviceId;
+    this.enabled = true;
+    this.muted = false;
+    this.readyState = 'live';
+    this.onended = null;
+  }
+
+  getSettings() {
+    return { deviceId: this.deviceId };
+  }
+
+  getConstraints() {
+    return {};
+  }
+
+  applyConstraints() {
+    return Promise.resolve();
+  }
+
+  clone() {
+    const track = new FakeMediaStreamTrack(this.kind, this.deviceId, this.label);
+
+    track.enabled = this.enabled;
+    return track;
+  }
+
+  stop() {
+    this.readyState = 'ended';
+  }
+
+  // Ends the track as if the device was unplugged or the user stopped the screen capture
+  end() {
+    if (this.readyState === 'ended') {
+      return;
+    }
+
+    this.stop();
+    this.dispatchEvent({ type: 'ended' });
+  }
+}
+
+export class FakeMediaStream extends FakeEventTarget {
+  constructor(tracks = []) {
+    super();
+    streamCounter += 1;
+
+    this.id = `fake-stream-${streamCounter}`;
+    this.tracks = (Array.isArray(tracks) ? tracks : tracks.getTracks()).slice();
+  }
+
+  get active() {
+    return this.tracks.some(track => track.readyState === 'live');
+  }
+
+  getTracks() {
+    return this.tracks.slice();
+  }
+
+  getAudioTracks() {
+    return this.tracks.filter(track => track.kind === 'audio');
+  }
+
+  getVideoTracks() {
+    return this.tracks.filter(track => track.kind === 'video');
+  }
+
+  getTrackById(trackId) {
+    return this.tracks.find(track => track.id === trackId) || null;
+  }
+
+  addTrack(track) {
+    if (this.tracks.indexOf(track) === -1) {
+      this.tracks.push(track);
+    }
+  }
+
+  removeTrack(track) {
+    this.tracks = this.tracks.filter(item => item !== track);
+  }
+
+  clone() {
+    return new FakeMediaStream(this.tracks.map(track => track.clone()));
+  }
+}
+
+const retrieveDevice = (kind, constraints) => {
+  const deviceId = constraints && typeof constraints === 'object' && constraints.deviceId;
+  const requestedId = deviceId && typeof deviceId === 'object' ? deviceId.exact || deviceId.ideal : deviceId;
+  const kindDevices = devices.filter(device => device.kind === kind);
+
+  return (requestedId ? kindDevices.find(device => device.deviceId === requestedId) : kindDevices[0]) || null;
+};
+
+class FakeMediaDevices extends FakeEventTarget {
+  getUserMedia(constraints = {}) {
+    if (getUserMediaError) {
+      const error = getUserMediaError;
+
+      getUserMediaError = null;
+      return Promise.reject(error);
+    }
+
+    const tracks = [];
+    const kinds = { audio: 'audioinput', video: 'videoinput' };
+
+    for (let i = 0; i < Object.keys(kinds).length; i += 1) {
+      const kind = Object.keys(kinds)[i];
+
+      if (constraints[kind]) {
+        const device = retrieveDevice(kinds[kind], constraints[kind]);
+
+        if (!device) {
+          return Promise.reject(Object.assign(new Error(`Requested ${kind} device not found`), { name: 'NotFoundError' }));
+        }
+
+        tracks.push(new FakeMediaStreamTrack(kind, device.deviceId, device.label));
+      }
+    }
+
+    return Promise.resolve(new FakeMediaStream(tracks));
+  }
+
+  getDisplayMedia() {
+    return Promise.resolve(new FakeMediaStream([new FakeMediaStreamTrack('video', 'screen', 'Screen')]));
+  }
+
+  enumerateDevices() {
+    return Promise.resolve(devices.map(device => Object.assign({}, device)));
+  }
+
+  getSupportedConstraints() {
+    return { deviceId: true };
+  }
+}
+
+const mediaDevices = new FakeMediaDevices();
+
+class FakeAnalyserNode {
+  constructor() {
+    this.fftSize = 2048;
+    this.stream = null;
+  }
+
+  // Fills the samples with a constant offset from the silence value 128, so that their RMS level is the audio level
+  getByteTimeDomainData(samples) {
+    const [track] = this.stream ? this.stream.getAudioTracks() : [];
+    const audioLevel = track && track.readyState === 'live' ? audioLevels[track.deviceId] || 0 : 0;
+
+    samples.fill(Math.min(255, Math.round(128 + (audioLevel * 128))));
+  }
+}
+
+class FakeAudioContext {
+  constructor() {
+    this.state = 'running';
+  }
+
+  createMediaStreamSource(stream) {
+    return {
+      connect: (analyser) => {
+        // eslint-disable-next-line no-param-reassign
+        analyser.stream = stream;
+      },
+      disconnect: () => {},
+    };
+  }
+
+  createAnalyser() {
+    return new FakeAnalyserNode();
+  }
+
+  resume() {
+    this.state = 'running';
+    return Promise.resolve();
+  }
+
+  close() {
+    this.state = 'closed';
+    return Promise.resolve();
+  }
+}
+
+/**
+ * Assigns the fake media classes and media devices to the given global scope.
+ * @param {Object} global
+ */
+export const plugFakeMediaDevicesToGlobalScope = (global) => {
+  global.MediaStream = FakeMediaStream;
+  global.MediaStreamTrack = FakeMediaStreamTrack;
+  global.AudioContext = FakeAudioContext;
+  Object.defineProperty(global.navigator, 'mediaDevices', { configurable: true, value: mediaDevices });
+};
+
+/**
+ * Sets the list of media devices, and fires the devicechange event as if devices were plugged in or removed.
+ * @param {Array} [updatedDevices] - The devices, each with its <code>deviceId</code>, <code>kind</code> and
+ *   <code>label</code>. The default devices are restored when not provided.
+ */
+export const setFakeMediaDevices = (updatedDevices = DEFAULT_DEVICES) => {
+  devices = updatedDevices.slice();
+  defer(() => mediaDevices.dispatchEvent({ type: 'devicechange' }));
+};
+
+/**
+ * Makes the next getUserMedia() call reject, e.g. as if the user denied the device access.
+ * @param {Error} error
+ */
+export const failNextGetUserMedia = (error) => {
+  getUserMediaError = error;
+};
+
+/**
+ * Sets the audio level captured by an input device, as read by the analysers of its tracks.
+ * @param {String} deviceId
+ * @param {number} [audioLevel=0] - The audio level from <code>0</code> to <code>1</code>.
+ */
+export const setFakeAudioLevel = (deviceId, audioLevel = 0) => {
+  audioLevels[deviceId] = audioLevel;
+};
+
+/**
+ * Resets the audio level of all the input devices to silence.
+ */
+export const resetFakeAudioLevels = () => {
+  audioLevels = {};
+};
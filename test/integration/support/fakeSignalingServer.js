@@ -0,0 +1,563 @@
+// In-process fake of the Temasys API and Signaling servers.
+// It answers the room authentication request of the SDK and speaks the SIG_MESSAGE_TYPE protocol
+// over fake socket.io sockets, routing the messages between the clients that joined the same room.
+// In rooms with MCU, the server also plays the MCU Peer that the clients connect to instead of each other.
+import { FakeRTCPeerConnection } from './fakeWebRTC';
+
+const SOCKET_EVENTS = {
+  CONNECT: 'connect',
+  DISCONNECT: 'disconnect',
+  MESSAGE: 'message',
+};
+
+const MESSAGE_TYPE = {
+  JOIN_ROOM: 'joinRoom',
+  IN_ROOM: 'inRoom',
+  BYE: 'bye',
+  MESSAGE: 'message',
+  GET_STORED_MESSAGES: 'getStoredMessages',
+  STORED_MESSAGES: 'storedMessages',
+  ENTER: 'enter',
+  WELCOME: 'welcome',
+  OFFER: 'offer',
+  ANSWER: 'answer',
+  INTRODUCE: 'introduce',
+  INTRODUCE_ERROR: 'introduceError',
+  APPROACH: 'approach',
+  ROOM_LOCK: 'roomLockEvent',
+  REDIRECT: 'redirect',
+  MODERATION_COMMAND: 'moderationCommand',
+};
+
+const INTRODUCE_ERROR_REASON = {
+  NOT_PRIVILEGED: 'notPrivileged',
+  PEER_NOT_FOUND: 'peerNotFound',
+};
+
+const CLIENT_DISCONNECT_REASON = 'io client disconnect';
+
+const MCU_PEER_ID = 'MCU';
+
+const defer = fn => setTimeout(fn, 0);
+
+const jsonResponse = (body, status = 200) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: () => Promise.resolve(body),
+  text: () => Promise.resolve(JSON.stringify(body)),
+});
+
+const parseRoomName = (url) => {
+  const [, path = ''] = url.split('/api/');
+  const [, roomName = ''] = path.split(/[/?]/);
+
+  return decodeURIComponent(roomName);
+};
+
+export class FakeSocket {
+  constructor(server, url, options) {
+    this.server = server;
+    this.url = url;
+    this.options = options;
+    this.id = null;
+    this.connected = false;
+    this.disconnected = true;
+    this.listeners = {};
+    this.io = { on: () => {}, off: () => {} };
+  }
+
+  on(eventName, callback) {
+    if (!this.listeners[eventName]) {
+      this.listeners[eventName] = [];
+    }
+
+    this.listeners[eventName].push(callback);
+    return this;
+  }
+
+  off(eventName, callback) {
+    if (this.listeners[eventName]) {
+      this.listeners[eventName] = callback ? this.listeners[eventName].filter(listener => listener !== callback) : [];
+    }
+
+    return this;
+  }
+
+  trigger(eventName, ...args) {
+    (this.listeners[eventName] || []).slice().forEach(callback => callback(...args));
+  }
+
+  connect() {
+    defer(() => {
+      if (this.connected) {
+        return;
+      }
+
+      this.connected = true;
+      this.disconnected = false;
+      this.server.addSocket(this);
+      this.trigger(SOCKET_EVENTS.CONNECT);
+    });
+
+    return this;
+  }
+
+  send(data) {
+    if (!this.connected) {
+      return this;
+    }
+
+    defer(() => this.server.receive(this, typeof data === 'string' ? JSON.parse(data) : data));
+    return this;
+  }
+
+  emit(eventName, data) {
+    if (eventName === SOCKET_EVENTS.MESSAGE) {
+      return this.send(data);
+    }
+
+    return this;
+  }
+
+  deliver(message) {
+    defer(() => {
+      if (this.connected) {
+        this.trigger(SOCKET_EVENTS.MESSAGE, JSON.stringify(message));
+      }
+    });
+  }
+
+  /**
+   * Closes the socket connection as if the network connection to the server was lost.
+   * @param {String} [reason]
+   * @param {boolean} [isKeptInRoom=false] - The flag if the Peer stays in the rooms without a "bye" message being broadcast.
+   */
+  drop(reason = 'transport close', isKeptInRoom = false) {
+    if (!this.connected) {
+      return;
+    }
+
+    this.connected = false;
+    this.disconnected = true;
+    this.server.removeSocket(this, isKeptInRoom);
+    this.trigger(SOCKET_EVENTS.DISCONNECT, reason);
+  }
+
+  disconnect() {
+    this.drop(CLIENT_DISCONNECT_REASON);
+    return this;
+  }
+
+  close() {
+    return this.disconnect();
+  }
+}
+
+export class FakeSignalingServer {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.hasPersistentMessage=false] - The flag if the app key has the persistent message feature.
+   * @param {boolean} [options.autoIntroduce=true] - The flag if the "enter" messages are broadcast to the room.
+   *   When disabled, the Peers are only connected when a privileged Peer introduces them.
+   * @param {boolean} [options.isPrivileged=false] - The flag if the app key is privileged.
+   * @param {boolean} [options.keepsPreviousPeerId=true] - The flag if a client that rejoins the room after its socket
+   *   connection was lost is assigned its previous Peer id. When disabled, it is always assigned a new Peer id.
+   * @param {boolean} [options.hasMCU=false] - The flag if the rooms have MCU. The server then plays the MCU Peer,
+   *   which answers the offers of the clients with the media info of the other clients.
+   */
+  constructor(options = {}) {
+    this.options = Object.assign({
+      hasPersistentMessage: false,
+      autoIntroduce: true,
+      isPrivileged: false,
+      keepsPreviousPeerId: true,
+      hasMCU: false,
+    }, options);
+    this.sockets = [];
+    this.rooms = {};
+    this.receivedMessages = [];
+    this.messageListeners = [];
+    this.peerCounter = 0;
+
+    this.io = (url, socketOptions) => new FakeSocket(this, url, socketOptions).connect();
+    this.io.Socket = FakeSocket;
+    this.fetch = (url, fetchOptions = {}) => Promise.resolve(this.handleRequest(url, fetchOptions));
+  }
+
+  handleRequest(url, fetchOptions) {
+    // Stats and other POST requests are accepted and ignored
+    if (fetchOptions.method && fetchOptions.method.toUpperCase() !== 'GET') {
+      return jsonResponse({});
+    }
+
+    return jsonResponse(this.buildAPIResponse(parseRoomName(url)));
+  }
+
+  buildAPIResponse(roomName) {
+    const start = new Date().toISOString();
+
+    return {
+      success: true,
+      cid: 'fake-app-key-id',
+      apiOwner: 'fake-app-owner',
+      room_key: `room-${roomName}`,
+      roomCred: 'fake-room-credentials',
+      start,
+      len: 24,
+      username: 'fake-user',
+      userCred: 'fake-user-credentials',
+      timeStamp: start,
+      ipSigserver: 'signaling.fake.local',
+      ipSigserverPath: '/socket.io',
+      httpPortList: [80],
+      httpsPortList: [443],
+      isPrivileged: this.options.isPrivileged,
+      autoIntroduce: this.options.autoIntroduce,
+      hasMCU: this.options.hasMCU,
+      hasPersistentMessage: this.options.hasPersistentMessage,
+      pc_constraints: JSON.stringify({ mandatory: {}, optional: [{ DtlsSrtpKeyAgreement: true }] }),
+      offer_constraints: JSON.stringify({ mandatory: {}, optional: [] }),
+      media_constraints: JSON.stringify({ audio: false, video: false }),
+    };
+  }
+
+  addSocket(socket) {
+    if (this.sockets.indexOf(socket) === -1) {
+      this.sockets.push(socket);
+    }
+  }
+
+  removeSocket(socket, isKeptInRoom = false) {
+    this.sockets = this.sockets.filter(connectedSocket => connectedSocket !== socket);
+
+    // The Peer stays in the room as if the server has not noticed yet that its socket connection was lost
+    if (isKeptInRoom) {
+      return;
+    }
+
+    Object.keys(this.rooms).forEach((rid) => {
+      const room = this.rooms[rid];
+
+      Object.keys(room.peers).forEach((peerId) => {
+        if (room.peers[peerId] === socket) {
+          delete room.peers[peerId];
+          this.removeFromMCU(room, peerId);
+          this.broadcast(rid, { type: MESSAGE_TYPE.BYE, rid, mid: peerId }, peerId);
+        }
+      });
+    });
+  }
+
+  getRoom(rid) {
+    if (!this.rooms[rid]) {
+      this.rooms[rid] = {
+        peers: {}, storedMessages: [], isLocked: false, mcuPeerConnections: {}, mcuMediaInfos: {},
+      };
+    }
+
+    return this.rooms[rid];
+  }
+
+  /**
+   * Returns the Peer ids of the clients in the room.
+   * @param {String} rid
+   * @return {Array}
+   */
+  getPeerIds(rid) {
+    return this.rooms[rid] ? Object.keys(this.rooms[rid].peers) : [];
+  }
+
+  /**
+   * Returns the messages of a type received by the server.
+   * @param {String} type
+   * @return {Array}
+   */
+  getReceivedMessages(type) {
+    return this.receivedMessages.filter(message => !type || message.type === type);
+  }
+
+  /**
+   * Waits until the server receives a message of a type.
+   * @param {String} type
+   * @param {Function} [predicate]
+   * @return {Promise}
+   */
+  waitForMessage(type, predicate = () => true) {
+    return new Promise((resolve) => {
+      this.messageListeners.push({ type, predicate, resolve });
+    });
+  }
+
+  receive(socket, message) {
+    this.receivedMessages.push(message);
+    this.messageListeners = this.messageListeners.filter((listener) => {
+      if (listener.type !== message.type || !listener.predicate(message)) {
+        return true;
+      }
+
+      listener.resolve(message);
+      return false;
+    });
+
+    switch (message.type) {
+      case MESSAGE_TYPE.JOIN_ROOM:
+        this.joinRoom(socket, message);
+        break;
+      case MESSAGE_TYPE.GET_STORED_MESSAGES:
+        this.sendStoredMessages(socket, message);
+        break;
+      case MESSAGE_TYPE.INTRODUCE:
+        this.introduce(socket, message);
+        break;
+      default:
+        if (this.options.hasMCU && message.target === MCU_PEER_ID) {
+          this.receiveAsMCU(socket, message);
+        } else {
+          this.route(message);
+        }
+        break;
+    }
+  }
+
+  // Only the messages that the MCU Peer needs to connect to the clients are answered, the others are only received
+  receiveAsMCU(socket, message) {
+    const { rid, mid } = message;
+    const room = this.rooms[rid];
+
+    if (!room || room.peers[mid] !== socket) {
+      return;
+    }
+
+    if (message.type === MESSAGE_TYPE.ENTER) {
+      socket.deliver({
+        type: MESSAGE_TYPE.WELCOME,
+        rid,
+        mid: MCU_PEER_ID,
+        target: mid,
+        weight: -1,
+        enableDataChannel: true,
+      });
+    } else if (message.type === MESSAGE_TYPE.OFFER) {
+      this.answerAsMCU(socket, message);
+    }
+  }
+
+  removeFromMCU(room, peerId) {
+    const updatedRoom = room;
+
+    if (updatedRoom.mcuPeerConnections[peerId]) {
+      updatedRoom.mcuPeerConnections[peerId].close();
+    }
+
+    delete updatedRoom.mcuPeerConnections[peerId];
+    delete updatedRoom.mcuMediaInfos[peerId];
+  }
+
+  answerAsMCU(socket, message) {
+    const { rid, mid } = message;
+    const room = this.rooms[rid];
+    const peerConnection = room.mcuPeerConnections[mid] || new FakeRTCPeerConnection();
+    // The media of the other clients is forwarded by the MCU
+    const mediaInfoList = Object.keys(room.mcuMediaInfos)
+      .filter(peerId => peerId !== mid)
+      .reduce((list, peerId) => list.concat(room.mcuMediaInfos[peerId]), []);
+
+    room.mcuPeerConnections[mid] = peerConnection;
+    room.mcuMediaInfos[mid] = message.mediaInfoList || [];
+
+    peerConnection.setRemoteDescription({ type: MESSAGE_TYPE.OFFER, sdp: message.sdp })
+      .then(() => peerConnection.createAnswer())
+      .then(answer => peerConnection.setLocalDescription(answer).then(() => answer))
+      .then((answer) => {
+        socket.deliver({
+          type: MESSAGE_TYPE.ANSWER,
+          rid,
+          mid: MCU_PEER_ID,
+          target: mid,
+          sdp: answer.sdp,
+          mediaInfoList,
+        });
+      });
+  }
+
+  joinRoom(socket, message) {
+    const { rid, previousMid } = message;
+    const room = this.getRoom(rid);
+    let peerId = previousMid;
+
+    // Rejoining after the socket connection was lost is still allowed in a locked room
+    if (room.isLocked && !previousMid && Object.keys(room.peers).length > 0) {
+      socket.deliver({
+        type: MESSAGE_TYPE.REDIRECT,
+        rid,
+        action: 'reject',
+        reason: 'locked',
+        info: 'Unable to join room as room is locked',
+      });
+      return;
+    }
+
+    // The previous Peer id is only kept when it is not taken by another connected client
+    const previousSocket = room.peers[peerId];
+
+    if (!peerId || !this.options.keepsPreviousPeerId || (previousSocket && previousSocket !== socket && previousSocket.connected)) {
+      this.peerCounter += 1;
+      peerId = `peer-${this.peerCounter}`;
+    }
+
+    room.peers[peerId] = socket;
+    socket.id = peerId;
+    socket.isPrivileged = !!message.isPrivileged;
+
+    socket.deliver({
+      type: MESSAGE_TYPE.IN_ROOM,
+      rid,
+      sid: peerId,
+      pc_config: { iceServers: [] },
+      tieBreaker: Date.now() + this.peerCounter,
+    });
+  }
+
+  sendStoredMessages(socket, message) {
+    const { rid, mid } = message;
+
+    socket.deliver({
+      type: MESSAGE_TYPE.STORED_MESSAGES,
+      rid,
+      mid,
+      target: mid,
+      data: JSON.stringify(this.getRoom(rid).storedMessages),
+    });
+  }
+
+  introduce(socket, message) {
+    const {
+      rid, mid, sendingPeerId, receivingPeerId,
+    } = message;
+    const room = this.rooms[rid];
+    let reason = null;
+
+    if (!room || room.peers[mid] !== socket) {
+      return;
+    }
+
+    if (!socket.isPrivileged) {
+      reason = INTRODUCE_ERROR_REASON.NOT_PRIVILEGED;
+    } else if (!room.peers[sendingPeerId] || !room.peers[receivingPeerId]) {
+      reason = INTRODUCE_ERROR_REASON.PEER_NOT_FOUND;
+    }
+
+    if (reason) {
+      socket.deliver({
+        type: MESSAGE_TYPE.INTRODUCE_ERROR,
+        rid,
+        sendingPeerId,
+        receivingPeerId,
+        reason,
+      });
+      return;
+    }
+
+    room.peers[sendingPeerId].deliver({
+      type: MESSAGE_TYPE.APPROACH,
+      rid,
+      target: receivingPeerId,
+    });
+  }
+
+  route(message) {
+    const { rid, mid, target } = message;
+    const room = this.rooms[rid];
+
+    if (!room || !room.peers[mid]) {
+      return;
+    }
+
+    if (message.type === MESSAGE_TYPE.ROOM_LOCK) {
+      room.isLocked = !!message.lock;
+    }
+
+    if (message.type === MESSAGE_TYPE.MESSAGE && message.isPersistent) {
+      room.storedMessages.push({
+        data: message.data,
+        mid,
+        secretId: message.secretId,
+        timeStamp: Date.now(),
+      });
+    }
+
+    if (message.type === MESSAGE_TYPE.MODERATION_COMMAND) {
+      // The privilege of the sender is vouched for by the server and cannot be set by the sender
+      message.isPrivileged = !!room.peers[mid].isPrivileged;
+    }
+
+    if (target) {
+      if (room.peers[target]) {
+        room.peers[target].deliver(message);
+      }
+      return;
+    }
+
+    // Without auto introduce, the Peers only enter the room to the Peers that they are introduced to
+    if (message.type === MESSAGE_TYPE.ENTER && !this.options.autoIntroduce) {
+      return;
+    }
+
+    this.broadcast(rid, message, mid);
+  }
+
+  broadcast(rid, message, excludedPeerId) {
+    const room = this.rooms[rid];
+
+    if (!room) {
+      return;
+    }
+
+    Object.keys(room.peers).forEach((peerId) => {
+      if (peerId !== excludedPeerId) {
+        room.peers[peerId].deliver(message);
+      }
+    });
+  }
+
+  /**
+   * Sends a message from the server to a client in the room, e.g. a message that is not sent by a Peer.
+   * @param {String} rid
+   * @param {String} peerId
+   * @param {Object} message
+   */
+  sendTo(rid, peerId, message) {
+    const room = this.rooms[rid];
+
+    if (room && room.peers[peerId]) {
+      room.peers[peerId].deliver(Object.assign({ rid }, message));
+    }
+  }
+
+  /**
+   * Drops the socket connection of a client as if its network connection was lost.
+   * @param {String} rid
+   * @param {String} peerId
+   * @param {Object} [options]
+   * @param {boolean} [options.isKeptInRoom=false] - The flag if the Peer stays in the rooms until it rejoins.
+   * @return {FakeSocket} The socket, which is re-opened with <code>connect()</code>.
+   */
+  dropPeer(rid, peerId, options = {}) {
+    const room = this.rooms[rid];
+    const socket = room && room.peers[peerId];
+
+    if (socket) {
+      socket.drop(undefined, !!options.isKeptInRoom);
+    }
+
+    return socket;
+  }
+
+  close() {
+    this.sockets.slice().forEach(socket => socket.drop());
+    Object.values(this.rooms).forEach((room) => {
+      Object.values(room.mcuPeerConnections).forEach(peerConnection => peerConnection.close());
+    });
+    this.rooms = {};
+  }
+}
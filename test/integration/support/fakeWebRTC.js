@@ -0,0 +1,705 @@
+// In-process fake of the RTCPeerConnection and RTCDataChannel APIs used by the SDK.
+// Peer connections are paired through the session id of the SDP that they exchange, so that
+// two SDK instances connect to each other as soon as the offer and answer are applied,
+// without any network or media stack.
+// The tracks that a Peer connection sends are received as new tracks of the same id by the remote Peer connection.
+import { FakeMediaStream, FakeMediaStreamTrack } from './fakeMediaDevices';
+
+const peerConnections = {};
+let sessionCounter = 1000;
+let channelCounter = 0;
+// When set, the ICE connections stay failed, e.g. while the ICE connections are restarted
+let isIceConnectionBlocked = false;
+// When set, returns the stats reports of each getStats() call
+let statsProvider = null;
+
+const defer = fn => setTimeout(fn, 0);
+
+const FINGERPRINT = 'sha-256 6B:8B:F0:65:5F:78:E2:51:3B:AC:6F:F3:3F:46:1B:35:DC:B8:5F:64:1A:24:C2:43:F0:A1:58:D0:A1:2C:19:08';
+
+const CODEC_LINES = {
+  audio: {
+    payloads: [111, 0, 8],
+    lines: [
+      'a=rtpmap:111 opus/48000/2',
+      'a=rtcp-fb:111 transport-cc',
+      'a=fmtp:111 minptime=10;useinbandfec=1',
+      'a=rtpmap:0 PCMU/8000',
+      'a=rtpmap:8 PCMA/8000',
+    ],
+  },
+  video: {
+    payloads: [96, 98, 102],
+    lines: [
+      'a=rtpmap:96 VP8/90000',
+      'a=rtcp-fb:96 goog-remb',
+      'a=rtcp-fb:96 ccm fir',
+      'a=rtcp-fb:96 nack',
+      'a=rtcp-fb:96 nack pli',
+      'a=rtpmap:98 VP9/90000',
+      'a=rtcp-fb:98 nack',
+      'a=rtcp-fb:98 nack pli',
+      'a=rtpmap:102 H264/90000',
+      'a=rtcp-fb:102 nack',
+      'a=rtcp-fb:102 nack pli',
+      'a=fmtp:102 level-asymmetry-allowed=1;packetization-mode=1;profile-level-id=42001f',
+    ],
+  },
+};
+
+const randomString = length => Math.random().toString(36).slice(2).padEnd(length, '0').slice(0, length);
+
+const buildMediaSection = (section, params) => {
+  const { type, iceUfrag, icePwd } = params;
+  const lines = [];
+
+  if (section.kind === 'application') {
+    lines.push('m=application 9 UDP/DTLS/SCTP webrtc-datachannel');
+  } else {
+    lines.push(`m=${section.kind} 9 UDP/TLS/RTP/SAVPF ${CODEC_LINES[section.kind].payloads.join(' ')}`);
+  }
+
+  lines.push(
+    'c=IN IP4 0.0.0.0',
+    `a=ice-ufrag:${iceUfrag}`,
+    `a=ice-pwd:${icePwd}`,
+    'a=ice-options:trickle',
+    `a=fingerprint:${FINGERPRINT}`,
+    `a=setup:${type === 'offer' ? 'actpass' : 'active'}`,
+    `a=mid:${section.mid}`,
+  );
+
+  if (section.kind === 'application') {
+    lines.push('a=sctp-port:5000', 'a=max-message-size:262144');
+    return lines;
+  }
+
+  lines.push(`a=${section.direction}`, 'a=rtcp-mux', 'a=rtcp-rsize');
+
+  if (section.track && section.direction.indexOf('send') > -1) {
+    lines.push(`a=msid:${section.streamId} ${section.track.id}`);
+  }
+
+  return lines.concat(CODEC_LINES[section.kind].lines);
+};
+
+const buildSdp = (sessionId, type, sections, params) => {
+  const lines = [
+    'v=0',
+    `o=- ${sessionId} 2 IN IP4 127.0.0.1`,
+    's=-',
+    't=0 0',
+  ];
+
+  if (sections.length) {
+    lines.push(`a=group:BUNDLE ${sections.map(section => section.mid).join(' ')}`);
+  }
+
+  lines.push('a=msid-semantic: WMS');
+
+  sections.forEach((section) => {
+    lines.push(...buildMediaSection(section, Object.assign({ type }, params)));
+  });
+
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+// Only the parts of the SDP that are needed to pair the Peer connections and mirror the media sections are parsed
+const parseSdp = (sdp) => {
+  const sessionLine = sdp.split(/\r?\n/).find(line => line.indexOf('o=') === 0) || '';
+  const sections = [];
+
+  sdp.split(/\r?\nm=/).slice(1).forEach((block) => {
+    const kind = block.split(' ')[0];
+    const midLine = block.split(/\r?\n/).find(line => line.indexOf('a=mid:') === 0);
+    const direction = ['sendrecv', 'sendonly', 'recvonly', 'inactive'].find(value => block.indexOf(`a=${value}`) > -1);
+    const msidLine = block.split(/\r?\n/).find(line => line.indexOf('a=msid:') === 0);
+    const [streamId, trackId] = msidLine ? msidLine.slice(7).split(' ') : [];
+
+    sections.push({
+      kind, mid: midLine ? midLine.slice(6) : `${sections.length}`, direction: direction || 'sendrecv', streamId, trackId,
+    });
+  });
+
+  return { sessionId: sessionLine.split(' ')[1], sections };
+};
+
+const answerDirection = (offerDirection, hasTrack) => {
+  switch (offerDirection) {
+    case 'sendrecv': return hasTrack ? 'sendrecv' : 'recvonly';
+    case 'sendonly': return 'recvonly';
+    case 'recvonly': return hasTrack ? 'sendonly' : 'inactive';
+    default: return 'inactive';
+  }
+};
+
+export class FakeRTCSessionDescription {
+  constructor(init = {}) {
+    this.type = init.type;
+    this.sdp = init.sdp;
+  }
+
+  toJSON() {
+    return { type: this.type, sdp: this.sdp };
+  }
+}
+
+export class FakeRTCIceCandidate {
+  constructor(init = {}) {
+    this.candidate = init.candidate || '';
+    this.sdpMid = typeof init.sdpMid === 'undefined' ? null : init.sdpMid;
+    this.sdpMLineIndex = typeof init.sdpMLineIndex === 'undefined' ? null : init.sdpMLineIndex;
+  }
+
+  toJSON() {
+    return { candidate: this.candidate, sdpMid: this.sdpMid, sdpMLineIndex: this.sdpMLineIndex };
+  }
+}
+
+export class FakeRTCDataChannel {
+  constructor(label, init = {}, peerConnection) {
+    channelCounter += 1;
+
+    this.label = label;
+    this.id = typeof init.id === 'number' ? init.id : channelCounter;
+    this.ordered = init.ordered !== false;
+    this.protocol = init.protocol || '';
+    this.negotiated = !!init.negotiated;
+    this.readyState = 'connecting';
+    this.binaryType = 'arraybuffer';
+    this.bufferedAmount = 0;
+    this.bufferedAmountLowThreshold = 0;
+    this.peerConnection = peerConnection;
+    this.remoteChannel = null;
+
+    this.onopen = null;
+    this.onmessage = null;
+    this.onclose = null;
+    this.onerror = null;
+    this.onbufferedamountlow = null;
+  }
+
+  dispatch(eventName, event = {}) {
+    if (typeof this[eventName] === 'function') {
+      this[eventName](Object.assign({ target: this, currentTarget: this }, event));
+    }
+  }
+
+  open() {
+    if (this.readyState !== 'connecting') {
+      return;
+    }
+
+    this.readyState = 'open';
+    this.dispatch('onopen');
+  }
+
+  send(data) {
+    if (this.readyState !== 'open') {
+      const error = new Error(`Failed to execute 'send' on 'RTCDataChannel': RTCDataChannel.readyState is '${this.readyState}'`);
+      error.name = 'InvalidStateError';
+      throw error;
+    }
+
+    const { remoteChannel } = this;
+
+    defer(() => {
+      if (remoteChannel && remoteChannel.readyState === 'open') {
+        remoteChannel.dispatch('onmessage', { data });
+      }
+    });
+  }
+
+  close() {
+    if (this.readyState === 'closed') {
+      return;
+    }
+
+    const { remoteChannel } = this;
+
+    this.readyState = 'closed';
+    this.remoteChannel = null;
+    defer(() => this.dispatch('onclose'));
+
+    // Messages already sent are delivered before the remote end closes
+    if (remoteChannel) {
+      defer(() => remoteChannel.close());
+    }
+  }
+}
+
+export class FakeRTCPeerConnection {
+  constructor(configuration = {}) {
+    sessionCounter += 1;
+
+    this.configuration = configuration || {};
+    this.sessionId = `${sessionCounter}`;
+    this.iceUfrag = randomString(4);
+    this.icePwd = randomString(24);
+    this.signalingState = 'stable';
+    this.iceConnectionState = 'new';
+    this.iceGatheringState = 'new';
+    this.connectionState = 'new';
+    this.localDescription = null;
+    this.remoteDescription = null;
+    this.currentLocalDescription = null;
+    this.currentRemoteDescription = null;
+    this.remotePeerConnection = null;
+    this.sections = [];
+    this.transceivers = [];
+    this.dataChannels = [];
+    this.remoteStreams = [];
+    this.remoteTracks = {};
+    this.isConnected = false;
+
+    this.ontrack = null;
+    this.ondatachannel = null;
+    this.onicecandidate = null;
+    this.oniceconnectionstatechange = null;
+    this.onsignalingstatechange = null;
+    this.onicegatheringstatechange = null;
+    this.onconnectionstatechange = null;
+    this.onnegotiationneeded = null;
+
+    peerConnections[this.sessionId] = this;
+  }
+
+  dispatch(eventName, event = {}) {
+    if (typeof this[eventName] === 'function') {
+      this[eventName](Object.assign({ target: this, currentTarget: this }, event));
+    }
+  }
+
+  setSignalingState(signalingState) {
+    if (this.signalingState === signalingState) {
+      return;
+    }
+
+    this.signalingState = signalingState;
+    this.dispatch('onsignalingstatechange');
+  }
+
+  setIceConnectionState(iceConnectionState) {
+    if (this.iceConnectionState === iceConnectionState || this.signalingState === 'closed') {
+      return;
+    }
+
+    if (isIceConnectionBlocked && iceConnectionState !== 'failed') {
+      return;
+    }
+
+    this.iceConnectionState = iceConnectionState;
+    this.connectionState = iceConnectionState === 'completed' ? 'connected' : iceConnectionState;
+    this.dispatch('oniceconnectionstatechange');
+    this.dispatch('onconnectionstatechange');
+  }
+
+  getConfiguration() {
+    return this.configuration;
+  }
+
+  setConfiguration(configuration) {
+    this.configuration = configuration;
+  }
+
+  createDataChannel(label, init) {
+    const channel = new FakeRTCDataChannel(label, init, this);
+
+    this.dataChannels.push(channel);
+
+    if (!this.sections.find(section => section.kind === 'application')) {
+      this.sections.push({ kind: 'application', mid: `${this.sections.length}` });
+    }
+
+    // Channels created after the connection is established do not need another negotiation
+    if (this.isConnected && this.remotePeerConnection && this.remotePeerConnection.isConnected) {
+      defer(() => this.pairDataChannels());
+    }
+
+    return channel;
+  }
+
+  addTransceiver(trackOrKind, init = {}) {
+    const track = typeof trackOrKind === 'string' ? null : trackOrKind;
+    const kind = track ? track.kind : trackOrKind;
+    const section = {
+      kind,
+      mid: `${this.sections.length}`,
+      direction: init.direction || 'sendrecv',
+      track,
+      streamId: init.streams && init.streams[0] ? init.streams[0].id : '-',
+    };
+    // The sender keeps the encodings that it was last set with, starting with the simulcast layers
+    const parameters = { encodings: (init.sendEncodings || [{}]).map(encoding => Object.assign({}, encoding)) };
+    const sender = {
+      track,
+      replaceTrack: (newTrack) => {
+        section.track = newTrack;
+        sender.track = newTrack;
+        return Promise.resolve();
+      },
+      getParameters: () => ({ encodings: parameters.encodings.map(encoding => Object.assign({}, encoding)) }),
+      setParameters: (updatedParameters) => {
+        parameters.encodings = updatedParameters.encodings.map(encoding => Object.assign({}, encoding));
+        return Promise.resolve();
+      },
+      getStats: () => Promise.resolve(new Map()),
+    };
+    const transceiver = {
+      mid: null,
+      direction: section.direction,
+      currentDirection: null,
+      sender,
+      receiver: { track: null, getStats: () => Promise.resolve(new Map()) },
+      stop: () => {
+        transceiver.direction = 'inactive';
+        section.direction = 'inactive';
+      },
+      setCodecPreferences: () => {},
+    };
+
+    section.transceiver = transceiver;
+    this.sections.push(section);
+    this.transceivers.push(transceiver);
+
+    return transceiver;
+  }
+
+  addTrack(track, ...streams) {
+    return this.addTransceiver(track, { streams }).sender;
+  }
+
+  removeTrack(sender) {
+    this.transceivers.forEach((transceiver) => {
+      if (transceiver.sender === sender) {
+        transceiver.sender.track = null;
+        transceiver.direction = transceiver.direction === 'sendrecv' ? 'recvonly' : 'inactive';
+      }
+    });
+
+    this.sections.forEach((section) => {
+      if (section.transceiver && section.transceiver.sender === sender) {
+        section.track = null;
+        section.direction = section.transceiver.direction;
+      }
+    });
+  }
+
+  getSenders() {
+    return this.transceivers.map(transceiver => transceiver.sender);
+  }
+
+  getReceivers() {
+    return this.transceivers.map(transceiver => transceiver.receiver);
+  }
+
+  getTransceivers() {
+    return this.transceivers;
+  }
+
+  getLocalStreams() {
+    return [];
+  }
+
+  getRemoteStreams() {
+    return this.remoteStreams;
+  }
+
+  addReceiveSections(options = {}) {
+    const mandatory = options.mandatory || {};
+    const receiveKinds = {
+      audio: !!(options.offerToReceiveAudio || mandatory.OfferToReceiveAudio),
+      video: !!(options.offerToReceiveVideo || mandatory.OfferToReceiveVideo),
+    };
+
+    Object.keys(receiveKinds).forEach((kind) => {
+      if (receiveKinds[kind] && !this.sections.find(section => section.kind === kind)) {
+        this.sections.push({
+          kind, mid: `${this.sections.length}`, direction: 'recvonly', track: null,
+        });
+      }
+    });
+  }
+
+  createOffer(options = {}) {
+    if (this.signalingState === 'closed') {
+      return Promise.reject(new Error('The RTCPeerConnection is closed'));
+    }
+
+    if (options.iceRestart) {
+      this.iceUfrag = randomString(4);
+      this.icePwd = randomString(24);
+    }
+
+    this.addReceiveSections(options);
+
+    return Promise.resolve(new FakeRTCSessionDescription({
+      type: 'offer',
+      sdp: buildSdp(this.sessionId, 'offer', this.sections, this),
+    }));
+  }
+
+  createAnswer() {
+    if (!this.remoteDescription || this.remoteDescription.type !== 'offer') {
+      return Promise.reject(new Error('Cannot create an answer without a remote offer'));
+    }
+
+    const sections = parseSdp(this.remoteDescription.sdp).sections.map((remoteSection) => {
+      const localSection = this.sections.find(section => section.mid === remoteSection.mid) || {};
+
+      return Object.assign({}, localSection, {
+        kind: remoteSection.kind,
+        mid: remoteSection.mid,
+        direction: answerDirection(remoteSection.direction, !!localSection.track),
+      });
+    });
+
+    return Promise.resolve(new FakeRTCSessionDescription({
+      type: 'answer',
+      sdp: buildSdp(this.sessionId, 'answer', sections, this),
+    }));
+  }
+
+  setLocalDescription(description) {
+    if (this.signalingState === 'closed') {
+      return Promise.reject(new Error('The RTCPeerConnection is closed'));
+    }
+
+    this.localDescription = new FakeRTCSessionDescription(description);
+    this.currentLocalDescription = this.localDescription;
+    this.setSignalingState(description.type === 'offer' ? 'have-local-offer' : 'stable');
+    defer(() => this.gatherCandidates());
+
+    if (description.type === 'answer') {
+      this.connect();
+    }
+
+    return Promise.resolve();
+  }
+
+  setRemoteDescription(description) {
+    if (this.signalingState === 'closed') {
+      return Promise.reject(new Error('The RTCPeerConnection is closed'));
+    }
+
+    const { sessionId, sections } = parseSdp(description.sdp);
+
+    this.remoteDescription = new FakeRTCSessionDescription(description);
+    this.currentRemoteDescription = this.remoteDescription;
+    this.remotePeerConnection = peerConnections[sessionId] || null;
+
+    this.receiveRemoteTracks(sections);
+
+    if (description.type === 'offer') {
+      // Mirrors the media sections of the offer so that the answer keeps the same mids
+      sections.forEach((remoteSection) => {
+        if (!this.sections.find(section => section.mid === remoteSection.mid)) {
+          this.sections.push({
+            kind: remoteSection.kind, mid: remoteSection.mid, direction: 'recvonly', track: null,
+          });
+        }
+      });
+      this.setSignalingState('have-remote-offer');
+    } else {
+      this.setSignalingState('stable');
+      this.connect();
+    }
+
+    return Promise.resolve();
+  }
+
+  // Fires the track event for each track that the remote description sends for the first time
+  receiveRemoteTracks(sections) {
+    sections.forEach((section) => {
+      if (!section.trackId || ['sendrecv', 'sendonly'].indexOf(section.direction) === -1 || this.remoteTracks[section.trackId]) {
+        return;
+      }
+
+      const track = new FakeMediaStreamTrack(section.kind);
+      let stream = this.remoteStreams.find(remoteStream => remoteStream.id === section.streamId);
+
+      track.id = section.trackId;
+      this.remoteTracks[track.id] = track;
+
+      if (!stream) {
+        stream = new FakeMediaStream();
+        stream.id = section.streamId;
+        this.remoteStreams.push(stream);
+      }
+
+      stream.addTrack(track);
+
+      const receiver = { track, getStats: () => Promise.resolve(new Map()) };
+
+      defer(() => {
+        if (this.signalingState !== 'closed') {
+          this.dispatch('ontrack', {
+            track, streams: [stream], receiver, transceiver: { mid: section.mid, receiver },
+          });
+        }
+      });
+    });
+  }
+
+  addIceCandidate() {
+    if (!this.remoteDescription) {
+      return Promise.reject(new Error('Cannot add an ICE candidate without a remote description'));
+    }
+
+    return Promise.resolve();
+  }
+
+  gatherCandidates() {
+    const [firstSection] = this.sections;
+
+    if (this.signalingState === 'closed' || !firstSection) {
+      return;
+    }
+
+    this.iceGatheringState = 'gathering';
+    this.dispatch('onicegatheringstatechange');
+
+    this.dispatch('onicecandidate', {
+      candidate: new FakeRTCIceCandidate({
+        candidate: `candidate:1 1 udp 2122260223 127.0.0.1 ${50000 + Number(this.sessionId) % 10000} typ host generation 0 ufrag ${this.iceUfrag}`,
+        sdpMid: firstSection.mid,
+        sdpMLineIndex: 0,
+      }),
+    });
+
+    this.iceGatheringState = 'complete';
+    this.dispatch('onicecandidate', { candidate: null });
+    this.dispatch('onicegatheringstatechange');
+  }
+
+  connect() {
+    defer(() => {
+      if (this.signalingState === 'closed' || !this.remotePeerConnection) {
+        return;
+      }
+
+      this.isConnected = true;
+      this.setIceConnectionState('checking');
+      this.setIceConnectionState('connected');
+
+      if (this.remotePeerConnection.isConnected) {
+        this.pairDataChannels();
+      }
+    });
+  }
+
+  pairDataChannels() {
+    const remote = this.remotePeerConnection;
+
+    [[this, remote], [remote, this]].forEach(([local, other]) => {
+      local.dataChannels.forEach((channel) => {
+        if (channel.remoteChannel || channel.readyState !== 'connecting' || other.signalingState === 'closed') {
+          return;
+        }
+
+        const remoteChannel = new FakeRTCDataChannel(channel.label, { id: channel.id, ordered: channel.ordered }, other);
+
+        channel.remoteChannel = remoteChannel;
+        remoteChannel.remoteChannel = channel;
+        other.dataChannels.push(remoteChannel);
+        other.dispatch('ondatachannel', { channel: remoteChannel });
+
+        remoteChannel.open();
+        channel.open();
+      });
+    });
+  }
+
+  getStats() {
+    const reports = statsProvider ? statsProvider(this) : [];
+
+    return Promise.resolve(new Map(reports.map(report => [report.id, report])));
+  }
+
+  close() {
+    if (this.signalingState === 'closed') {
+      return;
+    }
+
+    this.signalingState = 'closed';
+    this.iceConnectionState = 'closed';
+    this.connectionState = 'closed';
+    this.isConnected = false;
+    this.dataChannels.forEach(channel => channel.close());
+
+    delete peerConnections[this.sessionId];
+  }
+}
+
+FakeRTCPeerConnection.generateCertificate = () => Promise.resolve({ expires: Date.now() + 86400000 });
+
+/**
+ * Assigns the fake WebRTC classes to the given global scope.
+ * @param {Object} global
+ */
+export const plugFakeWebRTCToGlobalScope = (global) => {
+  global.RTCPeerConnection = FakeRTCPeerConnection;
+  global.RTCSessionDescription = FakeRTCSessionDescription;
+  global.RTCIceCandidate = FakeRTCIceCandidate;
+  global.RTCDataChannel = FakeRTCDataChannel;
+};
+
+/**
+ * Closes the open datachannels of all the fake peer connections on both ends, as if the SCTP association was lost
+ * while the peer connections stay connected.
+ */
+export const closeFakeDataChannels = () => {
+  Object.values(peerConnections).forEach((peerConnection) => {
+    peerConnection.dataChannels
+      .filter(channel => channel.readyState === 'open')
+      .forEach(channel => channel.close());
+  });
+};
+
+/**
+ * Sets the buffered amount of the open datachannels of all the fake peer connections, and fires their
+ * bufferedamountlow event when the buffered amount falls to their low threshold, as if the SCTP transport was congested.
+ * @param {number} bufferedAmount
+ */
+export const setFakeBufferedAmount = (bufferedAmount) => {
+  Object.values(peerConnections).forEach((peerConnection) => {
+    peerConnection.dataChannels
+      .filter(channel => channel.readyState === 'open')
+      .forEach((channel) => {
+        const wasAboveThreshold = channel.bufferedAmount > channel.bufferedAmountLowThreshold;
+
+        channel.bufferedAmount = bufferedAmount;
+
+        if (wasAboveThreshold && bufferedAmount <= channel.bufferedAmountLowThreshold) {
+          channel.dispatch('onbufferedamountlow');
+        }
+      });
+  });
+};
+
+/**
+ * Fails the ICE connections of all the fake peer connections, which stay failed until they are restored.
+ */
+export const failFakeIceConnections = () => {
+  isIceConnectionBlocked = true;
+  Object.values(peerConnections).forEach(peerConnection => peerConnection.setIceConnectionState('failed'));
+};
+
+/**
+ * Connects the failed ICE connections of all the fake peer connections again.
+ */
+export const restoreFakeIceConnections = () => {
+  isIceConnectionBlocked = false;
+  Object.values(peerConnections)
+    .filter(peerConnection => peerConnection.iceConnectionState === 'failed')
+    .forEach(peerConnection => peerConnection.setIceConnectionState('connected'));
+};
+
+/**
+ * Sets the function that returns the stats reports of the fake peer connections, or clears it with <code>null</code>.
+ * @param {Function} provider - The function called with the fake peer connection at each getStats() call, which
+ *   returns the Array of stats reports, each with its <code>id</code>.
+ */
+export const setFakeStatsProvider = (provider) => {
+  statsProvider = provider;
+};
@@ -0,0 +1,126 @@
+// Harness to run several SDK instances against the fake Signaling server and fake WebRTC under jsdom.
+// The SDK keeps its room states in module scope, so each client loads its own copy of the src modules.
+import '@babel/polyfill';
+import 'localstorage-polyfill';
+import path from 'path';
+import { webcrypto } from 'crypto';
+import { TextEncoder, TextDecoder } from 'util';
+import { FakeSignalingServer } from './fakeSignalingServer';
+import { plugFakeWebRTCToGlobalScope } from './fakeWebRTC';
+import { plugFakeMediaDevicesToGlobalScope } from './fakeMediaDevices';
+
+const SRC_PATH = path.resolve(__dirname, '../../../src');
+
+const DEFAULT_INIT_OPTIONS = {
+  appKey: 'fake-app-key',
+  defaultRoom: 'fake-room',
+  enableDataChannel: true,
+  enableStatsGathering: false,
+  audioFallback: false,
+};
+
+// jsdom does not allow localStorage on the default about:blank origin, which the logger needs
+const plugLocalStorage = (global) => {
+  Object.defineProperty(global, 'localStorage', { configurable: true, value: localStorage });
+};
+
+// jsdom does not implement WebCrypto, which the encrypted messaging needs
+const plugWebCrypto = (global) => {
+  Object.defineProperty(global, 'crypto', { configurable: true, value: webcrypto });
+  Object.assign(global, { TextEncoder, TextDecoder });
+};
+
+// The rooms are left before the Signaling server closes so that the timers of each client are cleared
+const LEAVE_ROOM_TIMEOUT = 2000;
+
+// adapterjs only calls the webRTCReady callbacks on the browsers that it detects, which jsdom is not
+const plugAdapterJSReady = (global) => {
+  const { AdapterJS } = global;
+
+  AdapterJS.onwebrtcreadyDone = true;
+  AdapterJS._onwebrtcreadies.splice(0).forEach(callback => callback());
+};
+
+const loadSkylink = () => {
+  Object.keys(require.cache)
+    .filter(modulePath => modulePath.indexOf(SRC_PATH) === 0)
+    .forEach((modulePath) => { delete require.cache[modulePath]; });
+
+  return require(SRC_PATH);
+};
+
+/**
+ * Creates the fake Signaling server that the clients connect to.
+ * @param {Object} [options] - The options of the {@link FakeSignalingServer}.
+ * @return {FakeSignalingServer}
+ */
+export const createSignalingServer = options => new FakeSignalingServer(options);
+
+/**
+ * Creates a client with its own copy of the SDK, connected to the fake Signaling server.
+ * @param {FakeSignalingServer} server
+ * @param {initOptions} [initOptions]
+ * @return {{skylink: Skylink, SkylinkConstants: Object, SkylinkEventManager: Object, waitForEvent: Function,
+ *   getSkylinkState: Function, sendRawDataChannelMessage: Function, destroy: Function}}
+ */
+export const createSkylinkClient = (server, initOptions = {}) => {
+  plugLocalStorage(window);
+  plugWebCrypto(window);
+
+  const sdk = loadSkylink();
+  const { default: Skylink, SkylinkConstants, SkylinkEventManager } = sdk;
+
+  // Loading the SDK assigns the real socket.io client to the window
+  window.io = server.io;
+  window.fetch = server.fetch;
+  plugFakeWebRTCToGlobalScope(window);
+  plugFakeMediaDevicesToGlobalScope(window);
+  plugAdapterJSReady(window);
+
+  const skylink = new Skylink(Object.assign({}, DEFAULT_INIT_OPTIONS, initOptions));
+
+  const waitForEvent = (eventName, predicate = () => true) => new Promise((resolve) => {
+    const listener = (evt) => {
+      if (predicate(evt.detail)) {
+        SkylinkEventManager.removeEventListener(eventName, listener);
+        resolve(evt.detail);
+      }
+    };
+
+    SkylinkEventManager.addEventListener(eventName, listener);
+  });
+
+  const getSkylinkState = roomKey => Skylink.getSkylinkState(roomKey);
+
+  // Sends the message as is over the datachannel to Peer, e.g. a protocol message that the SDK would not send
+  const sendRawDataChannelMessage = (peerId, message, channelProp = 'main') => {
+    const [state] = Object.values(Skylink.getSkylinkState()).filter(roomState => roomState.dataChannels[peerId]);
+
+    state.dataChannels[peerId][channelProp].channel.send(typeof message === 'string' ? message : JSON.stringify(message));
+  };
+
+  const destroy = () => Promise.race([
+    Promise.all(Object.values(Skylink.getSkylinkState()).map(state => skylink.leaveRoom(state.room.roomName))),
+    new Promise(resolve => setTimeout(resolve, LEAVE_ROOM_TIMEOUT)),
+  ]);
+
+  return {
+    skylink,
+    SkylinkConstants,
+    SkylinkEventManager,
+    waitForEvent,
+    getSkylinkState,
+    sendRawDataChannelMessage,
+    destroy,
+  };
+};
+
+/**
+ * Makes the clients leave their rooms one after another, and then closes the fake Signaling server.
+ * @param {FakeSignalingServer} server
+ * @param {Array} clients - The clients created with {@link createSkylinkClient}.
+ * @return {Promise}
+ */
+export const destroySkylinkClients = (server, clients) => clients
+  .reduce((promise, client) => promise.then(() => client.destroy()), Promise.resolve())
+  .then(() => server.close());